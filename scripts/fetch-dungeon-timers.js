@@ -1,47 +1,29 @@
-// Script to fetch keystone upgrade timers for all dungeons and print a JSON array for WOW_DUNGEONS
-// Usage: node scripts/fetch-dungeon-timers.js
+// Script to sync dungeon names and keystone upgrade timers from Blizzard into the database
+// (dungeon / dungeon_timer), the same as POST /admin/sync-dungeon-timers
+// Usage: node scripts/fetch-dungeon-timers.js [season_id] [region]
+//   season_id defaults to Blizzard's current season, region to us
 
+// Load local environment vars if present
+try { require('dotenv').config(); } catch (_) {}
 
-const proxyService = require('../src/services/proxy');
-const { WOW_DUNGEONS } = require('../src/config/constants');
-
-async function fetchAllDungeonTimers(region = 'us') {
-  const resp = await proxyService.getGameData('mythic-keystone-dungeons', region, {});
-  const dungeons = resp.data.dungeons || [];
-  const result = [];
-  for (const d of dungeons) {
-    let keystone_upgrades = [];
-    try {
-      const dungeonResp = await proxyService.getGameData('mythic-keystone-dungeon', region, { id: d.id });
-      keystone_upgrades = (dungeonResp.data.keystone_upgrades || []).map(u => ({
-        upgrade_level: u.upgrade_level,
-        qualifying_duration: u.qualifying_duration
-      }));
-    } catch (e) {
-      console.warn(`Failed to fetch upgrades for dungeon ${d.id} (${d.name}): ${e.message}`);
-    }
-    // Try to get shortname from existing WOW_DUNGEONS
-    let shortname = d.short_name || d.name;
-    const existing = WOW_DUNGEONS.find(wd => wd.id === d.id);
-    if (existing && existing.shortname) {
-      shortname = existing.shortname;
-    }
-    result.push({
-      id: d.id,
-      name: d.name,
-      shortname,
-      keystone_upgrades
-    });
-  }
-  return result;
-}
+const db = require('../src/services/db');
+const { syncDungeonTimers } = require('../src/services/dungeon-timers');
 
 (async () => {
+  const seasonId = process.argv[2] ? Number(process.argv[2]) : null;
+  const region = process.argv[3] || 'us';
+  if (process.argv[2] && (!Number.isInteger(seasonId) || seasonId < 1)) {
+    console.error(`Invalid season_id: ${process.argv[2]}`);
+    process.exit(1);
+  }
   try {
-    const dungeons = await fetchAllDungeonTimers('us');
-    console.log(JSON.stringify(dungeons, null, 2));
+    const result = await syncDungeonTimers({ region, seasonId });
+    console.log(JSON.stringify(result, null, 2));
+    if (result.status !== 'OK') process.exitCode = 1;
   } catch (e) {
-    console.error('Error fetching dungeon timers:', e);
-    process.exit(1);
+    console.error('Error syncing dungeon timers:', e);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
   }
 })();
@@ -20,6 +20,10 @@ function remainingJobTimeMs() {
   return JOB_DEADLINE ? (JOB_DEADLINE - Date.now()) : Infinity;
 }
 const REGIONS = ['us', 'eu', 'kr', 'tw'];
+// Incremental mode only stores leaderboards that changed since the last crawl and
+// skips cleanup/vacuum/view refresh when nothing changed. It streams into the database (sink=db),
+// whatever LEADERBOARD_CRAWL_SINK says. Set DAILY_INCREMENTAL=false for a full re-crawl.
+const INCREMENTAL = String(process.env.DAILY_INCREMENTAL || 'true').toLowerCase() === 'true';
 const LOCK_NAME = process.env.JOB_LOCK_NAME || 'automation-global-lock';
 let HAS_LOCK = false;
 
@@ -261,14 +265,17 @@ async function getLatestSeasonAndPeriod() {
 async function fetchLeaderboardData() {
   const { seasonId, periodId } = await getLatestSeasonAndPeriod();
   
-  console.log(`[DAILY] Starting leaderboard data fetch for season ${seasonId}, period ${periodId}`);
+  console.log(`[DAILY] Starting ${INCREMENTAL ? 'incremental ' : ''}leaderboard data fetch for season ${seasonId}, period ${periodId}`);
   
   const results = [];
+  // Leaderboards stored with new runs; stays null (unknown) unless every region reports it
+  let changedLeaderboards = INCREMENTAL ? 0 : null;
   
   for (const region of REGIONS) {
     try {
       console.log(`[DAILY] Fetching data for region: ${region}`);
-      const response = await makeRequest('GET', `/wow/advanced/mythic-leaderboard/${seasonId}/${periodId}?region=${region}`);
+      const query = INCREMENTAL ? `?region=${region}&sink=db&incremental=true` : `?region=${region}`;
+      const response = await makeRequest('GET', `/wow/advanced/mythic-leaderboard/${seasonId}/${periodId}${query}`);
       
       results.push({
         region,
@@ -276,7 +283,10 @@ async function fetchLeaderboardData() {
         data: response
       });
       
-      console.log(`[DAILY] Successfully fetched data for region ${region}`);
+      if (changedLeaderboards !== null) {
+        changedLeaderboards = response.incremental ? changedLeaderboards + response.incremental.changed : null;
+      }
+      console.log(`[DAILY] Successfully fetched data for region ${region}${response.incremental ? ` (${response.incremental.changed} changed, ${response.incremental.unchanged} unchanged leaderboards)` : ''}`);
     } catch (error) {
       console.error(`[DAILY ERROR] Failed to fetch data for region ${region}:`, error.message);
       results.push({
@@ -284,10 +294,11 @@ async function fetchLeaderboardData() {
         status: 'error',
         error: error.message
       });
+      changedLeaderboards = null;
     }
   }
   
-  return { seasonId, periodId, results };
+  return { seasonId, periodId, results, changedLeaderboards };
 }
 
 // Step 2: Import all leaderboard JSON files
@@ -432,26 +443,29 @@ async function refreshViews() {
 
 // Pre-step: Populate reference data (seasons, dungeons, periods, realms)
 async function populateReferenceData() {
-  console.log('[DAILY] Populating reference data (seasons, dungeons, periods, realms)');
+  console.log('[DAILY] Populating reference data (seasons, dungeons, periods, realms, affixes)');
   const results = {};
   try {
-    const [seasonsRes, dungeonsRes, periodsRes, realmsRes] = await Promise.allSettled([
+    const [seasonsRes, dungeonsRes, periodsRes, realmsRes, affixesRes] = await Promise.allSettled([
       makeRequest('POST', '/admin/populate-seasons'),
       makeRequest('POST', '/admin/populate-dungeons'),
       makeRequest('POST', '/admin/populate-periods'),
-      makeRequest('POST', '/admin/populate-realms')
+      makeRequest('POST', '/admin/populate-realms'),
+      makeRequest('POST', '/admin/populate-affixes')
     ]);
 
     results.seasons = seasonsRes.status === 'fulfilled' ? seasonsRes.value : { status: 'ERROR', error: seasonsRes.reason?.message || String(seasonsRes.reason) };
     results.dungeons = dungeonsRes.status === 'fulfilled' ? dungeonsRes.value : { status: 'ERROR', error: dungeonsRes.reason?.message || String(dungeonsRes.reason) };
     results.periods = periodsRes.status === 'fulfilled' ? periodsRes.value : { status: 'ERROR', error: periodsRes.reason?.message || String(periodsRes.reason) };
     results.realms = realmsRes.status === 'fulfilled' ? realmsRes.value : { status: 'ERROR', error: realmsRes.reason?.message || String(realmsRes.reason) };
+    results.affixes = affixesRes.status === 'fulfilled' ? affixesRes.value : { status: 'ERROR', error: affixesRes.reason?.message || String(affixesRes.reason) };
 
     console.log('[DAILY] Populate results:', {
       seasons: results.seasons.status || 'OK',
       dungeons: results.dungeons.status || 'OK',
       periods: results.periods.status || 'OK',
-      realms: results.realms.status || 'OK'
+      realms: results.realms.status || 'OK',
+      affixes: results.affixes.status || 'OK'
     });
 
     return results;
@@ -501,25 +515,32 @@ async function runOneOffAutomation() {
     console.log('\n=== STEP 1: Fetching leaderboard data ===');
     const fetchResult = await fetchLeaderboardData();
     
+    // Nothing new anywhere: the remaining steps would only rewrite the same data
+    const unchanged = fetchResult.changedLeaderboards === 0;
+    const skipped = { status: 'SKIPPED', message: 'No leaderboard changes since the last run' };
+    if (unchanged) {
+      console.log('[DAILY] No leaderboard changed since the last run; skipping import, cleanup, vacuum and view refresh');
+    }
+    
     // Step 2: Import all leaderboard JSON files
     console.log('\n=== STEP 2: Importing leaderboard data ===');
-    const importResult = await importLeaderboardData();
+    const importResult = unchanged ? skipped : await importLeaderboardData();
     
     // Step 3: Clear output directory
     console.log('\n=== STEP 3: Clearing output directory ===');
-    const clearResult = await clearOutput();
+    const clearResult = unchanged ? skipped : await clearOutput();
     
     // Step 4: Cleanup leaderboard data
     console.log('\n=== STEP 4: Cleaning up leaderboard data ===');
-    const cleanupResult = await cleanupLeaderboard(fetchResult.seasonId);
+    const cleanupResult = unchanged ? skipped : await cleanupLeaderboard(fetchResult.seasonId);
     
     // Step 5: Perform VACUUM ANALYZE on database
     console.log('\n=== STEP 5: Performing VACUUM ANALYZE ===');
-    const vacuumResult = await vacuumAnalyze();
+    const vacuumResult = unchanged ? skipped : await vacuumAnalyze();
     
     // Step 6: Refresh materialized views
     console.log('\n=== STEP 6: Refreshing materialized views ===');
-    const refreshResult = await refreshViews();
+    const refreshResult = unchanged ? skipped : await refreshViews();
     
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000;
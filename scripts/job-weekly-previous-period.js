@@ -297,28 +297,39 @@ async function refreshViews() {
   }
 }
 
-// Pre-step: Populate reference data (dungeons, seasons, periods, realms)
+// Pre-step: Populate reference data (dungeons, seasons, periods, realms, dungeon timers, catalog)
 async function populateReferenceData() {
-  console.log('[WEEKLY] Populating reference data (seasons, dungeons, periods, realms)');
+  console.log('[WEEKLY] Populating reference data (seasons, dungeons, periods, realms, dungeon timers, catalog)');
   const results = {};
   try {
-    const [seasonsRes, dungeonsRes, periodsRes, realmsRes] = await Promise.allSettled([
+    const [seasonsRes, dungeonsRes, periodsRes, realmsRes, timersRes] = await Promise.allSettled([
       makeRequest('POST', '/admin/populate-seasons'),
       makeRequest('POST', '/admin/populate-dungeons'),
       makeRequest('POST', '/admin/populate-periods'),
-      makeRequest('POST', '/admin/populate-realms')
+      makeRequest('POST', '/admin/populate-realms'),
+      makeRequest('POST', '/admin/sync-dungeon-timers')
     ]);
 
     results.seasons = seasonsRes.status === 'fulfilled' ? seasonsRes.value : { status: 'ERROR', error: seasonsRes.reason?.message || String(seasonsRes.reason) };
     results.dungeons = dungeonsRes.status === 'fulfilled' ? dungeonsRes.value : { status: 'ERROR', error: dungeonsRes.reason?.message || String(dungeonsRes.reason) };
     results.periods = periodsRes.status === 'fulfilled' ? periodsRes.value : { status: 'ERROR', error: periodsRes.reason?.message || String(periodsRes.reason) };
     results.realms = realmsRes.status === 'fulfilled' ? realmsRes.value : { status: 'ERROR', error: realmsRes.reason?.message || String(realmsRes.reason) };
+    results.dungeonTimers = timersRes.status === 'fulfilled' ? timersRes.value : { status: 'ERROR', error: timersRes.reason?.message || String(timersRes.reason) };
+
+    // After seasons and dungeons, so season dungeons of a new season can be stored
+    try {
+      results.catalog = await makeRequest('POST', '/admin/populate-catalog');
+    } catch (catalogErr) {
+      results.catalog = { status: 'ERROR', error: catalogErr.message };
+    }
 
     console.log('[WEEKLY] Populate results:', {
       seasons: results.seasons.status || 'OK',
       dungeons: results.dungeons.status || 'OK',
       periods: results.periods.status || 'OK',
-      realms: results.realms.status || 'OK'
+      realms: results.realms.status || 'OK',
+      dungeonTimers: results.dungeonTimers.status || 'OK',
+      catalog: results.catalog.status || 'OK'
     });
 
     return results;
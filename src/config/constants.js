@@ -151,6 +151,32 @@ const API_ENDPOINTS = {
     REPUTATION_TIERS: '/data/wow/reputation-tiers/{id}',
     // WoW Token endpoint
     WOW_TOKEN_INDEX: '/data/wow/token/index'
+  },
+  // World of Warcraft Profile (require the user's own access token)
+  WOW_PROFILE: {
+    USER_PROFILE: '/profile/user/wow',
+    PROTECTED_PROFILE: '/profile/user/wow/protected-character/{realmId}-{characterId}',
+    CHARACTER_PROFILE: '/profile/wow/character/{realmSlug}/{characterName}',
+    CHARACTER_ACHIEVEMENTS: '/profile/wow/character/{realmSlug}/{characterName}/achievements',
+    CHARACTER_APPEARANCE: '/profile/wow/character/{realmSlug}/{characterName}/appearance',
+    CHARACTER_COLLECTIONS: '/profile/wow/character/{realmSlug}/{characterName}/collections',
+    CHARACTER_COLLECTIONS_MOUNTS: '/profile/wow/character/{realmSlug}/{characterName}/collections/mounts',
+    CHARACTER_COLLECTIONS_PETS: '/profile/wow/character/{realmSlug}/{characterName}/collections/pets',
+    CHARACTER_DUNGEONS: '/profile/wow/character/{realmSlug}/{characterName}/mythic-keystone-profile',
+    CHARACTER_DUNGEON_SEASON: '/profile/wow/character/{realmSlug}/{characterName}/mythic-keystone-profile/season/{seasonId}',
+    CHARACTER_EQUIPMENT: '/profile/wow/character/{realmSlug}/{characterName}/equipment',
+    CHARACTER_HUNTER_PETS: '/profile/wow/character/{realmSlug}/{characterName}/hunter-pets',
+    CHARACTER_MEDIA: '/profile/wow/character/{realmSlug}/{characterName}/character-media',
+    CHARACTER_PROFESSIONS: '/profile/wow/character/{realmSlug}/{characterName}/professions',
+    CHARACTER_PROFILE_STATUS: '/profile/wow/character/{realmSlug}/{characterName}/status',
+    CHARACTER_PVP_SUMMARY: '/profile/wow/character/{realmSlug}/{characterName}/pvp-summary',
+    CHARACTER_RAIDS: '/profile/wow/character/{realmSlug}/{characterName}/encounters/raids',
+    CHARACTER_REPUTATIONS: '/profile/wow/character/{realmSlug}/{characterName}/reputations',
+    CHARACTER_SOULBINDS: '/profile/wow/character/{realmSlug}/{characterName}/soulbinds',
+    CHARACTER_SPECIALIZATIONS: '/profile/wow/character/{realmSlug}/{characterName}/specializations',
+    // Talents are part of the specializations resource since Dragonflight
+    CHARACTER_TALENTS: '/profile/wow/character/{realmSlug}/{characterName}/specializations',
+    CHARACTER_TITLES: '/profile/wow/character/{realmSlug}/{characterName}/titles'
   }
 };
 
@@ -162,15 +188,22 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
-  SERVICE_UNAVAILABLE: 503
+  BAD_GATEWAY: 502,
+  SERVICE_UNAVAILABLE: 503,
+  GATEWAY_TIMEOUT: 504
 };
 
 // Cache configuration
 const CACHE_CONFIG = {
   TOKEN_CACHE_TTL: 3600000, // 1 hour in milliseconds
-  API_CACHE_TTL: 300000,    // 5 minutes in milliseconds
+  API_CACHE_TTL: parseInt(process.env.API_CACHE_TTL_MS) || 300000, // 5 minutes, dynamic-* namespaces
+  STATIC_API_CACHE_TTL: parseInt(process.env.STATIC_API_CACHE_TTL_MS) || 86400000, // 24 hours, static-* namespaces
+  API_CACHE_MAX_ENTRIES: parseInt(process.env.API_CACHE_MAX_ENTRIES) || 500, // In-memory LRU size for API responses
+  API_CACHE_MAX_ROWS: parseInt(process.env.API_CACHE_MAX_ROWS) || 50000, // Row cap of the Postgres response cache
+  API_CACHE_PRUNE_MS: parseInt(process.env.API_CACHE_PRUNE_MS) || 600000, // 10 minutes between Postgres cache prunes
   MAX_CACHE_SIZE: 100        // Maximum number of cached items
 };
 
@@ -180,269 +213,6 @@ const RATE_LIMIT_CONFIG = {
   MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || (process.env.NODE_ENV === 'development' ? 1000 : 100)
 };
 
-// Mythic+ season to dungeon mapping (to be filled in by automation)
-const SEASON_DUNGEONS = {
-  "1": [
-    247,
-    248,
-    249,
-    250,
-    251,
-    252,
-    244,
-    245,
-    246,
-    353
-  ],
-  "2": [
-    247,
-    248,
-    249,
-    250,
-    251,
-    252,
-    244,
-    245,
-    246,
-    353
-  ],
-  "3": [
-    247,
-    248,
-    249,
-    250,
-    251,
-    252,
-    244,
-    245,
-    246,
-    353
-  ],
-  "4": [
-    247,
-    248,
-    249,
-    250,
-    251,
-    252,
-    244,
-    245,
-    246,
-    353,
-    369,
-    370
-  ],
-  "5": [
-    375,
-    376,
-    377,
-    378,
-    379,
-    380,
-    381,
-    382
-  ],
-  "6": [
-    375,
-    376,
-    377,
-    378,
-    379,
-    380,
-    381,
-    382
-  ],
-  "7": [
-    375,
-    376,
-    377,
-    378,
-    379,
-    380,
-    381,
-    382,
-    391,
-    392
-  ],
-  "8": [
-    169,
-    166,
-    234,
-    227,
-    369,
-    370,
-    391,
-    392
-  ],
-  "9": [
-    2,
-    165,
-    200,
-    210,
-    399,
-    400,
-    401,
-    402
-  ],
-  "10": [
-    206,
-    251,
-    245,
-    403,
-    404,
-    405,
-    406,
-    438
-  ],
-  "11": [
-    168,
-    198,
-    199,
-    248,
-    244,
-    463,
-    464,
-    456
-  ],
-  "12": [
-    399,
-    400,
-    401,
-    402,
-    403,
-    404,
-    405,
-    406
-  ],
-  "13": [
-    353,
-    375,
-    376,
-    501,
-    502,
-    503,
-    505,
-    507
-  ],
-  "14": [
-    247,
-    370,
-    382,
-    499,
-    500,
-    504,
-    506,
-    525
-  ],
-  "15": [
-    378,
-    391,
-    392,
-    499,
-    503,
-    505,
-    525,
-    542
-  ]
-};
-
-const SEASON_NAMES = {
-  1: "BFA S1",
-  2: "BFA S2",
-  3: "BFA S3",
-  4: "BFA S4",
-  5: "SL S1",
-  6: "SL S2",
-  7: "SL S3",
-  8: "SL S4",
-  9: "DF S1",
-  10: "DF S2",
-  11: "DF S3",
-  12: "DF S4",
-  13: "TWW S1",
-  14: "TWW S2",
-  15: "TWW S3",
-  16: "MN S1",
-  17: "MN S2",
-  18: "MN S3",
-  19: "TLT S1",
-  20: "TLT S2",
-  21: "TLT S3",
-};
-
-// WoW Class IDs and Names (example, fill in all as needed)
-const WOW_CLASSES = [
-  { id: 1, name: 'Warrior' },
-  { id: 2, name: 'Paladin' },
-  { id: 3, name: 'Hunter' },
-  { id: 4, name: 'Rogue' },
-  { id: 5, name: 'Priest' },
-  { id: 6, name: 'Death Knight' },
-  { id: 7, name: 'Shaman' },
-  { id: 8, name: 'Mage' },
-  { id: 9, name: 'Warlock' },
-  { id: 10, name: 'Monk' },
-  { id: 11, name: 'Druid' },
-  { id: 12, name: 'Demon Hunter' },
-  { id: 13, name: 'Evoker' }
-];
-
-// WoW Specialization IDs and Names (example, fill in all as needed)
-const WOW_SPECIALIZATIONS = [
-  // Warrior
-  { id: 71, name: 'Arms', classId: 1 },
-  { id: 72, name: 'Fury', classId: 1 },
-  { id: 73, name: 'Protection', classId: 1 },
-  // Paladin
-  { id: 65, name: 'Holy', classId: 2 },
-  { id: 66, name: 'Protection', classId: 2 },
-  { id: 70, name: 'Retribution', classId: 2 },
-  // Hunter
-  { id: 253, name: 'Beast Mastery', classId: 3 },
-  { id: 254, name: 'Marksmanship', classId: 3 },
-  { id: 255, name: 'Survival', classId: 3 },
-  // Rogue
-  { id: 259, name: 'Assassination', classId: 4 },
-  { id: 260, name: 'Outlaw', classId: 4 },
-  { id: 261, name: 'Subtlety', classId: 4 },
-  // Priest
-  { id: 256, name: 'Discipline', classId: 5 },
-  { id: 257, name: 'Holy', classId: 5 },
-  { id: 258, name: 'Shadow', classId: 5 },
-  // Death Knight
-  { id: 250, name: 'Blood', classId: 6 },
-  { id: 251, name: 'Frost', classId: 6 },
-  { id: 252, name: 'Unholy', classId: 6 },
-  // Shaman
-  { id: 262, name: 'Elemental', classId: 7 },
-  { id: 263, name: 'Enhancement', classId: 7 },
-  { id: 264, name: 'Restoration', classId: 7 },
-  // Mage
-  { id: 62, name: 'Arcane', classId: 8 },
-  { id: 63, name: 'Fire', classId: 8 },
-  { id: 64, name: 'Frost', classId: 8 },
-  // Warlock
-  { id: 265, name: 'Affliction', classId: 9 },
-  { id: 266, name: 'Demonology', classId: 9 },
-  { id: 267, name: 'Destruction', classId: 9 },
-  // Monk
-  { id: 268, name: 'Brewmaster', classId: 10 },
-  { id: 269, name: 'Windwalker', classId: 10 },
-  { id: 270, name: 'Mistweaver', classId: 10 },
-  // Druid
-  { id: 102, name: 'Balance', classId: 11 },
-  { id: 103, name: 'Feral', classId: 11 },
-  { id: 104, name: 'Guardian', classId: 11 },
-  { id: 105, name: 'Restoration', classId: 11 },
-  // Demon Hunter
-  { id: 577, name: 'Havoc', classId: 12 },
-  { id: 581, name: 'Vengeance', classId: 12 },
-  // Evoker
-  { id: 1467, name: 'Devastation', classId: 13 },
-  { id: 1468, name: 'Preservation', classId: 13 },
-  { id: 1473, name: 'Augmentation', classId: 13 }
-];
-
 // WoW Dungeon IDs and Names (auto-generated from dungeons.json)
 const WOW_DUNGEONS = [
   {id: 56, keystone_upgrades: [{qualifying_duration: 2700000, upgrade_level: 1}, {qualifying_duration: 1260000, upgrade_level: 2}, {qualifying_duration: 720000, upgrade_level: 3}], name: "Stormstout Brewery", shortname: "SB"},
@@ -564,109 +334,13 @@ const WOW_REGIONS = [
   { id: 5, name: "China", tag: "CN" }
 ];
 
-// Official WoW class colors (hex)
-const WOW_CLASS_COLORS = {
-  1: '#C79C6E', // Warrior
-  2: '#F58CBA', // Paladin
-  3: '#ABD473', // Hunter
-  4: '#FFF569', // Rogue
-  5: '#FFFFFF', // Priest
-  6: '#C41F3B', // Death Knight
-  7: '#0070DE', // Shaman
-  8: '#69CCF0', // Mage
-  9: '#9482C9', // Warlock
-  10: '#00FF96', // Monk
-  11: '#FF7D0A', // Druid
-  12: '#A330C9', // Demon Hunter
-  13: '#33937F' // Evoker
-};
-
-// Spec roles (by spec id)
-const WOW_SPEC_ROLES = {
-  // Warrior
-  71: 'dps', 72: 'dps', 73: 'tank',
-  // Paladin
-  65: 'healer', 66: 'tank', 70: 'dps',
-  // Hunter
-  253: 'dps', 254: 'dps', 255: 'dps',
-  // Rogue
-  259: 'dps', 260: 'dps', 261: 'dps',
-  // Priest
-  256: 'healer', 257: 'healer', 258: 'dps',
-  // Death Knight
-  250: 'tank', 251: 'dps', 252: 'dps',
-  // Shaman
-  262: 'dps', 263: 'dps', 264: 'healer',
-  // Mage
-  62: 'dps', 63: 'dps', 64: 'dps',
-  // Warlock
-  265: 'dps', 266: 'dps', 267: 'dps',
-  // Monk
-  268: 'tank', 269: 'dps', 270: 'healer',
-  // Druid
-  102: 'dps', 103: 'dps', 104: 'tank', 105: 'healer',
-  // Demon Hunter
-  577: 'dps', 581: 'tank',
-  // Evoker
-  1467: 'dps', 1468: 'healer', 1473: 'dps'
-};
-
-// Expansion/season metadata
-const SEASON_METADATA = {
-  1: { expansion: 'Battle for Azeroth', patch: '8.0', name: 'BFA S1' },
-  2: { expansion: 'Battle for Azeroth', patch: '8.1', name: 'BFA S2' },
-  3: { expansion: 'Battle for Azeroth', patch: '8.2', name: 'BFA S3' },
-  4: { expansion: 'Battle for Azeroth', patch: '8.3', name: 'BFA S4' },
-  5: { expansion: 'Shadowlands', patch: '9.0', name: 'SL S1' },
-  6: { expansion: 'Shadowlands', patch: '9.1', name: 'SL S2' },
-  7: { expansion: 'Shadowlands', patch: '9.2', name: 'SL S3' },
-  8: { expansion: 'Shadowlands', patch: '9.2.5', name: 'SL S4' },
-  9: { expansion: 'Dragonflight', patch: '10.0', name: 'DF S1' },
-  10: { expansion: 'Dragonflight', patch: '10.1', name: 'DF S2' },
-  11: { expansion: 'Dragonflight', patch: '10.2', name: 'DF S3' },
-  12: { expansion: 'Dragonflight', patch: '10.2.6', name: 'DF S4' },
-  13: { expansion: 'The War Within', patch: '11.0', name: 'TWW S1' },
-  14: { expansion: 'The War Within', patch: '11.1', name: 'TWW S2' },
-  15: { expansion: 'The War Within', patch: '11.2', name: 'TWW S3' },
-  16: { expansion: 'Midnight', patch: '12.0', name: 'MN S1' },
-  17: { expansion: 'Midnight', patch: '12.1', name: 'MN S2' },
-  18: { expansion: 'Midnight', patch: '12.2', name: 'MN S3' },
-  19: { expansion: 'The Last Titan', patch: '13.0', name: 'TLT S1' },
-  20: { expansion: 'The Last Titan', patch: '13.1', name: 'TLT S2' },
-  21: { expansion: 'The Last Titan', patch: '13.2', name: 'TLT S3' },
-};
-
-const EXPANSION_METADATA = {
-  0: { name: 'World of Warcraft', shortName: 'WoW', seasons: [] },
-  1: { name: 'The Burning Crusade', shortName: 'TBC', seasons: [] },
-  2: { name: 'Wrath of the Lich King', shortName: 'WOTLK', seasons: [] },
-  3: { name: 'Cataclysm', shortName: 'Cata', seasons: [] },
-  4: { name: 'Mists of Pandaria', shortName: 'MoP', seasons: [] },
-  5: { name: 'Warlords of Draenor', shortName: 'WoD', seasons: [] },
-  6: { name: 'Legion', shortName: 'Legion', seasons: [] },
-  7: { name: 'Battle for Azeroth', shortName: 'BfA', seasons: [1, 2, 3, 4] },
-  8: { name: 'Shadowlands', shortName: 'SL', seasons: [5, 6, 7, 8] },
-  9: { name: 'Dragonflight', shortName: 'DF', seasons: [9, 10, 11, 12] },
-  10: { name: 'The War Within', shortName: 'TWW', seasons: [13, 14, 15] },
-  11: { name: 'Midnight', shortName: 'MN', seasons: [16, 17, 18] },
-  12: { name: 'The Last Titan', shortName: 'TLT', seasons: [19, 20, 21] },
-};
-
 module.exports = {
   API_ENDPOINTS,
   HTTP_STATUS,
   CACHE_CONFIG,
   RATE_LIMIT_CONFIG,
-  SEASON_DUNGEONS,
-  SEASON_NAMES,
-  WOW_CLASSES,
-  WOW_SPECIALIZATIONS,
   WOW_DUNGEONS,
   WOW_RACES,
-  WOW_CLASS_COLORS,
-  WOW_SPEC_ROLES,
-  SEASON_METADATA,
-  EXPANSION_METADATA,
   RAIDERIO_EXPANSION_IDS: {
     LEGION: 6,
     BFA: 7,
@@ -1,3 +1,5 @@
+const { ValidationError } = require('../utils/errors');
+
 const REGIONS = {
   us: {
     name: 'Americas',
@@ -37,7 +39,7 @@ function getRegion(region = DEFAULT_REGION) {
   const normalizedRegion = region.toLowerCase();
   
   if (!REGIONS[normalizedRegion]) {
-    throw new Error(`Unsupported region: ${region}. Supported regions: ${Object.keys(REGIONS).join(', ')}`);
+    throw new ValidationError(`Unsupported region: ${region}. Supported regions: ${Object.keys(REGIONS).join(', ')}`);
   }
   
   return REGIONS[normalizedRegion];
@@ -8,14 +8,18 @@ const wowRoutes = require('./routes/wow');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const errorHandler = require('./middleware/error-handler');
+const requestId = require('./middleware/request-id');
+const { NotFoundError } = require('./utils/errors');
 const rateLimit = require('./middleware/rate-limit');
 const { populateDungeons, populateSeasons, populatePeriods, populateRealms, syncRaiderioStatic } = require('./routes/admin');
 const adminRouter = require('./routes/admin');
 const metaRoutes = require('./routes/meta');
 const aiRoutes = require('./routes/ai');
 const raiderIORoutes = require('./routes/raiderio');
+const exportRoutes = require('./routes/export');
 const { pool } = require('./services/db'); // <-- Import the pool
 const { backfillSeasonDungeonMappings } = require('./services/seasonBackfill');
+const { startJobWorker } = require('./services/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,6 +31,9 @@ function parseEnvFlag(value, defaultValue = false) {
   return ['1', 'true', 'yes', 'on'].includes(normalized);
 }
 
+// Request id for log correlation and error responses
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
@@ -94,13 +101,11 @@ app.use('/admin', adminRoutes);
 app.use('/meta', metaRoutes);
 app.use('/ai', aiRoutes);
 app.use('/raiderio', raiderIORoutes);
+app.use('/export', exportRoutes);
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found',
-    message: `The endpoint ${req.originalUrl} does not exist`
-  });
+app.use('*', (req, res, next) => {
+  next(new NotFoundError(`The endpoint ${req.originalUrl} does not exist`));
 });
 
 // Error handling middleware
@@ -136,12 +141,16 @@ async function waitForDbReady(maxWaitMs = 10 * 60 * 1000) { // 10 minutes cap
 async function initAfterDbReady() {
   const isProd = (process.env.NODE_ENV || 'development') === 'production';
   const shouldPopulate = parseEnvFlag(process.env.POPULATE_ON_START, !isProd);
+  const runJobWorker = parseEnvFlag(process.env.ADMIN_JOB_WORKER, true);
 
   const ready = await waitForDbReady();
   if (ready) {
     console.log('✅ Connected to PostgreSQL DB');
     console.log(`📚 Database: ${process.env.PGDATABASE} on ${process.env.PGHOST}`);
 
+    // Admin job queue (also requeues jobs interrupted by the last restart)
+    if (runJobWorker) startJobWorker();
+
     if (shouldPopulate) {
       try {
         console.log('🔄 Populating data on start...');
@@ -187,6 +196,7 @@ async function initAfterDbReady() {
         await pool.query('SELECT 1');
         clearInterval(timer);
         console.log('✅ DB became ready later. Starting background backfill...');
+        if (runJobWorker) startJobWorker();
         try { backfillSeasonDungeonMappings(PORT); } catch (_) {}
       } catch (_) {
         // keep waiting
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const { HTTP_STATUS } = require('../config/constants');
+const { AppError, UnauthorizedError } = require('../utils/errors');
 
 /**
  * Middleware to protect admin routes with API key authentication
@@ -9,42 +11,27 @@ function adminAuthMiddleware(req, res, next) {
   
   // Check if API key is present
   if (!apiKey) {
-    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-      error: true,
-      message: 'Admin API key is required'
-    });
+    return next(new UnauthorizedError('Admin API key is required'));
   }
 
   // Validate API key
   const validApiKey = process.env.ADMIN_API_KEY;
   if (!validApiKey) {
     console.error('ADMIN_API_KEY environment variable is not set');
-    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-      error: true,
-      message: 'Server configuration error'
-    });
+    return next(new AppError('Server configuration error', {
+      status: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      code: 'CONFIGURATION_ERROR'
+    }));
   }
 
   // Compare API keys using constant-time comparison to prevent timing attacks
-  const crypto = require('crypto');
   const provided = Buffer.from(apiKey);
   const expected = Buffer.from(validApiKey);
-  if (provided.length !== expected.length) {
-    return res.status(HTTP_STATUS.FORBIDDEN).json({
-      error: true,
-      message: 'Invalid admin API key'
-    });
-  }
-  const isValid = crypto.timingSafeEqual(provided, expected);
-
-  if (!isValid) {
-    return res.status(HTTP_STATUS.FORBIDDEN).json({
-      error: true,
-      message: 'Invalid admin API key'
-    });
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(new UnauthorizedError('Invalid admin API key', { status: HTTP_STATUS.FORBIDDEN, code: 'FORBIDDEN' }));
   }
 
   next();
 }
 
-module.exports = adminAuthMiddleware; 
\ No newline at end of file
+module.exports = adminAuthMiddleware; 
@@ -1,56 +1,71 @@
 const { HTTP_STATUS } = require('../config/constants');
+const { AppError } = require('../utils/errors');
 
 /**
- * Error handling middleware
+ * Resolve status, code and client-facing message for an error.
+ * Typed errors (utils/errors) carry their own; anything else is an unexpected 500.
+ */
+function describeError(err) {
+  if (err instanceof AppError) {
+    return { statusCode: err.status, code: err.code, message: err.message, expose: true };
+  }
+  // Errors raised by express/body-parser (malformed JSON, payload too large, ...)
+  if (err.type && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+    return {
+      statusCode: err.status,
+      code: err.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST',
+      message: err.message,
+      expose: true
+    };
+  }
+  return {
+    statusCode: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    expose: false
+  };
+}
+
+/**
+ * Error handling middleware. Every error response uses the same envelope:
+ * { error: true, code, message, request_id, timestamp, path, method, details? }
  * @param {Error} err - Error object
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 function errorHandler(err, req, res, next) {
-  console.error('Error:', err);
+  if (res.headersSent) {
+    return next(err);
+  }
 
-  // Default error response
-  let statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
-  let message = 'Internal server error';
+  const { statusCode, code, message, expose } = describeError(err);
+  const isDevelopment = process.env.NODE_ENV === 'development';
 
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    statusCode = HTTP_STATUS.BAD_REQUEST;
-    message = err.message;
-  } else if (err.name === 'UnauthorizedError') {
-    statusCode = HTTP_STATUS.UNAUTHORIZED;
-    message = 'Unauthorized access';
-  } else if (err.message && err.message.includes('region')) {
-    statusCode = HTTP_STATUS.BAD_REQUEST;
-    message = err.message;
-  } else if (err.message && err.message.includes('endpoint')) {
-    statusCode = HTTP_STATUS.NOT_FOUND;
-    message = err.message;
-  } else if (err.message && err.message.includes('rate limited')) {
-    statusCode = HTTP_STATUS.TOO_MANY_REQUESTS;
-    message = err.message;
-  } else if (err.message && err.message.includes('service unavailable')) {
-    statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
-    message = err.message;
+  if (statusCode >= 500) {
+    console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+  } else {
+    console.warn(`Error [${req.id}] ${req.method} ${req.originalUrl}: ${statusCode} ${code} - ${err.message}`);
   }
 
-  // Sanitize error message for production
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  const sanitizedMessage = isDevelopment ? message : 'An error occurred';
+  if (err.retryAfter != null) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
 
-  // Send error response
   res.status(statusCode).json({
     error: true,
-    message: sanitizedMessage,
+    code,
+    // Unexpected errors may leak internals; only show their message in development
+    message: expose || !isDevelopment ? message : err.message,
+    request_id: req.id,
     timestamp: new Date().toISOString(),
     path: req.originalUrl,
     method: req.method,
-    ...(isDevelopment && { 
-      stack: err.stack,
-      originalMessage: message 
-    })
+    ...(err.details !== undefined && expose && { details: err.details }),
+    ...(err.service && { service: err.service }),
+    ...(err.upstreamStatus !== undefined && { upstream_status: err.upstreamStatus }),
+    ...(isDevelopment && { stack: err.stack })
   });
 }
 
-module.exports = errorHandler; 
\ No newline at end of file
+module.exports = errorHandler;
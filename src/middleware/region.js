@@ -1,4 +1,5 @@
 const { isValidRegion, DEFAULT_REGION } = require('../config/regions');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * Middleware to validate and extract region parameter
@@ -10,11 +11,10 @@ function validateRegion(req, res, next) {
   const region = req.query.region || DEFAULT_REGION;
   
   if (!isValidRegion(region)) {
-    return res.status(400).json({
-      error: 'Invalid region',
-      message: `Region '${region}' is not supported. Supported regions: us, eu, kr, tw`,
-      supportedRegions: ['us', 'eu', 'kr', 'tw']
-    });
+    return next(new ValidationError(
+      `Region '${region}' is not supported. Supported regions: us, eu, kr, tw`,
+      { supportedRegions: ['us', 'eu', 'kr', 'tw'] }
+    ));
   }
   
   // Normalize region to lowercase and add to request
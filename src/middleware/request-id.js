@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Accept the caller's id (e.g. from a load balancer) only if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware to tag each request with an id (req.id), echoed in the X-Request-Id
+ * response header and in error responses so logs can be correlated.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
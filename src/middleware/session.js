@@ -0,0 +1,115 @@
+const { UnauthorizedError } = require('../utils/errors');
+const { getSession, getValidAccessToken, SESSION_TTL_MS, STATE_TTL_MS } = require('../services/session');
+
+const SESSION_COOKIE = 'wtm_session';
+const STATE_COOKIE = 'wtm_oauth_state';
+
+/**
+ * Parse the Cookie header into a plain object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookie name → value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || cookies[name] !== undefined) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Cookie options shared by the session and state cookies.
+ * SameSite defaults to lax; set SESSION_COOKIE_SAMESITE=none when the frontend is on another site.
+ */
+function cookieOptions(maxAge) {
+  const sameSite = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+  const secure = sameSite === 'none' || process.env.NODE_ENV === 'production';
+  return { httpOnly: true, secure, sameSite, path: '/', maxAge };
+}
+
+function setSessionCookie(res, value) {
+  res.cookie(SESSION_COOKIE, value, cookieOptions(SESSION_TTL_MS));
+}
+
+function clearSessionCookie(res) {
+  const { maxAge, ...options } = cookieOptions(0);
+  res.clearCookie(SESSION_COOKIE, options);
+}
+
+function setStateCookie(res, value) {
+  res.cookie(STATE_COOKIE, value, cookieOptions(STATE_TTL_MS));
+}
+
+function clearStateCookie(res) {
+  const { maxAge, ...options } = cookieOptions(0);
+  res.clearCookie(STATE_COOKIE, options);
+}
+
+function getStateCookie(req) {
+  return parseCookies(req.headers.cookie)[STATE_COOKIE];
+}
+
+/**
+ * Middleware to load the Battle.net session (if any) into req.userSession.
+ * Never rejects the request; invalid or expired cookies are cleared.
+ */
+async function loadSession(req, res, next) {
+  const cookieValue = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  req.userSession = null;
+  if (!cookieValue) return next();
+  try {
+    const session = await getSession(cookieValue);
+    if (session) {
+      req.userSession = session;
+      // Sliding expiration: keep the cookie lifetime in step with the stored session
+      setSessionCookie(res, cookieValue);
+    } else {
+      clearSessionCookie(res);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Middleware that requires a logged in user with a usable Blizzard token.
+ * Sets req.userAccessToken for profile API calls.
+ */
+async function requireSession(req, res, next) {
+  if (!req.userSession) {
+    return next(new UnauthorizedError('Login required. Please login via /auth/blizzard/login'));
+  }
+  try {
+    const accessToken = await getValidAccessToken(req.userSession);
+    if (!accessToken) {
+      req.userSession = null;
+      clearSessionCookie(res);
+      return next(new UnauthorizedError('Battle.net session expired. Please login again via /auth/blizzard/login'));
+    }
+    req.userAccessToken = accessToken;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  loadSession,
+  requireSession,
+  parseCookies,
+  setSessionCookie,
+  clearSessionCookie,
+  setStateCookie,
+  clearStateCookie,
+  getStateCookie
+};
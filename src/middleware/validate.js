@@ -0,0 +1,223 @@
+const db = require('../services/db');
+const { REGIONS } = require('../config/regions');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Declarative request validation.
+ *
+ *   router.get('/top-keys', validate({
+ *     query: {
+ *       season_id: { type: 'int', required: true, exists: 'season' },
+ *       limit: { type: 'int', min: 1, max: 500, default: 100 }
+ *     }
+ *   }), handler)
+ *
+ * Values are coerced in place (req.query, req.params, req.body), so handlers read typed values.
+ * All problems are collected and returned together as a 400 VALIDATION_ERROR with
+ * details.fields = [{ location, field, message }].
+ *
+ * Field options:
+ * - type: int | number | string | boolean | enum | array
+ * - required, default
+ * - min, max (numbers), minLength, maxLength, pattern, lowercase (strings), values (enum)
+ * - items (array element spec), minItems, maxItems (arrays; a comma-separated string is split, for query strings)
+ * - exists: season | period | dungeon — the id must exist in that table
+ * - inSeason: name of the season field a period must belong to (with exists: 'period')
+ */
+
+const SUPPORTED_REGIONS = Object.keys(REGIONS);
+
+// Reference tables that ids can be checked against
+const REFERENCE_TABLES = {
+  season: { sql: 'SELECT id FROM season WHERE id = ANY($1::int[])' },
+  period: { sql: 'SELECT id, season_id FROM period WHERE id = ANY($1::int[])' },
+  dungeon: { sql: 'SELECT id FROM dungeon WHERE id = ANY($1::int[])' }
+};
+
+// Known ids are cached briefly; unknown ids are always re-checked so fresh imports show up
+const REFERENCE_CACHE_TTL_MS = 5 * 60 * 1000;
+const referenceCache = new Map(); // table -> Map(id -> { row, expiresAt })
+
+const TRUE_VALUES = new Set(['true', '1', 'yes', 'on']);
+const FALSE_VALUES = new Set(['false', '0', 'no', 'off']);
+
+/**
+ * Coerce and check a single value
+ * @returns {{ value: any }|{ error: string }}
+ */
+function coerce(raw, spec) {
+  switch (spec.type) {
+    case 'int':
+    case 'number': {
+      const str = String(raw).trim();
+      const num = str === '' ? NaN : Number(str);
+      if (!Number.isFinite(num)) return { error: 'must be a number' };
+      if (spec.type === 'int' && !Number.isInteger(num)) return { error: 'must be an integer' };
+      if (spec.min != null && num < spec.min) return { error: `must be >= ${spec.min}` };
+      if (spec.max != null && num > spec.max) return { error: `must be <= ${spec.max}` };
+      return { value: num };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const str = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.has(str)) return { value: true };
+      if (FALSE_VALUES.has(str)) return { value: false };
+      return { error: 'must be a boolean' };
+    }
+    case 'enum': {
+      const str = String(raw).trim();
+      const value = spec.lowercase ? str.toLowerCase() : str;
+      if (!spec.values.includes(value)) return { error: `must be one of: ${spec.values.join(', ')}` };
+      return { value };
+    }
+    case 'array': {
+      const list = typeof raw === 'string' ? raw.split(',').map(x => x.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(list)) return { error: 'must be an array' };
+      if (spec.minItems != null && list.length < spec.minItems) return { error: `must contain at least ${spec.minItems} item(s)` };
+      if (spec.maxItems != null && list.length > spec.maxItems) return { error: `must contain at most ${spec.maxItems} item(s)` };
+      if (!spec.items) return { value: list };
+      const value = [];
+      for (let i = 0; i < list.length; i++) {
+        const item = coerce(list[i], spec.items);
+        if (item.error) return { error: `item ${i} ${item.error}` };
+        value.push(item.value);
+      }
+      return { value };
+    }
+    case 'string':
+    default: {
+      if (typeof raw === 'object') return { error: 'must be a string' };
+      let value = String(raw).trim();
+      if (spec.lowercase) value = value.toLowerCase();
+      if (spec.minLength != null && value.length < spec.minLength) return { error: `must be at least ${spec.minLength} characters` };
+      if (spec.maxLength != null && value.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters` };
+      if (spec.pattern && !spec.pattern.test(value)) return { error: 'has an invalid format' };
+      return { value };
+    }
+  }
+}
+
+/**
+ * Look up ids in a reference table, using the cache where possible
+ * @param {string} table - Key of REFERENCE_TABLES
+ * @param {number[]} ids - Ids to look up
+ * @returns {Promise<Map>} id -> row for the ids that exist
+ */
+async function findReferenceRows(table, ids) {
+  const now = Date.now();
+  let cache = referenceCache.get(table);
+  if (!cache) {
+    cache = new Map();
+    referenceCache.set(table, cache);
+  }
+  const found = new Map();
+  const missing = [];
+  for (const id of ids) {
+    const entry = cache.get(id);
+    if (entry && entry.expiresAt > now) found.set(id, entry.row);
+    else missing.push(id);
+  }
+  if (missing.length > 0) {
+    const { rows } = await db.pool.query(REFERENCE_TABLES[table].sql, [missing]);
+    for (const row of rows) {
+      cache.set(row.id, { row, expiresAt: now + REFERENCE_CACHE_TTL_MS });
+      found.set(row.id, row);
+    }
+  }
+  return found;
+}
+
+/**
+ * Build the validation middleware for a schema
+ * @param {Object} schema - { query?, params?, body? } each mapping field name -> field options
+ * @returns {Function} Express middleware
+ */
+function validate(schema) {
+  return async (req, res, next) => {
+    const errors = [];
+    const referenceChecks = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      const fields = schema[location];
+      if (!fields) continue;
+      if (location === 'body' && (req.body == null || typeof req.body !== 'object')) req.body = {};
+      const source = req[location];
+
+      for (const [field, spec] of Object.entries(fields)) {
+        const raw = source[field];
+        if (raw === undefined || raw === null || raw === '') {
+          if (spec.required) {
+            errors.push({ location, field, message: 'is required' });
+          } else if (spec.default !== undefined) {
+            source[field] = spec.default;
+          } else {
+            delete source[field];
+          }
+          continue;
+        }
+        const result = coerce(raw, spec);
+        if (result.error) {
+          errors.push({ location, field, message: result.error });
+          continue;
+        }
+        source[field] = result.value;
+        if (spec.exists) referenceChecks.push({ location, field, spec, value: result.value });
+      }
+    }
+
+    if (errors.length === 0 && referenceChecks.length > 0) {
+      try {
+        const byTable = new Map();
+        for (const check of referenceChecks) {
+          if (!byTable.has(check.spec.exists)) byTable.set(check.spec.exists, new Set());
+          byTable.get(check.spec.exists).add(check.value);
+        }
+        const found = new Map();
+        for (const [table, ids] of byTable) {
+          found.set(table, await findReferenceRows(table, [...ids]));
+        }
+        for (const { location, field, spec, value } of referenceChecks) {
+          const row = found.get(spec.exists).get(value);
+          if (!row) {
+            errors.push({ location, field, message: `unknown ${spec.exists} ${value}` });
+          } else if (spec.inSeason) {
+            const seasonId = req[location][spec.inSeason];
+            if (seasonId != null && row.season_id !== seasonId) {
+              errors.push({ location, field, message: `period ${value} does not belong to season ${seasonId}` });
+            }
+          }
+        }
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    if (errors.length > 0) {
+      const summary = errors.map(e => `${e.field} ${e.message}`).join('; ');
+      return next(new ValidationError(`Invalid request: ${summary}`, { fields: errors }));
+    }
+    next();
+  };
+}
+
+// Shared field specs
+const fields = {
+  seasonId: (options = {}) => ({ type: 'int', min: 1, exists: 'season', ...options }),
+  periodId: (options = {}) => ({ type: 'int', min: 1, exists: 'period', ...options }),
+  dungeonId: (options = {}) => ({ type: 'int', min: 1, exists: 'dungeon', ...options }),
+  keyLevel: (options = {}) => ({ type: 'int', min: 2, max: 40, ...options }),
+  region: (options = {}) => ({ type: 'enum', values: SUPPORTED_REGIONS, lowercase: true, ...options }),
+  // Raider.IO season slug, e.g. season-tww-2
+  raiderioSeason: (options = {}) => ({ type: 'string', pattern: /^season-[a-z0-9-]+$/, maxLength: 64, lowercase: true, ...options }),
+  limit: (defaultValue, max) => ({ type: 'int', min: 1, max, default: defaultValue }),
+  offset: () => ({ type: 'int', min: 0, default: 0 }),
+  // Opaque keyset pagination cursor (see utils/cursor)
+  cursor: () => ({ type: 'string', minLength: 1, maxLength: 1024, pattern: /^[A-Za-z0-9_-]+$/ }),
+  sortOrder: () => ({ type: 'enum', values: ['asc', 'desc'], lowercase: true }),
+  flag: (defaultValue = false) => ({ type: 'boolean', default: defaultValue })
+};
+
+module.exports = {
+  validate,
+  fields
+};
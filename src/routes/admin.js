@@ -4,8 +4,27 @@ const db = require('../services/db');
 const { getAllRegions } = require('../config/regions');
 const fs = require('fs');
 const path = require('path');
-const { WOW_SPECIALIZATIONS, WOW_SPEC_ROLES, SEASON_METADATA, RAIDERIO_EXPANSION_IDS } = require('../config/constants');
+const { RAIDERIO_EXPANSION_IDS } = require('../config/constants');
 const raiderIO = require('../services/raiderio/client');
+const { apiCache } = require('../services/cache');
+const blizzardScheduler = require('../services/blizzard/scheduler');
+const { validate, fields } = require('../middleware/validate');
+const jobs = require('../services/jobs');
+const { syncAffixes } = require('../services/affixes');
+const { syncDungeonTimers } = require('../services/dungeon-timers');
+const catalogService = require('../services/catalog');
+const { getCatalog, syncCatalog } = catalogService;
+const {
+  TEMP_LEADERBOARD_RUNS_DDL,
+  TEMP_RUN_GROUP_MEMBERS_DDL,
+  runCsvRow,
+  memberCsvRow,
+  memberName,
+  upsertCharactersFromTempMembers,
+  mergeStagedRuns
+} = require('../services/leaderboard-ingest');
+const { NotFoundError, AppError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../config/constants');
 
 // Try to import p-limit with error handling
 let pLimit;
@@ -48,7 +67,6 @@ const { pipeline } = require('stream');
 const { promisify } = require('util');
 const copyFrom = require('pg-copy-streams').from;
 const os = require('os');
-const { v4: uuidv4 } = require('uuid');
 const adminAuthMiddleware = require('../middleware/admin-auth');
 
 const router = express.Router();
@@ -56,57 +74,8 @@ const router = express.Router();
 // Apply admin authentication middleware to all routes
 router.use(adminAuthMiddleware);
 
-// In-memory job registry for long-running admin tasks
-// Note: This is process-local and ephemeral; suitable for Render web service instances.
-// Keys are job ids (uuid), values: { status: 'running'|'success'|'error', startedAt, finishedAt?, updatedAt?, result?, error?, code? }
-const __adminJobRegistry = new Map();
-
-// Basic TTL + max-size eviction to prevent unbounded growth
-const JOB_REGISTRY_MAX = Number(process.env.ADMIN_JOB_REGISTRY_MAX || 200);
-const JOB_REGISTRY_TTL_MS = Number(process.env.ADMIN_JOB_TTL_MS || 24 * 60 * 60 * 1000); // 24h default
-const JOB_REGISTRY_SWEEP_MS = Number(process.env.ADMIN_JOB_CLEANUP_MS || 10 * 60 * 1000); // 10m default
-
-function cleanupJobRegistry() {
-  const now = Date.now();
-  // 1) TTL-based removal for completed jobs
-  for (const [id, entry] of __adminJobRegistry) {
-    const finishedAt = entry.finishedAt ? Date.parse(entry.finishedAt) : null;
-    const updatedAt = entry.updatedAt ? Date.parse(entry.updatedAt) : finishedAt || (entry.startedAt ? Date.parse(entry.startedAt) : null);
-    const age = updatedAt ? (now - updatedAt) : 0;
-    if ((entry.status === 'success' || entry.status === 'error') && JOB_REGISTRY_TTL_MS > 0 && age > JOB_REGISTRY_TTL_MS) {
-      __adminJobRegistry.delete(id);
-    }
-  }
-
-  // 2) Enforce max size: evict oldest completed jobs first; never evict running jobs
-  if (__adminJobRegistry.size > JOB_REGISTRY_MAX) {
-    const entries = Array.from(__adminJobRegistry.entries()).map(([id, e]) => {
-      const ts = e.updatedAt || e.finishedAt || e.startedAt || new Date(0).toISOString();
-      const isRunning = e.status === 'running';
-      return { id, isRunning, ts: Date.parse(ts) || 0 };
-    }).sort((a, b) => {
-      // completed first (isRunning false), then by oldest timestamp
-      if (a.isRunning !== b.isRunning) return a.isRunning ? 1 : -1;
-      return a.ts - b.ts;
-    });
-
-    for (const item of entries) {
-      if (__adminJobRegistry.size <= JOB_REGISTRY_MAX) break;
-      // skip running until only running remain
-      if (item.isRunning) continue;
-      __adminJobRegistry.delete(item.id);
-    }
-
-    // If still over cap, we keep running jobs and log a warning; they will be cleaned later
-    if (__adminJobRegistry.size > JOB_REGISTRY_MAX) {
-      console.warn(`[ADMIN] Job registry at capacity (${__adminJobRegistry.size}/${JOB_REGISTRY_MAX}); deferring cleanup of running jobs.`);
-    }
-  }
-}
-
-setInterval(() => {
-  try { cleanupJobRegistry(); } catch (e) { console.warn('[ADMIN] job registry cleanup error:', e.message); }
-}, JOB_REGISTRY_SWEEP_MS);
+// Queued job ids (services/jobs) are uuids
+const JOB_ID_FIELD = { type: 'string', required: true, lowercase: true, pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/ };
 
 // Test endpoint for admin authentication
 router.get('/test', (req, res) => {
@@ -201,9 +170,11 @@ async function syncRaiderioStatic(expansionIdOrAll = 'all') {
 }
 
 // Admin route: sync Raider.IO static data (supports ?expansion_id=all)
-router.post('/raiderio/sync-static', async (req, res, next) => {
+router.post('/raiderio/sync-static', validate({
+  query: { expansion_id: { type: 'string', pattern: /^(all|\d{1,2})$/, lowercase: true, default: 'all' } }
+}), async (req, res, next) => {
   try {
-    const expansion = req.query.expansion_id || 'all';
+    const expansion = req.query.expansion_id;
     const result = await syncRaiderioStatic(expansion);
     res.json(result);
   } catch (err) {
@@ -242,7 +213,10 @@ router.post('/raiderio/sync-static', async (req, res, next) => {
 // - Character profile checks use fields='mythic_plus_scores_by_season:<season>'.
 // - Concurrency and pacing are conservative to respect Raider.IO rate limits; transient 429/5xx
 //   responses are retried with backoff. Distribution is computed from the deduplicated qualifiers set.
-async function rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPerDungeon, stallPagesThreshold, includePlayers, useDungeonAll, overscanMode }) {
+//
+// When run as a queued job, `job` (see services/jobs) receives progress per dungeon and
+// cancellation is checked between pages.
+async function rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPerDungeon, stallPagesThreshold, includePlayers, useDungeonAll, overscanMode }, job = null) {
   if (!season) {
     const e = new Error('Missing required query param: season');
     e.status = 400;
@@ -303,6 +277,7 @@ async function rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPe
     let allowBeyondCap = false; // enable continuing past max_pages when overscan is active and stall not reached
     while (true) {
       if (!allowBeyondCap && page >= maxPagesPerDungeon) break;
+      if (job) job.throwIfCancelled();
       const beforePageCount = qualifying.size;
       let resp;
       // per-page retry loop for transient errors
@@ -389,7 +364,13 @@ async function rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPe
 
   // limit parallel dungeons
   const dungeonLimit = pLimit(strictMode ? 1 : 2);
-  const tasks = dungeonSlugs.map(slug => dungeonLimit(() => fetchRunsForDungeon(slug)));
+  let dungeonsDone = 0;
+  const tasks = dungeonSlugs.map(slug => dungeonLimit(async () => {
+    await fetchRunsForDungeon(slug);
+    dungeonsDone++;
+    // Crawling is nearly all of the work; persisting takes the last 10%
+    if (job) await job.progress((dungeonsDone / dungeonSlugs.length) * 90, `Dungeon ${slug} done (${dungeonsDone}/${dungeonSlugs.length}), ${qualifying.size} qualifiers so far`);
+  }));
   await Promise.all(tasks);
 
   // 4) distribution and persist
@@ -418,19 +399,41 @@ async function rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPe
   return { ok: true, snapshotId, season, region, cutoffScore, targetCount, totalQualifying: qualifying.size, distribution, playersPersisted: includePlayers };
 }
 
+// Query parameters shared by the sync and async rebuild routes
+const rebuildTopCutoffSchema = {
+  query: {
+    season: fields.raiderioSeason({ required: true }),
+    region: fields.region({ default: 'us' }),
+    strict: fields.flag(),
+    max_pages: { type: 'int', min: 1, max: 500, default: 40 },
+    stall_pages: { type: 'int', min: 1, max: 500, default: 50 },
+    include_players: fields.flag(),
+    dungeon_all: fields.flag(),
+    overscan: fields.flag()
+  }
+};
+
+function getRebuildTopCutoffOptions(query) {
+  return {
+    season: query.season,
+    region: query.region,
+    strictMode: query.strict,
+    maxPagesPerDungeon: query.max_pages,
+    stallPagesThreshold: query.stall_pages,
+    includePlayers: query.include_players,
+    useDungeonAll: query.dungeon_all,
+    overscanMode: query.strict && query.overscan
+  };
+}
+
+// Queued jobs are retried once; a partial crawl is cheap to redo compared to losing the snapshot
+jobs.registerJobHandler('raiderio.rebuild-top-cutoff', (options, job) => rebuildTopCutoffInternal(options, job), { maxAttempts: 2 });
+
 // Synchronous route (existing behavior)
-router.post('/raiderio/rebuild-top-cutoff', async (req, res, next) => {
+router.post('/raiderio/rebuild-top-cutoff', validate(rebuildTopCutoffSchema), async (req, res, next) => {
   try {
-    const { season } = req.query;
-    const region = (req.query.region || 'us').toLowerCase();
-    const strictMode = String(req.query.strict || 'false').toLowerCase() === 'true';
-    const maxPagesPerDungeon = Number.isFinite(Number(req.query.max_pages)) ? Number(req.query.max_pages) : 40;
-    const stallPagesThreshold = Number.isFinite(Number(req.query.stall_pages)) ? Number(req.query.stall_pages) : 50;
-    const includePlayers = String(req.query.include_players || 'false').toLowerCase() === 'true';
-    const useDungeonAll = String(req.query.dungeon_all || 'false').toLowerCase() === 'true';
-    const overscanMode = strictMode && String(req.query.overscan || 'false').toLowerCase() === 'true';
-
-    const result = await rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPerDungeon, stallPagesThreshold, includePlayers, useDungeonAll, overscanMode });
+
+    const result = await rebuildTopCutoffInternal(getRebuildTopCutoffOptions(req.query));
     res.json(result);
   } catch (err) {
     const status = err?.status || 500;
@@ -440,43 +443,39 @@ router.post('/raiderio/rebuild-top-cutoff', async (req, res, next) => {
 });
 
 // Async variant to avoid Render proxy timeouts for long-running operations
-router.post('/raiderio/rebuild-top-cutoff-async', async (req, res) => {
-  const { season } = req.query;
-  const region = (req.query.region || 'us').toLowerCase();
-  const strictMode = String(req.query.strict || 'false').toLowerCase() === 'true';
-  const maxPagesPerDungeon = Number.isFinite(Number(req.query.max_pages)) ? Number(req.query.max_pages) : 40;
-  const stallPagesThreshold = Number.isFinite(Number(req.query.stall_pages)) ? Number(req.query.stall_pages) : 50;
-  const includePlayers = String(req.query.include_players || 'false').toLowerCase() === 'true';
-  const useDungeonAll = String(req.query.dungeon_all || 'false').toLowerCase() === 'true';
-  const overscanMode = strictMode && String(req.query.overscan || 'false').toLowerCase() === 'true';
-
-  const jobId = uuidv4();
-  const startedAt = new Date().toISOString();
-  __adminJobRegistry.set(jobId, { status: 'running', startedAt, updatedAt: startedAt });
-
-  // Kick off background task
-  (async () => {
-    try {
-      const result = await rebuildTopCutoffInternal({ season, region, strictMode, maxPagesPerDungeon, stallPagesThreshold, includePlayers, useDungeonAll, overscanMode });
-      __adminJobRegistry.set(jobId, { status: 'success', startedAt, finishedAt: new Date().toISOString(), updatedAt: new Date().toISOString(), result });
-    } catch (error) {
-      __adminJobRegistry.set(jobId, { status: 'error', startedAt, finishedAt: new Date().toISOString(), updatedAt: new Date().toISOString(), error: error.message, code: error.status || 500 });
-    } finally {
-      // Opportunistic cleanup after each job completes
-      try { cleanupJobRegistry(); } catch (_) {}
-    }
-  })();
-
-  res.json({ status: 'OK', job_id: jobId, note: 'Use GET /admin/raiderio/rebuild-top-cutoff-status?job_id=...' });
+router.post('/raiderio/rebuild-top-cutoff-async', validate(rebuildTopCutoffSchema), async (req, res, next) => {
+  try {
+    const job = await jobs.enqueueJob('raiderio.rebuild-top-cutoff', getRebuildTopCutoffOptions(req.query));
+    res.json({ status: 'OK', job_id: job.id, note: `Use GET /admin/jobs/${job.id} (or /admin/raiderio/rebuild-top-cutoff-status?job_id=...)` });
+  } catch (err) {
+    next(err);
+  }
 });
 
-router.get('/raiderio/rebuild-top-cutoff-status', async (req, res) => {
-  const jobId = req.query.job_id;
-  if (!jobId) return res.status(400).json({ error: true, message: 'Missing job_id' });
-  const entry = __adminJobRegistry.get(jobId);
-  if (!entry) return res.status(404).json({ error: true, message: 'Job not found' });
-  res.json(entry);
+// Legacy status shape: running | success | error
+const LEGACY_JOB_STATUS = { queued: 'running', running: 'running', succeeded: 'success', failed: 'error', cancelled: 'error' };
+
+router.get('/raiderio/rebuild-top-cutoff-status', validate({
+  query: { job_id: JOB_ID_FIELD }
+}), async (req, res, next) => {
+  try {
+    const job = await jobs.getJob(req.query.job_id);
+    if (!job) throw new NotFoundError('Job not found');
+    res.json({
+      status: LEGACY_JOB_STATUS[job.status],
+      job_status: job.status,
+      progress: job.progress,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      updatedAt: job.updated_at,
+      ...(job.result != null && { result: job.result }),
+      ...(job.error && { error: job.error })
+    });
+  } catch (err) {
+    next(err);
+  }
 });
+
 async function populateDungeons() {
   const region = 'us';
   const resp = await proxyService.getGameData('mythic-keystone-dungeons', region, {});
@@ -496,12 +495,13 @@ async function populateSeasons() {
   const region = 'us';
   const resp = await proxyService.getGameData('mythic-keystone-seasons', region, {});
   const seasons = resp.data.seasons || [];
+  const catalog = await getCatalog();
   let inserted = 0, failed = 0;
   for (const s of seasons) {
     const id = s.id;
-    const constantsName = (SEASON_METADATA && SEASON_METADATA[id] && SEASON_METADATA[id].name) ? SEASON_METADATA[id].name : null;
+    const catalogName = catalog.season(id)?.name || null;
     const apiName = s.name && String(s.name).trim() !== '' ? s.name : null;
-    const name = constantsName || apiName || `Season ${id}`;
+    const name = catalogName || apiName || `Season ${id}`;
 
     // Try to get start/end timestamps from the season detail endpoint
     let startDate = null;
@@ -679,44 +679,232 @@ function dedupeRunGroupMembers(members) {
     return true;
   });
 }
+
 // --- HTTP ENDPOINTS ---
-router.post('/populate-dungeons', async (req, res) => {
+router.post('/populate-dungeons', async (req, res, next) => {
   console.log(`🔐 [ADMIN] POST /admin/populate-dungeons`);
   try {
     const result = await populateDungeons();
     res.json(result);
-  } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+  } catch (err) {
+    next(err);
   }
 });
 
-router.post('/populate-seasons', async (req, res) => {
+router.post('/populate-seasons', async (req, res, next) => {
   console.log(`🔐 [ADMIN] POST /admin/populate-seasons`);
   try {
     const result = await populateSeasons();
     res.json(result);
-  } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+  } catch (err) {
+    next(err);
   }
 });
 
-router.post('/populate-periods', async (req, res) => {
+router.post('/populate-periods', async (req, res, next) => {
   console.log(`🔐 [ADMIN] POST /admin/populate-periods`);
   try {
     const result = await populatePeriods();
     res.json(result);
-  } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+  } catch (err) {
+    next(err);
   }
 });
 
-router.post('/populate-realms', async (req, res) => {
+router.post('/populate-realms', async (req, res, next) => {
   console.log(`🔐 [ADMIN] POST /admin/populate-realms`);
   try {
     const result = await populateRealms();
     res.json(result);
-  } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/populate-affixes - Weekly affixes per period and region
+// Stores the current week from Raider.IO and, with backfill (default), reads past periods
+// without affixes from one of their stored Blizzard leaderboards
+router.post('/populate-affixes', validate({
+  query: { season_id: fields.seasonId(), region: fields.region(), backfill: fields.flag(true) }
+}), async (req, res, next) => {
+  console.log(`🔐 [ADMIN] POST /admin/populate-affixes`);
+  try {
+    const { season_id, region, backfill } = req.query;
+    const result = await syncAffixes({ regions: region ? [region] : undefined, seasonId: season_id, backfill });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/sync-dungeon-timers - Dungeon names, short names and keystone upgrade timers
+// Reads every mythic-keystone-dungeon from Blizzard and stores its timers under season_id
+// (default: Blizzard's current season); the fallback score and timer analytics read them from there
+router.post('/sync-dungeon-timers', validate({
+  query: { season_id: { type: 'int', min: 1 }, region: fields.region({ default: 'us' }) }
+}), async (req, res, next) => {
+  console.log(`🔐 [ADMIN] POST /admin/sync-dungeon-timers`);
+  try {
+    const { season_id, region } = req.query;
+    const result = await syncDungeonTimers({ region, seasonId: season_id });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- CATALOG ---
+// Expansions, season metadata, patches and the class/spec catalog (see services/catalog).
+// PUT creates or replaces the entry; deleting one that others still reference is a 409.
+
+const CATALOG_NAME = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const CATALOG_SHORT_NAME = { type: 'string', minLength: 1, maxLength: 16 };
+const CATALOG_ID = { type: 'int', min: 0, required: true };
+const PATCH_VERSION = { type: 'string', pattern: /^\d+(\.\d+){1,3}$/, required: true };
+
+// GET /admin/catalog - The whole catalog
+router.get('/catalog', async (req, res, next) => {
+  try {
+    const catalog = await getCatalog();
+    res.json({ status: 'OK', ...catalog.toJSON() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/populate-catalog - Classes, specs and roles from Blizzard; season short names,
+// Raider.IO slugs and season dungeons from Raider.IO static data
+router.post('/populate-catalog', validate({
+  query: { region: fields.region({ default: 'us' }) }
+}), async (req, res, next) => {
+  console.log(`🔐 [ADMIN] POST /admin/populate-catalog`);
+  try {
+    res.json(await syncCatalog({ region: req.query.region }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/catalog/expansions/:id', validate({
+  params: { id: CATALOG_ID },
+  body: { name: CATALOG_NAME, short_name: { ...CATALOG_SHORT_NAME, required: true } }
+}), async (req, res, next) => {
+  try {
+    const expansion = await catalogService.saveExpansion({ id: req.params.id, ...req.body });
+    res.json({ status: 'OK', expansion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/catalog/expansions/:id', validate({ params: { id: CATALOG_ID } }), async (req, res, next) => {
+  try {
+    if (!await catalogService.removeExpansion(req.params.id)) throw new NotFoundError(`Expansion ${req.params.id} not found`);
+    res.json({ status: 'OK', deleted: { expansion_id: req.params.id } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// dungeon_ids, when given, replaces the season's dungeon list; the season has to be known to Blizzard
+// (POST /admin/populate-seasons) before it can have dungeons
+router.put('/catalog/seasons/:season_id', validate({
+  params: { season_id: { type: 'int', min: 1, required: true } },
+  body: {
+    expansion_id: CATALOG_ID,
+    name: CATALOG_NAME,
+    short_name: CATALOG_SHORT_NAME,
+    raiderio_slug: fields.raiderioSeason(),
+    dungeon_ids: { type: 'array', items: { type: 'int', min: 1 }, maxItems: 32 }
+  }
+}), async (req, res, next) => {
+  try {
+    const season = await catalogService.saveSeason({ season_id: req.params.season_id, ...req.body });
+    res.json({ status: 'OK', season: (await getCatalog()).season(season.season_id) || season });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/catalog/seasons/:season_id', validate({
+  params: { season_id: { type: 'int', min: 1, required: true } }
+}), async (req, res, next) => {
+  try {
+    if (!await catalogService.removeSeason(req.params.season_id)) throw new NotFoundError(`No metadata for season ${req.params.season_id}`);
+    res.json({ status: 'OK', deleted: { season_id: req.params.season_id } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/catalog/patches/:version', validate({
+  params: { version: PATCH_VERSION },
+  body: {
+    expansion_id: CATALOG_ID,
+    season_id: { type: 'int', min: 1 },
+    released_on: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+  }
+}), async (req, res, next) => {
+  try {
+    const patch = await catalogService.savePatch({ version: req.params.version, ...req.body });
+    res.json({ status: 'OK', patch });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/catalog/patches/:version', validate({ params: { version: PATCH_VERSION } }), async (req, res, next) => {
+  try {
+    if (!await catalogService.removePatch(req.params.version)) throw new NotFoundError(`Patch ${req.params.version} not found`);
+    res.json({ status: 'OK', deleted: { version: req.params.version } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/catalog/classes/:id', validate({
+  params: { id: CATALOG_ID },
+  body: { name: CATALOG_NAME, color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ } }
+}), async (req, res, next) => {
+  try {
+    const playableClass = await catalogService.saveClass({ id: req.params.id, ...req.body });
+    res.json({ status: 'OK', class: playableClass });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/catalog/classes/:id', validate({ params: { id: CATALOG_ID } }), async (req, res, next) => {
+  try {
+    if (!await catalogService.removeClass(req.params.id)) throw new NotFoundError(`Class ${req.params.id} not found`);
+    res.json({ status: 'OK', deleted: { class_id: req.params.id } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/catalog/specs/:id', validate({
+  params: { id: CATALOG_ID },
+  body: {
+    name: CATALOG_NAME,
+    class_id: CATALOG_ID,
+    role: { type: 'enum', values: ['tank', 'healer', 'dps'], lowercase: true, required: true }
+  }
+}), async (req, res, next) => {
+  try {
+    const spec = await catalogService.saveSpec({ id: req.params.id, ...req.body });
+    res.json({ status: 'OK', spec });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/catalog/specs/:id', validate({ params: { id: CATALOG_ID } }), async (req, res, next) => {
+  try {
+    if (!await catalogService.removeSpec(req.params.id)) throw new NotFoundError(`Spec ${req.params.id} not found`);
+    res.json({ status: 'OK', deleted: { spec_id: req.params.id } });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -804,50 +992,15 @@ router.post('/import-all-leaderboard-json', async (req, res) => {
         await client.query('BEGIN');
         
         // Create temporary tables for this file's processing
-        await client.query(`
-          CREATE TEMP TABLE temp_leaderboard_runs (
-            region VARCHAR(8),
-            season_id INTEGER,
-            period_id INTEGER,
-            dungeon_id INTEGER,
-            realm_id INTEGER,
-            completed_at TIMESTAMP,
-            duration_ms INTEGER,
-            keystone_level INTEGER,
-            score DOUBLE PRECISION,
-            rank INTEGER,
-            run_guid UUID
-          ) ON COMMIT DROP;
-        `);
-        
-        await client.query(`
-          CREATE TEMP TABLE temp_run_group_members (
-            run_guid UUID,
-            character_name VARCHAR(64),
-            class_id INTEGER,
-            spec_id INTEGER,
-            role VARCHAR(16)
-          ) ON COMMIT DROP;
-        `);
+        await client.query(TEMP_LEADERBOARD_RUNS_DDL);
+        await client.query(TEMP_RUN_GROUP_MEMBERS_DDL);
         
         // 1. Bulk insert runs into temporary table using COPY
         const runsCsvPath = path.join(os.tmpdir(), `runs-${filename}-${Date.now()}.csv`);
         const runsCsv = fs.createWriteStream(runsCsvPath);
         
         for (const run of runs) {
-          runsCsv.write([
-            run.region,
-            run.season_id,
-            run.period_id,
-            run.dungeon_id,
-            run.realm_id,
-            run.completed_at,
-            run.duration_ms,
-            run.keystone_level,
-            run.score,
-            run.rank,
-            run.run_guid
-          ].map(x => x === undefined ? '' : x).join(',') + '\n');
+          runsCsv.write(runCsvRow(run));
         }
         runsCsv.end();
         
@@ -889,21 +1042,18 @@ router.post('/import-all-leaderboard-json', async (req, res) => {
         
         let memberCount = 0;
         let unknownCount = 0;
+        let missingIdCount = 0;
         for (const run of runs) {
           if (run.members && run.members.length > 0 && successfulRunGuids.has(run.run_guid)) {
             for (const m of run.members) {
-              // Use 'unknown' for null or empty character names
-              const characterName = (!m.character_name || m.character_name.trim() === '') ? 'unknown' : m.character_name;
+              const characterName = memberName(m);
               if (characterName === 'unknown') {
                 unknownCount++;
               }
-              membersCsv.write([
-                run.run_guid,
-                characterName,
-                m.class_id,
-                m.spec_id,
-                m.role
-              ].map(x => x === undefined ? '' : x).join(',') + '\n');
+              if (m.character_id == null) {
+                missingIdCount++;
+              }
+              membersCsv.write(memberCsvRow(run, m, characterName));
               memberCount++;
             }
           }
@@ -911,6 +1061,9 @@ router.post('/import-all-leaderboard-json', async (req, res) => {
         if (unknownCount > 0) {
           console.log(`[IMPORT ALL] Used 'unknown' for ${unknownCount} members with null/empty character names`);
         }
+        if (missingIdCount > 0) {
+          console.log(`[IMPORT ALL] Skipping ${missingIdCount} members without a Blizzard profile id`);
+        }
         membersCsv.end();
         
         // Wait for file to be written and check it exists
@@ -933,12 +1086,15 @@ router.post('/import-all-leaderboard-json', async (req, res) => {
             pipeline(fileStream, stream, err => err ? reject(err) : resolve());
           });
           
-          // 5. Insert members from temp table to main table with deduplication
+          // 5. Upsert character identities, then insert members with deduplication
+          await upsertCharactersFromTempMembers(client);
           await client.query(`
-            INSERT INTO run_group_member (run_guid, character_name, class_id, spec_id, role)
-            SELECT DISTINCT ON (run_guid, character_name) run_guid, character_name, class_id, spec_id, role
+            INSERT INTO run_group_member (run_guid, character_id, character_name, class_id, spec_id, role)
+            SELECT DISTINCT ON (run_guid, character_id) run_guid, character_id, character_name, class_id, spec_id, role
             FROM temp_run_group_members
-            ON CONFLICT (run_guid, character_name) DO UPDATE SET
+            WHERE character_id IS NOT NULL
+            ON CONFLICT (run_guid, character_id) DO UPDATE SET
+              character_name = EXCLUDED.character_name,
               class_id = EXCLUDED.class_id,
               spec_id = EXCLUDED.spec_id,
               role = EXCLUDED.role;
@@ -1041,6 +1197,7 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
 
       // Build CSVs concurrently from files
       let completed = 0;
+      let missingIdCount = 0;
       const totalFilesInBatch = batchFiles.length;
       const batchTasks = batchFiles.map(filename => limit(async () => {
         const filePath = path.join(outputDir, filename);
@@ -1050,31 +1207,13 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
           const runs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
           fileRuns = runs.length;
           for (const run of runs) {
-            batchRunsCsv.write([
-              run.region,
-              run.season_id,
-              run.period_id,
-              run.dungeon_id,
-              run.realm_id,
-              run.completed_at,
-              run.duration_ms,
-              run.keystone_level,
-              run.score,
-              run.rank,
-              run.run_guid
-            ].map(x => x === undefined ? '' : x).join(',') + '\n');
+            batchRunsCsv.write(runCsvRow(run));
 
             if (run.members && run.members.length > 0) {
               for (const m of run.members) {
-                const characterName = (!m.character_name || m.character_name.trim() === '') ? 'unknown' : m.character_name;
-                batchMembersCsv.write([
-                  run.run_guid,
-                  characterName,
-                  m.class_id,
-                  m.spec_id,
-                  m.role
-                ].map(x => x === undefined ? '' : x).join(',') + '\n');
-                fileMembers++;
+                batchMembersCsv.write(memberCsvRow(run, m, memberName(m)));
+                if (m.character_id == null) missingIdCount++;
+                else fileMembers++;
               }
             }
           }
@@ -1088,6 +1227,9 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
       }));
 
       const batchResults = await Promise.allSettled(batchTasks);
+      if (missingIdCount > 0) {
+        console.log(`[IMPORT ALL FAST] Skipping ${missingIdCount} members without a Blizzard profile id`);
+      }
 
       // Close CSV streams and wait for IO drain
       batchRunsCsv.end();
@@ -1101,30 +1243,8 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
-        await client.query(`
-          CREATE TEMP TABLE temp_leaderboard_runs (
-            region VARCHAR(8),
-            season_id INTEGER,
-            period_id INTEGER,
-            dungeon_id INTEGER,
-            realm_id INTEGER,
-            completed_at TIMESTAMP,
-            duration_ms INTEGER,
-            keystone_level INTEGER,
-            score DOUBLE PRECISION,
-            rank INTEGER,
-            run_guid UUID
-          ) ON COMMIT DROP;
-        `);
-        await client.query(`
-          CREATE TEMP TABLE temp_run_group_members (
-            run_guid UUID,
-            character_name VARCHAR(64),
-            class_id INTEGER,
-            spec_id INTEGER,
-            role VARCHAR(16)
-          ) ON COMMIT DROP;
-        `);
+        await client.query(TEMP_LEADERBOARD_RUNS_DDL);
+        await client.query(TEMP_RUN_GROUP_MEMBERS_DDL);
 
         await Promise.all([
           new Promise((resolve, reject) => {
@@ -1139,30 +1259,7 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
           })
         ]);
 
-        await client.query(`
-          INSERT INTO leaderboard_run (region, season_id, period_id, dungeon_id, realm_id, completed_at, duration_ms, keystone_level, score, rank, run_guid)
-          SELECT DISTINCT ON (dungeon_id, period_id, season_id, region, completed_at, duration_ms, keystone_level, score)
-            region, season_id, period_id, dungeon_id, realm_id, completed_at, duration_ms, keystone_level, score, rank, run_guid
-          FROM temp_leaderboard_runs
-          ON CONFLICT (dungeon_id, period_id, season_id, region, completed_at, duration_ms, keystone_level, score)
-          DO UPDATE SET 
-            score = EXCLUDED.score,
-            rank = EXCLUDED.rank,
-            realm_id = EXCLUDED.realm_id;
-        `);
-
-        await client.query(`
-          INSERT INTO run_group_member (run_guid, character_name, class_id, spec_id, role)
-          SELECT DISTINCT ON (run_guid, character_name) 
-            run_guid, character_name, class_id, spec_id, role
-          FROM temp_run_group_members
-          WHERE run_guid IN (SELECT run_guid FROM leaderboard_run)
-          ON CONFLICT (run_guid, character_name) 
-          DO UPDATE SET
-            class_id = EXCLUDED.class_id,
-            spec_id = EXCLUDED.spec_id,
-            role = EXCLUDED.role;
-        `);
+        await mergeStagedRuns(client);
 
         await client.query('COMMIT');
 
@@ -1219,8 +1316,10 @@ router.post('/import-all-leaderboard-json-fast', async (req, res) => {
 
 // Cleanup endpoint: keep only top 1000 runs per (dungeon_id, period_id, season_id)
 // Optimized with CTE for better performance
-router.post('/cleanup-leaderboard', async (req, res) => {
-  const { season_id } = req.body || {};
+router.post('/cleanup-leaderboard', validate({
+  body: { season_id: fields.seasonId() }
+}), async (req, res) => {
+  const { season_id } = req.body;
   
   // Use CTE approach for better performance (Strategy #2)
   let sql = `
@@ -1286,40 +1385,60 @@ router.post('/clear-output', async (req, res) => {
 });
 
 // --- Refresh materialized views endpoint ---
+const TOP_KEYS_VIEWS = [
+  'top_keys_per_group',
+  'top_keys_global',
+  'top_keys_per_period',
+  'top_keys_per_dungeon',
+  'top_keys_per_group_region'
+];
+
+// Refresh the top-keys materialized views one after another.
+// `job` is set when running from the queue (progress per view, cancellation between views).
+async function refreshTopKeysViews(logPrefix, job = null) {
+  const views = TOP_KEYS_VIEWS;
+  const startTime = Date.now();
+  console.log(`[${logPrefix}] Starting refresh of ${views.length} materialized views...`);
+  // Databases created before the regional view get it (empty) here
+  await db.ensureRegionTopKeysView();
+  // and the indexes of the top-keys composition filters
+  await db.ensureMemberFilterFunctions();
+  await db.ensureMemberFilterIndexes();
+
+  for (let i = 0; i < views.length; i++) {
+    if (job) job.throwIfCancelled();
+    const viewName = views[i];
+    const viewStartTime = Date.now();
+
+    console.log(`[${logPrefix}] Refreshing view ${i + 1}/${views.length}: ${viewName}...`);
+
+    // Use CONCURRENTLY refresh to allow views to remain available during refresh
+    // (not possible for the first fill of a view created empty)
+    const concurrently = await db.isMaterializedViewPopulated(viewName) ? 'CONCURRENTLY ' : '';
+    await db.pool.query(`REFRESH MATERIALIZED VIEW ${concurrently}${viewName};`);
+
+    const viewDuration = (Date.now() - viewStartTime) / 1000;
+    console.log(`[${logPrefix}] ✅ Completed ${viewName} in ${viewDuration.toFixed(1)}s`);
+    if (job) await job.progress(((i + 1) / views.length) * 100, `Refreshed ${viewName} in ${viewDuration.toFixed(1)}s`);
+  }
+
+  const totalDuration = (Date.now() - startTime) / 1000;
+  const message = `All ${views.length} materialized views refreshed in ${totalDuration.toFixed(1)}s`;
+  console.log(`[${logPrefix}] ${message}`);
+  return { message, duration_seconds: totalDuration, views_refreshed: views.length };
+}
+
+jobs.registerJobHandler('refresh-views', (payload, job) => refreshTopKeysViews('REFRESH-VIEWS-ASYNC', job), { maxAttempts: 3 });
+
 router.post('/refresh-views', async (req, res) => {
   const startTime = Date.now();
-  const views = [
-    'top_keys_per_group',
-    'top_keys_global', 
-    'top_keys_per_period',
-    'top_keys_per_dungeon'
-  ];
-  
   try {
-    console.log(`[REFRESH-VIEWS] Starting refresh of ${views.length} materialized views...`);
-    
-    for (let i = 0; i < views.length; i++) {
-      const viewName = views[i];
-      const viewStartTime = Date.now();
-      
-      console.log(`[REFRESH-VIEWS] Refreshing view ${i + 1}/${views.length}: ${viewName}...`);
-      
-      // Use CONCURRENTLY refresh to allow views to remain available during refresh
-      await db.pool.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${viewName};`);
-      
-      const viewDuration = (Date.now() - viewStartTime) / 1000;
-      console.log(`[REFRESH-VIEWS] ✅ Completed ${viewName} in ${viewDuration.toFixed(1)}s`);
-    }
-    
-    const totalDuration = (Date.now() - startTime) / 1000;
-    const message = `All ${views.length} materialized views refreshed in ${totalDuration.toFixed(1)}s`;
-    
-    console.log(`[REFRESH-VIEWS] ${message}`);
+    const { message, duration_seconds, views_refreshed } = await refreshTopKeysViews('REFRESH-VIEWS');
     res.json({ 
       status: 'OK', 
       message,
-      duration_seconds: totalDuration,
-      views_refreshed: views.length
+      duration_seconds,
+      views_refreshed
     });
   } catch (error) {
     const errorDuration = (Date.now() - startTime) / 1000;
@@ -1333,69 +1452,42 @@ router.post('/refresh-views', async (req, res) => {
 });
 
 // --- Async refresh materialized views endpoint (non-blocking) ---
-router.post('/refresh-views-async', async (req, res) => {
-  const views = [
-    'top_keys_per_group',
-    'top_keys_global', 
-    'top_keys_per_period',
-    'top_keys_per_dungeon'
-  ];
-  
-  // Start the refresh process in the background
-  const refreshPromise = (async () => {
-    const startTime = Date.now();
-    console.log(`[REFRESH-VIEWS-ASYNC] Starting background refresh of ${views.length} materialized views...`);
-    
-    try {
-      for (let i = 0; i < views.length; i++) {
-        const viewName = views[i];
-        const viewStartTime = Date.now();
-        
-        console.log(`[REFRESH-VIEWS-ASYNC] Refreshing view ${i + 1}/${views.length}: ${viewName}...`);
-        await db.pool.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${viewName};`);
-        
-        const viewDuration = (Date.now() - viewStartTime) / 1000;
-        console.log(`[REFRESH-VIEWS-ASYNC] ✅ Completed ${viewName} in ${viewDuration.toFixed(1)}s`);
-      }
-      
-      const totalDuration = (Date.now() - startTime) / 1000;
-      console.log(`[REFRESH-VIEWS-ASYNC] ✅ All ${views.length} materialized views refreshed in ${totalDuration.toFixed(1)}s`);
-    } catch (error) {
-      const errorDuration = (Date.now() - startTime) / 1000;
-      console.error(`[REFRESH-VIEWS-ASYNC] ❌ Background refresh failed after ${errorDuration.toFixed(1)}s:`, error.message);
-    }
-  })();
-  
-  // Return immediately without waiting
-  res.json({ 
-    status: 'OK', 
-    message: 'Materialized views refresh started in background',
-    views_to_refresh: views.length,
-    note: 'Check server logs for progress updates'
-  });
+router.post('/refresh-views-async', async (req, res, next) => {
+  try {
+    const job = await jobs.enqueueJob('refresh-views');
+    res.json({ 
+      status: 'OK', 
+      message: 'Materialized views refresh queued',
+      job_id: job.id,
+      views_to_refresh: TOP_KEYS_VIEWS.length,
+      note: `Use GET /admin/jobs/${job.id} for progress`
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 // --- Automation endpoints for Render.com ---
 
+jobs.registerJobHandler('automation.daily', async () => {
+  const result = await automation.runDailyAutomation();
+  if (result.status !== 'success') throw new Error(result.message || `Automation finished with status ${result.status}`);
+  return result;
+});
+
 // POST /admin/automation/trigger - Trigger the full daily automation
 router.post('/automation/trigger', async (req, res) => {
   try {
     console.log('[AUTOMATION] Manual trigger received');
     
-    // Run the automation in the background
-    automation.runDailyAutomation()
-      .then(result => {
-        console.log('[AUTOMATION] Background automation completed:', result.status);
-      })
-      .catch(error => {
-        console.error('[AUTOMATION] Background automation failed:', error);
-      });
+    // Run the automation on the job queue; return immediately to avoid timeout
+    const job = await jobs.enqueueJob('automation.daily');
     
-    // Return immediately to avoid timeout
     res.json({ 
       status: 'OK', 
-      message: 'Automation started in background',
-      note: 'Check logs for progress and completion status'
+      message: 'Automation queued',
+      job_id: job.id,
+      note: `Use GET /admin/jobs/${job.id} or GET /admin/automation/status for progress`
     });
   } catch (error) {
     res.status(500).json({ status: 'NOT OK', error: error.message });
@@ -1421,15 +1513,19 @@ router.post('/automation/trigger-sync', async (req, res) => {
 // GET /admin/automation/status - Check automation status
 router.get('/automation/status', async (req, res) => {
   try {
-    // This is a simple status endpoint - in a real implementation,
-    // you might want to store automation status in a database
+    const { counts, latest } = await jobs.getJobSummary();
+    const worker = jobs.getWorkerStatus();
     res.json({
       status: 'OK',
-      message: 'Automation system is ready',
+      message: worker.running ? 'Job worker is running' : 'Job worker is not running',
+      worker,
+      jobs: counts,
+      latest_by_type: latest,
       endpoints: {
         trigger: 'POST /admin/automation/trigger - Start automation in background',
         triggerSync: 'POST /admin/automation/trigger-sync - Start automation synchronously',
-        status: 'GET /admin/automation/status - Check this endpoint'
+        status: 'GET /admin/automation/status - Check this endpoint',
+        jobs: 'GET /admin/jobs - List queued and finished jobs'
       }
     });
   } catch (error) {
@@ -1470,17 +1566,13 @@ router.post('/automation/import-data', async (req, res) => {
 });
 
 // POST /admin/automation/cleanup - Trigger only the cleanup step
-router.post('/automation/cleanup', async (req, res) => {
+router.post('/automation/cleanup', validate({
+  body: { season_id: fields.seasonId({ required: true }) }
+}), async (req, res) => {
   try {
     console.log('[AUTOMATION] Cleanup trigger received');
     
-    const { season_id } = req.body || {};
-    if (!season_id) {
-      return res.status(400).json({ 
-        status: 'NOT OK', 
-        error: 'season_id is required in request body' 
-      });
-    }
+    const { season_id } = req.body;
     
     const result = await automation.cleanupLeaderboard(season_id);
     
@@ -1509,6 +1601,56 @@ router.post('/automation/refresh-views', async (req, res) => {
   }
 });
 
+// --- Job queue ---
+
+// GET /admin/jobs - List jobs, newest first (logs omitted; see /admin/jobs/:id)
+router.get('/jobs', validate({
+  query: {
+    type: { type: 'string', maxLength: 64 },
+    status: { type: 'enum', values: jobs.JOB_STATUSES, lowercase: true },
+    limit: fields.limit(50, 200),
+    offset: fields.offset()
+  }
+}), async (req, res, next) => {
+  try {
+    const { type, status, limit, offset } = req.query;
+    const { jobs: rows, total } = await jobs.listJobs({ type, status, limit, offset });
+    res.json({ status: 'OK', total, limit, offset, jobs: rows, worker: jobs.getWorkerStatus() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /admin/jobs/:id - Job detail with progress, logs and result
+router.get('/jobs/:id', validate({ params: { id: JOB_ID_FIELD } }), async (req, res, next) => {
+  try {
+    const job = await jobs.getJob(req.params.id);
+    if (!job) throw new NotFoundError('Job not found');
+    res.json({ status: 'OK', job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/jobs/:id/cancel - Cancel a queued job, or ask a running one to stop
+router.post('/jobs/:id/cancel', validate({ params: { id: JOB_ID_FIELD } }), async (req, res, next) => {
+  try {
+    const job = await jobs.cancelJob(req.params.id);
+    if (!job) {
+      const existing = await jobs.getJob(req.params.id);
+      if (!existing) throw new NotFoundError('Job not found');
+      throw new AppError(`Job already ${existing.status}`, { status: HTTP_STATUS.CONFLICT, code: 'JOB_FINISHED', details: { job_status: existing.status } });
+    }
+    res.json({
+      status: 'OK',
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops at its next checkpoint',
+      job
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /admin/vacuum-full - Perform VACUUM FULL on the database (intensive operation)
 router.post('/vacuum-full', async (req, res) => {
   try {
@@ -1593,13 +1735,21 @@ async function ensureJobLockTable(client) {
   `);
 }
 
+const LOCK_NAME_FIELD = { type: 'string', required: true, maxLength: 128 };
+const LOCK_OWNER_FIELD = { type: 'string', required: true, maxLength: 128 };
+
 // POST /admin/job-lock/acquire
 // Body: { lock_name: string, owner: string, ttl_seconds?: number, job?: string }
-router.post('/job-lock/acquire', async (req, res) => {
-  const { lock_name, owner, ttl_seconds = 21600, job = null, steal = false } = req.body || {};
-  if (!lock_name || !owner) {
-    return res.status(400).json({ status: 'NOT OK', error: 'lock_name and owner are required' });
+router.post('/job-lock/acquire', validate({
+  body: {
+    lock_name: LOCK_NAME_FIELD,
+    owner: LOCK_OWNER_FIELD,
+    ttl_seconds: { type: 'int', min: 1, max: 7 * 24 * 3600, default: 21600 },
+    job: { type: 'string', maxLength: 128 },
+    steal: fields.flag()
   }
+}), async (req, res) => {
+  const { lock_name, owner, ttl_seconds, job = null, steal } = req.body;
 
   const client = await db.pool.connect();
   try {
@@ -1639,11 +1789,10 @@ router.post('/job-lock/acquire', async (req, res) => {
 
 // POST /admin/job-lock/release
 // Body: { lock_name: string, owner: string }
-router.post('/job-lock/release', async (req, res) => {
-  const { lock_name, owner } = req.body || {};
-  if (!lock_name || !owner) {
-    return res.status(400).json({ status: 'NOT OK', error: 'lock_name and owner are required' });
-  }
+router.post('/job-lock/release', validate({
+  body: { lock_name: LOCK_NAME_FIELD, owner: LOCK_OWNER_FIELD }
+}), async (req, res) => {
+  const { lock_name, owner } = req.body;
 
   try {
     const result = await db.pool.query('DELETE FROM job_lock WHERE lock_name = $1 AND owner = $2', [lock_name, owner]);
@@ -1659,11 +1808,10 @@ router.post('/job-lock/release', async (req, res) => {
 // POST /admin/job-lock/force-release
 // Body: { lock_name: string }
 // Admin override: delete a lock by name regardless of owner/expiry
-router.post('/job-lock/force-release', async (req, res) => {
-  const { lock_name } = req.body || {};
-  if (!lock_name) {
-    return res.status(400).json({ status: 'NOT OK', error: 'lock_name is required' });
-  }
+router.post('/job-lock/force-release', validate({
+  body: { lock_name: LOCK_NAME_FIELD }
+}), async (req, res) => {
+  const { lock_name } = req.body;
   try {
     const result = await db.pool.query('DELETE FROM job_lock WHERE lock_name = $1', [lock_name]);
     return res.json({ status: 'OK', deleted: result.rowCount });
@@ -1683,11 +1831,10 @@ router.get('/job-lock/list', async (_req, res) => {
 });
 
 // GET /admin/job-lock/status?lock_name=...
-router.get('/job-lock/status', async (req, res) => {
+router.get('/job-lock/status', validate({
+  query: { lock_name: LOCK_NAME_FIELD }
+}), async (req, res) => {
   const lock_name = req.query.lock_name;
-  if (!lock_name) {
-    return res.status(400).json({ status: 'NOT OK', error: 'lock_name is required' });
-  }
   try {
     const { rows } = await db.pool.query('SELECT lock_name, owner, job, acquired_at, expires_at FROM job_lock WHERE lock_name = $1', [lock_name]);
     if (rows.length === 0) return res.json({ status: 'OK', locked: false });
@@ -1890,6 +2037,33 @@ router.post('/db/analyze', async (req, res) => {
   }
 });
 
+// GET /admin/cache/stats - Blizzard game-data response cache stats
+router.get('/cache/stats', async (req, res) => {
+  console.log(`🔐 [ADMIN] GET /admin/cache/stats`);
+  try {
+    res.json({ status: 'OK', ...(await apiCache.stats()) });
+  } catch (error) {
+    res.status(500).json({ status: 'NOT OK', error: error.message });
+  }
+});
+
+// POST /admin/cache/clear - Drop all cached Blizzard game-data responses (e.g. after a patch)
+router.post('/cache/clear', async (req, res) => {
+  console.log(`🔐 [ADMIN] POST /admin/cache/clear`);
+  try {
+    await apiCache.clear();
+    res.json({ status: 'OK', message: 'API response cache cleared' });
+  } catch (error) {
+    res.status(500).json({ status: 'NOT OK', error: error.message });
+  }
+});
+
+// GET /admin/blizzard/metrics - Blizzard request scheduler throttling metrics per region
+router.get('/blizzard/metrics', (req, res) => {
+  console.log(`🔐 [ADMIN] GET /admin/blizzard/metrics`);
+  res.json({ status: 'OK', ...blizzardScheduler.getMetrics() });
+});
+
 module.exports = router;
 module.exports.populateDungeons = populateDungeons;
 module.exports.populateSeasons = populateSeasons;
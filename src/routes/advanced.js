@@ -2,12 +2,19 @@ const express = require('express');
 const proxyService = require('../services/proxy');
 const db = require('../services/db');
 const validateRegion = require('../middleware/region');
-const { SEASON_DUNGEONS, SEASON_NAMES, WOW_DUNGEONS, WOW_SPECIALIZATIONS, WOW_SPEC_ROLES } = require('../config/constants');
-
-// Helper: get keystone_upgrades for a dungeonId from WOW_DUNGEONS
-function getKeystoneUpgradesForDungeon(dungeonId) {
-  const dungeon = WOW_DUNGEONS.find(d => d.id === Number(dungeonId));
-  return dungeon && Array.isArray(dungeon.keystone_upgrades) ? dungeon.keystone_upgrades : null;
+const { NotFoundError, AppError, ValidationError } = require('../utils/errors');
+const { validate, fields } = require('../middleware/validate');
+const { LeaderboardIngestor } = require('../services/leaderboard-ingest');
+const crawlManifest = require('../services/crawl-manifest');
+const { affixesFromLeaderboard, recordPeriodAffixes } = require('../services/affixes');
+const { getDungeonTimers } = require('../services/dungeon-timers');
+const { getCatalog, invalidateCatalog } = require('../services/catalog');
+const { HTTP_STATUS } = require('../config/constants');
+
+// Helper: get keystone_upgrades for a dungeonId from the dungeon timers of a season (see getDungeonTimers)
+function getKeystoneUpgradesForDungeon(dungeonTimers, dungeonId) {
+  const dungeon = dungeonTimers && dungeonTimers.get(Number(dungeonId));
+  return dungeon && dungeon.keystone_upgrades.length > 0 ? dungeon.keystone_upgrades : null;
 }
 
 // Helper: fallback score calculation (Blizzard-like, using keystone level, duration, and keystone_upgrades)
@@ -95,40 +102,33 @@ const router = express.Router();
 router.use(validateRegion);
 
 // --- Helper functions ---
-async function getSeasonDungeonsFromDB(seasonId) {
-  try {
-    const { rows } = await db.pool.query('SELECT dungeon_id FROM season_dungeon WHERE season_id = $1 ORDER BY dungeon_id', [Number(seasonId)]);
-    return rows.map(r => r.dungeon_id);
-  } catch (e) {
-    console.warn('[ADVANCED] season_dungeon lookup failed:', e.message);
-    return [];
-  }
+// Season dungeons (season_dungeon) from the catalog
+async function getSeasonDungeons(seasonId) {
+  return (await getCatalog()).seasonDungeons(seasonId);
 }
 
 async function getAllSeasonIdsFromDB() {
-  try {
-    const { rows } = await db.pool.query('SELECT DISTINCT season_id FROM season_dungeon ORDER BY season_id');
-    return rows.map(r => r.season_id);
-  } catch (e) {
-    return [];
-  }
+  const catalog = await getCatalog();
+  return catalog.seasons.filter(s => s.dungeon_ids.length > 0).map(s => s.season_id);
 }
 
-async function getSeasonDungeons(seasonId) {
-  const fromDb = await getSeasonDungeonsFromDB(seasonId);
-  if (fromDb && fromDb.length > 0) return fromDb;
-  const seasonNum = parseInt(seasonId, 10);
-  return SEASON_DUNGEONS[seasonNum] || [];
-}
-// Helper to map spec_id to class_id
-function getClassIdFromSpecId(specId) {
-    const spec = WOW_SPECIALIZATIONS.find(s => s.id === specId);
-    return spec ? spec.classId : null;
-}
-
-// Helper to map spec_id to role
-function getRoleFromSpecId(specId) {
-    return WOW_SPEC_ROLES[specId] || null;
+// Map a Blizzard leaderboard member to our run member shape.
+// character_id is the Blizzard profile id, which is stable across renames and
+// disambiguates same-name characters on different realms. Class and role come from the spec catalog.
+function buildRunMember(member, run_guid, region, catalog) {
+  const specId = member.specialization ? member.specialization.id : null;
+  const profile = member.profile || {};
+  return {
+    character_id: profile.id != null ? profile.id : null,
+    character_name: profile.name,
+    realm_slug: profile.realm ? profile.realm.slug || null : null,
+    region,
+    faction: member.faction ? member.faction.type || null : null,
+    class_id: catalog.classId(specId),
+    spec_id: specId,
+    role: catalog.role(specId),
+    run_guid
+  };
 }
 
 function printProgress(current, total, context = '') {
@@ -147,26 +147,273 @@ function ensureOutputDir() {
   return dir;
 }
 
-// Helper: retry with exponential backoff on 429
-async function fetchWithRetry(fn, maxRetries = 5, delayMs = 1000) {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      return await fn();
-    } catch (e) {
-      if (e.response && e.response.status === 429) {
-        await new Promise(res => setTimeout(res, delayMs * Math.pow(2, attempt)));
-        attempt++;
-      } else {
-        throw e;
+// Turn a Blizzard leaderboard response into runs (with members) in the import shape.
+// dungeonTimers (from getDungeonTimers) supplies the timers for the fallback score, catalog
+// (from getCatalog) the class and role of each member's spec.
+function buildLeaderboardRuns(data, { dungeonId, periodId, connectedRealmId, seasonId, region, dungeonTimers, catalog }) {
+  const runs = [];
+  for (const group of data.leading_groups) {
+    const run_guid = uuidv4();
+    runs.push({
+      dungeon_id: parseInt(dungeonId, 10),
+      period_id: parseInt(periodId, 10),
+      realm_id: parseInt(connectedRealmId, 10),
+      season_id: seasonId,
+      region,
+      completed_at: group.completed_timestamp ? new Date(group.completed_timestamp) : null,
+      duration_ms: group.duration,
+      keystone_level: group.keystone_level,
+      score: (group.mythic_rating && group.mythic_rating.rating != null && group.mythic_rating.rating > 0)
+        ? group.mythic_rating.rating
+        : calculateFallbackScore(group.keystone_level, getKeystoneUpgradesForDungeon(dungeonTimers, dungeonId), group.duration),
+      rank: group.ranking,
+      run_guid,
+      members: group.members.map(member => buildRunMember(member, run_guid, region, catalog))
+    });
+  }
+  return runs;
+}
+
+// Where crawled leaderboards go:
+// - db (default): runs are streamed into Postgres in batches as they arrive
+// - file: one JSON file per leaderboard in src/output, loaded later by /admin/import-all-leaderboard-json[-fast]
+const CRAWL_SINKS = ['db', 'file'];
+const SINK_QUERY = { type: 'enum', values: CRAWL_SINKS, lowercase: true, default: process.env.LEADERBOARD_CRAWL_SINK || 'db' };
+
+// Incremental crawls skip leaderboards by their leaderboard_unit_state, which must only move once
+// the runs are in Postgres. File crawls are imported later, so they can't be incremental.
+function incrementalSinkError(sinkMode, incremental) {
+  return incremental && sinkMode !== 'db' ? 'incremental=true requires sink=db (file crawls are only imported later)' : null;
+}
+
+// onStored(units, error) is told when leaderboards are safely stored (or failed to be)
+function createCrawlSink(mode, onStored = null) {
+  if (mode === 'file') {
+    const outputDir = ensureOutputDir();
+    return {
+      mode,
+      async write(unit, fileName, runs) {
+        // Always create a file, even if empty, to track what was processed
+        fs.writeFileSync(path.join(outputDir, fileName), JSON.stringify(runs, null, 2));
+        if (onStored) await onStored([unit], null);
+      },
+      async close() {
+        return null;
+      }
+    };
+  }
+  const ingestor = new LeaderboardIngestor({ onBatch: onStored });
+  return {
+    mode,
+    write: (unit, fileName, runs) => ingestor.add(unit, runs),
+    close: () => ingestor.close()
+  };
+}
+
+// Batches that failed to load are reported in the same format as fetch failures,
+// so /mythic-leaderboard-retry can pick them up
+function ingestFailureReasons(ingest) {
+  return ingest ? ingest.failedUnits.map(f => `API Error for ${f.unit.key}: ingest failed: ${f.error}`) : [];
+}
+
+// --- Leaderboard crawls ---
+
+async function getConnectedRealmIds(region) {
+  const realmsResp = await proxyService.getGameData('connected-realms-index', region, {});
+  const connectedRealms = realmsResp.data.connected_realms || [];
+  return connectedRealms.map(obj => {
+    const match = obj.href.match(/connected-realm\/(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  }).filter(Boolean);
+}
+
+// Period ids of a season in a region, optionally limited to [fromPeriod, toPeriod]
+async function getSeasonPeriodIds(seasonId, region, fromPeriod, toPeriod) {
+  const seasonResp = await proxyService.getGameData('mythic-keystone-season', region, { id: seasonId });
+  const periodsRaw = seasonResp.data.periods || [];
+  return periodsRaw.map(p => {
+    const href = p && p.key && p.key.href;
+    if (href) {
+      const match = href.match(/period\/(\d+)/);
+      return match ? parseInt(match[1], 10) : null;
+    }
+    return null;
+  }).filter(periodId => {
+    if (!periodId) return false;
+    if (fromPeriod && periodId < fromPeriod) return false;
+    if (toPeriod && periodId > toPeriod) return false;
+    return true;
+  });
+}
+
+// Crawls being fetched by this instance; resuming one of them would fetch its units twice
+const activeCrawls = new Set();
+
+function latestCompletedAt(runs) {
+  let latest = null;
+  for (const run of runs) {
+    if (run.completed_at && (!latest || run.completed_at > latest)) latest = run.completed_at;
+  }
+  return latest;
+}
+
+function sameTime(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+/**
+ * Fetch the units of a crawl, recording every outcome in the crawl manifest.
+ * Regions without units yet are enumerated first (periods x season dungeons x connected realms).
+ * Otherwise only units with one of `statuses`, plus succeeded units fetched before `staleBefore`, are fetched.
+ * With `incremental`, a leaderboard whose latest completed_timestamp and run count match its stored
+ * state is not written at all, and a changed one only writes runs completed since the stored state.
+ * @returns {Promise<Object>} { crawlStatus, unitsExpected, failedCount, failedReasons, ingest, coverage, incremental? }
+ */
+async function runLeaderboardCrawl(crawl, { dungeons, sinkMode, statuses = ['pending', 'failed'], staleBefore = null, incremental = false }) {
+  activeCrawls.add(crawl.id);
+  // Files aren't in Postgres yet, so a file crawl leaves leaderboard_unit_state alone
+  const recorder = new crawlManifest.CrawlUnitRecorder(crawl.id, crawl.season_id, { recordStates: sinkMode === 'db' });
+  const sink = createCrawlSink(sinkMode, (units, error) => recorder.record(units, error));
+  let unitsExpected = 0;
+  let unitsDone = 0;
+  let failedCount = 0;
+  const failedReasons = [];
+  const changes = { unchanged: 0, changed: 0, runsWritten: 0 };
+  const affixPeriods = new Set(); // region-period pairs whose affixes were recorded by this crawl
+
+  try {
+    const dungeonTimers = await getDungeonTimers(crawl.season_id);
+    const catalog = await getCatalog();
+    for (const region of crawl.regions) {
+      try {
+        let units;
+        if (await crawlManifest.countUnits(crawl.id, region) === 0) {
+          const periods = await getSeasonPeriodIds(crawl.season_id, region, crawl.from_period, crawl.to_period);
+          if (periods.length === 0) {
+            const filtered = crawl.from_period || crawl.to_period ? ` (filtered: fromPeriod=${crawl.from_period}, toPeriod=${crawl.to_period})` : '';
+            console.error(`[NO PERIODS] No periods found for season ${crawl.season_id} in region ${region}${filtered}`);
+            failedCount++;
+            failedReasons.push(`No periods found for season ${crawl.season_id} in region ${region}${filtered}`);
+            continue;
+          }
+          const connectedRealmIds = await getConnectedRealmIds(region);
+          units = [];
+          for (const dungeonId of dungeons) {
+            for (const periodId of periods) {
+              for (const connectedRealmId of connectedRealmIds) {
+                units.push({ region, period_id: periodId, dungeon_id: Number(dungeonId), connected_realm_id: connectedRealmId });
+              }
+            }
+          }
+          await crawlManifest.addUnits(crawl.id, units);
+          console.log(`[CRAWL ${crawl.id}] ${region}: ${units.length} leaderboards (${dungeons.length} dungeons x ${periods.length} periods x ${connectedRealmIds.length} connected realms)`);
+        } else {
+          units = await crawlManifest.getUnitsToRun(crawl.id, region, { statuses, staleBefore });
+          console.log(`[CRAWL ${crawl.id}] ${region}: resuming ${units.length} leaderboards`);
+        }
+
+        unitsExpected += units.length;
+        const states = incremental
+          ? await crawlManifest.getUnitStates(region, crawl.season_id, [...new Set(units.map(u => u.period_id))])
+          : null;
+        const limit = pLimit(10);
+        const tasks = units.map(unit => limit(async () => {
+          const key = `${region}-${unit.dungeon_id}-${unit.period_id}-${unit.connected_realm_id}`;
+          try {
+            // The Blizzard scheduler owns retries (429, 5xx, timeouts); a RateLimitedError here marks the unit failed
+            const lb = await proxyService.getGameData('mythic-leaderboard', region, { connectedRealmId: unit.connected_realm_id, dungeonId: unit.dungeon_id, periodId: unit.period_id });
+            // Every leaderboard carries the week's affixes; record them once per region and period
+            const affixKey = `${region}-${unit.period_id}`;
+            if (!affixPeriods.has(affixKey)) {
+              const periodAffixes = affixesFromLeaderboard(lb.data);
+              if (periodAffixes.length > 0) {
+                affixPeriods.add(affixKey);
+                await recordPeriodAffixes(region, unit.period_id, periodAffixes, 'blizzard')
+                  .catch(err => console.warn(`[AFFIXES] Failed to record affixes for ${affixKey}:`, err.message));
+              }
+            }
+            const runs = lb.data && Array.isArray(lb.data.leading_groups)
+              ? buildLeaderboardRuns(lb.data, { dungeonId: unit.dungeon_id, periodId: unit.period_id, connectedRealmId: unit.connected_realm_id, seasonId: crawl.season_id, region, dungeonTimers, catalog })
+              : [];
+            if (runs.length === 0) {
+              console.log(`[EMPTY DATA] No runs found for ${region}-s${crawl.season_id}-p${unit.period_id}-d${unit.dungeon_id}-r${unit.connected_realm_id}`);
+            }
+            const stored = { ...unit, key, run_count: runs.length, last_completed_at: latestCompletedAt(runs) };
+            const previous = states && states.get(crawlManifest.unitStateKey(unit));
+            if (previous && previous.run_count === stored.run_count && sameTime(previous.last_completed_at, stored.last_completed_at)) {
+              changes.unchanged++;
+              await recorder.record([stored]);
+            } else {
+              // Only runs completed since the last stored state are new; the merge dedupes the boundary
+              const toWrite = previous && previous.last_completed_at
+                ? runs.filter(run => run.completed_at && run.completed_at >= new Date(previous.last_completed_at))
+                : runs;
+              const fileName = `${region}-s${crawl.season_id}-p${unit.period_id}-d${unit.dungeon_id}-r${unit.connected_realm_id}.json`;
+              await sink.write(stored, fileName, toWrite);
+              changes.changed++;
+              changes.runsWritten += toWrite.length;
+            }
+            unitsDone++;
+            printProgress(unitsDone, unitsExpected, `Leaderboard: ${key} (${runs.length} runs)`);
+          } catch (e) {
+            console.error(`[API ERROR] region=${region}, dungeonId=${unit.dungeon_id}, periodId=${unit.period_id}, connectedRealmId=${unit.connected_realm_id}:`, e.message);
+            failedCount++;
+            failedReasons.push(`API Error for ${key}: ${e.message}`);
+            await recorder.record([unit], e);
+          }
+        }));
+        await Promise.allSettled(tasks);
+      } catch (e) {
+        console.error(`[REGION ERROR] Failed to process region ${region}:`, e.message);
+        failedCount++;
+        failedReasons.push(`Region ${region}: ${e.message}`);
       }
     }
+
+    const ingest = await sink.close();
+    for (const reason of ingestFailureReasons(ingest)) {
+      failedCount++;
+      failedReasons.push(reason);
+    }
+    await recorder.flush();
+    if (incremental) {
+      console.log(`[CRAWL ${crawl.id}] Incremental: ${changes.changed} changed, ${changes.unchanged} unchanged, ${changes.runsWritten} runs written`);
+    }
+    const crawlStatus = await crawlManifest.finishCrawl(crawl.id);
+    const coverage = await crawlManifest.getCoverage(crawl.id);
+    return { crawlStatus, unitsExpected, failedCount, failedReasons, ingest, coverage, ...(incremental && { incremental: changes }) };
+  } catch (err) {
+    await recorder.flush();
+    await crawlManifest.markCrawlFailed(crawl.id).catch(() => {});
+    throw err;
+  } finally {
+    activeCrawls.delete(crawl.id);
   }
-  throw new Error('Max retries reached for rate-limited request');
+}
+
+// Response fields shared by the crawl endpoints
+function crawlResponse(crawl, sinkMode, result) {
+  return {
+    status: result.failedCount === 0 ? 'OK' : 'PARTIAL',
+    message: sinkMode === 'file' ? 'Data written to JSON files' : 'Data streamed into the database',
+    crawlId: crawl.id,
+    crawlStatus: result.crawlStatus,
+    sink: sinkMode,
+    filesWritten: result.unitsExpected - result.failedCount,
+    filesExpected: result.unitsExpected,
+    failedCount: result.failedCount,
+    failedReasons: result.failedReasons,
+    ...(result.ingest && { ingest: { runs: result.ingest.runs, members: result.ingest.members, batches: result.ingest.batches, failedBatches: result.ingest.failedBatches } }),
+    ...(result.incremental && { incremental: result.incremental }),
+    coverage: result.coverage
+  };
 }
 
 // --- /advanced/ endpoints ---
 
+// Blizzard ids in the path; seasons/periods may not be imported yet, so no existence check
+const ID_PARAM = { type: 'int', required: true, min: 1 };
+
 // /advanced/mythic-leaderboard/index
 router.get('/mythic-leaderboard/index', async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-leaderboard/index - Region: ${req.region || 'unknown'}`);
@@ -193,7 +440,9 @@ router.get('/mythic-leaderboard/index', async (req, res, next) => {
 });
 
 // /advanced/mythic-leaderboard/:dungeonId/period/:period
-router.get('/mythic-leaderboard/:dungeonId/period/:period', async (req, res, next) => {
+router.get('/mythic-leaderboard/:dungeonId/period/:period', validate({
+  params: { dungeonId: ID_PARAM, period: ID_PARAM }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-leaderboard/${req.params.dungeonId}/period/${req.params.period} - Region: ${req.region || 'unknown'}`);
   try {
     const { region } = req;
@@ -225,7 +474,9 @@ router.get('/mythic-leaderboard/:dungeonId/period/:period', async (req, res, nex
 });
 
 // /advanced/mythic-keystone-season/:seasonId/dungeons
-router.get('/mythic-keystone-season/:seasonId/dungeons', async (req, res, next) => {
+router.get('/mythic-keystone-season/:seasonId/dungeons', validate({
+  params: { seasonId: ID_PARAM }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-keystone-season/${req.params.seasonId}/dungeons - Region: ${req.region || 'unknown'}`);
   try {
     const { region } = req;
@@ -281,6 +532,7 @@ router.get('/mythic-keystone-season/:seasonId/dungeons', async (req, res, next)
           `INSERT INTO season_dungeon (season_id, dungeon_id) VALUES ${placeholders} ON CONFLICT DO NOTHING`,
           [seasonNum, ...foundDungeons]
         );
+        invalidateCatalog();
       } catch (e) {
         console.warn('[ADVANCED] Failed to persist season_dungeon mapping:', e.message);
       }
@@ -292,191 +544,56 @@ router.get('/mythic-keystone-season/:seasonId/dungeons', async (req, res, next)
 });
 
 // /advanced/mythic-keystone-season/:seasonId/name
-router.get('/mythic-keystone-season/:seasonId/name', async (req, res) => {
+router.get('/mythic-keystone-season/:seasonId/name', validate({
+  params: { seasonId: ID_PARAM }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-keystone-season/${req.params.seasonId}/name`);
   const { seasonId } = req.params;
   try {
-    const result = await db.pool.query('SELECT name FROM season WHERE id = $1', [Number(seasonId)]);
-    const dbName = result.rows?.[0]?.name || null;
-    const name = dbName || SEASON_NAMES[seasonId] || null;
-    if (name) {
-      return res.json({ seasonId: Number(seasonId), name });
+    const season = (await getCatalog()).season(seasonId);
+    if (season && season.name) {
+      return res.json({ seasonId: Number(seasonId), name: season.name });
     }
-    return res.status(404).json({ error: true, message: `No name found for seasonId ${seasonId}` });
+    return next(new NotFoundError(`No name found for seasonId ${seasonId}`));
   } catch (e) {
-    console.warn('[SEASON NAME FALLBACK]', e.message);
-    const name = SEASON_NAMES[seasonId] || null;
-    if (name) return res.json({ seasonId: Number(seasonId), name });
-    return res.status(500).json({ error: true, message: 'Failed to resolve season name' });
+    return next(e);
   }
 });
 
 // /advanced/mythic-leaderboard/:seasonId/
-router.get('/mythic-leaderboard/:seasonId/', async (req, res, next) => {
+router.get('/mythic-leaderboard/:seasonId/', validate({
+  params: { seasonId: ID_PARAM },
+  query: { fromPeriod: { type: 'int', min: 1 }, toPeriod: { type: 'int', min: 1 }, sink: SINK_QUERY, incremental: fields.flag() }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-leaderboard/${req.params.seasonId}/ - Region: ${req.region || 'unknown'}`);
   try {
     // Check if region is specified in query params
     const specifiedRegion = req.query.region;
     const regionsToProcess = specifiedRegion ? [specifiedRegion.toLowerCase()] : ['us', 'eu', 'kr', 'tw'];
     
-    // Parse period filtering parameters
-    const fromPeriod = req.query.fromPeriod ? parseInt(req.query.fromPeriod, 10) : null;
-    const toPeriod = req.query.toPeriod ? parseInt(req.query.toPeriod, 10) : null;
+    // Period filtering parameters
+    const fromPeriod = req.query.fromPeriod ?? null;
+    const toPeriod = req.query.toPeriod ?? null;
     
     // Validate period parameters
     if (fromPeriod && toPeriod && fromPeriod > toPeriod) {
-      return res.status(400).json({ 
-        status: 'NOT OK', 
-        error: 'fromPeriod cannot be greater than toPeriod' 
-      });
+      throw new ValidationError('fromPeriod cannot be greater than toPeriod');
     }
+    const sinkError = incrementalSinkError(req.query.sink, req.query.incremental);
+    if (sinkError) throw new ValidationError(sinkError);
     
     const { seasonId } = req.params;
-    const seasonNum = parseInt(seasonId, 10);
-    const dungeons = await getSeasonDungeons(seasonNum);
+    const dungeons = await getSeasonDungeons(seasonId);
     if (!dungeons || dungeons.length === 0) {
-      return res.status(404).json({ status: 'NOT OK', error: `No dungeons found for season ${seasonId}` });
+      throw new NotFoundError(`No dungeons found for season ${seasonId}`);
     }
 
-    let allFiles = [];
-    let totalFiles = 0;
-    let fileCount = 0;
-    let failedCount = 0;
-    let failedReasons = [];
-
-    // Process each region
-    for (const region of regionsToProcess) {
-      try {
-        // Validate region
-        if (!['us', 'eu', 'kr', 'tw'].includes(region)) {
-          console.error(`[INVALID REGION] ${region} is not supported`);
-          failedCount++;
-          failedReasons.push(`Invalid region: ${region}`);
-          continue;
-        }
-
-        const seasonResp = await proxyService.getGameData('mythic-keystone-season', region, { ...req.query, id: seasonId });
-        const periodsRaw = seasonResp.data.periods || [];
-        let periods = periodsRaw.map(p => {
-          const href = p && p.key && p.key.href;
-          if (href) {
-            const match = href.match(/period\/(\d+)/);
-            return match ? match[1] : null;
-          }
-          return null;
-        }).filter(Boolean);
-        
-        // Apply period filtering if specified
-        if (fromPeriod || toPeriod) {
-          periods = periods.filter(periodId => {
-            const periodNum = parseInt(periodId, 10);
-            if (fromPeriod && periodNum < fromPeriod) return false;
-            if (toPeriod && periodNum > toPeriod) return false;
-            return true;
-          });
-        }
-        
-        if (periods.length === 0) {
-          console.error(`[NO PERIODS] No periods found for season ${seasonId} in region ${region}${fromPeriod || toPeriod ? ` (filtered: fromPeriod=${fromPeriod}, toPeriod=${toPeriod})` : ''}`);
-          failedCount++;
-          failedReasons.push(`No periods found for season ${seasonId} in region ${region}${fromPeriod || toPeriod ? ` (filtered: fromPeriod=${fromPeriod}, toPeriod=${toPeriod})` : ''}`);
-          continue;
-        }
-        const realmsResp = await proxyService.getGameData('connected-realms-index', region, req.query);
-        const connectedRealms = realmsResp.data.connected_realms || [];
-        const connectedRealmIds = connectedRealms.map(obj => {
-          const match = obj.href.match(/connected-realm\/(\d+)/);
-          return match ? match[1] : null;
-        }).filter(Boolean);
-        const limit = pLimit(10);
-        const tasks = [];
-        const regionTotalFiles = dungeons.length * periods.length * connectedRealmIds.length;
-        totalFiles += regionTotalFiles;
-        
-        for (const dungeonId of dungeons) {
-          for (const periodId of periods) {
-            for (const connectedRealmId of connectedRealmIds) {
-              tasks.push(limit(async () => {
-                try {
-                  const lb = await proxyService.getGameData('mythic-leaderboard', region, { connectedRealmId, dungeonId, periodId });
-                  if (lb.data && Array.isArray(lb.data.leading_groups)) {
-                    const runs = [];
-                    for (const group of lb.data.leading_groups) {
-                      const memberIds = group.members.map(m => m.profile.id).sort((a, b) => a - b);
-                      const groupKey = memberIds.join('-');
-                      const run_guid = uuidv4();
-                      runs.push({
-                        dungeon_id: parseInt(dungeonId, 10),
-                        period_id: parseInt(periodId, 10),
-                        realm_id: parseInt(connectedRealmId, 10),
-                        season_id: seasonNum,
-                        region,
-                        completed_at: group.completed_timestamp ? new Date(group.completed_timestamp) : null,
-                        duration_ms: group.duration,
-                        keystone_level: group.keystone_level,
-                        score: (group.mythic_rating && group.mythic_rating.rating != null && group.mythic_rating.rating > 0)
-                          ? group.mythic_rating.rating
-                          : (() => {
-                              const upgrades = getKeystoneUpgradesForDungeon(dungeonId);
-                              return calculateFallbackScore(group.keystone_level, upgrades, group.duration);
-                            })(),
-                        rank: group.ranking,
-                        run_guid,
-                        members: group.members.map(member => {
-                          const specId = member.specialization ? member.specialization.id : null;
-                          return {
-                            character_name: member.profile.name,
-                            class_id: getClassIdFromSpecId(specId),
-                            spec_id: specId,
-                            role: getRoleFromSpecId(specId),
-                            run_guid
-                          };
-                        })
-                      });
-                    }
-                    const outputDir = ensureOutputDir();
-                    const fileName = `${region}-s${seasonId}-p${periodId}-d${dungeonId}-r${connectedRealmId}.json`;
-                    const filePath = path.join(outputDir, fileName);
-                    
-                    // Always create a file, even if empty, to track what was processed
-                    if (runs.length === 0) {
-                      console.log(`[EMPTY DATA] No runs found for ${region}-s${seasonId}-p${periodId}-d${dungeonId}-r${connectedRealmId}`);
-                      fs.writeFileSync(filePath, JSON.stringify([], null, 2));
-                    } else {
-                      fs.writeFileSync(filePath, JSON.stringify(runs, null, 2));
-                    }
-                    
-                    allFiles.push(fileName);
-                    fileCount++;
-                    printProgress(fileCount, totalFiles, `File: ${fileName} (${runs.length} runs)`);
-                  }
-                } catch (e) {
-                  console.error(`[API ERROR] region=${region}, dungeonId=${dungeonId}, periodId=${periodId}, connectedRealmId=${connectedRealmId}:`, e.message);
-                  failedCount++;
-                  failedReasons.push(`API Error for ${region}-${dungeonId}-${periodId}-${connectedRealmId}: ${e.message}`);
-                }
-              }));
-            }
-          }
-        }
-        await Promise.allSettled(tasks);
-      } catch (e) {
-        console.error(`[REGION ERROR] Failed to process region ${region}:`, e.message);
-        failedCount++;
-        failedReasons.push(`Region ${region}: ${e.message}`);
-      }
-    }
+    const crawl = await crawlManifest.createCrawl({ seasonId, regions: regionsToProcess, fromPeriod, toPeriod, sink: req.query.sink });
+    const result = await runLeaderboardCrawl(crawl, { dungeons, sinkMode: req.query.sink, incremental: req.query.incremental });
 
-    const succeeded = totalFiles - failedCount;
-    const filesWritten = allFiles.length;
-    console.log(`[ADVANCED] Mythic leaderboard dump complete for season ${seasonId}. Files written: ${filesWritten}/${totalFiles}. Failed: ${failedCount}. Regions: ${regionsToProcess.join(', ')}`);
+    console.log(`[ADVANCED] Mythic leaderboard crawl ${crawl.id} complete for season ${seasonId}. Leaderboards: ${result.unitsExpected - result.failedCount}/${result.unitsExpected}. Failed: ${result.failedCount}. Regions: ${regionsToProcess.join(', ')}`);
     res.json({
-      status: failedCount === 0 ? 'OK' : 'PARTIAL',
-      message: 'Data written to JSON files',
-      filesWritten: succeeded,
-      filesExpected: totalFiles,
-      failedCount: failedCount,
-      failedReasons: failedReasons,
+      ...crawlResponse(crawl, req.query.sink, result),
       regionsProcessed: regionsToProcess,
       regionsCount: regionsToProcess.length,
       periodFilter: {
@@ -486,30 +603,27 @@ router.get('/mythic-leaderboard/:seasonId/', async (req, res, next) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+    next(error);
   }
 });
 
 // /advanced/mythic-leaderboard-retry
 // POST endpoint to retry failed requests based on failedReasons array
-router.post('/mythic-leaderboard-retry', async (req, res, next) => {
+router.post('/mythic-leaderboard-retry', validate({
+  query: { sink: SINK_QUERY },
+  body: { failedReasons: { type: 'array', required: true, maxItems: 10000 } }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] POST /advanced/mythic-leaderboard-retry`);
   
   try {
     const { failedReasons } = req.body;
-    
-    if (!failedReasons || !Array.isArray(failedReasons)) {
-      return res.status(400).json({ 
-        status: 'NOT OK', 
-        error: 'failedReasons array is required in request body' 
-      });
-    }
 
     let retryCount = 0;
     let successCount = 0;
     let failedCount = 0;
     let failedReasonsNew = [];
     let allFiles = [];
+    const sink = createCrawlSink(req.query.sink);
 
     // Parse each failed reason to extract the parameters
     for (const reason of failedReasons) {
@@ -533,11 +647,8 @@ router.post('/mythic-leaderboard-retry', async (req, res, next) => {
           // Try to determine season from period ID by checking all seasons
           let seasonId = null;
           
-          // Check each season from DB (fallback to constants if DB empty)
-          let seasonIds = await getAllSeasonIdsFromDB();
-          if (!seasonIds || seasonIds.length === 0) {
-            seasonIds = Object.keys(SEASON_DUNGEONS).map(Number);
-          }
+          // Check each season that has dungeons in the catalog
+          const seasonIds = await getAllSeasonIdsFromDB();
           for (const seasonNum of seasonIds) {
             try {
               // Try to get the season data to see if this period belongs to it
@@ -579,46 +690,11 @@ router.post('/mythic-leaderboard-retry', async (req, res, next) => {
           });
 
           if (lb.data && Array.isArray(lb.data.leading_groups)) {
-            const runs = [];
-            for (const group of lb.data.leading_groups) {
-              const memberIds = group.members.map(m => m.profile.id).sort((a, b) => a - b);
-              const groupKey = memberIds.join('-');
-              const run_guid = uuidv4();
-              
-              runs.push({
-                dungeon_id: parseInt(dungeonId, 10),
-                period_id: parseInt(periodId, 10),
-                realm_id: parseInt(connectedRealmId, 10),
-                season_id: seasonId,
-                region,
-                completed_at: group.completed_timestamp ? new Date(group.completed_timestamp) : null,
-                duration_ms: group.duration,
-                keystone_level: group.keystone_level,
-                score: (group.mythic_rating && group.mythic_rating.rating != null && group.mythic_rating.rating > 0)
-                  ? group.mythic_rating.rating
-                  : (() => {
-                      const upgrades = getKeystoneUpgradesForDungeon(dungeonId);
-                      return calculateFallbackScore(group.keystone_level, upgrades, group.duration);
-                    })(),
-                rank: group.ranking,
-                run_guid,
-                members: group.members.map(member => {
-                  const specId = member.specialization ? member.specialization.id : null;
-                  return {
-                    character_name: member.profile.name,
-                    class_id: getClassIdFromSpecId(specId),
-                    spec_id: specId,
-                    role: getRoleFromSpecId(specId),
-                    run_guid
-                  };
-                })
-              });
-            }
-
-            const outputDir = ensureOutputDir();
+            const dungeonTimers = await getDungeonTimers(seasonId);
+            const catalog = await getCatalog();
+            const runs = buildLeaderboardRuns(lb.data, { dungeonId, periodId, connectedRealmId, seasonId, region, dungeonTimers, catalog });
             const fileName = `${region}-s${seasonId}-p${periodId}-d${dungeonId}-r${connectedRealmId}.json`;
-            const filePath = path.join(outputDir, fileName);
-            fs.writeFileSync(filePath, JSON.stringify(runs, null, 2));
+            await sink.write({ key: `${region}-${dungeonId}-${periodId}-${connectedRealmId}` }, fileName, runs);
             allFiles.push(fileName);
             successCount++;
             console.log(`✅ [SUCCESS] Retry successful for ${fileName}`);
@@ -635,154 +711,136 @@ router.post('/mythic-leaderboard-retry', async (req, res, next) => {
       }
     }
 
+    const ingest = await sink.close();
+    for (const reason of ingestFailureReasons(ingest)) {
+      successCount--;
+      failedCount++;
+      failedReasonsNew.push(reason);
+    }
+
     res.json({
       status: failedCount === 0 ? 'OK' : 'PARTIAL',
       message: 'Retry operation completed',
+      sink: sink.mode,
       retryAttempted: retryCount,
       retrySucceeded: successCount,
       retryFailed: failedCount,
       filesWritten: successCount,
       failedReasons: failedReasonsNew,
+      ...(ingest && { ingest: { runs: ingest.runs, members: ingest.members, batches: ingest.batches, failedBatches: ingest.failedBatches } }),
       retriedFiles: allFiles
     });
 
   } catch (error) {
     console.error('[MYTHIC LEADERBOARD RETRY ERROR]', error);
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+    next(error);
   }
 });
 
 // /advanced/mythic-leaderboard/:seasonId/:periodId
-router.get('/mythic-leaderboard/:seasonId/:periodId', async (req, res, next) => {
+router.get('/mythic-leaderboard/:seasonId/:periodId', validate({
+  params: { seasonId: ID_PARAM, periodId: ID_PARAM },
+  query: { sink: SINK_QUERY, incremental: fields.flag() }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/mythic-leaderboard/${req.params.seasonId}/${req.params.periodId} - Region: ${req.region || 'unknown'}`);
   try {
     // Check if region is specified in query params
     const specifiedRegion = req.query.region;
     const regionsToProcess = specifiedRegion ? [specifiedRegion.toLowerCase()] : ['us', 'eu', 'kr', 'tw'];
+    const sinkError = incrementalSinkError(req.query.sink, req.query.incremental);
+    if (sinkError) throw new ValidationError(sinkError);
     
     const { seasonId, periodId } = req.params;
-    const seasonNum = parseInt(seasonId, 10);
-    const dungeons = await getSeasonDungeons(seasonNum);
+    const dungeons = await getSeasonDungeons(seasonId);
     if (!dungeons || dungeons.length === 0) {
-      return res.status(404).json({ status: 'NOT OK', error: `No dungeons found for season ${seasonId}` });
+      throw new NotFoundError(`No dungeons found for season ${seasonId}`);
     }
 
-    let allFiles = [];
-    let totalFiles = 0;
-    let fileCount = 0;
-    let failedCount = 0;
-    let failedReasons = [];
+    const crawl = await crawlManifest.createCrawl({ seasonId, regions: regionsToProcess, fromPeriod: periodId, toPeriod: periodId, sink: req.query.sink });
+    const result = await runLeaderboardCrawl(crawl, { dungeons, sinkMode: req.query.sink, incremental: req.query.incremental });
 
-    // Process each region
-    for (const region of regionsToProcess) {
-      try {
-        // Validate region
-        if (!['us', 'eu', 'kr', 'tw'].includes(region)) {
-          console.error(`[INVALID REGION] ${region} is not supported`);
-          failedCount++;
-          failedReasons.push(`Invalid region: ${region}`);
-          continue;
-        }
+    console.log(`[ADVANCED] Mythic leaderboard crawl ${crawl.id} complete for season ${seasonId}, period ${periodId}. Leaderboards: ${result.unitsExpected - result.failedCount}/${result.unitsExpected}. Failed: ${result.failedCount}. Regions: ${regionsToProcess.join(', ')}`);
+    res.json({
+      ...crawlResponse(crawl, req.query.sink, result),
+      regionsProcessed: regionsToProcess,
+      regionsCount: regionsToProcess.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        const realmsResp = await proxyService.getGameData('connected-realms-index', region, req.query);
-        const connectedRealms = realmsResp.data.connected_realms || [];
-        const connectedRealmIds = connectedRealms.map(obj => {
-          const match = obj.href.match(/connected-realm\/(\d+)/);
-          return match ? match[1] : null;
-        }).filter(Boolean);
-        const limit = pLimit(10);
-        const tasks = [];
-        const regionTotalFiles = dungeons.length * connectedRealmIds.length;
-        totalFiles += regionTotalFiles;
-        
-        for (const dungeonId of dungeons) {
-          for (const connectedRealmId of connectedRealmIds) {
-            tasks.push(limit(async () => {
-              try {
-                const lb = await fetchWithRetry(
-                  () => proxyService.getGameData('mythic-leaderboard', region, { connectedRealmId, dungeonId, periodId })
-                );
-                if (lb.data && Array.isArray(lb.data.leading_groups)) {
-                  const runs = [];
-                  for (const group of lb.data.leading_groups) {
-                    const memberIds = group.members.map(m => m.profile.id).sort((a, b) => a - b);
-                    const groupKey = memberIds.join('-');
-                    const run_guid = uuidv4();
-                    runs.push({
-                      dungeon_id: parseInt(dungeonId, 10),
-                      period_id: parseInt(periodId, 10),
-                      realm_id: parseInt(connectedRealmId, 10),
-                      season_id: seasonNum,
-                      region,
-                      completed_at: group.completed_timestamp ? new Date(group.completed_timestamp) : null,
-                      duration_ms: group.duration,
-                      keystone_level: group.keystone_level,
-                      score: (group.mythic_rating && group.mythic_rating.rating != null && group.mythic_rating.rating > 0)
-                        ? group.mythic_rating.rating
-                        : (() => {
-                            const upgrades = getKeystoneUpgradesForDungeon(dungeonId);
-                            return calculateFallbackScore(group.keystone_level, upgrades, group.duration);
-                          })(),
-                      rank: group.ranking,
-                      run_guid,
-                      members: group.members.map(member => {
-                        const specId = member.specialization ? member.specialization.id : null;
-                        return {
-                          character_name: member.profile.name,
-                          class_id: getClassIdFromSpecId(specId),
-                          spec_id: specId,
-                          role: getRoleFromSpecId(specId),
-                          run_guid
-                        };
-                      })
-                    });
-                  }
-                  const outputDir = ensureOutputDir();
-                  const fileName = `${region}-s${seasonId}-p${periodId}-d${dungeonId}-r${connectedRealmId}.json`;
-                  const filePath = path.join(outputDir, fileName);
-                  fs.writeFileSync(filePath, JSON.stringify(runs, null, 2));
-                  allFiles.push(fileName);
-                  fileCount++;
-                  printProgress(fileCount, totalFiles, `File: ${fileName}`);
-                }
-              } catch (e) {
-                console.error(`[API ERROR] region=${region}, dungeonId=${dungeonId}, periodId=${periodId}, connectedRealmId=${connectedRealmId}:`, e.message);
-                failedCount++;
-                failedReasons.push(`API Error for ${region}-${dungeonId}-${periodId}-${connectedRealmId}: ${e.message}`);
-              }
-            }));
-          }
-        }
-        await Promise.allSettled(tasks);
-      } catch (e) {
-        console.error(`[REGION ERROR] Failed to process region ${region}:`, e.message);
-        failedCount++;
-        failedReasons.push(`Region ${region}: ${e.message}`);
-      }
+// --- Crawl manifest ---
+
+// GET /advanced/crawls - Recent crawls, newest first
+router.get('/crawls', validate({
+  query: { season_id: { type: 'int', min: 1 }, limit: fields.limit(20, 100), offset: fields.offset() }
+}), async (req, res, next) => {
+  try {
+    const crawls = await crawlManifest.listCrawls({ seasonId: req.query.season_id, limit: req.query.limit, offset: req.query.offset });
+    res.json({ crawls });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /advanced/crawls/:crawlId - Crawl with per-region coverage
+router.get('/crawls/:crawlId', validate({ params: { crawlId: ID_PARAM } }), async (req, res, next) => {
+  try {
+    const crawl = await crawlManifest.getCrawl(req.params.crawlId);
+    if (!crawl) throw new NotFoundError(`Crawl ${req.params.crawlId} not found`);
+    const coverage = await crawlManifest.getCoverage(crawl.id);
+    res.json({ ...crawl, active: activeCrawls.has(crawl.id), coverage });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /advanced/crawls/:crawlId/resume - Fetch the pending and failed units of a crawl again
+// only_failed=true skips pending units; stale_hours=N also re-fetches units fetched more than N hours ago
+router.post('/crawls/:crawlId/resume', validate({
+  params: { crawlId: ID_PARAM },
+  query: {
+    only_failed: fields.flag(),
+    stale_hours: { type: 'number', min: 0 },
+    sink: { type: 'enum', values: CRAWL_SINKS, lowercase: true },
+    incremental: fields.flag()
+  }
+}), async (req, res, next) => {
+  console.log(`🔧 [ADVANCED] POST /advanced/crawls/${req.params.crawlId}/resume`);
+  try {
+    const crawl = await crawlManifest.getCrawl(req.params.crawlId);
+    if (!crawl) throw new NotFoundError(`Crawl ${req.params.crawlId} not found`);
+    if (activeCrawls.has(crawl.id)) {
+      throw new AppError(`Crawl ${crawl.id} is still running`, { status: HTTP_STATUS.CONFLICT, code: 'CRAWL_RUNNING' });
     }
+    const sinkMode = req.query.sink || crawl.sink;
+    const sinkError = incrementalSinkError(sinkMode, req.query.incremental);
+    if (sinkError) throw new ValidationError(sinkError);
+    const dungeons = await getSeasonDungeons(crawl.season_id);
+    if (!dungeons || dungeons.length === 0) {
+      throw new NotFoundError(`No dungeons found for season ${crawl.season_id}`);
+    }
+
+    const statuses = req.query.only_failed ? ['failed'] : ['pending', 'failed'];
+    const staleBefore = req.query.stale_hours != null ? new Date(Date.now() - req.query.stale_hours * 3600 * 1000) : null;
+    await crawlManifest.markCrawlRunning(crawl.id, sinkMode);
 
-    const succeeded = totalFiles - failedCount;
-    const filesWritten = allFiles.length;
-    console.log(`[ADVANCED] Mythic leaderboard dump complete for season ${seasonId}, period ${periodId}. Files written: ${filesWritten}/${totalFiles}. Failed: ${failedCount}. Regions: ${regionsToProcess.join(', ')}`);
+    const result = await runLeaderboardCrawl(crawl, { dungeons, sinkMode, statuses, staleBefore, incremental: req.query.incremental });
+    console.log(`[ADVANCED] Crawl ${crawl.id} resumed. Leaderboards: ${result.unitsExpected - result.failedCount}/${result.unitsExpected}. Failed: ${result.failedCount}`);
     res.json({
-      status: failedCount === 0 ? 'OK' : 'PARTIAL',
-      message: 'Data written to JSON files',
-      filesWritten: succeeded,
-      filesExpected: totalFiles,
-      failedCount: failedCount,
-      failedReasons: failedReasons,
-      regionsProcessed: regionsToProcess,
-      regionsCount: regionsToProcess.length
+      ...crawlResponse(crawl, sinkMode, result),
+      resumed: { statuses, staleBefore }
     });
   } catch (error) {
-    res.status(500).json({ status: 'NOT OK', error: error.message });
+    next(error);
   }
 });
 
 // --- New endpoints for filter population ---
 
 // /advanced/seasons
-router.get('/seasons', async (req, res) => {
+router.get('/seasons', async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/seasons`);
   try {
     const { rows } = await db.pool.query(
@@ -794,18 +852,21 @@ router.get('/seasons', async (req, res) => {
       return res.json(rows);
     }
   } catch (e) {
-    console.warn('[ADVANCED/seasons] DB lookup failed, falling back to constants:', e.message);
+    console.warn('[ADVANCED/seasons] DB lookup failed, falling back to the season catalog:', e.message);
+  }
+  // Fallback to the season metadata in the catalog if the season table is empty/unavailable
+  try {
+    const catalog = await getCatalog();
+    return res.json(catalog.seasons.map(s => ({ season_id: s.season_id, season_name: catalog.seasonName(s.season_id) })));
+  } catch (e) {
+    return next(e);
   }
-  // Fallback to constants if DB is empty/unavailable
-  const seasons = Object.entries(SEASON_NAMES).map(([season_id, season_name]) => ({
-    season_id: Number(season_id),
-    season_name
-  }));
-  return res.json(seasons);
 });
 
 // /advanced/season-info/:seasonId
-router.get('/season-info/:seasonId', async (req, res, next) => {
+router.get('/season-info/:seasonId', validate({
+  params: { seasonId: ID_PARAM }
+}), async (req, res, next) => {
   console.log(`🔧 [ADVANCED] GET /advanced/season-info/${req.params.seasonId} - Region: ${req.region || 'unknown'}`);
   try {
     const { region } = req;
@@ -823,11 +884,12 @@ router.get('/season-info/:seasonId', async (req, res, next) => {
       return period_id ? { period_id, period_name: `Week ${idx + 1}` } : null;
     }).filter(Boolean);
     // Get dungeons for the season
-    const seasonDungeonIds = SEASON_DUNGEONS[seasonId] || [];
+    const seasonDungeonIds = await getSeasonDungeons(seasonId);
+    const dungeonInfo = await getDungeonTimers(seasonId);
     const dungeons = seasonDungeonIds
       .map(id => {
-        const found = WOW_DUNGEONS.find(d => d.id === id);
-        return found ? { dungeon_id: found.id, dungeon_name: found.name, dungeon_shortname: found.shortname } : null;
+        const found = dungeonInfo.get(id);
+        return found ? { dungeon_id: found.id, dungeon_name: found.name, dungeon_shortname: found.short_name } : null;
       })
       .filter(Boolean);
     res.json({ periods, dungeons });
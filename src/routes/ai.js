@@ -1,8 +1,11 @@
 const express = require('express');
 const axios = require('axios');
 const db = require('../services/db');
-const { WOW_SPECIALIZATIONS, WOW_CLASSES, WOW_CLASS_COLORS, WOW_SPEC_ROLES } = require('../config/constants');
-const { getSpecEvolutionForSeason, getCompositionDataForSeason } = require('../services/meta-helpers');
+const { getCatalog } = require('../services/catalog');
+const { getSpecEvolutionForSeason, getCompositionDataForSeason, keyLevelBrackets } = require('../services/meta-helpers');
+const { validate, fields } = require('../middleware/validate');
+const { AppError, NotFoundError, ValidationError, UpstreamError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../config/constants');
 
 const router = express.Router();
 
@@ -10,6 +13,11 @@ const router = express.Router();
 function isNumberArray(a) { return Array.isArray(a) && a.every(n => typeof n === 'number' && Number.isFinite(n)); }
 function isStringArray(a) { return Array.isArray(a) && a.every(s => typeof s === 'string'); }
 
+// Affix names of a spec evolution entry (null when the week's affixes are unknown)
+function affixNames(entry) {
+  return Array.isArray(entry?.affixes) ? entry.affixes.map(a => a.name) : null;
+}
+
 // Minimal, safe logging for axios errors (avoid dumping headers)
 function logAxiosError(prefix, error) {
   const status = error?.response?.status;
@@ -24,6 +32,29 @@ function logAxiosError(prefix, error) {
   }
 }
 
+// The model answered, but not with JSON we can parse or that passes validation
+function invalidAIResponse(message, details) {
+  return new AppError(message, { status: HTTP_STATUS.BAD_GATEWAY, code: 'UPSTREAM_INVALID_RESPONSE', details });
+}
+
+// Axios failures talking to OpenAI become UpstreamErrors; anything else reaches the error handler as is.
+// No cause: the axios error carries the Authorization header and the error handler logs causes.
+function toOpenAIError(error) {
+  if (error instanceof AppError || !(error?.response || error?.request)) return error;
+  const status = error.response?.status ?? null;
+  const apiError = error.response?.data?.error;
+  const apiMessage = (typeof apiError === 'string' ? apiError : apiError?.message) || 'Unknown error';
+  let message;
+  if (apiError?.code === 'model_not_found') {
+    message = `OpenAI model not available (${apiMessage}). Please check your OpenAI account or try a different model (gpt-4o-mini, gpt-3.5-turbo, etc.)`;
+  } else if (status) {
+    message = `OpenAI API error ${status}: ${apiMessage}`;
+  } else {
+    message = `No response from OpenAI: ${error.message}`;
+  }
+  return new UpstreamError(message, { service: 'openai', upstreamStatus: status, endpoint: 'chat/completions' });
+}
+
 // Configurable performance caps (env overrides)
 const AI_MAX_PERIODS = Number(process.env.AI_MAX_PERIODS) > 0 ? Number(process.env.AI_MAX_PERIODS) : 18;
 const AI_MAX_KEYS_PER_PERIOD = Number(process.env.AI_MAX_KEYS_PER_PERIOD) > 0 ? Number(process.env.AI_MAX_KEYS_PER_PERIOD) : 1000;
@@ -132,15 +163,13 @@ function validateMetaHealthResponse(resp) {
 
 // POST /ai/predictions
 // Send data to OpenAI for AI-powered meta predictions
-router.post('/predictions', async (req, res) => {
-  console.log(`🤖 [AI] POST /ai/predictions - Season: ${req.body.seasonId || 'unknown'}`);
+router.post('/predictions', validate({
+  body: { seasonId: fields.seasonId({ required: true }), forceRefresh: fields.flag() }
+}), async (req, res, next) => {
+  console.log(`🤖 [AI] POST /ai/predictions - Season: ${req.body.seasonId}`);
   try {
     const { seasonId, forceRefresh } = req.body;
 
-    if (!seasonId) {
-      return res.status(400).json({ error: 'Missing required data: seasonId' });
-    }
-
     // Check for cached analysis first
     console.log(`📋 [AI] Checking cache for season ${seasonId}`);
     const cachedResult = await db.pool.query(
@@ -186,13 +215,13 @@ router.post('/predictions', async (req, res) => {
     // Get composition data using the helper function
     const seasonData = await getCompositionDataForSeason(seasonId);
     if (!seasonData) {
-      return res.status(404).json({ error: 'No composition data found for this season' });
+      throw new NotFoundError('No composition data found for this season');
     }
 
     // Get spec evolution data using the helper function
     const specEvolution = await getSpecEvolutionForSeason(seasonId);
     if (!specEvolution) {
-      return res.status(404).json({ error: 'No spec evolution data found for this season' });
+      throw new NotFoundError('No spec evolution data found for this season');
     }
 
 
@@ -224,7 +253,7 @@ router.post('/predictions', async (req, res) => {
     // Processing periods for AI analysis
     
     if (periodsToProcess.length === 0) {
-      return res.status(400).json({ error: 'No periods available for analysis' });
+      throw new ValidationError('No periods available for analysis');
     }
     
     periodsToProcess.forEach((period, periodIndex) => {
@@ -428,8 +457,8 @@ SEASON DATA:
 SPEC TEMPORAL DATA:
 ${JSON.stringify(specTemporalDataForAITrim)}
 
-SPEC EVOLUTION DATA (last ${maxPeriodsToProcess} periods):
-${JSON.stringify({ evolution: slicedEvolution })}
+SPEC EVOLUTION DATA (last ${maxPeriodsToProcess} periods, with each week's affixes):
+${JSON.stringify({ evolution: slicedEvolution.map(e => ({ ...e, affixes: affixNames(e) })) })}
 
 SPEC NAMES REFERENCE:
 Use these exact spec names in your predictions:
@@ -442,7 +471,8 @@ IMPORTANT:
 2. Use the exact class names from the reference above (e.g., "Demon Hunter", "Priest", "Death Knight")
 3. CRITICAL: Each spec can only appear ONCE in the entire predictions array. Do NOT include the same specId more than once.
 4. Do NOT include classColor in your response - we will handle colors on the backend
-5. Respond ONLY with valid JSON in the exact format specified. Do not include any additional text, explanations, or markdown formatting. Start your response with { and end with }.`
+5. When usage shifts between weeks whose affixes differ, say in reasoning/metaTrends whether the affix rotation plausibly explains it.
+6. Respond ONLY with valid JSON in the exact format specified. Do not include any additional text, explanations, or markdown formatting. Start your response with { and end with }.`
         }
       ],
         ...(includeTemperature ? { temperature: 0.2 } : {}),
@@ -598,9 +628,8 @@ IMPORTANT:
     }
 
     if (!parsedResponse) {
-      return res.status(500).json({
-        error: 'Failed to parse AI response',
-        details: (parseErrorMemo && parseErrorMemo.message) || 'Invalid or truncated response',
+      throw invalidAIResponse('Failed to parse AI response', {
+        reason: (parseErrorMemo && parseErrorMemo.message) || 'Invalid or truncated response',
         finishReason: finishReason || 'unknown',
         rawResponse: (aiResponse || '').substring(0, 2000)
       });
@@ -608,7 +637,7 @@ IMPORTANT:
 
     // Validate and process the AI response
     if (!parsedResponse.predictions || !Array.isArray(parsedResponse.predictions)) {
-      return res.status(500).json({ error: 'Invalid AI response format' });
+      throw invalidAIResponse('Invalid AI response format');
     }
 
     // Remove duplicate predictions by specId (keep the first occurrence)
@@ -625,16 +654,16 @@ IMPORTANT:
     }
     
     // Process predictions to ensure they have all required fields
+    const catalog = await getCatalog();
     const processedPredictions = uniquePredictions.map(pred => {
       // Find the spec by ID
-      const spec = WOW_SPECIALIZATIONS.find(s => s.id === pred.specId);
+      const spec = catalog.spec(pred.specId);
       const specName = pred.specName || spec?.name || 'Unknown';
       
       // Find the class by ID
-      const classInfo = WOW_CLASSES.find(c => c.id === spec?.classId);
-      const className = pred.className || classInfo?.name || 'Unknown';
+      const className = pred.className || spec?.class_name || 'Unknown';
       // Always use our backend color mapping, ignore AI-provided colors
-      const classColor = WOW_CLASS_COLORS[spec?.classId] || '#666666';
+      const classColor = catalog.classColor(spec?.class_id) || '#666666';
       
       return {
         ...pred,
@@ -666,7 +695,7 @@ IMPORTANT:
     // Lightweight schema validation before caching
     const validation = validatePredictionsResponse(analysisResult);
     if (!validation.ok) {
-      return res.status(500).json({ error: 'AI response failed validation', details: validation.errors.slice(0, 10) });
+      throw invalidAIResponse('AI response failed validation', validation.errors.slice(0, 10));
     }
 
     // Cache the analysis result
@@ -714,39 +743,16 @@ IMPORTANT:
 
   } catch (error) {
     logAxiosError('[AI PREDICTIONS ERROR]', error);
-    
-    if (error.response) {
-  // Minimal OpenAI API error logging without leaking headers/keys
-  console.error('OpenAI API Error:', error.response.status, error.response.data?.error || 'Unknown error');
-      
-      // Handle model-specific errors
-      if (error.response.data?.error?.code === 'model_not_found') {
-        res.status(500).json({ 
-          error: `Model '${openAIModel}' not available. Please check your OpenAI account or try a different model (gpt-4o-mini, gpt-3.5-turbo, etc.)` 
-        });
-      } else {
-        res.status(500).json({ 
-          error: `OpenAI API Error: ${error.response.status} - ${error.response.data?.error?.message || error.response.data?.error || 'Unknown error'}` 
-        });
-      }
-    } else if (error.request) {
-      console.error('Network Error:', error.message);
-      res.status(500).json({ error: `Network Error: ${error.message}` });
-    } else {
-      console.error('Other Error:', error.message);
-      res.status(500).json({ error: error.message });
-    }
+    next(toOpenAIError(error));
   }
 });
 
 // POST /ai/meta-health
 // Purpose: AI-powered analysis of meta health, diversity, and balance
-router.post('/meta-health', async (req, res) => {
+router.post('/meta-health', validate({
+  body: { seasonId: fields.seasonId({ required: true }), forceRefresh: fields.flag() }
+}), async (req, res, next) => {
   const { seasonId, forceRefresh } = req.body;
-  
-  if (!seasonId) {
-    return res.status(400).json({ error: 'Missing required data: seasonId' });
-  }
 
   console.log(`🤖 [AI] POST /ai/meta-health - Season: ${seasonId}`);
 
@@ -757,13 +763,13 @@ router.post('/meta-health', async (req, res) => {
     // Get composition data using the helper function
     const compositionData = await getCompositionDataForSeason(seasonId);
     if (!compositionData) {
-      return res.status(404).json({ error: 'No composition data found for this season' });
+      throw new NotFoundError('No composition data found for this season');
     }
 
     // Get spec evolution data using the helper function
     const specEvolution = await getSpecEvolutionForSeason(seasonId);
     if (!specEvolution) {
-      return res.status(404).json({ error: 'No spec evolution data found for this season' });
+      throw new NotFoundError('No spec evolution data found for this season');
     }
 
     console.log(`📊 [AI] Data fetched successfully - Periods: ${compositionData.periods.length}, Evolution entries: ${specEvolution.evolution.length}`);
@@ -809,6 +815,7 @@ router.post('/meta-health', async (req, res) => {
     });
 
     // Simple spec usage calculation by role
+    const catalog = await getCatalog();
     const roleStats = { tank: {}, healer: {}, dps: {} };
     const roleRunCounts = { tank: 0, healer: 0, dps: 0 };
     const compositionCounts = {};
@@ -819,7 +826,7 @@ router.post('/meta-health', async (req, res) => {
         
       run.members?.forEach(member => {
           const specId = member.spec_id;
-          const role = WOW_SPEC_ROLES[specId] || 'dps';
+          const role = catalog.role(specId) || 'dps';
           
         // Initialize spec if not seen
         if (!roleStats[role][specId]) {
@@ -835,7 +842,7 @@ router.post('/meta-health', async (req, res) => {
         
       // Count unique roles per run (for percentage calculations)
       ['tank', 'healer', 'dps'].forEach(role => {
-        if (run.members?.some(m => (WOW_SPEC_ROLES[m.spec_id] || 'dps') === role)) {
+        if (run.members?.some(m => (catalog.role(m.spec_id) || 'dps') === role)) {
           roleRunCounts[role]++;
         }
       });
@@ -866,14 +873,7 @@ router.post('/meta-health', async (req, res) => {
           count: stat.count,
           usagePercentage: Math.round(usagePercentage * 100) / 100,
           avgLevel: stat.count > 0 ? Math.round(stat.totalLevel / stat.count) : 0,
-          specName: (() => {
-          const spec = WOW_SPECIALIZATIONS.find(s => s.id === parseInt(specId));
-          if (spec) {
-            const className = WOW_CLASSES.find(c => c.id === spec.classId)?.name || '';
-            return className ? `${spec.name} ${className}` : spec.name;
-          }
-          return `Spec ${specId}`;
-        })(),
+          specName: catalog.specLabel(specId) || `Spec ${specId}`,
           role: role
         };
       });
@@ -885,15 +885,7 @@ router.post('/meta-health', async (req, res) => {
       .slice(0, 10)
       .map(([specs, count]) => {
         const specIds = specs.split(',').map(Number);
-        const specNames = specIds.map(specId => {
-          // Find the spec name and class name from WOW_SPECIALIZATIONS
-          const spec = WOW_SPECIALIZATIONS.find(s => s.id === specId);
-          if (spec) {
-            const className = WOW_CLASSES.find(c => c.id === spec.classId)?.name || '';
-            return className ? `${spec.name} ${className}` : spec.name;
-          }
-          return `Unknown Spec ${specId}`;
-        });
+        const specNames = specIds.map(specId => catalog.specLabel(specId) || `Unknown Spec ${specId}`);
         
         return {
           specs: specIds,
@@ -971,12 +963,8 @@ GUIDELINES:
     console.log(`🔍 [AI] Debug: Examples of class-disambiguated names:`);
     const sampleSpecs = [264, 251, 73, 577, 62]; // Restoration, Frost, Protection, Havoc, Arcane
     sampleSpecs.forEach(specId => {
-      const spec = WOW_SPECIALIZATIONS.find(s => s.id === specId);
-      if (spec) {
-        const className = WOW_CLASSES.find(c => c.id === spec.classId)?.name || '';
-        const fullName = className ? `${spec.name} ${className}` : spec.name;
-        console.log(`  ${specId} → ${fullName}`);
-      }
+      const fullName = catalog.specLabel(specId);
+      if (fullName) console.log(`  ${specId} → ${fullName}`);
     });
 
     const userPrompt = `Analyze this Mythic+ season data for meta health:
@@ -1168,9 +1156,8 @@ Respond with ONLY valid JSON in the exact format specified. No markdown, no expl
     }
 
     if (!parsedResponse) {
-      return res.status(500).json({
-        error: 'Failed to parse AI response',
-        details: (parseErrorMemo && parseErrorMemo.message) || 'Invalid or truncated response',
+      throw invalidAIResponse('Failed to parse AI response', {
+        reason: (parseErrorMemo && parseErrorMemo.message) || 'Invalid or truncated response',
         finishReason: finishReason || 'unknown',
         rawResponse: (aiResponse || '').substring(0, 2000)
       });
@@ -1334,7 +1321,7 @@ Use the spec names from the specName fields in the data.`;
     }
     
     if (!mhValidation.ok) {
-      return res.status(500).json({ error: 'AI meta_health response failed validation', details: mhValidation.errors.slice(0, 5) });
+      throw invalidAIResponse('AI meta_health response failed validation', mhValidation.errors.slice(0, 5));
     }
 
 
@@ -1360,30 +1347,20 @@ Use the spec names from the specName fields in the data.`;
 
   } catch (error) {
     logAxiosError('Meta health analysis error:', error);
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({ error: 'OpenAI rate limit exceeded. Please try again later.' });
-    }
-    
-    if (error.response?.status === 401) {
-      return res.status(500).json({ error: 'OpenAI API key is invalid or missing.' });
-    }
-    
-    res.status(500).json({ error: 'Failed to analyze meta health' });
+    next(toOpenAIError(error));
   }
 });
 
 // GET /ai/analysis/:season_id
 // Get cached AI analysis for a season
-router.get('/analysis/:season_id', async (req, res) => {
-  const analysisType = req.query.type || 'predictions';
+router.get('/analysis/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: { type: { type: 'string', pattern: /^[a-z0-9_]+$/, maxLength: 64, default: 'predictions' } }
+}), async (req, res, next) => {
+  const analysisType = req.query.type;
   console.log(`🤖 [AI] GET /ai/analysis/${req.params.season_id} (type=${analysisType})`);
   try {
-    const season_id = Number(req.params.season_id);
-    
-    if (!season_id) {
-      return res.status(400).json({ error: 'season_id is required' });
-    }
+    const { season_id } = req.params;
 
     // Get analysis type from query parameter, default to 'predictions'
     // const analysisType = req.query.type || 'predictions';
@@ -1416,7 +1393,7 @@ router.get('/analysis/:season_id', async (req, res) => {
                'DELETE FROM ai_analysis WHERE season_id = $1 AND analysis_type = $2',
                [season_id, analysisType]
              );
-             return res.status(404).json({ error: `No cached analysis available for type '${analysisType}'. Please use POST /ai/tier-list to generate new analysis.` });
+             return next(new NotFoundError(`No cached analysis available for type '${analysisType}'. Please use POST /ai/tier-list to generate new analysis.`));
            }
          }
          
@@ -1452,32 +1429,36 @@ router.get('/analysis/:season_id', async (req, res) => {
     : analysisType === 'tier_list'
       ? 'POST /ai/tier-list'
       : 'POST /ai/predictions';
-  res.status(404).json({ error: `No cached analysis available for type '${analysisType}'. Please use ${generateHint} to generate new analysis.` });
+  next(new NotFoundError(`No cached analysis available for type '${analysisType}'. Please use ${generateHint} to generate new analysis.`));
 
   } catch (error) {
-    console.error('[AI ANALYSIS ERROR]', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // POST /ai/affix-insights
 // MVP: Affix-aware insights using week-over-week deltas; cached per (seasonId, periodId)
-router.post('/affix-insights', async (req, res) => {
+router.post('/affix-insights', validate({
+  body: {
+    seasonId: fields.seasonId({ required: true }),
+    periodId: fields.periodId({ inSeason: 'seasonId' }),
+    dungeonId: fields.dungeonId()
+  }
+}), async (req, res, next) => {
   try {
-    const { seasonId, periodId: requestedPeriodId, dungeonId } = req.body || {};
-    if (!seasonId) return res.status(400).json({ error: 'Missing required data: seasonId' });
+    const { seasonId, periodId: requestedPeriodId, dungeonId } = req.body;
 
     // Fetch required season data
     const compositionData = await getCompositionDataForSeason(seasonId);
     const specEvolution = await getSpecEvolutionForSeason(seasonId);
     if (!compositionData || !specEvolution) {
-      return res.status(404).json({ error: 'No data available for this season' });
+      throw new NotFoundError('No data available for this season');
     }
 
     // Resolve target period: use provided or latest non-empty
     const nonEmptyPeriods = (compositionData.periods || []).filter(p => (p.keys_count || 0) > 0);
     if (nonEmptyPeriods.length === 0) {
-      return res.status(404).json({ error: 'No non-empty periods found for this season' });
+      throw new NotFoundError('No non-empty periods found for this season');
     }
     const latestPeriod = nonEmptyPeriods[nonEmptyPeriods.length - 1];
     const periodId = requestedPeriodId || latestPeriod.period_id;
@@ -1506,9 +1487,22 @@ router.post('/affix-insights', async (req, res) => {
     const current = evo[idx];
     const previous = idx > 0 ? evo[idx - 1] : null;
     if (!current || !current.spec_counts) {
-      return res.status(404).json({ error: 'No evolution data for requested period' });
+      throw new NotFoundError('No evolution data for requested period');
     }
 
+    // Affix rotation between the two weeks; only attributed when both weeks' affixes are known
+    const currentAffixes = affixNames(current);
+    const previousAffixes = previous ? affixNames(previous) : null;
+    const affixChange = {
+      current: currentAffixes,
+      previous: previousAffixes,
+      added: currentAffixes && previousAffixes ? currentAffixes.filter(n => !previousAffixes.includes(n)) : [],
+      removed: currentAffixes && previousAffixes ? previousAffixes.filter(n => !currentAffixes.includes(n)) : []
+    };
+    const rotation = affixChange.added.length > 0 || affixChange.removed.length > 0
+      ? ` after the affix rotation (${affixChange.removed.join(', ') || 'none'} -> ${affixChange.added.join(', ') || 'none'})`
+      : '';
+
     // Optionally filter by dungeon (MVP: skip filtering; placeholder retained)
     // Compute usage shares per spec for current and previous
     const sumCounts = (obj) => Object.values(obj || {}).reduce((a, b) => a + (typeof b === 'number' ? b : 0), 0);
@@ -1530,16 +1524,17 @@ router.post('/affix-insights', async (req, res) => {
       .filter(c => c.delta > 0)
       .sort((a, b) => b.delta - a.delta)
       .slice(0, 6)
-      .map(c => ({ specId: c.specId, reason: `Week-over-week usage share increased by ${(c.delta * 100).toFixed(1)}%.`, confidence: c.confidence }));
+      .map(c => ({ specId: c.specId, reason: `Week-over-week usage share increased by ${(c.delta * 100).toFixed(1)}%${rotation}.`, confidence: c.confidence }));
 
     const losers = changes
       .filter(c => c.delta < 0)
       .sort((a, b) => a.delta - b.delta)
       .slice(0, 6)
-      .map(c => ({ specId: c.specId, reason: `Week-over-week usage share decreased by ${(Math.abs(c.delta) * 100).toFixed(1)}%.`, confidence: c.confidence }));
+      .map(c => ({ specId: c.specId, reason: `Week-over-week usage share decreased by ${(Math.abs(c.delta) * 100).toFixed(1)}%${rotation}.`, confidence: c.confidence }));
 
     const response = {
-      summary: `Period ${current.week || ''}: ${winners.length} rising, ${losers.length} declining specs compared to previous week.`.trim(),
+      summary: `Period ${current.week || ''}: ${winners.length} rising, ${losers.length} declining specs compared to previous week${rotation}.`.trim(),
+      affixes: affixChange,
       winners,
       losers,
       dungeonTips: [],
@@ -1560,16 +1555,17 @@ router.post('/affix-insights', async (req, res) => {
     return res.json(response);
   } catch (err) {
   logAxiosError('[AI AFFIX INSIGHTS ERROR]', err);
-    return res.status(500).json({ error: 'Failed to generate affix insights' });
+    next(toOpenAIError(err));
   }
 });
 
 // POST /ai/tier-list
 // Purpose: AI-powered S–D tier list for specs in the season (tiers only)
-router.post('/tier-list', async (req, res) => {
+router.post('/tier-list', validate({
+  body: { seasonId: fields.seasonId({ required: true }), forceRefresh: fields.flag() }
+}), async (req, res, next) => {
   try {
-    const { seasonId, forceRefresh } = req.body || {};
-    if (!seasonId) return res.status(400).json({ error: 'Missing required data: seasonId' });
+    const { seasonId, forceRefresh } = req.body;
 
     // Cache check (8h TTL)
     const analysisType = 'tier_list';
@@ -1591,10 +1587,11 @@ router.post('/tier-list', async (req, res) => {
     const compositionData = await getCompositionDataForSeason(seasonId);
     const specEvolution = await getSpecEvolutionForSeason(seasonId);
     if (!compositionData || !specEvolution) {
-      return res.status(404).json({ error: 'No data available for this season' });
+      throw new NotFoundError('No data available for this season');
     }
 
     // Build compact usage snapshot per spec similar to meta health usage calc
+    const catalog = await getCatalog();
   const maxPeriodsToProcess = Math.min(compositionData.total_periods, AI_MAX_PERIODS);
   const recentPeriods = compositionData.periods.slice(-maxPeriodsToProcess);
   // Use only non-empty periods to compute usage
@@ -1613,7 +1610,7 @@ router.post('/tier-list', async (req, res) => {
         const countedRoles = new Set();
         (run.members || []).forEach((m) => {
           const specId = m.spec_id;
-          const role = WOW_SPEC_ROLES[specId] || 'dps';
+          const role = catalog.role(specId) || 'dps';
           if (!roleSpec[role][specId]) roleSpec[role][specId] = { appearances: 0 };
           if (!countedSpecs.has(specId)) { roleSpec[role][specId].appearances++; countedSpecs.add(specId); }
           if (!countedRoles.has(role)) { roleTotals[role]++; countedRoles.add(role); }
@@ -1629,41 +1626,18 @@ router.post('/tier-list', async (req, res) => {
       });
     });
     // Derive dynamic level brackets from observed keystone level distribution
-    const buildPercentile = (sorted, p) => {
-      if (!sorted.length) return 0;
-      const idx = (sorted.length - 1) * p;
-      const lo = Math.floor(idx);
-      const hi = Math.ceil(idx);
-      if (lo === hi) return sorted[lo];
-      const w = idx - lo;
-      return sorted[lo] * (1 - w) + sorted[hi] * w;
-    };
-    if (allLevels.length > 0) {
-      const sorted = allLevels.slice().sort((a, b) => a - b);
-      const p40 = Math.round(buildPercentile(sorted, 0.40));
-      const p60 = Math.round(buildPercentile(sorted, 0.60));
-      const p80 = Math.round(buildPercentile(sorted, 0.80));
-      const p90 = Math.round(buildPercentile(sorted, 0.90));
-      // Ensure strictly increasing thresholds to avoid overlaps after rounding
-      const t40 = p40;
-      const t60 = Math.max(t40 + 1, p60);
-      const t80 = Math.max(t60 + 1, p80);
-      const t90 = Math.max(t80 + 1, p90);
-      levelBrackets = [
-        { label: 'P40-60', min: t40, max: t60 },
-        { label: 'P60-80', min: t60, max: t80 },
-        { label: 'P80-90', min: t80, max: t90 },
-        { label: 'P90+',   min: t90, max: Infinity }
-      ];
-    } else {
+    const levelCounts = new Map();
+    allLevels.forEach((lvl) => levelCounts.set(lvl, (levelCounts.get(lvl) || 0) + 1));
+    const levelHistogram = [...levelCounts.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([keystone_level, runs]) => ({ keystone_level, runs }));
+    levelBrackets = keyLevelBrackets(levelHistogram, allLevels.length) || [
       // Fallback (should be rare given noRunsData check)
-      levelBrackets = [
-        { label: 'P40-60', min: 10, max: 15 },
-        { label: 'P60-80', min: 15, max: 20 },
-        { label: 'P80-90', min: 20, max: 25 },
-        { label: 'P90+',   min: 25, max: Infinity }
-      ];
-    }
+      { label: 'P40-60', min: 10, max: 15 },
+      { label: 'P60-80', min: 15, max: 20 },
+      { label: 'P80-90', min: 20, max: 25 },
+      { label: 'P90+',   min: 25, max: null }
+    ];
     // Now count per-spec levels into dynamic brackets (max exclusive except last bucket)
     const pickBucket = (lvl) => {
       for (let i = 0; i < levelBrackets.length; i++) {
@@ -1727,7 +1701,7 @@ router.post('/tier-list', async (req, res) => {
 
     // Role-normalized usage: compare usage to per-role expected share so DPS aren't penalized for having more specs
     const roleSpecCounts = { tank: 0, healer: 0, dps: 0 };
-    WOW_SPECIALIZATIONS.forEach(s => { const r = WOW_SPEC_ROLES[s.id] || 'dps'; if (roleSpecCounts[r] !== undefined) roleSpecCounts[r]++; });
+    catalog.specs.forEach(s => { if (roleSpecCounts[s.role] !== undefined) roleSpecCounts[s.role]++; });
     const expectedShareByRole = {
       tank: roleSpecCounts.tank > 0 ? 100 / roleSpecCounts.tank : 0,       // one tank spot
       healer: roleSpecCounts.healer > 0 ? 100 / roleSpecCounts.healer : 0, // one healer spot
@@ -1736,7 +1710,7 @@ router.post('/tier-list', async (req, res) => {
     const roleNormalizedUsageBySpec = {}; // usage / expectedShare(role)
     Object.entries(usageBySpec).forEach(([sid, u]) => {
       const specIdNum = Number(sid);
-      const role = WOW_SPEC_ROLES[specIdNum] || 'dps';
+      const role = catalog.role(specIdNum) || 'dps';
       const expected = expectedShareByRole[role] || 0;
       const ratio = expected > 0 ? (Number(u) / expected) : 0;
       roleNormalizedUsageBySpec[sid] = Math.round(ratio * 1000) / 1000; // keep 3 decimals
@@ -1746,7 +1720,11 @@ router.post('/tier-list', async (req, res) => {
     const noRunsData = periodsToProcess.length === 0 || (roleTotals.tank + roleTotals.healer + roleTotals.dps) === 0;
     const evoSlice = (specEvolution.evolution || []).slice(-maxPeriodsToProcess);
     if (noRunsData) {
-      return res.status(409).json({ error: 'Insufficient recent runs data to build tier list', periodsConsidered: periodsToProcess.length, evolutionPoints: evoSlice.length });
+      throw new AppError('Insufficient recent runs data to build tier list', {
+        status: HTTP_STATUS.CONFLICT,
+        code: 'INSUFFICIENT_DATA',
+        details: { periodsConsidered: periodsToProcess.length, evolutionPoints: evoSlice.length }
+      });
     }
 
   // Limit evolution window and include last few periods spec_counts for trend hints
@@ -1777,9 +1755,9 @@ OUTPUT: JSON only with { "tiers": { "S": SpecEntry[], "A": SpecEntry[], "B": Spe
 Use EXACT uppercase keys: "S","A","B","C","D"; include all keys even if empty.
 SpecEntry fields: { specId, specName, className, role, usage }.`;
 
-    const specRef = WOW_SPECIALIZATIONS.reduce((acc, s) => { acc[s.id] = { name: s.name, classId: s.classId }; return acc; }, {});
-    const classRef = WOW_CLASSES.reduce((acc, c) => { acc[c.id] = c.name; return acc; }, {});
-    const roleRef = WOW_SPEC_ROLES;
+    const specRef = catalog.specs.reduce((acc, s) => { acc[s.id] = { name: s.name, classId: s.class_id }; return acc; }, {});
+    const classRef = catalog.classes.reduce((acc, c) => { acc[c.id] = c.name; return acc; }, {});
+    const roleRef = catalog.specs.reduce((acc, s) => { acc[s.id] = s.role; return acc; }, {});
 
     // Compute bracket-driven high-key weighting and composite scores to emphasize higher keys
     // Define progressive weights for brackets (last bracket highest). If number of brackets differs, extra brackets use last weight.
@@ -1836,7 +1814,7 @@ SpecEntry fields: { specId, specName, className, role, usage }.`;
       levelDistributionBySpec,
       highKeyBiasBySpec,
       highKeyPriorityScoreBySpec,
-      evolution: evoSlice.map(e => ({ period_id: e.period_id, spec_counts: e.spec_counts })),
+      evolution: evoSlice.map(e => ({ period_id: e.period_id, affixes: affixNames(e), spec_counts: e.spec_counts })),
       specRef,
       classRef,
       roleRef
@@ -1945,7 +1923,7 @@ SpecEntry fields: { specId, specName, className, role, usage }.`;
         parsed = tryParse(rfRaw);
       } catch {}
     }
-    if (!parsed) return res.status(500).json({ error: 'Failed to parse AI response' });
+    if (!parsed) throw invalidAIResponse('Failed to parse AI response');
 
     // Normalize and enrich spec entries with canonical names and classes
     const tiers = parsed.tiers || {};
@@ -1966,9 +1944,9 @@ SpecEntry fields: { specId, specName, className, role, usage }.`;
     const unknownTierKeys = [];
     const pushNorm = (tierKey, entry) => {
       const specId = Number(entry.specId);
-      const spec = WOW_SPECIALIZATIONS.find(s => s.id === specId);
-      const className = spec ? (WOW_CLASSES.find(c => c.id === spec.classId)?.name || 'Unknown') : (entry.className || 'Unknown');
-      const role = WOW_SPEC_ROLES[specId] || entry.role || 'dps';
+      const spec = catalog.spec(specId);
+      const className = spec ? (spec.class_name || 'Unknown') : (entry.className || 'Unknown');
+      const role = spec?.role || entry.role || 'dps';
       const usage = typeof entry.usage === 'number' ? entry.usage : Number(usageBySpec[specId] || 0);
       normTiers[tierKey].push({
         specId,
@@ -2042,13 +2020,13 @@ SpecEntry fields: { specId, specName, className, role, usage }.`;
         if (!v2.ok || totalStrict === 0) {
           console.warn('⚠️ [AI] Strict retry still invalid/empty. Returning error (no fallback).');
           const counts2 = Object.fromEntries(['S','A','B','C','D'].map(k => [k, strictResult.tiers[k].length]));
-          return res.status(502).json({ error: 'AI tier list invalid after strict retry', details: v2.errors?.slice(0,10) || [], counts: counts2 });
+          throw invalidAIResponse('AI tier list invalid after strict retry', { errors: v2.errors?.slice(0,10) || [], counts: counts2 });
         } else {
           Object.assign(result, strictResult);
         }
       } catch (reErr) {
-        console.warn('⚠️ [AI] Strict retry errored. Returning error (no fallback).');
-        return res.status(502).json({ error: 'AI tier list strict retry failed', message: reErr?.message || 'unknown error' });
+        if (!(reErr instanceof AppError)) console.warn('⚠️ [AI] Strict retry errored. Returning error (no fallback).');
+        throw toOpenAIError(reErr);
       }
     }
 
@@ -2064,7 +2042,7 @@ SpecEntry fields: { specId, specName, className, role, usage }.`;
     return res.json(result);
   } catch (err) {
     logAxiosError('[AI TIER LIST ERROR]', err);
-  return res.status(500).json({ error: 'Failed to generate tier list' });
+    next(toOpenAIError(err));
   }
 });
 // baseline builder removed to avoid non-AI fallbacks
@@ -1,37 +1,137 @@
 const express = require('express');
 const router = express.Router();
-const { getUserTokenFromCode } = require('../services/blizzard/auth');
+const { buildAuthorizeUrl, exchangeCodeForToken, getUserInfo } = require('../services/blizzard/auth');
+const { createOAuthState, verifyOAuthState, createSession, destroySession } = require('../services/session');
+const {
+  loadSession,
+  setSessionCookie,
+  clearSessionCookie,
+  setStateCookie,
+  clearStateCookie,
+  getStateCookie
+} = require('../middleware/session');
+const { isValidRegion, DEFAULT_REGION } = require('../config/regions');
+const { HTTP_STATUS } = require('../config/constants');
+const { AppError, ValidationError, UnauthorizedError } = require('../utils/errors');
+
+router.use(loadSession);
+
+// Only redirect back to origins we serve (prevents open redirects after login)
+function isAllowedReturnTo(url) {
+  if (!url) return false;
+  const allowed = [process.env.FRONTEND_URL, process.env.ALLOWED_ORIGINS?.split(',')]
+    .flat()
+    .filter(Boolean)
+    .map(o => o.trim().replace(/\/$/, ''));
+  try {
+    const { origin } = new URL(url);
+    return allowed.includes(origin);
+  } catch (_) {
+    return false;
+  }
+}
 
 // Endpoint para redirigir al login de Blizzard con el scope wow.profile
-router.get('/blizzard/login', (req, res) => {
+// Query: region (default us), return_to (optional frontend URL to redirect to after login)
+router.get('/blizzard/login', (req, res, next) => {
   console.log(`🔑 [AUTH] GET /auth/blizzard/login`);
   const clientId = process.env.BLIZZARD_CLIENT_ID;
   const redirect = process.env.BLIZZARD_REDIRECT_URI;
-  if (!clientId || !redirect) {
-    return res.status(500).json({
-      error: true,
-      message: 'Server configuration error: BLIZZARD_CLIENT_ID or BLIZZARD_REDIRECT_URI is not set'
-    });
+  if (!clientId || !redirect || !process.env.SESSION_SECRET) {
+    return next(new AppError('Server configuration error: BLIZZARD_CLIENT_ID, BLIZZARD_REDIRECT_URI or SESSION_SECRET is not set', {
+      status: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      code: 'CONFIGURATION_ERROR'
+    }));
+  }
+  const region = String(req.query.region || DEFAULT_REGION).toLowerCase();
+  if (!isValidRegion(region)) {
+    return next(new ValidationError(`Region '${region}' is not supported`));
   }
-  const redirectUri = encodeURIComponent(redirect);
-  const scope = encodeURIComponent('wow.profile');
-  const state = Math.random().toString(36).substring(2);
-  const authUrl = `https://oauth.battle.net/authorize?client_id=${clientId}&scope=${scope}&redirect_uri=${redirectUri}&response_type=code&state=${state}`;
-  res.redirect(authUrl);
+  const returnTo = isAllowedReturnTo(req.query.return_to) ? req.query.return_to : null;
+
+  // state is bound to this browser through an encrypted, short-lived cookie
+  const { state, cookieValue } = createOAuthState({ region, return_to: returnTo });
+  setStateCookie(res, cookieValue);
+  res.redirect(buildAuthorizeUrl({ state, redirectUri: redirect }));
 });
 
-// Endpoint de callback para recibir el code y obtener el user access token
-router.get('/blizzard/callback', async (req, res) => {
+// Endpoint de callback para recibir el code y crear la sesión del usuario
+router.get('/blizzard/callback', async (req, res, next) => {
   console.log(`🔑 [AUTH] GET /auth/blizzard/callback`);
-  const { code } = req.query;
-  if (!code) return res.status(400).send('Missing code');
+  const { code, state, error } = req.query;
+  const statePayload = verifyOAuthState(getStateCookie(req), state);
+  clearStateCookie(res);
+  if (!statePayload) {
+    return next(new ValidationError('Invalid or expired OAuth state'));
+  }
+  if (error) {
+    return next(new ValidationError(`Battle.net login failed: ${error}`));
+  }
+  if (!code) {
+    return next(new ValidationError('Missing code'));
+  }
+  try {
+    const region = statePayload.region || DEFAULT_REGION;
+    const token = await exchangeCodeForToken(code, region, process.env.BLIZZARD_REDIRECT_URI);
+    const user = await getUserInfo(token.accessToken);
+
+    // Replace any previous session held by this browser
+    if (req.userSession) {
+      await destroySession(req.userSession.idHash);
+    }
+    const { cookieValue } = await createSession({
+      accountId: user.id,
+      battletag: user.battletag,
+      region,
+      token
+    });
+    setSessionCookie(res, cookieValue);
+    console.log(`🔑 [AUTH] Session created for ${user.battletag || user.id} (${region})`);
+
+    if (statePayload.return_to) {
+      return res.redirect(statePayload.return_to);
+    }
+    res.json({
+      authenticated: true,
+      battletag: user.battletag,
+      region,
+      token_expires_at: token.expiresAt
+    });
+  } catch (err) {
+    console.error('🔑 [AUTH] Callback error:', err.message);
+    next(err);
+  }
+});
+
+// Current session info (never exposes tokens)
+router.get('/me', (req, res, next) => {
+  console.log(`🔑 [AUTH] GET /auth/me`);
+  const session = req.userSession;
+  if (!session) {
+    return next(new UnauthorizedError('Not logged in'));
+  }
+  res.json({
+    authenticated: true,
+    account_id: session.accountId,
+    battletag: session.battletag,
+    region: session.region,
+    token_expires_at: session.tokenExpiresAt,
+    session_expires_at: session.expiresAt
+  });
+});
+
+// Destroy the server-side session and clear the cookie
+router.post('/logout', async (req, res, next) => {
+  console.log(`🔑 [AUTH] POST /auth/logout`);
   try {
-    const accessToken = await getUserTokenFromCode(code, 'us');
-    global.LAST_USER_ACCESS_TOKEN = accessToken;
-    res.send('User access token obtained and stored in global.LAST_USER_ACCESS_TOKEN. Ya puedes usar endpoints /profile/.');
+    if (req.userSession) {
+      await destroySession(req.userSession.idHash);
+    }
+    clearSessionCookie(res);
+    res.json({ authenticated: false });
   } catch (err) {
-    res.status(500).send('Error exchanging code for token: ' + err.message);
+    next(err);
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
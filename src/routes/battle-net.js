@@ -2,6 +2,7 @@ const express = require('express');
 const { getAccessToken, getCachedTokenInfo } = require('../services/blizzard/auth');
 const { getAllRegions } = require('../config/regions');
 const validateRegion = require('../middleware/region');
+const { ValidationError } = require('../utils/errors');
 const proxyService = require('../services/proxy');
 const oauthClient = require('../services/blizzard/oauth-client');
 
@@ -57,10 +58,7 @@ router.get('/oauth/userinfo', async (req, res, next) => {
     const { access_token } = req.query;
     
     if (!access_token) {
-      return res.status(400).json({
-        error: true,
-        message: 'access_token parameter is required for user info endpoint'
-      });
+      return next(new ValidationError('access_token parameter is required for user info endpoint'));
     }
     
     const response = await oauthClient.getUserInfo(access_token, region);
@@ -81,10 +79,7 @@ router.post('/oauth/check_token', async (req, res, next) => {
     const { token } = req.body;
     
     if (!token) {
-      return res.status(400).json({
-        error: true,
-        message: 'token parameter is required for token validation'
-      });
+      return next(new ValidationError('token parameter is required for token validation'));
     }
     
     const response = await oauthClient.checkToken(token, region);
@@ -105,10 +100,7 @@ router.get('/oauth/check_token', async (req, res, next) => {
     const { token } = req.query;
     
     if (!token) {
-      return res.status(400).json({
-        error: true,
-        message: 'token parameter is required for token validation'
-      });
+      return next(new ValidationError('token parameter is required for token validation'));
     }
     
     const response = await oauthClient.checkToken(token, region);
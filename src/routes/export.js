@@ -0,0 +1,51 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { topKeysSelection } = require('../services/meta-helpers');
+const { exportRuns, EXPORT_FORMATS, EXPORT_LAYOUTS, EXPORT_CONTENT_TYPES } = require('../services/run-export');
+const { TOP_KEYS_FILTERS } = require('./meta');
+
+const router = express.Router();
+
+// GET /export/runs
+// Purpose: Streams a season's top keys runs for offline analysis, with the filters of /meta/top-keys.
+//          Reads top_keys_per_group (or top_keys_per_group_region with region), i.e. every stored
+//          top 1000 run of each week and dungeon, in period, dungeon and key level order.
+// Supports: season_id (required), period_id, dungeon_id, region, spec_ids, class_ids, tank_spec_id, healer_spec_id,
+//           min_level, max_level, timed (optional filters), format (csv | ndjson | parquet, default csv),
+//           layout (run | member, default run)
+router.get('/runs', validate({
+  query: {
+    ...TOP_KEYS_FILTERS,
+    format: { type: 'enum', values: EXPORT_FORMATS, lowercase: true, default: 'csv' },
+    layout: { type: 'enum', values: EXPORT_LAYOUTS, lowercase: true, default: 'run' }
+  }
+}), async (req, res, next) => {
+  console.log(`📦 [EXPORT] GET /export/runs - Season: ${req.query.season_id}, Format: ${req.query.format}, Layout: ${req.query.layout}`);
+  const { season_id, region, format, layout } = req.query;
+  const startTime = Date.now();
+
+  try {
+    const selection = await topKeysSelection(req.query, { allRuns: true });
+    const filename = `runs-season-${season_id}${region ? `-${region}` : ''}${layout === 'member' ? '-members' : ''}.${format}`;
+    const { runs, rows, completed } = await exportRuns(selection, {
+      format,
+      layout,
+      onStart: () => {
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      }
+    }, res);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`📦 [EXPORT] ${completed ? 'Exported' : 'Client left after'} ${runs} runs (${rows} rows) of season ${season_id} as ${format} in ${duration}s`);
+  } catch (err) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return next(err);
+    }
+    // Part of the file is out; cutting the connection is the only way left to tell the client it's incomplete
+    console.error(`[EXPORT ERROR] Export of season ${season_id} failed after it started:`, err.message);
+    res.destroy(err);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const db = require('../services/db');
-const { SEASON_METADATA, EXPANSION_METADATA } = require('../config/constants');
-const { getSpecEvolutionForSeason, getCompositionDataForSeason } = require('../services/meta-helpers');
+const { getCatalog } = require('../services/catalog');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { validate, fields } = require('../middleware/validate');
+const { getSpecEvolutionForSeason, getCompositionDataForSeason, getCompositionStatsForSeason, getDungeonStatsForSeason, getSpecStatsForSeason, getSpecSynergyForSeason, getRegionComparisonForSeason, getKeyDistributionForSeason, getRealmRankingForSeason, getRealmDetailsForSeason, getCharacterRunHistory, getTopKeysPage, topKeysSelection, RUN_SORTS } = require('../services/meta-helpers');
+const { getPeriodAffixes } = require('../services/affixes');
 
 const router = express.Router();
 
@@ -17,15 +20,19 @@ const router = express.Router();
  *      * App.tsx (Home page) - Main leaderboard display with SummaryStats and LeaderboardTable
  *      * GroupCompositionPage - For group composition analysis
  *      * CompAllSeasonsPage - Season-by-season streaming (enhanced format)
- *    - Parameters: season_id (required), period_id (optional), dungeon_id (optional), limit, offset
- *    - Returns: Object with season_info (season_id, season_name, expansion, patch), meta (total_runs, limit, offset), and data array
+ *    - Parameters: season_id (required), period_id (optional), dungeon_id (optional), region (optional),
+ *      spec_ids, class_ids, tank_spec_id, healer_spec_id, min_level, max_level, timed (optional filters), sort, order, limit, cursor or offset
+ *    - Returns: Object with season_info (season_id, season_name, expansion, patch), meta (total, count, limit, offset, sort, order,
+ *      next_cursor, region, filters), and data array
+ *      (each run carries the affixes of its week and region, or null when unknown)
  * 
  * 2. GET /meta/top-keys-all-seasons
  *    - Purpose: Retrieves top keys from all seasons for historical analysis
  *    - Frontend Usage:
  *      * CompAllSeasonsPage - Historical compositions across all seasons
- *    - Parameters: period_id (optional), dungeon_id (optional), limit, offset
- *    - Returns: Object with total_seasons, total_keys, and seasons array
+ *    - Parameters: sort, order, limit, cursor or offset
+ *    - Returns: Object with total_seasons, total_keys, meta (count, limit, offset, sort, order, next_cursor), and seasons array
+ *      (the page's keys grouped by season)
  * 
  * 3. GET /meta/season-data/:season_id
  *    - Purpose: Retrieves comprehensive season data organized by periods for AI analysis
@@ -39,7 +46,7 @@ const router = express.Router();
  *    - Purpose: Retrieves spec evolution data across all seasons
  *    - Frontend Usage:
  *      * MetaEvolutionPage - Meta evolution charts and trends
- *    - Parameters: None
+ *    - Parameters: period_id, dungeon_id, region (optional)
  *    - Returns: Array of season evolution data
  * 
  * 5. GET /meta/spec-evolution/:season_id
@@ -47,8 +54,77 @@ const router = express.Router();
  *    - Frontend Usage:
  *      * AIPredictionsPage - AI analysis with spec evolution data
  *      * MetaEvolutionPage - Meta evolution charts for specific season
- *    - Parameters: season_id (path parameter)
- *    - Returns: Object with season_id, expansion info, and evolution array
+ *    - Parameters: season_id (path parameter), period_id, dungeon_id, region (optional)
+ *    - Returns: Object with season_id, expansion info, region, and evolution array (each period with its affixes)
+ * 
+ * 6. GET /meta/dungeon-stats/:season_id
+ *    - Purpose: Timer and key-upgrade stats per dungeon and keystone level
+ *    - Frontend Usage:
+ *      * Dungeon difficulty pages ("which dungeon is hardest this week")
+ *    - Parameters: season_id (path parameter), period_id (optional), region (optional)
+ *    - Returns: Object with season_id, filters, total_runs, and dungeons array (timed/+2/+3 rates, median/p90 time, timer used, per-level breakdown)
+ * 
+ * 7. GET /meta/spec-stats/:season_id
+ *    - Purpose: Per-spec performance in the top keys (key levels, score, timed rate, representation)
+ *    - Frontend Usage:
+ *      * Spec tier/analytics pages
+ *    - Parameters: season_id (path parameter), period_id, dungeon_id, region, min_level, max_level (optional)
+ *    - Returns: Object with season_id, filters, totals, and specs array (avg/max key level, avg score, timed rate
+ *      with 95% confidence intervals, representation vs population share)
+ * 
+ * 8. GET /meta/compositions/:season_id
+ *    - Purpose: Top keys grouped by exact composition (tank, healer, 3 DPS sorted), most played first
+ *    - Frontend Usage:
+ *      * GroupCompositionPage - replaces client-side aggregation of /meta/composition-data
+ *    - Parameters: season_id (path parameter), dungeon_id, min_level (optional), limit, cursor or offset
+ *    - Returns: Object with season_id, filters, meta (total_runs, total_compositions, limit, offset, next_cursor), runs per period,
+ *      and data array (specs, runs, share, avg/max key level, per-period trend)
+ * 
+ * 9. GET /meta/synergy/:season_id
+ *    - Purpose: Spec pair co-occurrence in the top keys against what independent picks would predict (lift)
+ *    - Frontend Usage:
+ *      * Theorycrafting/synergy pages (healer-tank and DPS-DPS pairs)
+ *    - Parameters: season_id (path parameter), period_id, dungeon_id, min_level, pair_type, spec_id, min_runs, sort (optional), limit, cursor or offset
+ *    - Returns: Object with season_id, filters, meta (with next_cursor), runs per spec, and pairs array (runs, expected runs, lift, avg/max key level)
+ * 
+ * 10. GET /meta/region-comparison/:season_id
+ *    - Purpose: US/EU/KR/TW side by side: key level distribution and spec shares of each region's own top keys
+ *    - Frontend Usage:
+ *      * Region comparison page
+ *    - Parameters: season_id (path parameter), regions, period_id, dungeon_id, min_level (optional)
+ *    - Returns: Object with season_id, regions, filters, key_levels per region, and specs array with shares per region
+ * 
+ * 11. GET /meta/key-distribution/:season_id
+ *    - Purpose: Keystone level histogram and percentile cutoffs of the top keys per week, and how they move ("key level inflation")
+ *    - Frontend Usage:
+ *      * Key level inflation charts
+ *    - Parameters: season_id (path parameter), dungeon_id, region (optional)
+ *    - Returns: Object with season_id, filters, season-wide distribution, inflation (first to latest week) and periods array
+ *      (runs, avg/min/max, percentiles, tier-list brackets, histogram, change against the previous week)
+ * 
+ * 12. GET /meta/realms/:season_id
+ *    - Purpose: Connected realms ranked by their runs in the top keys, highest key or average key
+ *    - Frontend Usage:
+ *      * Realm leaderboard (guild recruiting: which realms push keys)
+ *    - Parameters: season_id (path parameter), region, period_id, dungeon_id, min_level, min_runs, sort (optional), limit, cursor or offset
+ *    - Returns: Object with season_id, filters, meta (total_runs, total_realms, sort, limit, offset, next_cursor), and data array
+ *      (rank, realm, runs, share of the top runs, max/avg key level, avg score)
+ * 
+ * 13. GET /meta/realms/:season_id/:realm_id
+ *    - Purpose: Drill-down of one connected realm
+ *    - Parameters: season_id, realm_id (path parameters), region, period_id, dungeon_id, min_level (optional), limit
+ *    - Returns: Object with season_id, realm (with the home realms of its players), filters, summary (runs, rank, key levels),
+ *      best_runs, and specs array (dominant specs first)
+ * 
+ * 14. GET /meta/characters/search
+ *    - Purpose: Finds stored characters by name prefix so users can look themselves up
+ *    - Parameters: q (required, min 2 chars), region (optional), limit
+ *    - Returns: Object with query, total, and data array of characters
+ * 
+ * 15. GET /meta/characters/:region/:realm/:name/runs
+ *    - Purpose: A character's stored runs across seasons with summary stats
+ *    - Parameters: region, realm (slug), name (path parameters), season_id (optional), limit, offset
+ *    - Returns: Object with character, summary (total_runs, total_timed_runs, ...), most_played_specs, best_keys_by_dungeon, meta, and runs
  * 
  * OPTIMIZATION NOTES:
  * - All queries have been optimized to only select necessary fields
@@ -66,69 +142,108 @@ const router = express.Router();
  *   * /meta/spec-evolution (MetaEvolutionPage)
  *   * /meta/spec-evolution/:season_id (AIPredictionsPage, MetaEvolutionPage)
  * - /meta/season-data/:season_id endpoint has been removed (no longer used)
+ *
+ * PAGINATION:
+ * - Listings return meta.next_cursor while there are more rows; pass it back as cursor (with the same
+ *   filters and sort) for the next page. Cursors are keyset positions, so pages don't shift when rows
+ *   are added; offset still works but cannot be combined with cursor.
+ *
+ * REGIONS:
+ * - The top-keys views rank all regions together. With region=..., top-keys, spec-evolution and
+ *   composition-data read top_keys_per_group_region instead, which ranks each region on its own
+ *   (top 1000 per season, period, dungeon and region). It is filled by the materialized view refresh.
  */
 
+// Sorting and keyset pagination of the run listings (see getTopKeysPage)
+const RUN_PAGING = {
+  sort: { type: 'enum', values: Object.keys(RUN_SORTS), lowercase: true, default: 'keystone_level' },
+  order: fields.sortOrder(),
+  cursor: fields.cursor()
+};
+
+// Filters of the top keys listing (see topKeysSelection); /export/runs takes the same
+const TOP_KEYS_FILTERS = {
+  season_id: fields.seasonId({ required: true }),
+  period_id: fields.periodId({ inSeason: 'season_id' }),
+  dungeon_id: fields.dungeonId(),
+  region: fields.region(),
+  spec_ids: { type: 'array', items: { type: 'int', min: 1 }, minItems: 1, maxItems: 5 },
+  class_ids: { type: 'array', items: { type: 'int', min: 1 }, minItems: 1, maxItems: 5 },
+  tank_spec_id: { type: 'int', min: 1 },
+  healer_spec_id: { type: 'int', min: 1 },
+  min_level: fields.keyLevel(),
+  max_level: fields.keyLevel(),
+  timed: fields.flag()
+};
+
 // GET /meta/top-keys
-// Purpose: Retrieves top keys with optional filtering by period/dungeon
+// Purpose: Retrieves top keys with optional filtering by period/dungeon, group composition, key level and timer
 // Frontend Usage: 
 //   - App.tsx (Home page) - Main leaderboard display with SummaryStats and LeaderboardTable
 //   - GroupCompositionPage - For group composition analysis
-// Supports: season_id (required), period_id (optional), dungeon_id (optional), limit (default 100, max 500), offset (default 0)
-router.get('/top-keys', async (req, res) => {
-  console.log(`📊 [META] GET /meta/top-keys - Season: ${req.query.season_id || 'unknown'}, Period: ${req.query.period_id || 'none'}, Dungeon: ${req.query.dungeon_id || 'none'}`);
-  const { season_id, period_id, dungeon_id } = req.query;
-  const limit = Math.min(Number(req.query.limit) || 100, 1000);
-  const offset = Math.max(Number(req.query.offset) || 0, 0);
-  if (!season_id) {
-    return res.status(400).json({ error: 'season_id is required' });
-  }
-  let sql, params, idx;
-  if (!period_id && !dungeon_id) {
-    // Use global view
-    params = [season_id, limit, offset];
-    sql = `SELECT id, keystone_level, score, rank, dungeon_id, duration_ms, completed_at, members FROM top_keys_global WHERE season_id = $1 ORDER BY keystone_level DESC, score DESC LIMIT $2 OFFSET $3;`;
-  } else if (period_id && !dungeon_id) {
-    // Use per-period view
-    params = [season_id, period_id, limit, offset];
-    sql = `SELECT id, keystone_level, score, rank, dungeon_id, duration_ms, completed_at, members FROM top_keys_per_period WHERE season_id = $1 AND period_id = $2 ORDER BY keystone_level DESC, score DESC LIMIT $3 OFFSET $4;`;
-  } else if (dungeon_id && !period_id) {
-    // Use per-dungeon view
-    params = [season_id, dungeon_id, limit, offset];
-    sql = `SELECT id, keystone_level, score, rank, dungeon_id, duration_ms, completed_at, members FROM top_keys_per_dungeon WHERE season_id = $1 AND dungeon_id = $2 ORDER BY keystone_level DESC, score DESC LIMIT $3 OFFSET $4;`;
-  } else {
-    // Use per-group view
-    let where = ['season_id = $1'];
-    params = [season_id];
-    idx = 2;
-    if (period_id) { where.push(`period_id = $${idx}`); params.push(period_id); idx++; }
-    if (dungeon_id) { where.push(`dungeon_id = $${idx}`); params.push(dungeon_id); idx++; }
-    params.push(limit, offset);
-    sql = `SELECT id, keystone_level, score, rank, dungeon_id, duration_ms, completed_at, members FROM top_keys_per_group WHERE ${where.join(' AND ')} ORDER BY season_id${period_id ? ', period_id' : ''}, dungeon_id, keystone_level DESC, score DESC LIMIT $${idx} OFFSET $${idx+1};`;
+// Supports: season_id (required), period_id (optional), dungeon_id (optional), region (optional),
+//           spec_ids, class_ids (comma-separated, all required in the group), tank_spec_id, healer_spec_id,
+//           min_level, max_level, timed (optional filters),
+//           sort (keystone_level | score | completed_at | duration_ms), order (asc | desc), limit (default 100, max 1000),
+//           cursor (next_cursor of the previous page) or offset (default 0)
+router.get('/top-keys', validate({
+  query: {
+    ...TOP_KEYS_FILTERS,
+    ...RUN_PAGING,
+    limit: fields.limit(100, 1000),
+    offset: fields.offset()
   }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/top-keys - Season: ${req.query.season_id}, Period: ${req.query.period_id || 'none'}, Dungeon: ${req.query.dungeon_id || 'none'}`);
+  const { season_id, region, sort, order, limit, offset, cursor } = req.query;
+
   try {
-    const { rows } = await db.pool.query(sql, params);
+    const { view, where, params, filters } = await topKeysSelection(req.query);
+    const page = await getTopKeysPage({
+      view,
+      select: 'id, keystone_level, score, rank, dungeon_id, duration_ms, completed_at, members, period_id, region',
+      where,
+      params,
+      sort,
+      order,
+      limit,
+      offset,
+      cursor
+    });
+    
+    // Attach the week's affixes; period_id and region are only selected for this lookup
+    const periodAffixes = await getPeriodAffixes(page.rows.map(r => r.period_id));
+    const data = page.rows.map(({ period_id, region, ...run }) => ({ ...run, affixes: periodAffixes.get(period_id, region) }));
     
     // Get season metadata
-    const seasonMetadata = SEASON_METADATA[season_id];
+    const catalog = await getCatalog();
+    const seasonMetadata = catalog.season(season_id);
     
     // Return enhanced response with season metadata
     res.json({
       season_info: {
         season_id: parseInt(season_id),
-        season_name: seasonMetadata?.name || `Season ${season_id}`,
+        season_name: catalog.seasonName(season_id),
         expansion: seasonMetadata?.expansion || 'Unknown',
         patch: seasonMetadata?.patch || 'Unknown'
       },
       meta: {
-        total_runs: rows.length,
+        total: page.total,
+        // Same as total; used to be the page size
+        total_runs: page.total,
+        count: data.length,
         limit: limit,
-        offset: offset
+        offset: offset,
+        sort: page.sort,
+        order: page.order,
+        next_cursor: page.next_cursor,
+        region: region || null,
+        filters
       },
-      data: rows
+      data
     });
   } catch (err) {
-    console.error('[TOP KEYS ERROR]', err);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -136,66 +251,82 @@ router.get('/top-keys', async (req, res) => {
 // Purpose: Retrieves top keys from all seasons for historical analysis
 // Frontend Usage:
 //   - CompAllSeasonsPage - Historical compositions across all seasons
-// Returns data for each season with their top 1000 keys
-router.get('/top-keys-all-seasons', async (req, res) => {
-  console.log(`📊 [META] GET /meta/top-keys-all-seasons`);
+// Returns the top 1000 keys of every season (top_keys_global). Without limit, cursor or offset
+// that's all of them in one response; with any of them it's season by season in pages:
+// sort, order, limit (default 1000, max 5000), cursor (next_cursor of the previous page) or offset
+router.get('/top-keys-all-seasons', validate({
+  query: {
+    ...RUN_PAGING,
+    limit: { type: 'int', min: 1, max: 5000 },
+    offset: fields.offset()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/top-keys-all-seasons`, req.query);
+  const { sort, order, offset, cursor } = req.query;
+  const paged = req.query.limit !== undefined || cursor !== undefined || offset > 0;
   
   try {
-    // Get all seasons that have data
-    const seasonsResult = await db.pool.query(
-      'SELECT DISTINCT season_id FROM period ORDER BY season_id',
-      []
-    );
-    const seasonIds = seasonsResult.rows.map(row => row.season_id);
-
-    if (seasonIds.length === 0) {
-      return res.status(404).json({ error: 'No seasons found with data' });
+    // Seasons that have data
+    const seasonsResult = await db.pool.query('SELECT season_id, COUNT(*)::int AS total_keys FROM top_keys_global GROUP BY season_id ORDER BY season_id');
+    if (seasonsResult.rows.length === 0) {
+      return next(new NotFoundError('No seasons found with data'));
     }
+    const limit = paged
+      ? req.query.limit ?? 1000
+      : seasonsResult.rows.reduce((sum, r) => sum + r.total_keys, 0);
+
+    // The page, ordered by season first - optimized to only select needed fields
+    const page = await getTopKeysPage({
+      view: 'top_keys_global',
+      select: 'season_id, id, keystone_level, (SELECT json_agg(json_build_object(\'class_id\', m->>\'class_id\', \'spec_id\', m->>\'spec_id\', \'role\', m->>\'role\')) FROM json_array_elements(members) AS m) AS members',
+      leading: ['season_id'],
+      sort,
+      order,
+      limit,
+      offset,
+      cursor
+    });
     
-    const aggregatedData = [];
+    const totalKeysBySeason = new Map(seasonsResult.rows.map(r => [r.season_id, r.total_keys]));
+    const catalog = await getCatalog();
     
-    // For each season, get top 100 keys
-    for (const seasonId of seasonIds) {
-      try {
-        // Query the global view for each season (top 1000 keys) - optimized to only select needed fields
-        const { rows } = await db.pool.query(
-          'SELECT id, keystone_level, (SELECT json_agg(json_build_object(\'class_id\', m->>\'class_id\', \'spec_id\', m->>\'spec_id\', \'role\', m->>\'role\')) FROM json_array_elements(members) AS m) AS members FROM top_keys_global WHERE season_id = $1 ORDER BY keystone_level DESC, score DESC LIMIT 1000',
-          [seasonId]
-        );
-        
-        // Get season metadata
-        const seasonMetadata = SEASON_METADATA[seasonId];
-        
-        // Only include seasons that have data
-        if (rows.length > 0) {
-          aggregatedData.push({
-            season_id: seasonId,
-            season_name: seasonMetadata?.name || `Season ${seasonId}`,
-            expansion: seasonMetadata?.expansion || 'Unknown',
-            patch: seasonMetadata?.patch || 'Unknown',
-            keys_count: rows.length,
-            data: rows
-          });
-        }
-      } catch (seasonError) {
-        console.error(`[TOP KEYS ALL SEASONS ERROR] Error processing season ${seasonId}:`, seasonError);
-        // Continue with other seasons even if one fails
+    // Group the page's keys by season; a season can continue on the next page
+    const aggregatedData = [];
+    for (const { season_id: seasonId, ...key } of page.rows) {
+      let season = aggregatedData[aggregatedData.length - 1];
+      if (!season || season.season_id !== seasonId) {
+        const seasonMetadata = catalog.season(seasonId);
+        season = {
+          season_id: seasonId,
+          season_name: catalog.seasonName(seasonId),
+          expansion: seasonMetadata?.expansion || 'Unknown',
+          patch: seasonMetadata?.patch || 'Unknown',
+          total_keys: totalKeysBySeason.get(seasonId) || 0,
+          keys_count: 0,
+          data: []
+        };
+        aggregatedData.push(season);
       }
+      season.data.push(key);
+      season.keys_count++;
     }
     
-    // Calculate summary statistics
-    const totalSeasons = aggregatedData.length;
-    const totalKeys = aggregatedData.reduce((sum, season) => sum + season.keys_count, 0);
-    
     res.json({
-      total_seasons: totalSeasons,
-      total_keys: totalKeys,
+      total_seasons: seasonsResult.rows.length,
+      total_keys: page.total,
+      meta: {
+        count: page.rows.length,
+        limit: paged ? limit : null,
+        offset,
+        sort: page.sort,
+        order: page.order,
+        next_cursor: page.next_cursor
+      },
       seasons: aggregatedData
     });
     
   } catch (err) {
-    console.error('[TOP KEYS ALL SEASONS ERROR]', err);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -204,26 +335,58 @@ router.get('/top-keys-all-seasons', async (req, res) => {
 // Frontend Usage:
 //   - GroupCompositionPage - Group composition analysis
 // Returns data optimized for composition analysis
-router.get('/composition-data/:season_id', async (req, res) => {
-  console.log(`📊 [META] GET /meta/composition-data/${req.params.season_id}`);
-  const season_id = Number(req.params.season_id);
-  if (!season_id) {
-    return res.status(400).json({ error: 'season_id is required' });
-  }
+// Query Parameters: region (optional, the region's own top keys)
+router.get('/composition-data/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: { region: fields.region() }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/composition-data/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+  const { region } = req.query;
 
   try {
     // Use the helper function to get composition data for this season
-    const result = await getCompositionDataForSeason(season_id);
+    const result = await getCompositionDataForSeason(season_id, { region });
 
     // If the season has no non-empty periods, return 404
     if (result === null) {
-      return res.status(404).json({ error: 'No composition data found for this season' });
+      return next(new NotFoundError('No composition data found for this season'));
     }
     
     res.json(result);
   } catch (err) {
-    console.error('[COMPOSITION DATA ERROR]', err);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// GET /meta/compositions/:season_id
+// Purpose: Groups the season's top keys by exact 5-spec composition, most played first, with
+//          average/max key level and runs per period
+// Frontend Usage:
+//   - GroupCompositionPage
+// Supports: dungeon_id, min_level (optional filters), limit (default 50, max 500), cursor or offset (default 0)
+router.get('/compositions/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    dungeon_id: fields.dungeonId(),
+    min_level: fields.keyLevel(),
+    limit: fields.limit(50, 500),
+    offset: fields.offset(),
+    cursor: fields.cursor()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/compositions/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+  const { dungeon_id, min_level, limit, offset, cursor } = req.query;
+
+  try {
+    const result = await getCompositionStatsForSeason(season_id, { dungeon_id, min_level, limit, offset, cursor });
+    if (result.meta.total_runs === 0) {
+      return next(new NotFoundError('No compositions found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -231,13 +394,14 @@ router.get('/composition-data/:season_id', async (req, res) => {
 // Purpose: Retrieves spec evolution data across all seasons
 // Frontend Usage:
 //   - MetaEvolutionPage - Meta evolution charts and trends
-// Query Parameters: period_id, dungeon_id (optional filters)
-router.get('/spec-evolution', async (req, res) => {
+// Query Parameters: period_id, dungeon_id, region (optional filters)
+router.get('/spec-evolution', validate({
+  query: { period_id: fields.periodId(), dungeon_id: fields.dungeonId(), region: fields.region() }
+}), async (req, res, next) => {
   console.log(`📊 [META] GET /meta/spec-evolution`, req.query);
   
-  // Extract optional query parameters
-  const period_id = req.query.period_id ? Number(req.query.period_id) : undefined;
-  const dungeon_id = req.query.dungeon_id ? Number(req.query.dungeon_id) : undefined;
+  // Optional filters
+  const { period_id, dungeon_id, region } = req.query;
   
   try {
     // Get all seasons that have data
@@ -248,7 +412,7 @@ router.get('/spec-evolution', async (req, res) => {
     const seasons = seasonsResult.rows;
 
     if (seasons.length === 0) {
-      return res.status(404).json({ error: 'No seasons found with data' });
+      return next(new NotFoundError('No seasons found with data'));
     }
 
     // Get spec evolution data for all seasons using the helper function with filters
@@ -268,7 +432,7 @@ router.get('/spec-evolution', async (req, res) => {
       }
 
       // Use the helper function to get spec evolution for this season with filters
-      const seasonData = await getSpecEvolutionForSeason(season_id, { period_id, dungeon_id });
+      const seasonData = await getSpecEvolutionForSeason(season_id, { period_id, dungeon_id, region });
       
       // Only include seasons that have non-empty periods
       if (seasonData !== null) {
@@ -282,8 +446,7 @@ router.get('/spec-evolution', async (req, res) => {
     });
 
   } catch (err) {
-    console.error('[META AGGREGATE ERROR]', err);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -292,32 +455,361 @@ router.get('/spec-evolution', async (req, res) => {
 // Frontend Usage:
 //   - AIPredictionsPage - AI analysis with spec evolution data
 //   - MetaEvolutionPage - Meta evolution charts for specific season
-// Query Parameters: period_id, dungeon_id (optional filters)
-router.get('/spec-evolution/:season_id', async (req, res) => {
+// Query Parameters: period_id, dungeon_id, region (optional filters)
+router.get('/spec-evolution/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: { period_id: fields.periodId(), dungeon_id: fields.dungeonId(), region: fields.region() }
+}), async (req, res, next) => {
   console.log(`📊 [META] GET /meta/spec-evolution/${req.params.season_id}`, req.query);
-  const season_id = Number(req.params.season_id);
-  if (!season_id) {
-    return res.status(400).json({ error: 'season_id is required' });
-  }
+  const { season_id } = req.params;
   
-  // Extract optional query parameters
-  const period_id = req.query.period_id ? Number(req.query.period_id) : undefined;
-  const dungeon_id = req.query.dungeon_id ? Number(req.query.dungeon_id) : undefined;
+  // Optional filters
+  const { period_id, dungeon_id, region } = req.query;
   
   try {
     // Use the helper function to get spec evolution for this season with filters
-    const result = await getSpecEvolutionForSeason(season_id, { period_id, dungeon_id });
+    const result = await getSpecEvolutionForSeason(season_id, { period_id, dungeon_id, region });
     
     // If the season has no non-empty periods, return 404
     if (result === null) {
-      return res.status(404).json({ error: 'No spec evolution data found for this season' });
+      return next(new NotFoundError('No spec evolution data found for this season'));
     }
     
     res.json(result);
   } catch (err) {
-    console.error('[EVOLUTION ERROR]', err);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// GET /meta/dungeon-stats/:season_id
+// Purpose: Timed/+2/+3 rates, median and p90 completion time and share of the timer used,
+//          per dungeon and keystone level
+// Frontend Usage:
+//   - Dungeon difficulty pages
+// Query Parameters: period_id, region (optional filters)
+router.get('/dungeon-stats/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: { period_id: fields.periodId(), region: fields.region() }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/dungeon-stats/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+  const { period_id, region } = req.query;
+
+  try {
+    const result = await getDungeonStatsForSeason(season_id, { period_id, region });
+    if (result.dungeons.length === 0) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/spec-stats/:season_id
+// Purpose: Average/max key level, average score and timed rate per spec in the top keys
+//          (top_keys_per_group), with 95% confidence intervals, plus each spec's share of group
+//          slots against its share across all stored runs with the same filters
+// Frontend Usage:
+//   - Spec tier/analytics pages
+// Query Parameters: period_id, dungeon_id, region, min_level, max_level (optional filters; the key
+//                   level bracket only applies to the top keys)
+router.get('/spec-stats/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    period_id: fields.periodId(),
+    dungeon_id: fields.dungeonId(),
+    region: fields.region(),
+    min_level: fields.keyLevel(),
+    max_level: fields.keyLevel()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/spec-stats/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+  const { period_id, dungeon_id, region, min_level, max_level } = req.query;
+
+  try {
+    if (min_level && max_level && min_level > max_level) {
+      throw new ValidationError('Invalid request: min_level must not be above max_level', {
+        fields: [{ location: 'query', field: 'min_level', message: 'must not be above max_level' }]
+      });
+    }
+    const result = await getSpecStatsForSeason(season_id, { period_id, dungeon_id, region, min_level, max_level });
+    if (result.specs.length === 0) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/synergy/:season_id
+// Purpose: For every pair of specs in the top keys (top_keys_per_group), how often they are grouped
+//          together versus what independent picks would predict (lift), and the key levels they reach
+// Frontend Usage:
+//   - Theorycrafting/synergy pages
+// Supports: period_id, dungeon_id, min_level, pair_type, spec_id (optional filters), min_runs (default 10),
+//           sort (lift | runs | avg_key_level, default lift), limit (default 100, max 1000), cursor or offset (default 0)
+router.get('/synergy/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    period_id: fields.periodId(),
+    dungeon_id: fields.dungeonId(),
+    min_level: fields.keyLevel(),
+    pair_type: { type: 'enum', values: ['tank-healer', 'tank-dps', 'healer-dps', 'dps-dps'], lowercase: true },
+    spec_id: { type: 'int', min: 1 },
+    min_runs: { type: 'int', min: 1, default: 10 },
+    sort: { type: 'enum', values: ['lift', 'runs', 'avg_key_level'], lowercase: true, default: 'lift' },
+    limit: fields.limit(100, 1000),
+    offset: fields.offset(),
+    cursor: fields.cursor()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/synergy/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+
+  try {
+    const result = await getSpecSynergyForSeason(season_id, req.query);
+    if (result.meta.total_runs === 0) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/region-comparison/:season_id
+// Purpose: Regions side by side from their own top keys (top_keys_per_group_region): key level
+//          distribution per region and each spec's share of group slots per region
+// Frontend Usage:
+//   - Region comparison page
+// Query Parameters: regions (comma-separated, default all), period_id, dungeon_id, min_level (optional filters)
+router.get('/region-comparison/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    regions: { type: 'array', items: fields.region(), minItems: 1, maxItems: 4 },
+    period_id: fields.periodId(),
+    dungeon_id: fields.dungeonId(),
+    min_level: fields.keyLevel()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/region-comparison/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+  const { period_id, dungeon_id, min_level } = req.query;
+  const regions = req.query.regions ? [...new Set(req.query.regions)] : undefined;
+
+  try {
+    const result = await getRegionComparisonForSeason(season_id, { regions, period_id, dungeon_id, min_level });
+    if (Object.values(result.key_levels).every(r => r.runs === 0)) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/key-distribution/:season_id
+// Purpose: Keystone level distribution of the top keys (top_keys_per_group) per period: histogram,
+//          percentile cutoffs and the P40-P90 brackets /ai/tier-list uses, with the change week over week
+// Frontend Usage:
+//   - Key level inflation charts
+// Query Parameters: dungeon_id, region (optional filters; region reads the region's own top keys)
+router.get('/key-distribution/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    dungeon_id: fields.dungeonId(),
+    region: fields.region()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/key-distribution/${req.params.season_id} - Dungeon: ${req.query.dungeon_id || 'all'}, Region: ${req.query.region || 'all'}`);
+  const { season_id } = req.params;
+  const { dungeon_id, region } = req.query;
+
+  try {
+    const result = await getKeyDistributionForSeason(season_id, { dungeon_id, region });
+    if (result.periods.length === 0) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const REALM_FILTERS = {
+  region: fields.region(),
+  period_id: fields.periodId(),
+  dungeon_id: fields.dungeonId(),
+  min_level: fields.keyLevel()
+};
+
+// GET /meta/realms/:season_id
+// Purpose: Ranks connected realms by their runs in the top keys (top_keys_per_group: top 1000 per
+//          period and dungeon), highest key or average key
+// Frontend Usage:
+//   - Realm leaderboard
+// Supports: region, period_id, dungeon_id, min_level (optional filters; region ranks within the region's own top keys),
+//           min_runs (default 1), sort (runs | max_key_level | avg_key_level, default runs), limit (default 50, max 500),
+//           cursor or offset (default 0)
+router.get('/realms/:season_id', validate({
+  params: { season_id: fields.seasonId({ required: true }) },
+  query: {
+    ...REALM_FILTERS,
+    min_runs: { type: 'int', min: 1, default: 1 },
+    sort: { type: 'enum', values: ['runs', 'max_key_level', 'avg_key_level'], lowercase: true, default: 'runs' },
+    limit: fields.limit(50, 500),
+    offset: fields.offset(),
+    cursor: fields.cursor()
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/realms/${req.params.season_id}`, req.query);
+  const { season_id } = req.params;
+
+  try {
+    const result = await getRealmRankingForSeason(season_id, req.query);
+    if (result.meta.total_runs === 0) {
+      return next(new NotFoundError('No runs found for these filters'));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/realms/:season_id/:realm_id
+// Purpose: One connected realm in the top keys: runs, place in the runs ranking, best runs,
+//          dominant specs and the home realms of its players
+// Frontend Usage:
+//   - Realm leaderboard drill-down
+// Supports: region, period_id, dungeon_id, min_level (optional filters, as for /meta/realms), limit (best runs, default 20, max 100)
+router.get('/realms/:season_id/:realm_id', validate({
+  params: {
+    season_id: fields.seasonId({ required: true }),
+    realm_id: { type: 'int', min: 1, required: true }
+  },
+  query: {
+    ...REALM_FILTERS,
+    limit: fields.limit(20, 100)
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/realms/${req.params.season_id}/${req.params.realm_id}`, req.query);
+  const { season_id, realm_id } = req.params;
+
+  try {
+    const result = await getRealmDetailsForSeason(season_id, realm_id, req.query);
+    if (!result) {
+      return next(new NotFoundError(`Realm ${realm_id} not found`));
+    }
+    if (result.summary.runs === 0) {
+      return next(new NotFoundError(`No runs found for realm ${realm_id} with these filters`));
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/characters/search
+// Purpose: Finds stored characters by name prefix
+// Frontend Usage:
+//   - Character search box
+// Supports: q (required, min 2 chars), region (optional), limit (default 20, max 100)
+router.get('/characters/search', validate({
+  query: {
+    q: { type: 'string', required: true, minLength: 2, maxLength: 64 },
+    region: fields.region(),
+    limit: fields.limit(20, 100)
+  }
+}), async (req, res, next) => {
+  console.log(`📊 [META] GET /meta/characters/search - q: ${req.query.q}, Region: ${req.query.region || 'all'}`);
+  const { q, limit } = req.query;
+  const region = req.query.region || null;
+
+  // $1 (name prefix) and $2 (region) are shared by the count and the page
+  const filterParams = [q.toLowerCase().replace(/[\\%_]/g, '\\$&') + '%'];
+  let regionFilter = '';
+  if (region) {
+    filterParams.push(region);
+    regionFilter = 'AND c.region = $2';
+  }
+  const params = [...filterParams, q.toLowerCase(), limit];
+
+  try {
+    const [countResult, { rows }] = await Promise.all([
+      db.pool.query(`SELECT COUNT(*)::int AS total FROM character c WHERE lower(c.name) LIKE $1 ${regionFilter}`, filterParams),
+      db.pool.query(
+        `SELECT c.id, c.name, c.realm_slug, c.region, c.faction, c.last_spec_id, c.last_seen_at,
+                (SELECT COUNT(*)::int FROM run_group_member rgm WHERE rgm.character_id = c.id) AS total_runs
+         FROM character c
+         WHERE lower(c.name) LIKE $1 ${regionFilter}
+         ORDER BY (lower(c.name) = $${params.length - 1}) DESC, c.last_seen_at DESC NULLS LAST
+         LIMIT $${params.length}`,
+        params
+      )
+    ]);
+    res.json({ query: q, total: countResult.rows[0].total, data: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /meta/characters/:region/:realm/:name/runs
+// Purpose: Retrieves a character's stored runs across seasons, most played specs,
+//          best key per dungeon and total timed runs
+// Frontend Usage:
+//   - Character profile page
+// Supports: season_id (optional), limit (default 100, max 500), offset (default 0)
+router.get('/characters/:region/:realm/:name/runs', validate({
+  params: {
+    region: fields.region({ required: true }),
+    realm: { type: 'string', required: true, maxLength: 64 },
+    name: { type: 'string', required: true, maxLength: 64 }
+  },
+  query: {
+    season_id: fields.seasonId(),
+    limit: fields.limit(100, 500),
+    offset: fields.offset()
+  }
+}), async (req, res, next) => {
+  const { region, realm, name } = req.params;
+  console.log(`📊 [META] GET /meta/characters/${region}/${realm}/${name}/runs`, req.query);
+  const { season_id, limit, offset } = req.query;
+
+  try {
+    // Name and realm are case-insensitive; prefer the most recently seen character if a name was reused
+    const characterResult = await db.pool.query(
+      `SELECT id, name, realm_slug, region, faction, last_spec_id, last_seen_at
+       FROM character
+       WHERE region = $1 AND realm_slug = $2 AND lower(name) = $3
+       ORDER BY last_seen_at DESC NULLS LAST
+       LIMIT 1`,
+      [region, realm.toLowerCase(), name.toLowerCase()]
+    );
+    if (characterResult.rows.length === 0) {
+      return next(new NotFoundError('Character not found'));
+    }
+    const character = characterResult.rows[0];
+
+    const history = await getCharacterRunHistory(character.id, { season_id, limit, offset });
+    res.json({
+      character,
+      summary: history.summary,
+      most_played_specs: history.most_played_specs,
+      best_keys_by_dungeon: history.best_keys_by_dungeon,
+      meta: {
+        total_runs: history.summary.total_runs,
+        limit,
+        offset
+      },
+      runs: history.runs
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.TOP_KEYS_FILTERS = TOP_KEYS_FILTERS;
\ No newline at end of file
@@ -2,6 +2,9 @@ const express = require('express');
 const validateRegion = require('../middleware/region');
 const raiderIO = require('../services/raiderio/client');
 const db = require('../services/db');
+const { HTTP_STATUS } = require('../config/constants');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { validate, fields } = require('../middleware/validate');
 
 const router = express.Router();
 // Lightweight concurrency limiter to avoid pulling extra deps
@@ -35,7 +38,9 @@ function withConcurrency(limit, tasks) {
 router.use(validateRegion);
 
 // GET /raiderio/season-cutoffs?season=season-tww-2&region=us
-router.get('/season-cutoffs', async (req, res, next) => {
+router.get('/season-cutoffs', validate({
+  query: { season: fields.raiderioSeason({ required: true }) }
+}), async (req, res, next) => {
   try {
     const { season } = req.query;
     const region = req.region;
@@ -47,9 +52,11 @@ router.get('/season-cutoffs', async (req, res, next) => {
 });
 
 // GET /raiderio/static-data?expansion_id=10
-router.get('/static-data', async (req, res, next) => {
+router.get('/static-data', validate({
+  query: { expansion_id: { type: 'int', min: 1, max: 99 } }
+}), async (req, res, next) => {
   try {
-    const expansion_id = req.query.expansion_id ? Number(req.query.expansion_id) : undefined;
+    const { expansion_id } = req.query;
     const data = await raiderIO.getStaticData({ expansion_id });
     res.json(data);
   } catch (err) {
@@ -59,11 +66,16 @@ router.get('/static-data', async (req, res, next) => {
 
 // GET /raiderio/top-tenth-percent?season=season-tww-2&region=us
 // Returns distribution of players/classes/specs who meet or exceed the 0.1% cutoff
-router.get('/top-tenth-percent', async (req, res, next) => {
+router.get('/top-tenth-percent', validate({
+  query: {
+    season: fields.raiderioSeason({ required: true }),
+    concurrency: { type: 'int', min: 1, max: 32, default: 8 },
+    maxPages: { type: 'int', min: 1, max: 200, default: 20 }
+  }
+}), async (req, res, next) => {
   try {
     const { season } = req.query;
     const region = req.region;
-    if (!season) return res.status(400).json({ error: true, message: 'Missing required query param: season' });
 
     // 1) get cutoffs (contains overall and role cutoffs; we use overall per region)
     const cutoffs = await raiderIO.getSeasonCutoffs({ season, region });
@@ -126,13 +138,16 @@ router.get('/top-tenth-percent', async (req, res, next) => {
     }
 
     if (cutoffScore == null) {
-      return res.status(502).json({ error: true, message: 'Failed to resolve 0.1% cutoff score from Raider.IO payload', debug: { cutoffs } });
+      return next(new AppError('Failed to resolve 0.1% cutoff score from Raider.IO payload', {
+        status: HTTP_STATUS.BAD_GATEWAY,
+        code: 'UPSTREAM_INVALID_RESPONSE',
+        details: { cutoffs }
+      }));
     }
 
     // 2) Alternative approach: fetch top runs and collect unique players meeting cutoff
     // We will page through top runs and enrich characters to get season score when needed
-    const concurrency = Math.max(1, Number(req.query.concurrency || 8));
-    const maxPages = Math.max(1, Number(req.query.maxPages || 20));
+    const { concurrency, maxPages } = req.query;
     let page = 0;
     let hasMore = true;
     const qualifyingCharacters = new Map(); // key: region:realm:name -> { class, spec }
@@ -145,7 +160,7 @@ router.get('/top-tenth-percent', async (req, res, next) => {
         const rankings = resp?.rankings || [];
         runs = Array.isArray(rankings) ? rankings.map(r => r.run).filter(Boolean) : [];
       } catch (e) {
-        const status = e?.response?.status;
+        const status = e?.upstreamStatus ?? e?.status;
         if (status === 429) {
           // Back off briefly and retry once
           await new Promise(r => setTimeout(r, 1200));
@@ -242,13 +257,13 @@ module.exports = router;
 
 // New read-only endpoints for cutoff snapshots
 // GET /raiderio/cutoff-snapshots/latest?season=season-df-4&region=us
-router.get('/cutoff-snapshots/latest', async (req, res, next) => {
+router.get('/cutoff-snapshots/latest', validate({
+  query: { season: fields.raiderioSeason({ required: true }) }
+}), async (req, res, next) => {
   try {
-    const season = req.query.season;
-    const region = req.query.region || req.region;
-    if (!season || !region) return res.status(400).json({ error: true, message: 'season and region are required' });
-    const snap = await db.getLatestCutoffSnapshot(season, region.toLowerCase());
-    if (!snap) return res.status(404).json({ error: true, message: 'No snapshot found' });
+    const { season } = req.query;
+    const snap = await db.getLatestCutoffSnapshot(season, req.region);
+    if (!snap) return next(new NotFoundError('No snapshot found'));
     // Add color hint for cutoff visuals (static for now; can be made season-specific)
     res.json({ ...snap, allColor: '#f77149' });
   } catch (err) { next(err); }
@@ -263,10 +278,11 @@ router.get('/cutoff-snapshots/index', async (_req, res, next) => {
 });
 
 // GET /raiderio/cutoff-snapshots/by-season?season=season-df-4 -> latest for all regions
-router.get('/cutoff-snapshots/by-season', async (req, res, next) => {
+router.get('/cutoff-snapshots/by-season', validate({
+  query: { season: fields.raiderioSeason({ required: true }) }
+}), async (req, res, next) => {
   try {
-    const season = req.query.season;
-    if (!season) return res.status(400).json({ error: true, message: 'season is required' });
+    const { season } = req.query;
     const rows = await db.getLatestCutoffSnapshotsBySeason(season);
     res.json(rows.map(r => ({ ...r, allColor: '#f77149' })));
   } catch (err) { next(err); }
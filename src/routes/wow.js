@@ -2,11 +2,10 @@ const express = require('express');
 const proxyService = require('../services/proxy');
 const validateRegion = require('../middleware/region');
 const axios = require('axios');
-const { SEASON_DUNGEONS, SEASON_NAMES } = require('../config/constants');
 const fs = require('fs');
 const path = require('path');
 const db = require('../services/db');
-const { WOW_SPECIALIZATIONS, WOW_SPEC_ROLES } = require('../config/constants');
+const { getCatalog } = require('../services/catalog');
 
 // Try to import p-limit with error handling
 let pLimit;
@@ -47,12 +46,22 @@ try {
 
 const { v4: uuidv4 } = require('uuid');
 const advancedRouter = require('./advanced');
+const { loadSession, requireSession } = require('../middleware/session');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
 // Apply region validation to all WoW routes
 router.use(validateRegion);
 
+// Send a proxied Blizzard response, exposing the cache status (HIT, MISS, REVALIDATED, STALE, BYPASS)
+function sendProxyResponse(res, response) {
+  if (response.cache) {
+    res.set('X-Cache', response.cache);
+  }
+  res.json(response.data);
+}
+
 /**
  * Game Data Routes
  */
@@ -63,7 +72,7 @@ router.get('/game-data/achievements', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('achievements', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -75,7 +84,7 @@ router.get('/game-data/token', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('token', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -87,7 +96,7 @@ router.get('/game-data/professions', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('professions', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -98,7 +107,7 @@ router.get('/game-data/talents', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('talents', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -109,7 +118,7 @@ router.get('/game-data/pvp-seasons', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('pvp-seasons', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -120,7 +129,7 @@ router.get('/game-data/reputations', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('reputations', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -131,7 +140,7 @@ router.get('/game-data/achievement-categories', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('achievement-categories', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -142,7 +151,7 @@ router.get('/game-data/talent-trees', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('talent-trees', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -153,7 +162,7 @@ router.get('/game-data/reputation-tiers', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('reputation-tiers', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -164,7 +173,7 @@ router.get('/game-data/item-classes', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('item-classes', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -174,7 +183,7 @@ router.get('/game-data/item-sets', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('item-sets', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -186,7 +195,7 @@ router.get('/game-data/keystone-affixes', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('keystone-affixes', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -198,7 +207,7 @@ router.get('/game-data/mythic-keystone', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mythic-keystone', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -208,7 +217,7 @@ router.get('/game-data/mythic-keystone-dungeons', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mythic-keystone-dungeons', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -218,7 +227,7 @@ router.get('/game-data/mythic-keystone-periods', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mythic-keystone-periods', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -228,7 +237,7 @@ router.get('/game-data/mythic-keystone-seasons', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mythic-keystone-seasons', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -243,7 +252,7 @@ router.get('/game-data/mythic-leaderboard-index/:connectedRealmId', async (req,
       ...req.query,
       connectedRealmId
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -260,7 +269,7 @@ router.get('/game-data/mythic-leaderboard/:connectedRealmId/:dungeonId/:periodId
       dungeonId,
       periodId
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -271,7 +280,7 @@ router.get('/game-data/playable-classes', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('playable-classes', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -285,7 +294,7 @@ router.get('/game-data/playable-class/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -299,7 +308,7 @@ router.get('/game-data/playable-class-media/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -313,7 +322,7 @@ router.get('/game-data/playable-class/:id/pvp-talent-slots', async (req, res, ne
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -324,7 +333,7 @@ router.get('/game-data/playable-races', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('playable-races', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -338,7 +347,7 @@ router.get('/game-data/playable-race/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -349,7 +358,7 @@ router.get('/game-data/playable-specializations', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('playable-specializations', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -363,7 +372,7 @@ router.get('/game-data/playable-specialization/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -377,7 +386,7 @@ router.get('/game-data/playable-specialization-media/:id', async (req, res, next
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -388,7 +397,7 @@ router.get('/game-data/realms', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('realms', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -402,7 +411,7 @@ router.get('/game-data/realm/:slug', async (req, res, next) => {
       ...req.query,
       slug
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -412,7 +421,7 @@ router.get('/game-data/realm-search', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('realm-search', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -423,7 +432,7 @@ router.get('/game-data/regions', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('regions', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -437,7 +446,7 @@ router.get('/game-data/region/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -452,7 +461,7 @@ router.get('/game-data/spell/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -466,7 +475,7 @@ router.get('/game-data/spell-media/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -476,7 +485,7 @@ router.get('/game-data/spell-search', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('spell-search', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -487,7 +496,7 @@ router.get('/game-data/talent-tree-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('talent-tree-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -502,7 +511,7 @@ router.get('/game-data/talent-tree/:treeId/playable-specialization/:specId', asy
       treeId,
       specId
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -516,7 +525,7 @@ router.get('/game-data/talent-tree-nodes/:treeId', async (req, res, next) => {
       ...req.query,
       treeId
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -526,7 +535,7 @@ router.get('/game-data/talents-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('talents-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -540,7 +549,7 @@ router.get('/game-data/talent/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -550,7 +559,7 @@ router.get('/game-data/pvp-talents-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('pvp-talents-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -564,7 +573,7 @@ router.get('/game-data/pvp-talent/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -575,7 +584,7 @@ router.get('/game-data/tech-talent-tree-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('tech-talent-tree-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -589,7 +598,7 @@ router.get('/game-data/tech-talent-tree/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -599,7 +608,7 @@ router.get('/game-data/tech-talent-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('tech-talent-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -613,7 +622,7 @@ router.get('/game-data/tech-talent/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -627,7 +636,7 @@ router.get('/game-data/tech-talent-media/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -638,7 +647,7 @@ router.get('/game-data/connected-realms-index', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('connected-realms-index', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -652,7 +661,7 @@ router.get('/game-data/connected-realm/:id', async (req, res, next) => {
       ...req.query,
       id
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -662,7 +671,7 @@ router.get('/game-data/connected-realm-search', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('connected-realm-search', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -673,7 +682,7 @@ router.get('/game-data/media-search', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('media-search', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -684,7 +693,7 @@ router.get('/game-data/achievements/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('achievement', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -695,7 +704,7 @@ router.get('/game-data/classes', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('classes', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -706,7 +715,7 @@ router.get('/game-data/classes/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('class', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -717,7 +726,7 @@ router.get('/game-data/races', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('races', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -728,7 +737,7 @@ router.get('/game-data/races/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('race', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -739,7 +748,7 @@ router.get('/game-data/specializations', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('specializations', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -750,7 +759,7 @@ router.get('/game-data/specializations/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('specialization', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -761,7 +770,7 @@ router.get('/game-data/items', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('items', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -772,7 +781,7 @@ router.get('/game-data/items/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('item', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -783,7 +792,7 @@ router.get('/game-data/mounts', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mounts', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -794,7 +803,7 @@ router.get('/game-data/mounts/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('mount', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -805,7 +814,7 @@ router.get('/game-data/pets', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('pets', region, req.query);
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -816,7 +825,7 @@ router.get('/game-data/pets/:id', async (req, res, next) => {
   try {
     const { region } = req;
     const response = await proxyService.getGameData('pet', region, { id: req.params.id, ...req.query });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -847,6 +856,122 @@ router.get('/health', async (req, res, next) => {
   }
 });
 
+/**
+ * Profile Routes (logged-in user's own Battle.net token)
+ */
+
+router.use('/profile', loadSession, requireSession);
+
+// Profile calls go to the region the user logged in with unless ?region= is given
+function getProfileRegion(req) {
+  return req.query.region ? req.region : (req.userSession.region || req.region);
+}
+
+// Blizzard expects lowercase realm slugs and character names
+function getCharacterParams(req) {
+  return {
+    realmSlug: encodeURIComponent(req.params.realm.toLowerCase()),
+    characterName: encodeURIComponent(req.params.name.toLowerCase())
+  };
+}
+
+// GET /wow/profile/user/wow
+// Account profile summary. Each character is linked to the leaderboard data we store
+// (character.id is the Blizzard profile id, so it matches the account character ids).
+router.get('/profile/user/wow', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  console.log(`🎮 [WOW] GET /wow/profile/user/wow - Region: ${region}`);
+  try {
+    const response = await proxyService.getProfileData('user', region, {}, req.userAccessToken);
+    const data = response.data || {};
+    const characterIds = (data.wow_accounts || [])
+      .flatMap(account => account.characters || [])
+      .map(c => c.id)
+      .filter(id => id != null);
+
+    let linked = [];
+    if (characterIds.length > 0) {
+      const { rows } = await db.pool.query(
+        `SELECT c.id AS character_id, c.name, c.realm_slug, c.region, c.last_spec_id, c.last_seen_at,
+                (SELECT COUNT(*)::int FROM run_group_member rgm WHERE rgm.character_id = c.id) AS total_runs
+         FROM character c
+         WHERE c.id = ANY($1::bigint[])
+         ORDER BY c.last_seen_at DESC NULLS LAST`,
+        [characterIds]
+      );
+      linked = rows;
+    }
+
+    res.json({ ...data, linked_characters: linked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /wow/profile/character/:realm/:name
+router.get('/profile/character/:realm/:name', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  console.log(`🎮 [WOW] GET /wow/profile/character/${req.params.realm}/${req.params.name} - Region: ${region}`);
+  try {
+    const response = await proxyService.getProfileData('character', region, getCharacterParams(req), req.userAccessToken);
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /wow/profile/character/:realm/:name/equipment
+router.get('/profile/character/:realm/:name/equipment', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  console.log(`🎮 [WOW] GET /wow/profile/character/${req.params.realm}/${req.params.name}/equipment - Region: ${region}`);
+  try {
+    const response = await proxyService.getProfileData('character-equipment', region, getCharacterParams(req), req.userAccessToken);
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /wow/profile/character/:realm/:name/specializations
+router.get('/profile/character/:realm/:name/specializations', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  console.log(`🎮 [WOW] GET /wow/profile/character/${req.params.realm}/${req.params.name}/specializations - Region: ${region}`);
+  try {
+    const response = await proxyService.getProfileData('character-specializations', region, getCharacterParams(req), req.userAccessToken);
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /wow/profile/character/:realm/:name/mythic-keystone-profile
+router.get('/profile/character/:realm/:name/mythic-keystone-profile', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  console.log(`🎮 [WOW] GET /wow/profile/character/${req.params.realm}/${req.params.name}/mythic-keystone-profile - Region: ${region}`);
+  try {
+    const response = await proxyService.getProfileData('character-dungeons', region, getCharacterParams(req), req.userAccessToken);
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /wow/profile/character/:realm/:name/mythic-keystone-profile/season/:seasonId
+router.get('/profile/character/:realm/:name/mythic-keystone-profile/season/:seasonId', async (req, res, next) => {
+  const region = getProfileRegion(req);
+  const { seasonId } = req.params;
+  console.log(`🎮 [WOW] GET /wow/profile/character/${req.params.realm}/${req.params.name}/mythic-keystone-profile/season/${seasonId} - Region: ${region}`);
+  if (!/^\d+$/.test(seasonId)) {
+    return next(new ValidationError('seasonId must be a number'));
+  }
+  try {
+    const response = await proxyService.getProfileData('character-dungeon-season', region, { ...getCharacterParams(req), seasonId }, req.userAccessToken);
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PvP Season Index
 router.get('/game-data/pvp-season/index', async (req, res, next) => {
   try {
@@ -856,7 +981,7 @@ router.get('/game-data/pvp-season/index', async (req, res, next) => {
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -871,7 +996,7 @@ router.get('/game-data/reputation-faction/index', async (req, res, next) => {
       namespace: `static-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -888,7 +1013,7 @@ router.get('/game-data/reputation-faction/:id', async (req, res, next) => {
       namespace: `static-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -903,7 +1028,7 @@ router.get('/game-data/reputation-tiers/index', async (req, res, next) => {
       namespace: `static-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -920,7 +1045,7 @@ router.get('/game-data/reputation-tiers/:id', async (req, res, next) => {
       namespace: `static-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -935,7 +1060,7 @@ router.get('/game-data/token/index', async (req, res, next) => {
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -952,7 +1077,7 @@ router.get('/game-data/pvp-season/:seasonId', async (req, res, next) => {
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -969,7 +1094,7 @@ router.get('/game-data/pvp-season/:seasonId/pvp-leaderboard/index', async (req,
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -987,7 +1112,7 @@ router.get('/game-data/pvp-season/:seasonId/pvp-leaderboard/:bracket', async (re
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
@@ -1004,22 +1129,12 @@ router.get('/game-data/pvp-season/:seasonId/pvp-reward/index', async (req, res,
       namespace: `dynamic-${region}`,
       locale: req.query.locale || 'en_US'
     });
-    res.json(response.data);
+    sendProxyResponse(res, response);
   } catch (error) {
     next(error);
   }
 });
 
-// Helper to map spec_id to class_id
-function getClassIdFromSpecId(specId) {
-  const spec = WOW_SPECIALIZATIONS.find(s => s.id === specId);
-  return spec ? spec.classId : null;
-}
-// Helper to map spec_id to role
-function getRoleFromSpecId(specId) {
-  return WOW_SPEC_ROLES[specId] || null;
-}
-
 function dedupeGroupMembers(members) {
   const seen = new Set();
   return members.filter(m => {
@@ -1111,7 +1226,7 @@ function printProgress(current, total, context = '') {
 router.use('/advanced', advancedRouter);
 
 // Lightweight endpoint: current season (DB-first)
-router.get('/advanced/current-season', async (req, res) => {
+router.get('/advanced/current-season', async (req, res, next) => {
   try {
     const { rows } = await db.pool.query(
       `SELECT id AS season_id, COALESCE(NULLIF(TRIM(name), ''), 'Season ' || id) AS season_name
@@ -1119,21 +1234,13 @@ router.get('/advanced/current-season', async (req, res) => {
        WHERE id = (SELECT MAX(id) FROM season)`
     );
     if (rows && rows[0]) return res.json(rows[0]);
-    // Fallback to constants if DB empty
-    const entries = Object.entries(require('../config/constants').SEASON_NAMES);
-    if (entries.length > 0) {
-      const max = entries.map(([id]) => Number(id)).sort((a, b) => b - a)[0];
-      return res.json({ season_id: max, season_name: require('../config/constants').SEASON_NAMES[max] });
-    }
-    return res.status(404).json({ error: 'No seasons available' });
+    // Fallback to the latest season in the catalog if the season table is empty
+    const catalog = await getCatalog();
+    const latest = catalog.seasons[catalog.seasons.length - 1];
+    if (latest) return res.json({ season_id: latest.season_id, season_name: catalog.seasonName(latest.season_id) });
+    return next(new NotFoundError('No seasons available'));
   } catch (e) {
-    console.warn('[current-season] DB error, falling back:', e.message);
-    const entries = Object.entries(require('../config/constants').SEASON_NAMES);
-    if (entries.length > 0) {
-      const max = entries.map(([id]) => Number(id)).sort((a, b) => b - a)[0];
-      return res.json({ season_id: max, season_name: require('../config/constants').SEASON_NAMES[max] });
-    }
-    return res.status(500).json({ error: 'Failed to resolve current season' });
+    return next(e);
   }
 });
 
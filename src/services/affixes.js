@@ -0,0 +1,175 @@
+const db = require('./db');
+const proxyService = require('./proxy');
+const raiderIO = require('./raiderio/client');
+
+// Weekly Mythic+ affix rotation, stored per period and region (period_affix) with
+// affix names/descriptions in keystone_affix. Sources:
+// - Blizzard mythic-leaderboard responses (keystone_affixes), recorded while crawling
+//   and used to backfill past periods
+// - Raider.IO's current-week affixes, which also carry descriptions
+// - Blizzard's keystone-affix index for names
+
+const AFFIX_REGIONS = ['us', 'eu', 'kr', 'tw'];
+
+let affixTablesReady = null;
+
+function ensureAffixTables() {
+  if (!affixTablesReady) {
+    affixTablesReady = db.ensureAffixTables().catch(err => {
+      affixTablesReady = null;
+      throw err;
+    });
+  }
+  return affixTablesReady;
+}
+
+/**
+ * Affixes of a Blizzard mythic-leaderboard response, in the order they activate
+ * @returns {Array} [{ id, name }]
+ */
+function affixesFromLeaderboard(data) {
+  const entries = (data && data.keystone_affixes) || [];
+  return entries
+    .filter(e => e && e.keystone_affix && e.keystone_affix.id)
+    .sort((a, b) => (a.starting_level || 0) - (b.starting_level || 0))
+    .map(e => ({ id: e.keystone_affix.id, name: e.keystone_affix.name || `Affix ${e.keystone_affix.id}` }));
+}
+
+/**
+ * Store the affixes of a period in a region
+ * @param {Array} affixes - [{ id, name, description? }]
+ * @param {string} source - 'blizzard' | 'raiderio'
+ */
+async function recordPeriodAffixes(region, periodId, affixes, source) {
+  if (!affixes || affixes.length === 0) return;
+  await ensureAffixTables();
+  await db.upsertKeystoneAffixes(affixes);
+  await db.upsertPeriodAffixes({ period_id: periodId, region, affix_ids: affixes.map(a => a.id), source });
+}
+
+/**
+ * Stored affixes for a set of periods.
+ * get(periodId, region) prefers the region's own rotation; without a region (or when the
+ * region is missing) it falls back to the rotation reported by most regions.
+ */
+class PeriodAffixes {
+  constructor(rows) {
+    this.byPeriod = new Map(); // period_id -> Map(region -> affixes)
+    for (const row of rows) {
+      if (!this.byPeriod.has(row.period_id)) this.byPeriod.set(row.period_id, new Map());
+      this.byPeriod.get(row.period_id).set(row.region, row.affixes);
+    }
+  }
+
+  get(periodId, region = null) {
+    const regions = this.byPeriod.get(Number(periodId));
+    if (!regions) return null;
+    if (region && regions.has(region)) return regions.get(region);
+    // Ties go to the region listed first in AFFIX_REGIONS
+    const rank = r => (AFFIX_REGIONS.includes(r) ? AFFIX_REGIONS.indexOf(r) : AFFIX_REGIONS.length);
+    let best = null;
+    let bestCount = 0;
+    const counts = new Map();
+    for (const [, affixes] of [...regions.entries()].sort((a, b) => rank(a[0]) - rank(b[0]))) {
+      const key = affixes.map(a => a.id).join(',');
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      if (count > bestCount) {
+        best = affixes;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Load stored affixes for periods. Never throws: affixes are supplementary, so a missing
+ * table or failed query just means no affix information.
+ * @param {number[]} periodIds
+ * @returns {Promise<PeriodAffixes>}
+ */
+async function getPeriodAffixes(periodIds) {
+  const ids = [...new Set((periodIds || []).map(Number).filter(Boolean))];
+  if (ids.length === 0) return new PeriodAffixes([]);
+  try {
+    await ensureAffixTables();
+    return new PeriodAffixes(await db.getPeriodAffixes(ids));
+  } catch (err) {
+    console.warn('[AFFIXES] Failed to load period affixes:', err.message);
+    return new PeriodAffixes([]);
+  }
+}
+
+/**
+ * Pull affix data from Blizzard and Raider.IO
+ * @param {Object} options
+ * @param {string[]} options.regions - Regions to sync (default all)
+ * @param {number} options.seasonId - Limit the backfill to a season
+ * @param {boolean} options.backfill - Read affixes of stored periods that have none from one of their leaderboards
+ * @returns {Promise<Object>} { status, affixes, periods, errors }
+ */
+async function syncAffixes({ regions = AFFIX_REGIONS, seasonId = null, backfill = true } = {}) {
+  await ensureAffixTables();
+  const errors = [];
+  let affixCount = 0;
+  let periodCount = 0;
+
+  // Names from the keystone-affix index (same in every region)
+  try {
+    const index = await proxyService.getGameData('keystone-affixes', regions[0] || 'us', {});
+    const affixes = (index.data.affixes || []).filter(a => a && a.id).map(a => ({ id: a.id, name: a.name || `Affix ${a.id}` }));
+    await db.upsertKeystoneAffixes(affixes);
+    affixCount += affixes.length;
+  } catch (err) {
+    errors.push(`keystone-affix index: ${err.message}`);
+  }
+
+  for (const region of regions) {
+    // Current week: Raider.IO affixes (with descriptions) for Blizzard's current period
+    try {
+      const [periodsResp, current] = await Promise.all([
+        proxyService.getGameData('mythic-keystone-periods', region, {}),
+        raiderIO.getAffixes({ region })
+      ]);
+      const periodId = periodsResp.data.current_period && periodsResp.data.current_period.id;
+      const affixes = (current.affix_details || []).filter(a => a && a.id).map(a => ({ id: a.id, name: a.name, description: a.description || null }));
+      if (periodId && affixes.length > 0) {
+        await recordPeriodAffixes(region, periodId, affixes, 'raiderio');
+        periodCount++;
+      }
+    } catch (err) {
+      errors.push(`${region} current affixes: ${err.message}`);
+    }
+
+    if (!backfill) continue;
+    try {
+      const missing = await db.getPeriodsMissingAffixes(region, seasonId);
+      for (const { period_id, dungeon_id, realm_id } of missing) {
+        try {
+          const lb = await proxyService.getGameData('mythic-leaderboard', region, { connectedRealmId: realm_id, dungeonId: dungeon_id, periodId: period_id });
+          const affixes = affixesFromLeaderboard(lb.data);
+          if (affixes.length > 0) {
+            await recordPeriodAffixes(region, period_id, affixes, 'blizzard');
+            periodCount++;
+          }
+        } catch (err) {
+          errors.push(`${region} period ${period_id}: ${err.message}`);
+        }
+      }
+    } catch (err) {
+      errors.push(`${region} backfill: ${err.message}`);
+    }
+  }
+
+  console.log(`[AFFIXES] Synced ${affixCount} affixes and ${periodCount} period rotations (${errors.length} errors)`);
+  return { status: errors.length === 0 ? 'OK' : 'PARTIAL', affixes: affixCount, periods: periodCount, errors };
+}
+
+module.exports = {
+  ensureAffixTables,
+  affixesFromLeaderboard,
+  recordPeriodAffixes,
+  getPeriodAffixes,
+  syncAffixes
+};
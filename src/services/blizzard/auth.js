@@ -1,6 +1,7 @@
 const axios = require('axios');
 const { getRegion } = require('../../config/regions');
 const { CACHE_CONFIG } = require('../../config/constants');
+const { AppError, UpstreamError } = require('../../utils/errors');
 
 // Simple in-memory cache for tokens
 const tokenCache = new Map();
@@ -47,7 +48,12 @@ async function getAccessToken(region = 'us') {
     return access_token;
   } catch (error) {
     console.error('Error getting access token:', error.message);
-    throw new Error(`Failed to get access token for region ${region}: ${error.message}`);
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(`Failed to get access token for region ${region}: ${error.message}`, {
+      service: 'battle.net',
+      upstreamStatus: error.response?.status ?? null,
+      cause: error
+    });
   }
 }
 
@@ -85,16 +91,126 @@ function getCachedTokenInfo(region = 'us') {
   };
 }
 
-function getUserAccessToken() {
-  // For now, just return the env variable (in real app, use session or DB)
-  const token = process.env.BLIZZARD_USER_ACCESS_TOKEN;
-  if (!token) throw new Error('No user access token set in BLIZZARD_USER_ACCESS_TOKEN');
-  return token;
+const OAUTH_AUTHORIZE_URL = 'https://oauth.battle.net/authorize';
+const OAUTH_USERINFO_URL = 'https://oauth.battle.net/userinfo';
+
+function clientBasicAuth() {
+  return `Basic ${Buffer.from(`${process.env.BLIZZARD_CLIENT_ID}:${process.env.BLIZZARD_CLIENT_SECRET}`).toString('base64')}`;
+}
+
+/**
+ * Build the Battle.net authorize URL for the authorization code flow
+ * @param {Object} options - { state, redirectUri, scope }
+ * @returns {string} Authorize URL
+ */
+function buildAuthorizeUrl({ state, redirectUri, scope = 'wow.profile' }) {
+  const query = new URLSearchParams({
+    client_id: process.env.BLIZZARD_CLIENT_ID,
+    scope,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    state
+  });
+  return `${OAUTH_AUTHORIZE_URL}?${query.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for a user access token
+ * @param {string} code - Authorization code from the callback
+ * @param {string} region - Region code
+ * @param {string} redirectUri - Redirect URI used for the authorize step
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt, scope }
+ */
+async function exchangeCodeForToken(code, region = 'us', redirectUri) {
+  try {
+    const regionConfig = getRegion(region);
+    const body = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri });
+    const response = await axios.post(regionConfig.oauthUrl, body.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': clientBasicAuth()
+      }
+    });
+    return toUserToken(response.data);
+  } catch (error) {
+    console.error('Error exchanging authorization code:', error.message);
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(`Failed to exchange authorization code for region ${region}: ${error.message}`, {
+      service: 'battle.net',
+      upstreamStatus: error.response?.status ?? null,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Refresh a user access token (only possible when Battle.net issued a refresh token)
+ * @param {string} refreshToken - Refresh token
+ * @param {string} region - Region code
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt, scope }
+ */
+async function refreshUserToken(refreshToken, region = 'us') {
+  try {
+    const regionConfig = getRegion(region);
+    const body = new URLSearchParams({ grant_type: 'refresh_token', refresh_token: refreshToken });
+    const response = await axios.post(regionConfig.oauthUrl, body.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': clientBasicAuth()
+      }
+    });
+    const token = toUserToken(response.data);
+    // Keep the previous refresh token if a new one wasn't issued
+    if (!token.refreshToken) token.refreshToken = refreshToken;
+    return token;
+  } catch (error) {
+    console.error('Error refreshing user token:', error.message);
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(`Failed to refresh user token for region ${region}: ${error.message}`, {
+      service: 'battle.net',
+      upstreamStatus: error.response?.status ?? null,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Get the Battle.net account behind a user access token
+ * @param {string} accessToken - User access token
+ * @returns {Promise<Object>} { id, battletag }
+ */
+async function getUserInfo(accessToken) {
+  try {
+    const response = await axios.get(OAUTH_USERINFO_URL, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+    return { id: response.data.id, battletag: response.data.battletag || null };
+  } catch (error) {
+    console.error('Error getting user info:', error.message);
+    if (error instanceof AppError) throw error;
+    throw new UpstreamError(`Failed to get user info: ${error.message}`, {
+      service: 'battle.net',
+      upstreamStatus: error.response?.status ?? null,
+      cause: error
+    });
+  }
+}
+
+function toUserToken(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: new Date(Date.now() + (Number(data.expires_in) || 0) * 1000),
+    scope: data.scope || null
+  };
 }
 
 module.exports = {
   getAccessToken,
   clearTokenCache,
   getCachedTokenInfo,
-  getUserAccessToken
+  buildAuthorizeUrl,
+  exchangeCodeForToken,
+  refreshUserToken,
+  getUserInfo
 }; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { getRegion } = require('../../config/regions');
 const { getAccessToken } = require('./auth');
+const scheduler = require('./scheduler');
+const { AppError, UnauthorizedError, UpstreamError, RateLimitedError } = require('../../utils/errors');
 
 /**
  * Blizzard API client for making authenticated requests
@@ -55,7 +57,7 @@ class BlizzardClient {
       return `dynamic-${region}`;
     }
     
-    if (endpoint.startsWith('/profile/wow/character/')) {
+    if (endpoint.startsWith('/profile/')) {
       return `profile-${region}`;
     }
     if (endpoint.startsWith('/data/wow/search/media')) {
@@ -94,17 +96,17 @@ class BlizzardClient {
    * Make an authenticated request to Blizzard API
    * @param {string} endpoint - API endpoint
    * @param {string} region - Region code
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (method, params, data, headers, timeout, accessToken, validateStatus)
    * @returns {Promise<Object>} API response
    */
   async request(endpoint, region = 'us', options = {}) {
     try {
       const regionConfig = getRegion(region);
       let accessToken;
-      // Use user access token for /profile/ endpoints
+      // Use the caller's user access token (from their session) for /profile/ endpoints
       if (endpoint.startsWith('/profile/')) {
-        accessToken = global.LAST_USER_ACCESS_TOKEN || process.env.BLIZZARD_USER_ACCESS_TOKEN;
-        if (!accessToken) throw new Error('No user access token set. Please login via /auth/blizzard/login');
+        accessToken = options.accessToken;
+        if (!accessToken) throw new UnauthorizedError('No user access token. Please login via /auth/blizzard/login');
       } else {
         accessToken = await getAccessToken(region);
       }
@@ -127,12 +129,18 @@ class BlizzardClient {
         }
       };
 
+      // Let callers accept non-2xx statuses such as 304 Not Modified
+      if (options.validateStatus) {
+        config.validateStatus = options.validateStatus;
+      }
+
       // Add request body for POST/PUT requests
       if (options.data && ['POST', 'PUT', 'PATCH'].includes(config.method)) {
         config.data = options.data;
       }
 
-      const response = await axios(config);
+      // Rate limited per region, with retries on 429/5xx/timeouts
+      const response = await scheduler.schedule(region, () => axios(config));
       
       return {
         data: response.data,
@@ -151,10 +159,11 @@ class BlizzardClient {
    * @param {string} endpoint - API endpoint
    * @param {string} region - Region code
    * @param {Object} params - Query parameters
+   * @param {Object} options - Additional options (e.g. accessToken for /profile/ endpoints)
    * @returns {Promise<Object>} API response
    */
-  async get(endpoint, region = 'us', params = {}) {
-    return this.request(endpoint, region, { params });
+  async get(endpoint, region = 'us', params = {}, options = {}) {
+    return this.request(endpoint, region, { ...options, params });
   }
 
   /**
@@ -163,10 +172,12 @@ class BlizzardClient {
    * @param {string} region - Region code
    * @param {Object} data - Request body
    * @param {Object} params - Query parameters
+   * @param {Object} options - Additional options (e.g. accessToken for /profile/ endpoints)
    * @returns {Promise<Object>} API response
    */
-  async post(endpoint, region = 'us', data = {}, params = {}) {
+  async post(endpoint, region = 'us', data = {}, params = {}, options = {}) {
     return this.request(endpoint, region, {
+      ...options,
       method: 'POST',
       data,
       params
@@ -174,41 +185,39 @@ class BlizzardClient {
   }
 
   /**
-   * Handle API errors
+   * Convert a failed request into a typed error
    * @param {Error} error - Axios error
    * @param {string} endpoint - API endpoint
    * @param {string} region - Region code
    */
   handleError(error, endpoint, region) {
+    // Already typed (bad region, missing user token)
+    if (error instanceof AppError) throw error;
+
     if (error.response) {
-      // Server responded with error status
-      const { status, data } = error.response;
-      
-      switch (status) {
-        case 400:
-          throw new Error(`Bad request for endpoint ${endpoint} in region ${region}: ${data.detail || 'Invalid request'}`);
-        case 401:
-          throw new Error(`Unauthorized for endpoint ${endpoint} in region ${region}: ${data.detail || 'Invalid credentials'}`);
-        case 403:
-          throw new Error(`Forbidden for endpoint ${endpoint} in region ${region}: ${data.detail || 'Access denied'}`);
-        case 404:
-          throw new Error(`Not found for endpoint ${endpoint} in region ${region}: ${data.detail || 'Resource not found'}`);
-        case 429:
-          throw new Error(`Rate limited for endpoint ${endpoint} in region ${region}: ${data.detail || 'Too many requests'}`);
-        case 500:
-          throw new Error(`Server error for endpoint ${endpoint} in region ${region}: ${data.detail || 'Internal server error'}`);
-        case 503:
-          throw new Error(`Service unavailable for endpoint ${endpoint} in region ${region}: ${data.detail || 'Service temporarily unavailable'}`);
-        default:
-          throw new Error(`HTTP ${status} error for endpoint ${endpoint} in region ${region}: ${data.detail || 'Unknown error'}`);
+      // Server responded with error status (after the scheduler's retries)
+      const { status, data, headers } = error.response;
+      const detail = data?.detail || error.response.statusText || 'Unknown error';
+      if (status === 429) {
+        const retryAfterMs = scheduler.parseRetryAfter(headers);
+        throw new RateLimitedError(`Blizzard API rate limited for endpoint ${endpoint} in region ${region}`, {
+          service: 'blizzard',
+          retryAfter: retryAfterMs != null ? Math.ceil(retryAfterMs / 1000) : undefined
+        });
       }
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new Error(`No response received for endpoint ${endpoint} in region ${region}: ${error.message}`);
-    } else {
-      // Something else happened
-      throw new Error(`Request failed for endpoint ${endpoint} in region ${region}: ${error.message}`);
+      throw new UpstreamError(`Blizzard API returned ${status} for endpoint ${endpoint} in region ${region}: ${detail}`, {
+        service: 'blizzard',
+        upstreamStatus: status,
+        endpoint,
+        cause: error
+      });
     }
+    // Request was made but no response received, or it never went out
+    throw new UpstreamError(`No response from Blizzard API for endpoint ${endpoint} in region ${region}: ${error.message}`, {
+      service: 'blizzard',
+      endpoint,
+      cause: error
+    });
   }
 
   /**
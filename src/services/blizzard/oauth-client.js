@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { getRegion } = require('../../config/regions');
+const { AppError, UpstreamError } = require('../../utils/errors');
 
 /**
  * Battle.net OAuth client for OAuth-specific endpoints
@@ -147,41 +148,21 @@ class BattleNetOAuthClient {
   }
 
   /**
-   * Handle API errors
+   * Convert a failed OAuth request into a typed error
    * @param {Error} error - Axios error
    * @param {string} endpoint - OAuth endpoint
    * @param {string} region - Region code
    */
   handleError(error, endpoint, region) {
-    if (error.response) {
-      // Server responded with error status
-      const { status, data } = error.response;
-      
-      switch (status) {
-        case 400:
-          throw new Error(`Bad request for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Invalid request'}`);
-        case 401:
-          throw new Error(`Unauthorized for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Invalid credentials'}`);
-        case 403:
-          throw new Error(`Forbidden for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Access denied'}`);
-        case 404:
-          throw new Error(`Not found for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Resource not found'}`);
-        case 429:
-          throw new Error(`Rate limited for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Too many requests'}`);
-        case 500:
-          throw new Error(`Server error for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Internal server error'}`);
-        case 503:
-          throw new Error(`Service unavailable for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Service temporarily unavailable'}`);
-        default:
-          throw new Error(`HTTP ${status} error for OAuth endpoint ${endpoint} in region ${region}: ${data.detail || 'Unknown error'}`);
-      }
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new Error(`No response received for OAuth endpoint ${endpoint} in region ${region}: ${error.message}`);
-    } else {
-      // Something else happened
-      throw new Error(`Request failed for OAuth endpoint ${endpoint} in region ${region}: ${error.message}`);
-    }
+    if (error instanceof AppError) throw error;
+    const status = error.response?.status ?? null;
+    const detail = error.response?.data?.detail || error.message;
+    throw new UpstreamError(`Battle.net OAuth ${status ?? 'request'} failed for endpoint ${endpoint} in region ${region}: ${detail}`, {
+      service: 'battle.net',
+      upstreamStatus: status,
+      endpoint,
+      cause: error
+    });
   }
 }
 
@@ -0,0 +1,224 @@
+/**
+ * Shared request scheduler for the Blizzard API.
+ * - Token bucket per region, sized to Blizzard's published quotas
+ *   (100 requests/second and 36,000 requests/hour per client)
+ * - Retries with jittered exponential backoff on 429, 5xx and timeouts, honoring Retry-After;
+ *   a 429 asking for a longer wait than the retry cap fails with RateLimitedError instead
+ * - Throttling metrics per region
+ */
+
+const { RateLimitedError } = require('../../utils/errors');
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket that refills continuously
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refillPerMs = refillPerSecond / 1000;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take one token if available
+   * @returns {number} 0 if a token was taken, otherwise ms until one is available
+   */
+  tryTake() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.maxRps = Number(options.maxRps || process.env.BLIZZARD_MAX_RPS || 100);
+    this.maxPerHour = Number(options.maxPerHour || process.env.BLIZZARD_MAX_PER_HOUR || 36000);
+    this.retryMax = Number(options.retryMax ?? process.env.BLIZZARD_RETRY_MAX ?? 4);
+    this.retryBaseDelayMs = Number(options.retryBaseDelayMs || process.env.BLIZZARD_RETRY_BASE_DELAY_MS || 500);
+    this.retryMaxDelayMs = Number(options.retryMaxDelayMs || process.env.BLIZZARD_RETRY_MAX_DELAY_MS || 30000);
+    this.regions = new Map();
+  }
+
+  getRegionState(region) {
+    let state = this.regions.get(region);
+    if (!state) {
+      state = {
+        perSecond: new TokenBucket(this.maxRps, this.maxRps),
+        perHour: new TokenBucket(this.maxPerHour, this.maxPerHour / 3600),
+        pausedUntil: 0,
+        metrics: {
+          requests: 0,
+          retries: 0,
+          throttled: 0,       // 429 responses from Blizzard
+          server_errors: 0,   // retryable 5xx responses
+          timeouts: 0,        // network errors and timeouts
+          failures: 0,        // requests that failed after all retries
+          limiter_waits: 0,   // times a request had to wait for a token
+          limiter_wait_ms: 0,
+          retry_wait_ms: 0,
+          last_throttled_at: null
+        }
+      };
+      this.regions.set(region, state);
+    }
+    return state;
+  }
+
+  /**
+   * Wait until the region has capacity for one more request
+   * @param {string} region - Region code
+   */
+  async acquire(region) {
+    const state = this.getRegionState(region);
+    let waited = 0;
+    while (true) {
+      const pauseMs = state.pausedUntil - Date.now();
+      if (pauseMs > 0) {
+        waited += pauseMs;
+        await sleep(pauseMs);
+        continue;
+      }
+      const waitSecond = state.perSecond.tryTake();
+      if (waitSecond > 0) {
+        waited += waitSecond;
+        await sleep(waitSecond);
+        continue;
+      }
+      const waitHour = state.perHour.tryTake();
+      if (waitHour > 0) {
+        // Give the per-second token back; we aren't sending yet
+        state.perSecond.tokens = Math.min(state.perSecond.capacity, state.perSecond.tokens + 1);
+        waited += waitHour;
+        await sleep(waitHour);
+        continue;
+      }
+      break;
+    }
+    if (waited > 0) {
+      state.metrics.limiter_waits++;
+      state.metrics.limiter_wait_ms += waited;
+    }
+  }
+
+  /**
+   * Parse Retry-After (seconds or HTTP date)
+   * @param {Object} headers - Response headers
+   * @returns {number|null} Delay in ms, or null if absent/invalid
+   */
+  parseRetryAfter(headers) {
+    const value = headers && (headers['retry-after'] ?? headers['Retry-After']);
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  isRetryable(error) {
+    if (error.response) return RETRYABLE_STATUSES.has(error.response.status);
+    return RETRYABLE_CODES.has(error.code) || /timeout/i.test(error.message || '');
+  }
+
+  // Full jitter: random delay in [0, min(cap, base * 2^attempt)]
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Run a request through the region's limiter, retrying transient failures
+   * @param {string} region - Region code
+   * @param {Function} fn - Performs the HTTP request and returns a promise
+   * @returns {Promise<any>} Result of fn
+   */
+  async schedule(region, fn) {
+    const state = this.getRegionState(region);
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(region);
+      state.metrics.requests++;
+      try {
+        return await fn();
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        if (status === 429) {
+          state.metrics.throttled++;
+          state.metrics.last_throttled_at = new Date().toISOString();
+        } else if (status) {
+          if (RETRYABLE_STATUSES.has(status)) state.metrics.server_errors++;
+        } else if (this.isRetryable(error)) {
+          state.metrics.timeouts++;
+        }
+
+        if (attempt >= this.retryMax || !this.isRetryable(error)) {
+          if (this.isRetryable(error)) state.metrics.failures++;
+          throw error;
+        }
+
+        const retryAfterMs = error.response ? this.parseRetryAfter(error.response.headers) : null;
+        if (retryAfterMs != null && retryAfterMs > this.retryMaxDelayMs) {
+          // Retrying before Retry-After is up would only be refused again
+          state.metrics.failures++;
+          if (status !== 429) throw error;
+          throw new RateLimitedError(`Blizzard API rate limited in region ${region}, Retry-After ${Math.ceil(retryAfterMs / 1000)}s exceeds the retry limit`, {
+            service: 'blizzard',
+            retryAfter: Math.ceil(retryAfterMs / 1000)
+          });
+        }
+        // backoffDelay is capped at retryMaxDelayMs; Retry-After is within it here
+        const delay = Math.max(retryAfterMs ?? 0, this.backoffDelay(attempt));
+        if (status === 429) {
+          // Back off the whole region, not just this request
+          state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        }
+        state.metrics.retries++;
+        state.metrics.retry_wait_ms += delay;
+        console.warn(`[BLIZZARD] ${status || error.code || 'error'} in ${region}, retry ${attempt + 1}/${this.retryMax} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Throttling metrics per region
+   * @returns {Object} Config and per-region counters
+   */
+  getMetrics() {
+    const regions = {};
+    for (const [region, state] of this.regions) {
+      regions[region] = {
+        ...state.metrics,
+        tokens_available: Math.floor(state.perSecond.tokens),
+        hourly_tokens_available: Math.floor(state.perHour.tokens),
+        paused_ms_remaining: Math.max(0, state.pausedUntil - Date.now())
+      };
+    }
+    return {
+      config: {
+        max_rps: this.maxRps,
+        max_per_hour: this.maxPerHour,
+        retry_max: this.retryMax,
+        retry_base_delay_ms: this.retryBaseDelayMs,
+        retry_max_delay_ms: this.retryMaxDelayMs
+      },
+      regions
+    };
+  }
+}
+
+module.exports = new RequestScheduler();
@@ -0,0 +1,151 @@
+const db = require('../db');
+const { CACHE_CONFIG } = require('../../config/constants');
+const MemoryCacheStore = require('./memory-store');
+const PostgresCacheStore = require('./postgres-store');
+
+/**
+ * Two-level store: memory in front of Postgres. Reads fall through to Postgres
+ * and warm the memory tier; writes go to both.
+ */
+class TieredCacheStore {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async get(key) {
+    for (let i = 0; i < this.stores.length; i++) {
+      const entry = await this.stores[i].get(key);
+      if (entry) {
+        // Backfill faster tiers
+        await Promise.all(this.stores.slice(0, i).map(s => s.set(key, entry)));
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  async set(key, entry) {
+    await Promise.all(this.stores.map(s => s.set(key, entry)));
+  }
+
+  async delete(key) {
+    await Promise.all(this.stores.map(s => s.delete(key)));
+  }
+
+  async clear() {
+    await Promise.all(this.stores.map(s => s.clear()));
+  }
+
+  async stats() {
+    return { type: 'tiered', tiers: await Promise.all(this.stores.map(s => s.stats())) };
+  }
+}
+
+/**
+ * Build the configured store. API_CACHE_STORE: tiered (default), memory, postgres or none.
+ * @returns {Object|null} Cache store or null when caching is disabled
+ */
+function createCacheStore(type = process.env.API_CACHE_STORE || 'tiered') {
+  const memory = () => new MemoryCacheStore({ maxEntries: CACHE_CONFIG.API_CACHE_MAX_ENTRIES });
+  const postgres = () => new PostgresCacheStore({
+    pool: db.pool,
+    maxRows: CACHE_CONFIG.API_CACHE_MAX_ROWS,
+    pruneIntervalMs: CACHE_CONFIG.API_CACHE_PRUNE_MS
+  });
+  switch (String(type).toLowerCase()) {
+    case 'none':
+    case 'off':
+      return null;
+    case 'memory':
+      return memory();
+    case 'postgres':
+      return postgres();
+    default:
+      return new TieredCacheStore([memory(), postgres()]);
+  }
+}
+
+// Large, per-unit responses that are fetched once by the crawler; caching them only churns the store.
+// Search endpoints take free-form field filters, so every query would be its own entry.
+const UNCACHEABLE_PATTERNS = [
+  /\/mythic-leaderboard\/\d+\/period\/\d+$/,
+  /^\/data\/wow\/search\//
+];
+
+/**
+ * Response cache for Blizzard game-data requests
+ */
+class ApiCache {
+  constructor(store) {
+    this.store = store;
+    this.counters = { hits: 0, misses: 0, revalidated: 0, errors: 0 };
+  }
+
+  get enabled() {
+    return this.store !== null;
+  }
+
+  isCacheable(endpoint) {
+    return this.enabled && endpoint.startsWith('/data/') && !UNCACHEABLE_PATTERNS.some(p => p.test(endpoint));
+  }
+
+  /**
+   * TTL for a namespace: static data changes only on patch day, dynamic data much more often
+   * @param {string} namespace - e.g. static-us, dynamic-eu
+   * @returns {number} TTL in ms
+   */
+  getTtl(namespace) {
+    return String(namespace).startsWith('static-') ? CACHE_CONFIG.STATIC_API_CACHE_TTL : CACHE_CONFIG.API_CACHE_TTL;
+  }
+
+  /**
+   * Cached endpoints take no query params beyond locale and namespace (ids are in the path), so other
+   * params the client sends stay out of the key and can't create new entries
+   */
+  buildKey(endpoint, region, locale, namespace) {
+    return `${region}|${namespace}|${locale}|${endpoint}`;
+  }
+
+  // Store failures must never break the proxied request
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (err) {
+      this.counters.errors++;
+      console.warn('[CACHE] Read failed:', err.message);
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    try {
+      await this.store.set(key, entry);
+    } catch (err) {
+      this.counters.errors++;
+      console.warn('[CACHE] Write failed:', err.message);
+    }
+  }
+
+  async clear() {
+    this.counters = { hits: 0, misses: 0, revalidated: 0, errors: 0 };
+    if (this.store) await this.store.clear();
+  }
+
+  async stats() {
+    return {
+      enabled: this.enabled,
+      counters: { ...this.counters },
+      ttl_ms: { static: CACHE_CONFIG.STATIC_API_CACHE_TTL, dynamic: CACHE_CONFIG.API_CACHE_TTL },
+      store: this.store ? await this.store.stats() : null
+    };
+  }
+}
+
+module.exports = {
+  apiCache: new ApiCache(createCacheStore()),
+  ApiCache,
+  createCacheStore,
+  MemoryCacheStore,
+  PostgresCacheStore,
+  TieredCacheStore
+};
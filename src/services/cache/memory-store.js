@@ -0,0 +1,42 @@
+/**
+ * In-memory LRU cache store.
+ * Map iteration order is insertion order, so re-inserting on read keeps the
+ * least recently used entry at the front for eviction.
+ */
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = Number(options.maxEntries || 500);
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async stats() {
+    return { type: 'memory', size: this.entries.size, maxEntries: this.maxEntries };
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,113 @@
+/**
+ * Postgres-backed cache store, shared across instances and restarts.
+ * Writes prune the table at most every pruneIntervalMs: expired rows go first (until
+ * then they can still be revalidated by ETag), then the oldest rows beyond maxRows.
+ */
+class PostgresCacheStore {
+  constructor(options = {}) {
+    this.pool = options.pool;
+    this.maxRows = Number(options.maxRows || 50000);
+    this.pruneIntervalMs = Number(options.pruneIntervalMs || 10 * 60 * 1000);
+    this.lastPruneAt = 0;
+    this.tableReady = null;
+  }
+
+  ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS api_response_cache (
+          cache_key TEXT PRIMARY KEY,
+          data JSONB NOT NULL,
+          etag TEXT,
+          last_modified TEXT,
+          namespace TEXT,
+          stored_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL
+        );
+      `).catch(err => {
+        this.tableReady = null;
+        throw err;
+      });
+    }
+    return this.tableReady;
+  }
+
+  async get(key) {
+    await this.ensureTable();
+    const { rows } = await this.pool.query(
+      'SELECT data, etag, last_modified, namespace, stored_at, expires_at FROM api_response_cache WHERE cache_key = $1',
+      [key]
+    );
+    if (!rows[0]) return null;
+    const row = rows[0];
+    return {
+      data: row.data,
+      etag: row.etag,
+      lastModified: row.last_modified,
+      namespace: row.namespace,
+      storedAt: new Date(row.stored_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime()
+    };
+  }
+
+  async set(key, entry) {
+    await this.ensureTable();
+    await this.pool.query(
+      `INSERT INTO api_response_cache (cache_key, data, etag, last_modified, namespace, stored_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0), to_timestamp($7 / 1000.0))
+       ON CONFLICT (cache_key) DO UPDATE SET
+         data = EXCLUDED.data,
+         etag = EXCLUDED.etag,
+         last_modified = EXCLUDED.last_modified,
+         namespace = EXCLUDED.namespace,
+         stored_at = EXCLUDED.stored_at,
+         expires_at = EXCLUDED.expires_at`,
+      [key, JSON.stringify(entry.data), entry.etag || null, entry.lastModified || null, entry.namespace || null, entry.storedAt, entry.expiresAt]
+    );
+    if (Date.now() - this.lastPruneAt >= this.pruneIntervalMs) {
+      this.lastPruneAt = Date.now();
+      await this.prune();
+    }
+  }
+
+  /**
+   * Delete expired rows, then the oldest rows beyond maxRows
+   * @returns {Promise<number>} Rows deleted
+   */
+  async prune() {
+    await this.ensureTable();
+    const expired = await this.pool.query('DELETE FROM api_response_cache WHERE expires_at < NOW()');
+    const overflow = await this.pool.query(
+      `DELETE FROM api_response_cache WHERE cache_key IN (
+         SELECT cache_key FROM api_response_cache ORDER BY stored_at DESC OFFSET $1
+       )`,
+      [this.maxRows]
+    );
+    const deleted = (expired.rowCount || 0) + (overflow.rowCount || 0);
+    if (deleted > 0) console.log(`[CACHE] Pruned ${deleted} rows from api_response_cache`);
+    return deleted;
+  }
+
+  async delete(key) {
+    await this.ensureTable();
+    await this.pool.query('DELETE FROM api_response_cache WHERE cache_key = $1', [key]);
+  }
+
+  async clear() {
+    await this.ensureTable();
+    await this.pool.query('TRUNCATE api_response_cache');
+  }
+
+  async stats() {
+    await this.ensureTable();
+    const { rows } = await this.pool.query(
+      `SELECT COUNT(*)::int AS size,
+              COUNT(*) FILTER (WHERE expires_at > NOW())::int AS fresh,
+              pg_total_relation_size('api_response_cache') AS bytes
+       FROM api_response_cache`
+    );
+    return { type: 'postgres', ...rows[0], maxRows: this.maxRows };
+  }
+}
+
+module.exports = PostgresCacheStore;
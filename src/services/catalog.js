@@ -0,0 +1,340 @@
+const db = require('./db');
+const proxyService = require('./proxy');
+const raiderIO = require('./raiderio/client');
+const { AppError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../config/constants');
+
+// Game catalog: expansions, season metadata (name, expansion, patch, dungeons), patches and
+// the class/spec/role catalog. Lives in the database (see ensureCatalogTables), managed through
+// /admin/catalog and synced from Blizzard playable-specialization data and Raider.IO static data.
+
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+const ROLE_BY_BLIZZARD_TYPE = { TANK: 'tank', HEALER: 'healer', DAMAGE: 'dps' };
+// Raider.IO has Mythic+ static data from Legion on
+const RAIDERIO_FIRST_EXPANSION = 6;
+// A Raider.IO season matches the Blizzard season starting within this many days of it
+const SEASON_START_MATCH_DAYS = 7;
+
+let catalogTablesReady = null;
+let cached = null; // { catalog, expiresAt }
+
+function ensureCatalogTables() {
+  if (!catalogTablesReady) {
+    catalogTablesReady = db.ensureCatalogTables().catch(err => {
+      catalogTablesReady = null;
+      throw err;
+    });
+  }
+  return catalogTablesReady;
+}
+
+// Patch versions in release order ("9.2" before "9.2.5" before "10.0")
+function comparePatches(a, b) {
+  if (a.released_on && b.released_on && a.released_on.getTime() !== b.released_on.getTime()) {
+    return a.released_on - b.released_on;
+  }
+  return a.version.localeCompare(b.version, undefined, { numeric: true });
+}
+
+/**
+ * Snapshot of the catalog tables with lookups by id
+ */
+class Catalog {
+  constructor({ expansions, seasons, patches, classes, specs, seasonDungeons }) {
+    this.expansions = expansions;
+    this.patches = [...patches].sort(comparePatches);
+    this.classes = classes;
+    this.specs = specs.map(s => ({ ...s, class_name: classes.find(c => c.id === s.class_id)?.name || null }));
+
+    this.expansionById = new Map(expansions.map(e => [e.id, e]));
+    this.classById = new Map(classes.map(c => [c.id, c]));
+    this.specById = new Map(this.specs.map(s => [s.id, s]));
+    const dungeonsBySeason = new Map(seasonDungeons.map(r => [r.season_id, r.dungeon_ids]));
+
+    this.seasons = seasons.map(s => {
+      const expansion = this.expansionById.get(s.expansion_id);
+      const firstPatch = this.patches.find(p => p.season_id === s.season_id);
+      return {
+        season_id: s.season_id,
+        name: s.name || null,
+        short_name: s.short_name || null,
+        expansion_id: s.expansion_id ?? null,
+        expansion: expansion ? expansion.name : null,
+        expansion_short_name: expansion ? expansion.short_name : null,
+        patch: firstPatch ? firstPatch.version : null,
+        raiderio_slug: s.raiderio_slug || null,
+        start_date: s.start_date || null,
+        end_date: s.end_date || null,
+        dungeon_ids: dungeonsBySeason.get(s.season_id) || []
+      };
+    });
+    this.seasonById = new Map(this.seasons.map(s => [s.season_id, s]));
+  }
+
+  /** @returns {Object|null} { season_id, name, short_name, expansion_id, expansion, expansion_short_name, patch, raiderio_slug, start_date, end_date, dungeon_ids } */
+  season(seasonId) {
+    return this.seasonById.get(Number(seasonId)) || null;
+  }
+
+  seasonName(seasonId) {
+    return this.season(seasonId)?.name || `Season ${seasonId}`;
+  }
+
+  seasonDungeons(seasonId) {
+    return this.season(seasonId)?.dungeon_ids || [];
+  }
+
+  seasonsOfExpansion(expansionId) {
+    return this.seasons.filter(s => s.expansion_id === Number(expansionId)).map(s => s.season_id);
+  }
+
+  /** @returns {Object|null} { id, name, class_id, class_name, role } */
+  spec(specId) {
+    return this.specById.get(Number(specId)) || null;
+  }
+
+  role(specId) {
+    return this.spec(specId)?.role || null;
+  }
+
+  classId(specId) {
+    return this.spec(specId)?.class_id ?? null;
+  }
+
+  className(classId) {
+    return this.classById.get(Number(classId))?.name || null;
+  }
+
+  classColor(classId) {
+    return this.classById.get(Number(classId))?.color || null;
+  }
+
+  // "Restoration Shaman"; class-qualified because spec names repeat across classes
+  specLabel(specId) {
+    const spec = this.spec(specId);
+    if (!spec) return null;
+    return spec.class_name ? `${spec.name} ${spec.class_name}` : spec.name;
+  }
+
+  toJSON() {
+    return {
+      expansions: this.expansions,
+      seasons: this.seasons,
+      patches: this.patches,
+      classes: this.classes,
+      specs: this.specs
+    };
+  }
+}
+
+/**
+ * The catalog, cached for a few minutes. When reloading fails the previous snapshot is
+ * kept (with a warning) so a database hiccup doesn't take every consumer down.
+ * @returns {Promise<Catalog>}
+ */
+async function getCatalog() {
+  if (cached && cached.expiresAt > Date.now()) return cached.catalog;
+  try {
+    await ensureCatalogTables();
+    const catalog = new Catalog(await db.getCatalogRows());
+    cached = { catalog, expiresAt: Date.now() + CATALOG_CACHE_TTL_MS };
+    return catalog;
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn('[CATALOG] Failed to reload catalog, using the previous one:', err.message);
+    return cached.catalog;
+  }
+}
+
+function invalidateCatalog() {
+  cached = null;
+}
+
+// Run a catalog write: foreign key violations (e.g. deleting an expansion that seasons still
+// reference, or a spec pointing at an unknown class) become 409s
+async function write(fn) {
+  await ensureCatalogTables();
+  try {
+    return await fn();
+  } catch (err) {
+    if (err.code === '23503') {
+      throw new AppError(err.detail || err.message, { status: HTTP_STATUS.CONFLICT, code: 'CATALOG_REFERENCE' });
+    }
+    throw err;
+  } finally {
+    invalidateCatalog();
+  }
+}
+
+function saveExpansion(expansion) {
+  return write(() => db.upsertExpansion(expansion));
+}
+
+function removeExpansion(id) {
+  return write(() => db.deleteExpansion(id));
+}
+
+/**
+ * Create or replace a season's metadata
+ * @param {Object} season - { season_id, expansion_id, name, short_name?, raiderio_slug?, dungeon_ids? }
+ *   dungeon_ids, when given, replaces the season's dungeon list (season_dungeon)
+ */
+function saveSeason({ dungeon_ids, ...season }) {
+  return write(async () => {
+    const row = await db.upsertSeasonMetadata(season);
+    if (Array.isArray(dungeon_ids)) await db.setSeasonDungeons(season.season_id, dungeon_ids);
+    return row;
+  });
+}
+
+function removeSeason(seasonId) {
+  return write(() => db.deleteSeasonMetadata(seasonId));
+}
+
+function savePatch(patch) {
+  return write(() => db.upsertPatch(patch));
+}
+
+function removePatch(version) {
+  return write(() => db.deletePatch(version));
+}
+
+async function saveClass(playableClass) {
+  const [row] = await write(() => db.upsertPlayableClasses([playableClass]));
+  return row;
+}
+
+function removeClass(id) {
+  return write(() => db.deletePlayableClass(id));
+}
+
+async function saveSpec(spec) {
+  const [row] = await write(() => db.upsertPlayableSpecs([spec]));
+  return row;
+}
+
+function removeSpec(id) {
+  return write(() => db.deletePlayableSpec(id));
+}
+
+// Classes, specs and roles from the Blizzard playable-specialization endpoints
+async function syncSpecsFromBlizzard(region, errors) {
+  const index = await proxyService.getGameData('playable-specializations', region, {});
+  const classes = new Map();
+  const specs = [];
+  for (const entry of index.data.character_specializations || []) {
+    if (!entry || !entry.id) continue;
+    try {
+      const { data } = await proxyService.getGameData('playable-specialization', region, { id: entry.id });
+      const role = ROLE_BY_BLIZZARD_TYPE[data.role && data.role.type];
+      if (!data.playable_class || !role) {
+        errors.push(`spec ${entry.id}: missing class or role`);
+        continue;
+      }
+      classes.set(data.playable_class.id, { id: data.playable_class.id, name: data.playable_class.name });
+      specs.push({ id: data.id, name: data.name, class_id: data.playable_class.id, role });
+    } catch (err) {
+      errors.push(`spec ${entry.id}: ${err.message}`);
+    }
+  }
+  await db.upsertPlayableClasses([...classes.values()]);
+  await db.upsertPlayableSpecs(specs);
+  return { classes: classes.size, specs: specs.length };
+}
+
+// Find the Blizzard season of a Raider.IO season: by stored slug, else by start date
+function matchSeason(catalog, rioSeason) {
+  const bySlug = catalog.seasons.find(s => s.raiderio_slug === rioSeason.slug);
+  if (bySlug) return bySlug;
+  const start = rioSeason.starts && rioSeason.starts.us ? new Date(rioSeason.starts.us) : null;
+  if (!start || /post/.test(rioSeason.slug || '')) return null;
+  let best = null;
+  let bestDiff = Infinity;
+  for (const season of catalog.seasons) {
+    if (!season.start_date) continue;
+    const diff = Math.abs(new Date(season.start_date) - start) / 86400000;
+    if (diff <= SEASON_START_MATCH_DAYS && diff < bestDiff) {
+      best = season;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+// Season short names, Raider.IO slugs and season dungeons from Raider.IO static data
+async function syncSeasonsFromRaiderIO(catalog, errors) {
+  let seasons = 0;
+  let dungeons = 0;
+  for (const expansion of catalog.expansions.filter(e => e.id >= RAIDERIO_FIRST_EXPANSION)) {
+    let data;
+    try {
+      data = await raiderIO.getStaticData({ expansion_id: expansion.id });
+    } catch (err) {
+      errors.push(`raider.io expansion ${expansion.id}: ${err.message}`);
+      continue;
+    }
+    for (const rioSeason of (data && data.seasons) || []) {
+      const season = matchSeason(catalog, rioSeason);
+      if (!season) continue;
+      await db.mergeSeasonMetadata({
+        season_id: season.season_id,
+        expansion_id: season.expansion_id ?? expansion.id,
+        name: season.name || rioSeason.name || `Season ${season.season_id}`,
+        short_name: rioSeason.short_name || null,
+        raiderio_slug: rioSeason.slug || null
+      });
+      seasons++;
+      // season_dungeon references season, so only seasons Blizzard already lists get dungeons
+      const dungeonIds = (rioSeason.dungeons || []).map(d => d.challenge_mode_id).filter(Boolean);
+      if (season.start_date && dungeonIds.length > 0) {
+        dungeons += await db.setSeasonDungeons(season.season_id, dungeonIds, { merge: true });
+      }
+    }
+  }
+  return { seasons, season_dungeons: dungeons };
+}
+
+/**
+ * Sync the catalog from Blizzard (classes, specs, roles) and Raider.IO (season short names,
+ * slugs and dungeons). Names and metadata set through the admin endpoints are kept.
+ * @param {Object} options - { region } Blizzard region to read from
+ * @returns {Promise<Object>} { status, classes, specs, seasons, season_dungeons, errors }
+ */
+async function syncCatalog({ region = 'us' } = {}) {
+  await ensureCatalogTables();
+  const errors = [];
+  let specResult = { classes: 0, specs: 0 };
+  let seasonResult = { seasons: 0, season_dungeons: 0 };
+  try {
+    specResult = await syncSpecsFromBlizzard(region, errors);
+  } catch (err) {
+    errors.push(`playable-specialization index: ${err.message}`);
+  }
+  try {
+    invalidateCatalog();
+    seasonResult = await syncSeasonsFromRaiderIO(await getCatalog(), errors);
+  } catch (err) {
+    errors.push(`raider.io static data: ${err.message}`);
+  }
+  invalidateCatalog();
+
+  console.log(`[CATALOG] Synced ${specResult.specs} specs, ${specResult.classes} classes and ${seasonResult.seasons} seasons (${errors.length} errors)`);
+  return { status: errors.length === 0 ? 'OK' : 'PARTIAL', ...specResult, ...seasonResult, errors };
+}
+
+module.exports = {
+  ensureCatalogTables,
+  getCatalog,
+  invalidateCatalog,
+  saveExpansion,
+  removeExpansion,
+  saveSeason,
+  removeSeason,
+  savePatch,
+  removePatch,
+  saveClass,
+  removeClass,
+  saveSpec,
+  removeSpec,
+  syncCatalog
+};
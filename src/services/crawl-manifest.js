@@ -0,0 +1,190 @@
+const db = require('./db');
+
+// Manifest of leaderboard crawls. Every (region, period, dungeon, connected realm)
+// leaderboard of a crawl is a unit with its own status (pending | succeeded | failed),
+// attempt count, last error and fetch time, so an interrupted crawl can be resumed
+// and its coverage reported exactly.
+//
+// Separately, leaderboard_unit_state keeps the last stored state of every leaderboard
+// (latest completed_timestamp and run count) across crawls, for incremental crawls.
+
+const RESULT_FLUSH_SIZE = 500;
+
+let crawlTablesReady = null;
+
+function ensureCrawlTables() {
+  if (!crawlTablesReady) {
+    crawlTablesReady = db.ensureLeaderboardCrawlTables().catch(err => {
+      crawlTablesReady = null;
+      throw err;
+    });
+  }
+  return crawlTablesReady;
+}
+
+async function createCrawl({ seasonId, regions, fromPeriod, toPeriod, sink }) {
+  await ensureCrawlTables();
+  return db.insertLeaderboardCrawl({ season_id: seasonId, regions, from_period: fromPeriod, to_period: toPeriod, sink });
+}
+
+async function getCrawl(id) {
+  await ensureCrawlTables();
+  return db.getLeaderboardCrawl(id);
+}
+
+async function listCrawls({ seasonId, limit = 20, offset = 0 } = {}) {
+  await ensureCrawlTables();
+  return db.listLeaderboardCrawls({ season_id: seasonId, limit, offset });
+}
+
+async function countUnits(crawlId, region) {
+  await ensureCrawlTables();
+  return db.countCrawlUnits(crawlId, region);
+}
+
+async function addUnits(crawlId, units) {
+  await ensureCrawlTables();
+  return db.insertCrawlUnits(crawlId, units);
+}
+
+/**
+ * Units of a region still to fetch
+ * @param {Object} options - { statuses, staleBefore } unit statuses to fetch; succeeded units fetched before staleBefore are fetched again
+ */
+async function getUnitsToRun(crawlId, region, { statuses = ['pending', 'failed'], staleBefore = null } = {}) {
+  await ensureCrawlTables();
+  return db.getCrawlUnitsToRun(crawlId, region, { statuses, stale_before: staleBefore });
+}
+
+async function markCrawlRunning(crawlId, sink) {
+  await ensureCrawlTables();
+  await db.updateLeaderboardCrawlStatus(crawlId, 'running', { sink });
+}
+
+async function markCrawlFailed(crawlId) {
+  await ensureCrawlTables();
+  await db.updateLeaderboardCrawlStatus(crawlId, 'failed', { finished: true });
+}
+
+function unitStateKey(unit) {
+  return `${unit.period_id}-${unit.dungeon_id}-${unit.connected_realm_id}`;
+}
+
+/**
+ * Last stored state of the leaderboards of a region. States whose latest run is no longer in
+ * leaderboard_run (cleanup, a rebuild or a restore removed it) are left out, so those
+ * leaderboards are stored again in full.
+ * @returns {Promise<Map>} unitStateKey(unit) -> { last_completed_at, run_count }
+ */
+async function getUnitStates(region, seasonId, periodIds) {
+  await ensureCrawlTables();
+  const rows = await db.getLeaderboardUnitStates(region, seasonId, periodIds);
+  return new Map(rows.map(r => [unitStateKey(r), { last_completed_at: r.last_completed_at, run_count: r.run_count }]));
+}
+
+/**
+ * Coverage per region
+ * @returns {Promise<Array>} [{ region, total, succeeded, failed, pending, runs, coverage_pct, last_fetched_at }]
+ */
+async function getCoverage(crawlId) {
+  await ensureCrawlTables();
+  const rows = await db.getCrawlCoverage(crawlId);
+  return rows.map(r => ({
+    ...r,
+    coverage_pct: r.total > 0 ? Math.round((r.succeeded / r.total) * 10000) / 100 : 0
+  }));
+}
+
+/**
+ * Set the final crawl status from its units: completed when every unit succeeded, partial otherwise
+ * @returns {Promise<string>} The status
+ */
+async function finishCrawl(crawlId) {
+  const coverage = await getCoverage(crawlId);
+  const total = coverage.reduce((sum, r) => sum + r.total, 0);
+  const succeeded = coverage.reduce((sum, r) => sum + r.succeeded, 0);
+  const status = total > 0 && succeeded === total ? 'completed' : 'partial';
+  await db.updateLeaderboardCrawlStatus(crawlId, status, { finished: true });
+  return status;
+}
+
+/**
+ * Buffers unit results from concurrent crawl tasks and writes them in bulk.
+ * With options.recordStates (default true), succeeded units that carry run_count also
+ * update their leaderboard_unit_state.
+ */
+class CrawlUnitRecorder {
+  constructor(crawlId, seasonId, options = {}) {
+    this.crawlId = crawlId;
+    this.seasonId = seasonId;
+    this.recordStates = options.recordStates !== false;
+    this.buffer = [];
+    this.states = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Record the outcome of units
+   * @param {Array} units - { region, period_id, dungeon_id, connected_realm_id, run_count?, last_completed_at? }
+   * @param {Error|null} error - Set when the units failed
+   */
+  record(units, error = null) {
+    for (const unit of units) {
+      if (this.recordStates && !error && unit.run_count != null) {
+        this.states.push({
+          region: unit.region,
+          season_id: this.seasonId,
+          period_id: unit.period_id,
+          dungeon_id: unit.dungeon_id,
+          connected_realm_id: unit.connected_realm_id,
+          last_completed_at: unit.last_completed_at,
+          run_count: unit.run_count
+        });
+      }
+      this.buffer.push({
+        region: unit.region,
+        period_id: unit.period_id,
+        dungeon_id: unit.dungeon_id,
+        connected_realm_id: unit.connected_realm_id,
+        status: error ? 'failed' : 'succeeded',
+        run_count: error ? null : unit.run_count,
+        error: error ? String(error.message || error).slice(0, 1000) : null
+      });
+    }
+    return this.buffer.length >= RESULT_FLUSH_SIZE ? this.flush() : Promise.resolve();
+  }
+
+  flush() {
+    if (this.buffer.length === 0) return this.queue;
+    const results = this.buffer;
+    const states = this.states;
+    this.buffer = [];
+    this.states = [];
+    this.queue = this.queue.then(async () => {
+      await db.updateCrawlUnitResults(this.crawlId, results);
+      await db.upsertLeaderboardUnitStates(states);
+    }).catch(err => {
+      // The units stay pending/failed in the manifest and are picked up again on resume;
+      // a missing state only means the next incremental crawl stores the leaderboard again
+      console.warn(`[CRAWL] Failed to record ${results.length} unit results for crawl ${this.crawlId}:`, err.message);
+    });
+    return this.queue;
+  }
+}
+
+module.exports = {
+  ensureCrawlTables,
+  createCrawl,
+  getCrawl,
+  listCrawls,
+  countUnits,
+  addUnits,
+  getUnitsToRun,
+  unitStateKey,
+  getUnitStates,
+  getCoverage,
+  markCrawlRunning,
+  markCrawlFailed,
+  finishCrawl,
+  CrawlUnitRecorder
+};
@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
 
 const pool = new Pool({
   host: process.env.PGHOST,
@@ -16,6 +18,8 @@ const pool = new Pool({
   ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
 });
 
+const CATALOG_SEED_SQL = path.join(__dirname, '../../utils/catalog_seed.sql');
+
 // Prevent process crash on background/idle client errors
 pool.on('error', (err) => {
   console.error('[pg] Unexpected error on idle client', err);
@@ -54,46 +58,9 @@ async function upsertLeaderboardRun(run) {
   }
 }
 
-// Insert run_group_member records for a run
-async function insertRunGroupMembers(run_id, members) {
-  if (!members || members.length === 0) return { ok: true };
-  const values = [];
-  const placeholders = [];
-  let idx = 1;
-  let unknownCount = 0;
-  for (const m of members) {
-    // Use 'unknown' for null or empty character names
-    const characterName = (!m.character_name || m.character_name.trim() === '') ? 'unknown' : m.character_name;
-    if (characterName === 'unknown') {
-      unknownCount++;
-    }
-    placeholders.push(`($${idx++},$${idx++},$${idx++},$${idx++},$${idx++})`);
-    values.push(run_id, characterName, m.class_id, m.spec_id, m.role);
-  }
-  if (unknownCount > 0) {
-    console.log(`[DB] Used 'unknown' for ${unknownCount} members with null/empty character names for run_id: ${run_id}`);
-  }
-  const query = `
-    INSERT INTO run_group_member (run_id, character_name, class_id, spec_id, role)
-    VALUES ${placeholders.join(',')}
-    ON CONFLICT (run_id, character_name) DO UPDATE SET
-      class_id = EXCLUDED.class_id,
-      spec_id = EXCLUDED.spec_id,
-      role = EXCLUDED.role;
-  `;
-  try {
-    await pool.query(query, values);
-    return { ok: true };
-  } catch (err) {
-    console.error('DB insert run_group_member error:', err);
-    return { ok: false, error: err };
-  }
-}
-
 module.exports = {
   pool,
   upsertLeaderboardRun,
-  insertRunGroupMembers,
   async upsertRaiderioDungeon(d) {
     const q = `
       INSERT INTO raiderio_dungeon (id, slug, name, short_name, expansion_id)
@@ -195,6 +162,57 @@ module.exports = {
     );
     return rows;
   },
+  async ensureUserSessionTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_session (
+        id_hash TEXT PRIMARY KEY,
+        account_id BIGINT,
+        battletag TEXT,
+        region TEXT NOT NULL,
+        access_token TEXT NOT NULL,
+        refresh_token TEXT,
+        token_expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_session_expires_at ON user_session (expires_at)');
+  },
+  async insertUserSession({ id_hash, account_id, battletag, region, access_token, refresh_token, token_expires_at, expires_at }) {
+    await pool.query(
+      `INSERT INTO user_session (id_hash, account_id, battletag, region, access_token, refresh_token, token_expires_at, expires_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [id_hash, account_id ?? null, battletag ?? null, region, access_token, refresh_token ?? null, token_expires_at, expires_at]
+    );
+  },
+  async getUserSession(id_hash) {
+    const { rows } = await pool.query(
+      `SELECT id_hash, account_id, battletag, region, access_token, refresh_token, token_expires_at, created_at, last_seen_at, expires_at
+       FROM user_session
+       WHERE id_hash = $1 AND expires_at > NOW()`,
+      [id_hash]
+    );
+    return rows[0] || null;
+  },
+  async updateUserSessionTokens(id_hash, { access_token, refresh_token, token_expires_at }) {
+    await pool.query(
+      `UPDATE user_session
+       SET access_token = $2, refresh_token = $3, token_expires_at = $4, last_seen_at = NOW()
+       WHERE id_hash = $1`,
+      [id_hash, access_token, refresh_token ?? null, token_expires_at]
+    );
+  },
+  async touchUserSession(id_hash, expires_at) {
+    await pool.query('UPDATE user_session SET last_seen_at = NOW(), expires_at = $2 WHERE id_hash = $1', [id_hash, expires_at]);
+  },
+  async deleteUserSession(id_hash) {
+    await pool.query('DELETE FROM user_session WHERE id_hash = $1', [id_hash]);
+  },
+  async deleteExpiredUserSessions() {
+    const { rowCount } = await pool.query('DELETE FROM user_session WHERE expires_at <= NOW()');
+    return rowCount;
+  },
   async getLatestCutoffSnapshotsBySeason(season_slug) {
     const { rows } = await pool.query(
       `SELECT DISTINCT ON (region)
@@ -205,5 +223,746 @@ module.exports = {
       [season_slug]
     );
     return rows;
+  },
+  async ensureAdminJobTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_job (
+        id UUID PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        result JSONB,
+        error TEXT,
+        progress SMALLINT NOT NULL DEFAULT 0,
+        logs JSONB NOT NULL DEFAULT '[]'::jsonb,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 1,
+        cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+        locked_by TEXT,
+        run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        heartbeat_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_admin_job_queue ON admin_job (run_after) WHERE status = 'queued'`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_admin_job_type_created ON admin_job (type, created_at DESC)');
+  },
+  async insertAdminJob({ id, type, payload, max_attempts, run_after }) {
+    const { rows } = await pool.query(
+      `INSERT INTO admin_job (id, type, payload, max_attempts, run_after)
+       VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+       RETURNING *`,
+      [id, type, JSON.stringify(payload || {}), max_attempts, run_after ?? null]
+    );
+    return rows[0];
+  },
+  // Claim the next due job of one of the given types; SKIP LOCKED lets several instances poll safely
+  async claimNextAdminJob(worker_id, types) {
+    const { rows } = await pool.query(
+      `UPDATE admin_job
+       SET status = 'running', attempts = attempts + 1, locked_by = $1,
+           started_at = NOW(), heartbeat_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM admin_job
+         WHERE status = 'queued' AND run_after <= NOW() AND type = ANY($2::text[])
+         ORDER BY run_after, created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [worker_id, types]
+    );
+    return rows[0] || null;
+  },
+  async getAdminJob(id) {
+    const { rows } = await pool.query('SELECT * FROM admin_job WHERE id = $1', [id]);
+    return rows[0] || null;
+  },
+  async listAdminJobs({ type, status, limit, offset }) {
+    const { rows } = await pool.query(
+      `SELECT id, type, status, payload, error, progress, attempts, max_attempts, cancel_requested, locked_by,
+              run_after, created_at, started_at, heartbeat_at, finished_at, updated_at,
+              COUNT(*) OVER()::int AS total_count
+       FROM admin_job
+       WHERE ($1::text IS NULL OR type = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [type ?? null, status ?? null, limit, offset]
+    );
+    return rows;
+  },
+  // Updates the heartbeat (and progress when given); returns whether cancellation was requested
+  async heartbeatAdminJob(id, progress = null) {
+    const { rows } = await pool.query(
+      `UPDATE admin_job
+       SET heartbeat_at = NOW(), updated_at = NOW(), progress = COALESCE($2, progress)
+       WHERE id = $1
+       RETURNING cancel_requested`,
+      [id, progress]
+    );
+    return rows[0] ? rows[0].cancel_requested : false;
+  },
+  // Logs are capped at max_entries; the oldest entry is dropped once the cap is reached
+  async appendAdminJobLog(id, entry, max_entries = 500) {
+    await pool.query(
+      `UPDATE admin_job
+       SET logs = (CASE WHEN jsonb_array_length(logs) >= $3 THEN logs - 0 ELSE logs END) || jsonb_build_array($2::jsonb),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, JSON.stringify(entry), max_entries]
+    );
+  },
+  // Finish and retry only apply while worker_id still holds the job; they return false once it was
+  // requeued as stale (and maybe claimed by another worker), so a late result can't overwrite that
+  async finishAdminJob(id, { worker_id, status, result, error }) {
+    const { rowCount } = await pool.query(
+      `UPDATE admin_job
+       SET status = $2, result = $3, error = $4, locked_by = NULL,
+           progress = CASE WHEN $2 = 'succeeded' THEN 100 ELSE progress END,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND locked_by = $5`,
+      [id, status, result === undefined ? null : JSON.stringify(result), error ?? null, worker_id]
+    );
+    return rowCount > 0;
+  },
+  async retryAdminJob(id, { worker_id, error, delay_ms }) {
+    const { rowCount } = await pool.query(
+      `UPDATE admin_job
+       SET status = 'queued', error = $2, locked_by = NULL,
+           run_after = NOW() + ($3::int * INTERVAL '1 millisecond'), updated_at = NOW()
+       WHERE id = $1 AND locked_by = $4`,
+      [id, error ?? null, delay_ms, worker_id]
+    );
+    return rowCount > 0;
+  },
+  // Queued jobs are cancelled right away; running jobs are flagged and stop at their next check
+  async cancelAdminJob(id) {
+    const { rows } = await pool.query(
+      `UPDATE admin_job
+       SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+           finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+           cancel_requested = TRUE,
+           updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'running')
+       RETURNING *`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+  // Jobs whose worker stopped heartbeating (crash, restart, deploy) go back to the queue,
+  // or fail once they have used up their attempts
+  async requeueStaleAdminJobs(stale_ms) {
+    const { rows } = await pool.query(
+      `UPDATE admin_job
+       SET status = CASE WHEN attempts < max_attempts AND NOT cancel_requested THEN 'queued'
+                         WHEN cancel_requested THEN 'cancelled'
+                         ELSE 'failed' END,
+           error = CASE WHEN attempts < max_attempts AND NOT cancel_requested THEN error
+                        ELSE COALESCE(error, 'Worker stopped while the job was running') END,
+           finished_at = CASE WHEN attempts < max_attempts AND NOT cancel_requested THEN NULL ELSE NOW() END,
+           run_after = NOW(), locked_by = NULL, updated_at = NOW()
+       WHERE status = 'running' AND heartbeat_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+       RETURNING id, status`,
+      [stale_ms]
+    );
+    return rows;
+  },
+  async deleteFinishedAdminJobs(older_than_ms) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM admin_job
+       WHERE status IN ('succeeded', 'failed', 'cancelled')
+         AND finished_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')`,
+      [older_than_ms]
+    );
+    return rowCount;
+  },
+  async getAdminJobSummary() {
+    const { rows: counts } = await pool.query('SELECT status, COUNT(*)::int AS count FROM admin_job GROUP BY status');
+    const { rows: latest } = await pool.query(
+      `SELECT DISTINCT ON (type) id, type, status, progress, error, created_at, started_at, finished_at
+       FROM admin_job
+       ORDER BY type, created_at DESC`
+    );
+    return { counts, latest };
+  },
+  async ensureLeaderboardCrawlTables() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS leaderboard_crawl (
+        id SERIAL PRIMARY KEY,
+        season_id INTEGER NOT NULL,
+        regions TEXT[] NOT NULL,
+        from_period INTEGER,
+        to_period INTEGER,
+        sink TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS leaderboard_crawl_unit (
+        crawl_id INTEGER NOT NULL REFERENCES leaderboard_crawl(id) ON DELETE CASCADE,
+        region TEXT NOT NULL,
+        period_id INTEGER NOT NULL,
+        dungeon_id INTEGER NOT NULL,
+        connected_realm_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        run_count INTEGER,
+        last_error TEXT,
+        fetched_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (crawl_id, region, period_id, dungeon_id, connected_realm_id)
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_leaderboard_crawl_unit_status ON leaderboard_crawl_unit (crawl_id, region, status)');
+    // Last stored state of each leaderboard, across crawls; lets incremental crawls skip unchanged leaderboards
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS leaderboard_unit_state (
+        region TEXT NOT NULL,
+        season_id INTEGER NOT NULL,
+        period_id INTEGER NOT NULL,
+        dungeon_id INTEGER NOT NULL,
+        connected_realm_id INTEGER NOT NULL,
+        last_completed_at TIMESTAMPTZ,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (region, season_id, period_id, dungeon_id, connected_realm_id)
+      );
+    `);
+  },
+  async insertLeaderboardCrawl({ season_id, regions, from_period, to_period, sink }) {
+    const { rows } = await pool.query(
+      `INSERT INTO leaderboard_crawl (season_id, regions, from_period, to_period, sink)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [season_id, regions, from_period ?? null, to_period ?? null, sink]
+    );
+    return rows[0];
+  },
+  async getLeaderboardCrawl(id) {
+    const { rows } = await pool.query('SELECT * FROM leaderboard_crawl WHERE id = $1', [id]);
+    return rows[0] || null;
+  },
+  async listLeaderboardCrawls({ season_id, limit, offset }) {
+    const { rows } = await pool.query(
+      `SELECT * FROM leaderboard_crawl
+       WHERE ($1::int IS NULL OR season_id = $1)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [season_id ?? null, limit, offset]
+    );
+    return rows;
+  },
+  async updateLeaderboardCrawlStatus(id, status, { finished = false, sink } = {}) {
+    await pool.query(
+      `UPDATE leaderboard_crawl
+       SET status = $2, sink = COALESCE($3, sink), updated_at = NOW(),
+           finished_at = CASE WHEN $4::boolean THEN NOW() ELSE NULL END
+       WHERE id = $1`,
+      [id, status, sink ?? null, finished]
+    );
+  },
+  async insertCrawlUnits(crawl_id, units) {
+    if (!units || units.length === 0) return 0;
+    const { rowCount } = await pool.query(
+      `INSERT INTO leaderboard_crawl_unit (crawl_id, region, period_id, dungeon_id, connected_realm_id)
+       SELECT $1, u.region, u.period_id, u.dungeon_id, u.connected_realm_id
+       FROM unnest($2::text[], $3::int[], $4::int[], $5::int[]) AS u(region, period_id, dungeon_id, connected_realm_id)
+       ON CONFLICT DO NOTHING`,
+      [crawl_id, units.map(u => u.region), units.map(u => u.period_id), units.map(u => u.dungeon_id), units.map(u => u.connected_realm_id)]
+    );
+    return rowCount;
+  },
+  async countCrawlUnits(crawl_id, region) {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM leaderboard_crawl_unit WHERE crawl_id = $1 AND region = $2', [crawl_id, region]);
+    return rows[0].count;
+  },
+  // Units still to fetch: the given statuses, plus succeeded units fetched before stale_before (when set)
+  async getCrawlUnitsToRun(crawl_id, region, { statuses, stale_before }) {
+    const { rows } = await pool.query(
+      `SELECT region, period_id, dungeon_id, connected_realm_id, status, attempts
+       FROM leaderboard_crawl_unit
+       WHERE crawl_id = $1 AND region = $2
+         AND (status = ANY($3::text[]) OR ($4::timestamptz IS NOT NULL AND status = 'succeeded' AND fetched_at < $4))
+       ORDER BY period_id, dungeon_id, connected_realm_id`,
+      [crawl_id, region, statuses, stale_before ?? null]
+    );
+    return rows;
+  },
+  async updateCrawlUnitResults(crawl_id, results) {
+    if (!results || results.length === 0) return;
+    await pool.query(
+      `UPDATE leaderboard_crawl_unit u
+       SET status = r.status,
+           attempts = u.attempts + 1,
+           run_count = COALESCE(r.run_count, u.run_count),
+           last_error = r.error,
+           fetched_at = CASE WHEN r.status = 'succeeded' THEN NOW() ELSE u.fetched_at END,
+           updated_at = NOW()
+       FROM unnest($2::text[], $3::int[], $4::int[], $5::int[], $6::text[], $7::int[], $8::text[])
+         AS r(region, period_id, dungeon_id, connected_realm_id, status, run_count, error)
+       WHERE u.crawl_id = $1 AND u.region = r.region AND u.period_id = r.period_id
+         AND u.dungeon_id = r.dungeon_id AND u.connected_realm_id = r.connected_realm_id`,
+      [
+        crawl_id,
+        results.map(r => r.region),
+        results.map(r => r.period_id),
+        results.map(r => r.dungeon_id),
+        results.map(r => r.connected_realm_id),
+        results.map(r => r.status),
+        results.map(r => r.run_count ?? null),
+        results.map(r => r.error ?? null)
+      ]
+    );
+  },
+  async getLeaderboardUnitStates(region, season_id, period_ids) {
+    const { rows } = await pool.query(
+      `SELECT s.period_id, s.dungeon_id, s.connected_realm_id, s.last_completed_at, s.run_count
+       FROM leaderboard_unit_state s
+       WHERE s.region = $1 AND s.season_id = $2 AND s.period_id = ANY($3::int[])
+         -- A run seen on several connected realms is stored once, so realm_id isn't matched.
+         -- leaderboard_run.completed_at holds the UTC time without a zone.
+         AND (s.last_completed_at IS NULL OR EXISTS (
+           SELECT 1 FROM leaderboard_run lr
+           WHERE lr.dungeon_id = s.dungeon_id AND lr.period_id = s.period_id AND lr.season_id = s.season_id
+             AND lr.region = s.region AND lr.completed_at = (s.last_completed_at AT TIME ZONE 'UTC')
+         ))`,
+      [region, season_id, period_ids]
+    );
+    return rows;
+  },
+  // changed_at only moves when the stored state actually differs
+  async upsertLeaderboardUnitStates(states) {
+    if (!states || states.length === 0) return;
+    await pool.query(
+      `INSERT INTO leaderboard_unit_state AS s (region, season_id, period_id, dungeon_id, connected_realm_id, last_completed_at, run_count)
+       SELECT * FROM unnest($1::text[], $2::int[], $3::int[], $4::int[], $5::int[], $6::timestamptz[], $7::int[])
+       ON CONFLICT (region, season_id, period_id, dungeon_id, connected_realm_id) DO UPDATE SET
+         last_completed_at = EXCLUDED.last_completed_at,
+         run_count = EXCLUDED.run_count,
+         checked_at = NOW(),
+         changed_at = CASE
+           WHEN s.last_completed_at IS DISTINCT FROM EXCLUDED.last_completed_at OR s.run_count <> EXCLUDED.run_count THEN NOW()
+           ELSE s.changed_at
+         END`,
+      [
+        states.map(s => s.region),
+        states.map(s => s.season_id),
+        states.map(s => s.period_id),
+        states.map(s => s.dungeon_id),
+        states.map(s => s.connected_realm_id),
+        states.map(s => s.last_completed_at ?? null),
+        states.map(s => s.run_count)
+      ]
+    );
+  },
+  async getCrawlCoverage(crawl_id) {
+    const { rows } = await pool.query(
+      `SELECT region,
+              COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE status = 'succeeded')::int AS succeeded,
+              COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+              COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+              COALESCE(SUM(run_count), 0)::int AS runs,
+              MAX(fetched_at) AS last_fetched_at
+       FROM leaderboard_crawl_unit
+       WHERE crawl_id = $1
+       GROUP BY region
+       ORDER BY region`,
+      [crawl_id]
+    );
+    return rows;
+  },
+  async ensureAffixTables() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS keystone_affix (
+        id INTEGER PRIMARY KEY,
+        name VARCHAR(128) NOT NULL,
+        description TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    // Weekly rotation per period and region; affix_ids in display order
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS period_affix (
+        period_id INTEGER NOT NULL,
+        region VARCHAR(8) NOT NULL,
+        affix_ids INTEGER[] NOT NULL,
+        source TEXT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (period_id, region)
+      );
+    `);
+  },
+  async upsertKeystoneAffixes(affixes) {
+    if (!affixes || affixes.length === 0) return;
+    await pool.query(
+      `INSERT INTO keystone_affix (id, name, description)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::text[])
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         description = COALESCE(EXCLUDED.description, keystone_affix.description),
+         updated_at = NOW()`,
+      [affixes.map(a => a.id), affixes.map(a => a.name), affixes.map(a => a.description ?? null)]
+    );
+  },
+  async upsertPeriodAffixes({ period_id, region, affix_ids, source }) {
+    await pool.query(
+      `INSERT INTO period_affix (period_id, region, affix_ids, source)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (period_id, region) DO UPDATE SET
+         affix_ids = EXCLUDED.affix_ids,
+         source = EXCLUDED.source,
+         updated_at = NOW()`,
+      [period_id, region, affix_ids, source]
+    );
+  },
+  async getPeriodAffixes(period_ids) {
+    const { rows } = await pool.query(
+      `SELECT pa.period_id, pa.region,
+              json_agg(json_build_object('id', a.id, 'name', COALESCE(ka.name, 'Affix ' || a.id)) ORDER BY a.ord) AS affixes
+       FROM period_affix pa
+       CROSS JOIN LATERAL unnest(pa.affix_ids) WITH ORDINALITY AS a(id, ord)
+       LEFT JOIN keystone_affix ka ON ka.id = a.id
+       WHERE pa.period_id = ANY($1::int[])
+       GROUP BY pa.period_id, pa.region`,
+      [period_ids]
+    );
+    return rows;
+  },
+  // Periods without affixes for a region, with one stored leaderboard to read them from
+  async getPeriodsMissingAffixes(region, season_id) {
+    const { rows } = await pool.query(
+      `SELECT p.id AS period_id, lb.dungeon_id, lb.realm_id
+       FROM period p
+       LEFT JOIN period_affix pa ON pa.period_id = p.id AND pa.region = $1
+       CROSS JOIN LATERAL (
+         SELECT dungeon_id, realm_id FROM leaderboard_run lr
+         WHERE lr.season_id = p.season_id AND lr.period_id = p.id AND lr.region = $1
+         LIMIT 1
+       ) lb
+       WHERE pa.period_id IS NULL AND ($2::int IS NULL OR p.season_id = $2)
+       ORDER BY p.id`,
+      [region, season_id ?? null]
+    );
+    return rows;
+  },
+  async ensureDungeonTimerTables() {
+    await pool.query('ALTER TABLE dungeon ADD COLUMN IF NOT EXISTS short_name VARCHAR(32)');
+    // Keystone upgrade thresholds per dungeon and season (timers change between seasons)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dungeon_timer (
+        dungeon_id INTEGER NOT NULL,
+        season_id INTEGER NOT NULL,
+        upgrade_level SMALLINT NOT NULL,
+        qualifying_duration_ms INTEGER NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (dungeon_id, season_id, upgrade_level)
+      );
+    `);
+  },
+  // short_name is only overwritten when one is given
+  async upsertDungeons(dungeons) {
+    if (!dungeons || dungeons.length === 0) return;
+    await pool.query(
+      `INSERT INTO dungeon (id, name, short_name)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::text[])
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         short_name = COALESCE(EXCLUDED.short_name, dungeon.short_name)`,
+      [dungeons.map(d => d.id), dungeons.map(d => d.name), dungeons.map(d => d.short_name ?? null)]
+    );
+  },
+  async upsertDungeonTimers(season_id, timers) {
+    if (!timers || timers.length === 0) return;
+    await pool.query(
+      `INSERT INTO dungeon_timer (dungeon_id, season_id, upgrade_level, qualifying_duration_ms)
+       SELECT t.dungeon_id, $1, t.upgrade_level, t.qualifying_duration_ms
+       FROM unnest($2::int[], $3::int[], $4::int[]) AS t(dungeon_id, upgrade_level, qualifying_duration_ms)
+       ON CONFLICT (dungeon_id, season_id, upgrade_level) DO UPDATE SET
+         qualifying_duration_ms = EXCLUDED.qualifying_duration_ms,
+         updated_at = NOW()`,
+      [season_id, timers.map(t => t.dungeon_id), timers.map(t => t.upgrade_level), timers.map(t => t.qualifying_duration_ms)]
+    );
+  },
+  // Dungeons with the timers of one season each: the requested season, else the latest
+  // earlier season, else the latest one stored. Without a season, the latest stored.
+  async getDungeonTimers(season_id) {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.name, d.short_name, s.season_id AS timer_season_id,
+              COALESCE(json_agg(json_build_object('upgrade_level', t.upgrade_level, 'qualifying_duration', t.qualifying_duration_ms)
+                ORDER BY t.upgrade_level) FILTER (WHERE t.upgrade_level IS NOT NULL), '[]') AS keystone_upgrades
+       FROM dungeon d
+       LEFT JOIN LATERAL (
+         SELECT dt.season_id FROM dungeon_timer dt
+         WHERE dt.dungeon_id = d.id
+         ORDER BY (dt.season_id <= COALESCE($1::int, dt.season_id)) DESC, dt.season_id DESC
+         LIMIT 1
+       ) s ON TRUE
+       LEFT JOIN dungeon_timer t ON t.dungeon_id = d.id AND t.season_id = s.season_id
+       GROUP BY d.id, d.name, d.short_name, s.season_id
+       ORDER BY d.id`,
+      [season_id ?? null]
+    );
+    return rows;
+  },
+  // Expansions, season metadata, patches and the class/spec catalog. The tables are
+  // seeded from utils/catalog_seed.sql the first time they're created.
+  async ensureCatalogTables() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS expansion (
+        id INTEGER PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        short_name VARCHAR(16) NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    // One row per season; season_id is Blizzard's and may be added before Blizzard lists the season
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS season_metadata (
+        season_id INTEGER PRIMARY KEY,
+        expansion_id INTEGER NOT NULL REFERENCES expansion(id),
+        name VARCHAR(64) NOT NULL,
+        short_name VARCHAR(16),
+        raiderio_slug VARCHAR(64),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS patch (
+        version VARCHAR(16) PRIMARY KEY,
+        expansion_id INTEGER NOT NULL REFERENCES expansion(id),
+        season_id INTEGER,
+        released_on DATE,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS playable_class (
+        id INTEGER PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        color VARCHAR(7),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS playable_spec (
+        id INTEGER PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        class_id INTEGER NOT NULL REFERENCES playable_class(id),
+        role VARCHAR(8) NOT NULL CHECK (role IN ('tank', 'healer', 'dps')),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    const { rows } = await pool.query('SELECT EXISTS (SELECT 1 FROM expansion) AS seeded');
+    if (!rows[0].seeded) {
+      await pool.query(fs.readFileSync(CATALOG_SEED_SQL, 'utf8'));
+      console.log('[DB] Seeded catalog tables from utils/catalog_seed.sql');
+    }
+  },
+  async getCatalogRows() {
+    const [expansions, seasons, patches, classes, specs, seasonDungeons] = await Promise.all([
+      pool.query('SELECT id, name, short_name FROM expansion ORDER BY id'),
+      // Seasons known to Blizzard (season) and/or described in season_metadata
+      pool.query(
+        `SELECT COALESCE(sm.season_id, s.id) AS season_id,
+                COALESCE(NULLIF(TRIM(sm.name), ''), NULLIF(TRIM(s.name), '')) AS name,
+                sm.short_name, sm.expansion_id, sm.raiderio_slug, s.start_date, s.end_date
+         FROM season_metadata sm
+         FULL JOIN season s ON s.id = sm.season_id
+         ORDER BY 1`
+      ),
+      pool.query('SELECT version, expansion_id, season_id, released_on FROM patch'),
+      pool.query('SELECT id, name, color FROM playable_class ORDER BY id'),
+      pool.query('SELECT id, name, class_id, role FROM playable_spec ORDER BY class_id, id'),
+      pool.query('SELECT season_id, array_agg(dungeon_id ORDER BY dungeon_id) AS dungeon_ids FROM season_dungeon GROUP BY season_id')
+    ]);
+    return {
+      expansions: expansions.rows,
+      seasons: seasons.rows,
+      patches: patches.rows,
+      classes: classes.rows,
+      specs: specs.rows,
+      seasonDungeons: seasonDungeons.rows
+    };
+  },
+  async upsertExpansion({ id, name, short_name }) {
+    const { rows } = await pool.query(
+      `INSERT INTO expansion (id, name, short_name) VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, short_name = EXCLUDED.short_name, updated_at = NOW()
+       RETURNING id, name, short_name`,
+      [id, name, short_name]
+    );
+    return rows[0];
+  },
+  async deleteExpansion(id) {
+    const { rowCount } = await pool.query('DELETE FROM expansion WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+  async upsertSeasonMetadata({ season_id, expansion_id, name, short_name, raiderio_slug }) {
+    const { rows } = await pool.query(
+      `INSERT INTO season_metadata (season_id, expansion_id, name, short_name, raiderio_slug) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (season_id) DO UPDATE SET
+         expansion_id = EXCLUDED.expansion_id,
+         name = EXCLUDED.name,
+         short_name = EXCLUDED.short_name,
+         raiderio_slug = EXCLUDED.raiderio_slug,
+         updated_at = NOW()
+       RETURNING season_id, expansion_id, name, short_name, raiderio_slug`,
+      [season_id, expansion_id, name, short_name ?? null, raiderio_slug ?? null]
+    );
+    return rows[0];
+  },
+  // Raider.IO static data only fills in what the season doesn't have yet
+  async mergeSeasonMetadata({ season_id, expansion_id, name, short_name, raiderio_slug }) {
+    await pool.query(
+      `INSERT INTO season_metadata (season_id, expansion_id, name, short_name, raiderio_slug) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (season_id) DO UPDATE SET
+         short_name = COALESCE(season_metadata.short_name, EXCLUDED.short_name),
+         raiderio_slug = COALESCE(season_metadata.raiderio_slug, EXCLUDED.raiderio_slug),
+         updated_at = NOW()`,
+      [season_id, expansion_id, name, short_name ?? null, raiderio_slug ?? null]
+    );
+  },
+  async deleteSeasonMetadata(season_id) {
+    const { rowCount } = await pool.query('DELETE FROM season_metadata WHERE season_id = $1', [season_id]);
+    return rowCount > 0;
+  },
+  // Replace the dungeon list of a season; with `merge`, only add (unknown dungeon ids are skipped)
+  async setSeasonDungeons(season_id, dungeon_ids, { merge = false } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (!merge) await client.query('DELETE FROM season_dungeon WHERE season_id = $1', [season_id]);
+      const { rowCount } = await client.query(
+        `INSERT INTO season_dungeon (season_id, dungeon_id)
+         SELECT $1, d.id FROM unnest($2::int[]) AS d(id)
+         WHERE EXISTS (SELECT 1 FROM dungeon WHERE dungeon.id = d.id)
+         ON CONFLICT DO NOTHING`,
+        [season_id, dungeon_ids]
+      );
+      await client.query('COMMIT');
+      return rowCount;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+  async upsertPatch({ version, expansion_id, season_id, released_on }) {
+    const { rows } = await pool.query(
+      `INSERT INTO patch (version, expansion_id, season_id, released_on) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (version) DO UPDATE SET
+         expansion_id = EXCLUDED.expansion_id,
+         season_id = EXCLUDED.season_id,
+         released_on = EXCLUDED.released_on,
+         updated_at = NOW()
+       RETURNING version, expansion_id, season_id, released_on`,
+      [version, expansion_id, season_id ?? null, released_on ?? null]
+    );
+    return rows[0];
+  },
+  async deletePatch(version) {
+    const { rowCount } = await pool.query('DELETE FROM patch WHERE version = $1', [version]);
+    return rowCount > 0;
+  },
+  // color is only overwritten when one is given (Blizzard data has no class colors)
+  async upsertPlayableClasses(classes) {
+    if (!classes || classes.length === 0) return [];
+    const { rows } = await pool.query(
+      `INSERT INTO playable_class (id, name, color)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::text[])
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         color = COALESCE(EXCLUDED.color, playable_class.color),
+         updated_at = NOW()
+       RETURNING id, name, color`,
+      [classes.map(c => c.id), classes.map(c => c.name), classes.map(c => c.color ?? null)]
+    );
+    return rows;
+  },
+  async deletePlayableClass(id) {
+    const { rowCount } = await pool.query('DELETE FROM playable_class WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+  async upsertPlayableSpecs(specs) {
+    if (!specs || specs.length === 0) return [];
+    const { rows } = await pool.query(
+      `INSERT INTO playable_spec (id, name, class_id, role)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::int[], $4::text[])
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         class_id = EXCLUDED.class_id,
+         role = EXCLUDED.role,
+         updated_at = NOW()
+       RETURNING id, name, class_id, role`,
+      [specs.map(s => s.id), specs.map(s => s.name), specs.map(s => s.class_id), specs.map(s => s.role)]
+    );
+    return rows;
+  },
+  async deletePlayableSpec(id) {
+    const { rowCount } = await pool.query('DELETE FROM playable_spec WHERE id = $1', [id]);
+    return rowCount > 0;
+  },
+  // Top 1000 runs per (season, period, dungeon, region); the other top-keys views rank all regions together.
+  // Created empty here and filled by the first view refresh (see refreshTopKeysViews in routes/admin.js).
+  async ensureRegionTopKeysView() {
+    await pool.query(`
+      CREATE MATERIALIZED VIEW IF NOT EXISTS top_keys_per_group_region AS
+      WITH ranked_runs AS (
+        SELECT lr.id, lr.run_guid, lr.region, lr.season_id, lr.period_id, lr.dungeon_id, lr.realm_id,
+               lr.completed_at, lr.duration_ms, lr.keystone_level, lr.score, lr.rank,
+               row_number() OVER (PARTITION BY lr.season_id, lr.period_id, lr.dungeon_id, lr.region ORDER BY lr.keystone_level DESC, lr.score DESC) AS rn
+        FROM leaderboard_run lr
+      )
+      SELECT id, run_guid, region, season_id, period_id, dungeon_id, realm_id, completed_at, duration_ms, keystone_level, score, rank, rn,
+             (SELECT json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name)
+              FROM run_group_member rgm
+              LEFT JOIN character c ON c.id = rgm.character_id
+              WHERE rgm.run_guid = r.run_guid) AS members
+      FROM ranked_runs r
+      WHERE rn <= 1000
+      WITH NO DATA;
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_top_keys_per_group_region_unique_id ON top_keys_per_group_region (id)');
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_top_keys_per_group_region_lookup ON top_keys_per_group_region
+        (season_id, region, period_id, dungeon_id, keystone_level DESC, score DESC) INCLUDE (id, run_guid, completed_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_top_keys_per_group_region_realm ON top_keys_per_group_region
+        (season_id, realm_id, keystone_level DESC, score DESC)
+    `);
+  },
+  // Spec and class ids of a top keys view's members JSON, for the composition filters of
+  // /meta/top-keys. IMMUTABLE so the views can have GIN indexes on them.
+  async ensureMemberFilterFunctions() {
+    for (const [name, key] of [['member_spec_ids', 'spec_id'], ['member_class_ids', 'class_id']]) {
+      await pool.query(`
+        CREATE OR REPLACE FUNCTION ${name}(members json) RETURNS integer[]
+          LANGUAGE sql IMMUTABLE PARALLEL SAFE
+          AS $$ SELECT COALESCE(array_agg(DISTINCT (m->>'${key}')::integer), '{}') FROM json_array_elements(members) AS m WHERE m->>'${key}' IS NOT NULL $$
+      `);
+    }
+  },
+  // GIN indexes for the composition filters on the views filtered top keys are read from
+  // (needs ensureMemberFilterFunctions first)
+  async ensureMemberFilterIndexes() {
+    for (const view of ['top_keys_per_group', 'top_keys_per_group_region']) {
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_${view}_member_specs ON ${view} USING gin (member_spec_ids(members))`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_${view}_member_classes ON ${view} USING gin (member_class_ids(members))`);
+    }
+  },
+  // CONCURRENTLY only works on a view that has been populated once
+  async isMaterializedViewPopulated(view_name) {
+    const { rows } = await pool.query('SELECT ispopulated FROM pg_matviews WHERE matviewname = $1', [view_name]);
+    return rows.length > 0 && rows[0].ispopulated;
   }
 };
\ No newline at end of file
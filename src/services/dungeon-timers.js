@@ -0,0 +1,140 @@
+const db = require('./db');
+const proxyService = require('./proxy');
+const { WOW_DUNGEONS } = require('../config/constants');
+const { UpstreamError } = require('../utils/errors');
+
+// Dungeon names, short names and keystone upgrade timers. Synced per season from the
+// Blizzard mythic-keystone-dungeon endpoints into dungeon / dungeon_timer; WOW_DUNGEONS
+// only fills in dungeons (or timers) the database doesn't have yet.
+
+const TIMER_CACHE_TTL_MS = 10 * 60 * 1000;
+const timerCache = new Map(); // season id ('latest' without one) -> { dungeons, expiresAt }
+
+let timerTablesReady = null;
+
+function ensureDungeonTimerTables() {
+  if (!timerTablesReady) {
+    timerTablesReady = db.ensureDungeonTimerTables().catch(err => {
+      timerTablesReady = null;
+      throw err;
+    });
+  }
+  return timerTablesReady;
+}
+
+function fromConstants() {
+  return new Map(WOW_DUNGEONS.map(d => [d.id, {
+    id: d.id,
+    name: d.name,
+    short_name: d.shortname || null,
+    keystone_upgrades: d.keystone_upgrades || [],
+    timer_season_id: null
+  }]));
+}
+
+/**
+ * Dungeons with their keystone upgrade timers for a season. Never throws: when the
+ * tables can't be read the built-in WOW_DUNGEONS timers are used.
+ * @param {number|null} seasonId - Season whose timers to use (latest stored when null)
+ * @returns {Promise<Map>} dungeon id -> { id, name, short_name, keystone_upgrades: [{ upgrade_level, qualifying_duration }], timer_season_id }
+ */
+async function getDungeonTimers(seasonId = null) {
+  const cacheKey = seasonId ? Number(seasonId) : 'latest';
+  const cached = timerCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.dungeons;
+
+  const dungeons = fromConstants();
+  try {
+    await ensureDungeonTimerTables();
+    const rows = await db.getDungeonTimers(seasonId ? Number(seasonId) : null);
+    for (const row of rows) {
+      const known = dungeons.get(row.id);
+      const hasTimers = row.keystone_upgrades.length > 0;
+      dungeons.set(row.id, {
+        id: row.id,
+        name: row.name || known?.name || null,
+        short_name: row.short_name || known?.short_name || null,
+        keystone_upgrades: hasTimers ? row.keystone_upgrades : (known?.keystone_upgrades || []),
+        timer_season_id: hasTimers ? row.timer_season_id : null
+      });
+    }
+  } catch (err) {
+    console.warn('[DUNGEON TIMERS] Failed to load dungeon timers, using built-in values:', err.message);
+    return dungeons;
+  }
+  timerCache.set(cacheKey, { dungeons, expiresAt: Date.now() + TIMER_CACHE_TTL_MS });
+  return dungeons;
+}
+
+/**
+ * Upgrade timer of a dungeon in ms
+ * @param {Map} dungeons - Result of getDungeonTimers
+ * @param {number} level - 1, 2 or 3 (chests)
+ * @returns {number|null}
+ */
+function getUpgradeTimer(dungeons, dungeonId, level) {
+  const dungeon = dungeons.get(Number(dungeonId));
+  const upgrade = dungeon && dungeon.keystone_upgrades.find(u => u.upgrade_level === level);
+  return upgrade ? upgrade.qualifying_duration : null;
+}
+
+/**
+ * Pull dungeons and their keystone upgrade timers from Blizzard and store them for a season
+ * @param {Object} options
+ * @param {string} options.region - Region to read from (timers are the same everywhere)
+ * @param {number} options.seasonId - Season the timers belong to (default: Blizzard's current season)
+ * @returns {Promise<Object>} { status, season_id, dungeons, timers, errors }
+ */
+async function syncDungeonTimers({ region = 'us', seasonId = null } = {}) {
+  await ensureDungeonTimerTables();
+  if (!seasonId) {
+    const seasonsResp = await proxyService.getGameData('mythic-keystone-seasons', region, {});
+    seasonId = seasonsResp.data.current_season && seasonsResp.data.current_season.id;
+    if (!seasonId) {
+      throw new UpstreamError(`Blizzard did not report a current season for region ${region}`, {
+        service: 'blizzard',
+        endpoint: 'mythic-keystone-seasons'
+      });
+    }
+  }
+
+  const index = await proxyService.getGameData('mythic-keystone-dungeons', region, {});
+  const errors = [];
+  const dungeons = [];
+  const timers = [];
+  for (const d of index.data.dungeons || []) {
+    if (!d || !d.id) continue;
+    const known = WOW_DUNGEONS.find(wd => wd.id === d.id);
+    dungeons.push({ id: d.id, name: d.name || known?.name || `Dungeon ${d.id}`, short_name: known?.shortname || null });
+    try {
+      const detail = await proxyService.getGameData('mythic-keystone-dungeon', region, { id: d.id });
+      for (const u of detail.data.keystone_upgrades || []) {
+        if (u && u.upgrade_level && u.qualifying_duration) {
+          timers.push({ dungeon_id: d.id, upgrade_level: u.upgrade_level, qualifying_duration_ms: u.qualifying_duration });
+        }
+      }
+    } catch (err) {
+      errors.push(`dungeon ${d.id} (${d.name}): ${err.message}`);
+    }
+  }
+
+  await db.upsertDungeons(dungeons);
+  await db.upsertDungeonTimers(Number(seasonId), timers);
+  timerCache.clear();
+
+  console.log(`[DUNGEON TIMERS] Synced ${dungeons.length} dungeons and ${timers.length} timers for season ${seasonId} (${errors.length} errors)`);
+  return {
+    status: errors.length === 0 ? 'OK' : 'PARTIAL',
+    season_id: Number(seasonId),
+    dungeons: dungeons.length,
+    timers: timers.length,
+    errors
+  };
+}
+
+module.exports = {
+  ensureDungeonTimerTables,
+  getDungeonTimers,
+  getUpgradeTimer,
+  syncDungeonTimers
+};
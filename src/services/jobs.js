@@ -0,0 +1,276 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// Durable queue for long-running admin tasks. Jobs live in the admin_job table,
+// so they survive restarts and are visible from every instance; a worker loop in
+// each process claims due jobs for the types it has handlers for.
+//
+// Status flow: queued -> running -> succeeded | failed | cancelled
+// A failed attempt goes back to queued (with backoff) until max_attempts is used up.
+
+const POLL_MS = Number(process.env.ADMIN_JOB_POLL_MS || 2000);
+const CONCURRENCY = Number(process.env.ADMIN_JOB_CONCURRENCY || 1);
+const HEARTBEAT_MS = Number(process.env.ADMIN_JOB_HEARTBEAT_MS || 15000);
+const STALE_MS = Number(process.env.ADMIN_JOB_STALE_MS || 5 * 60 * 1000); // no heartbeat for 5m = worker is gone
+const RETRY_BASE_DELAY_MS = Number(process.env.ADMIN_JOB_RETRY_DELAY_MS || 30000);
+const TTL_MS = Number(process.env.ADMIN_JOB_TTL_MS || 7 * 24 * 60 * 60 * 1000); // finished jobs kept 7 days
+const CLEANUP_MS = Number(process.env.ADMIN_JOB_CLEANUP_MS || 10 * 60 * 1000);
+const MAX_LOG_ENTRIES = 500;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Thrown by job.throwIfCancelled(); ends the job as cancelled instead of failed
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+let jobTableReady = null;
+
+function ensureJobTable() {
+  if (!jobTableReady) {
+    jobTableReady = db.ensureAdminJobTable().catch(err => {
+      jobTableReady = null;
+      throw err;
+    });
+  }
+  return jobTableReady;
+}
+
+const handlers = new Map(); // type -> { handler, maxAttempts }
+const active = new Map();   // job id -> context of jobs running in this process
+const workerId = `${os.hostname()}:${process.pid}`;
+let pollTimer = null;
+let polling = false;
+let lastCleanupAt = 0;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type, e.g. 'refresh-views'
+ * @param {Function} handler - async (payload, job) => result; job offers progress(), log(), isCancelled(), throwIfCancelled()
+ * @param {Object} options - { maxAttempts } default attempts for jobs of this type
+ */
+function registerJobHandler(type, handler, { maxAttempts = 1 } = {}) {
+  handlers.set(type, { handler, maxAttempts });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} payload - Handler input, stored as JSON
+ * @param {Object} options - { maxAttempts, runAfter }
+ * @returns {Promise<Object>} The job row
+ */
+async function enqueueJob(type, payload = {}, { maxAttempts, runAfter } = {}) {
+  const registered = handlers.get(type);
+  if (!registered) throw new Error(`Unknown job type: ${type}`);
+  await ensureJobTable();
+  const job = await db.insertAdminJob({
+    id: uuidv4(),
+    type,
+    payload,
+    max_attempts: maxAttempts || registered.maxAttempts,
+    run_after: runAfter || null
+  });
+  console.log(`🧵 [JOBS] Queued ${type} job ${job.id}`);
+  // Pick it up right away instead of waiting for the next poll
+  if (pollTimer) setImmediate(poll);
+  return job;
+}
+
+async function getJob(id) {
+  await ensureJobTable();
+  return db.getAdminJob(id);
+}
+
+async function listJobs({ type, status, limit = 50, offset = 0 } = {}) {
+  await ensureJobTable();
+  const rows = await db.listAdminJobs({ type, status, limit, offset });
+  const total = rows.length > 0 ? rows[0].total_count : 0;
+  return { jobs: rows.map(({ total_count, ...job }) => job), total };
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs stop at their next cancellation check.
+ * @returns {Promise<Object|null>} Updated job, or null if it doesn't exist or has already finished
+ */
+async function cancelJob(id) {
+  await ensureJobTable();
+  const job = await db.cancelAdminJob(id);
+  if (job) {
+    const ctx = active.get(id);
+    if (ctx) ctx.cancelRequested = true;
+    console.log(`🧵 [JOBS] Cancel requested for ${job.type} job ${id} (${job.status})`);
+  }
+  return job;
+}
+
+async function getJobSummary() {
+  await ensureJobTable();
+  const { counts, latest } = await db.getAdminJobSummary();
+  const byStatus = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+  for (const row of counts) byStatus[row.status] = row.count;
+  return { counts: byStatus, latest };
+}
+
+function createJobContext(job) {
+  const ctx = {
+    id: job.id,
+    type: job.type,
+    attempt: job.attempts,
+    cancelRequested: job.cancel_requested,
+    async log(message) {
+      console.log(`🧵 [JOBS] [${job.type} ${job.id}] ${message}`);
+      try {
+        await db.appendAdminJobLog(job.id, { at: new Date().toISOString(), message: String(message) }, MAX_LOG_ENTRIES);
+      } catch (err) {
+        console.warn('[JOBS] Failed to write job log:', err.message);
+      }
+    },
+    async progress(percent, message) {
+      const value = Math.max(0, Math.min(100, Math.round(Number(percent) || 0)));
+      try {
+        if (await db.heartbeatAdminJob(job.id, value)) ctx.cancelRequested = true;
+      } catch (err) {
+        console.warn('[JOBS] Failed to update job progress:', err.message);
+      }
+      if (message) await ctx.log(message);
+    },
+    isCancelled() {
+      return ctx.cancelRequested;
+    },
+    throwIfCancelled() {
+      if (ctx.cancelRequested) throw new JobCancelledError();
+    }
+  };
+  return ctx;
+}
+
+// False when the job was requeued as stale while this worker still ran it; its outcome is then dropped
+function stillOwned(job, updated) {
+  if (!updated) console.warn(`🧵 [JOBS] ${job.type} job ${job.id} is no longer held by ${workerId}; discarding this attempt's outcome`);
+  return updated;
+}
+
+async function runJob(job) {
+  const { handler } = handlers.get(job.type);
+  const ctx = createJobContext(job);
+  active.set(job.id, ctx);
+
+  // Heartbeat keeps the job from being treated as abandoned and picks up cancel requests
+  const heartbeat = setInterval(async () => {
+    try {
+      if (await db.heartbeatAdminJob(job.id)) ctx.cancelRequested = true;
+    } catch (err) {
+      console.warn('[JOBS] Heartbeat failed:', err.message);
+    }
+  }, HEARTBEAT_MS);
+
+  const startedAt = Date.now();
+  await ctx.log(`Started attempt ${job.attempts}/${job.max_attempts} on ${workerId}`);
+  try {
+    const result = await handler(job.payload || {}, ctx);
+    if (stillOwned(job, await db.finishAdminJob(job.id, { worker_id: workerId, status: 'succeeded', result: result ?? null }))) {
+      await ctx.log(`Succeeded in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    }
+  } catch (err) {
+    if (err instanceof JobCancelledError || ctx.cancelRequested) {
+      if (stillOwned(job, await db.finishAdminJob(job.id, { worker_id: workerId, status: 'cancelled', error: 'Cancelled by request' }))) {
+        await ctx.log('Cancelled');
+      }
+    } else if (job.attempts < job.max_attempts) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+      if (stillOwned(job, await db.retryAdminJob(job.id, { worker_id: workerId, error: err.message, delay_ms: delay }))) {
+        await ctx.log(`Attempt ${job.attempts} failed: ${err.message}; retrying in ${Math.round(delay / 1000)}s`);
+      }
+    } else if (stillOwned(job, await db.finishAdminJob(job.id, { worker_id: workerId, status: 'failed', error: err.message }))) {
+      await ctx.log(`Failed: ${err.message}`);
+      console.error(`🧵 [JOBS] ${job.type} job ${job.id} failed:`, err);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    active.delete(job.id);
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    await ensureJobTable();
+
+    if (Date.now() - lastCleanupAt >= CLEANUP_MS) {
+      lastCleanupAt = Date.now();
+      const stale = await db.requeueStaleAdminJobs(STALE_MS);
+      for (const job of stale) console.warn(`[JOBS] Recovered abandoned job ${job.id} -> ${job.status}`);
+      if (TTL_MS > 0) {
+        const removed = await db.deleteFinishedAdminJobs(TTL_MS);
+        if (removed > 0) console.log(`🧵 [JOBS] Removed ${removed} finished job(s) older than ${Math.round(TTL_MS / 3600000)}h`);
+      }
+    }
+
+    const types = [...handlers.keys()];
+    while (types.length > 0 && active.size < CONCURRENCY) {
+      const job = await db.claimNextAdminJob(workerId, types);
+      if (!job) break;
+      console.log(`🧵 [JOBS] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+      runJob(job).catch(err => console.error(`[JOBS] Job ${job.id} bookkeeping failed:`, err.message));
+    }
+  } catch (err) {
+    console.warn('[JOBS] Poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the worker loop. Runs the abandoned-job sweep immediately so jobs
+ * interrupted by a restart are requeued.
+ */
+function startJobWorker() {
+  if (pollTimer) return;
+  lastCleanupAt = 0;
+  pollTimer = setInterval(poll, POLL_MS);
+  if (pollTimer.unref) pollTimer.unref();
+  console.log(`🧵 [JOBS] Worker ${workerId} started (types: ${[...handlers.keys()].join(', ') || 'none'})`);
+  poll();
+}
+
+function stopJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function getWorkerStatus() {
+  return {
+    worker_id: workerId,
+    running: pollTimer !== null,
+    active_jobs: [...active.keys()],
+    job_types: [...handlers.keys()],
+    config: {
+      poll_ms: POLL_MS,
+      concurrency: CONCURRENCY,
+      heartbeat_ms: HEARTBEAT_MS,
+      stale_ms: STALE_MS,
+      retry_delay_ms: RETRY_BASE_DELAY_MS,
+      ttl_ms: TTL_MS
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobCancelledError,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  getJobSummary,
+  startJobWorker,
+  stopJobWorker,
+  getWorkerStatus
+};
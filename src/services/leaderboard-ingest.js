@@ -0,0 +1,277 @@
+const { pipeline, Readable } = require('stream');
+const copyFrom = require('pg-copy-streams').from;
+const db = require('./db');
+
+// Loading crawled leaderboard runs into Postgres. Runs are COPYed into temp
+// staging tables and merged into leaderboard_run / run_group_member in one
+// transaction per batch. Used both by the JSON file imports (admin) and by the
+// crawler streaming straight into the database (advanced).
+
+const INGEST_BATCH_RUNS = Number(process.env.LEADERBOARD_INGEST_BATCH_RUNS || 5000);
+
+const TEMP_LEADERBOARD_RUNS_DDL = `
+  CREATE TEMP TABLE temp_leaderboard_runs (
+    region VARCHAR(8),
+    season_id INTEGER,
+    period_id INTEGER,
+    dungeon_id INTEGER,
+    realm_id INTEGER,
+    completed_at TIMESTAMP,
+    duration_ms INTEGER,
+    keystone_level INTEGER,
+    score DOUBLE PRECISION,
+    rank INTEGER,
+    run_guid UUID
+  ) ON COMMIT DROP;
+`;
+
+// Mirrors run_group_member_staging
+const TEMP_RUN_GROUP_MEMBERS_DDL = `
+  CREATE TEMP TABLE temp_run_group_members (
+    run_guid UUID,
+    character_id BIGINT,
+    character_name VARCHAR(64),
+    realm_slug VARCHAR(64),
+    region VARCHAR(8),
+    faction VARCHAR(16),
+    class_id INTEGER,
+    spec_id INTEGER,
+    role VARCHAR(16)
+  ) ON COMMIT DROP;
+`;
+
+function csvValue(x) {
+  if (x === undefined || x === null) return '';
+  // Runs built in memory carry Date objects; runs read back from JSON files carry ISO strings
+  if (x instanceof Date) return x.toISOString();
+  return x;
+}
+
+// CSV row for temp_leaderboard_runs
+function runCsvRow(run) {
+  return [
+    run.region,
+    run.season_id,
+    run.period_id,
+    run.dungeon_id,
+    run.realm_id,
+    run.completed_at,
+    run.duration_ms,
+    run.keystone_level,
+    run.score,
+    run.rank,
+    run.run_guid
+  ].map(csvValue).join(',') + '\n';
+}
+
+// CSV row for temp_run_group_members. Members from older files without a profile id
+// get an empty character_id and are skipped by the merge (callers count and log them).
+function memberCsvRow(run, m, characterName) {
+  return [
+    run.run_guid,
+    m.character_id,
+    characterName,
+    m.realm_slug,
+    m.region || run.region,
+    m.faction,
+    m.class_id,
+    m.spec_id,
+    m.role
+  ].map(csvValue).join(',') + '\n';
+}
+
+// Use 'unknown' for null or empty character names
+function memberName(m) {
+  return (!m.character_name || m.character_name.trim() === '') ? 'unknown' : m.character_name;
+}
+
+// Upsert character identities from temp_run_group_members. Only the most recent
+// sighting (by run completed_at) may overwrite name, realm, faction and last spec.
+async function upsertCharactersFromTempMembers(client) {
+  const { rowCount } = await client.query(`
+    INSERT INTO character AS c (id, name, realm_slug, region, faction, last_spec_id, last_seen_at)
+    SELECT DISTINCT ON (t.character_id)
+      t.character_id, t.character_name, t.realm_slug, t.region, t.faction, t.spec_id, lr.completed_at
+    FROM temp_run_group_members t
+    JOIN leaderboard_run lr ON lr.run_guid = t.run_guid
+    WHERE t.character_id IS NOT NULL
+    ORDER BY t.character_id, lr.completed_at DESC NULLS LAST
+    ON CONFLICT (id) DO UPDATE SET
+      name = EXCLUDED.name,
+      realm_slug = COALESCE(EXCLUDED.realm_slug, c.realm_slug),
+      region = EXCLUDED.region,
+      faction = COALESCE(EXCLUDED.faction, c.faction),
+      last_spec_id = COALESCE(EXCLUDED.last_spec_id, c.last_spec_id),
+      last_seen_at = EXCLUDED.last_seen_at
+    WHERE c.last_seen_at IS NULL OR EXCLUDED.last_seen_at >= c.last_seen_at;
+  `);
+  return rowCount;
+}
+
+/**
+ * Merge the staged runs and members into the real tables.
+ * A run that already exists (same dungeon/period/season/region/completed_at/duration/level/score)
+ * keeps its original run_guid, so members staged under the new guid are dropped.
+ * @param {Object} client - pg client inside an open transaction
+ */
+async function mergeStagedRuns(client) {
+  await client.query(`
+    INSERT INTO leaderboard_run (region, season_id, period_id, dungeon_id, realm_id, completed_at, duration_ms, keystone_level, score, rank, run_guid)
+    SELECT DISTINCT ON (dungeon_id, period_id, season_id, region, completed_at, duration_ms, keystone_level, score)
+      region, season_id, period_id, dungeon_id, realm_id, completed_at, duration_ms, keystone_level, score, rank, run_guid
+    FROM temp_leaderboard_runs
+    ON CONFLICT (dungeon_id, period_id, season_id, region, completed_at, duration_ms, keystone_level, score)
+    DO UPDATE SET
+      score = EXCLUDED.score,
+      rank = EXCLUDED.rank,
+      realm_id = EXCLUDED.realm_id;
+  `);
+
+  await upsertCharactersFromTempMembers(client);
+
+  await client.query(`
+    INSERT INTO run_group_member (run_guid, character_id, character_name, class_id, spec_id, role)
+    SELECT DISTINCT ON (run_guid, character_id)
+      run_guid, character_id, character_name, class_id, spec_id, role
+    FROM temp_run_group_members
+    WHERE character_id IS NOT NULL
+      AND run_guid IN (SELECT run_guid FROM leaderboard_run)
+    ON CONFLICT (run_guid, character_id)
+    DO UPDATE SET
+      character_name = EXCLUDED.character_name,
+      class_id = EXCLUDED.class_id,
+      spec_id = EXCLUDED.spec_id,
+      role = EXCLUDED.role;
+  `);
+}
+
+function copyRows(client, sql, rows) {
+  return new Promise((resolve, reject) => {
+    const stream = client.query(copyFrom(sql));
+    pipeline(Readable.from(rows), stream, err => err ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Stage and merge a batch of runs in one transaction
+ * @param {Array} runs - Runs in the crawler's shape (with members)
+ * @returns {Promise<{ runs: number, members: number }>} members counts only those with a profile id
+ */
+async function ingestRuns(runs) {
+  const runRows = [];
+  const memberRows = [];
+  let missingIdCount = 0;
+  for (const run of runs) {
+    runRows.push(runCsvRow(run));
+    for (const m of run.members || []) {
+      if (m.character_id == null) missingIdCount++;
+      memberRows.push(memberCsvRow(run, m, memberName(m)));
+    }
+  }
+  if (missingIdCount > 0) {
+    console.log(`[INGEST] Skipping ${missingIdCount} members without a Blizzard profile id`);
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(TEMP_LEADERBOARD_RUNS_DDL);
+    await client.query(TEMP_RUN_GROUP_MEMBERS_DDL);
+    await copyRows(client, 'COPY temp_leaderboard_runs FROM STDIN WITH (FORMAT csv)', runRows);
+    if (memberRows.length > 0) {
+      await copyRows(client, 'COPY temp_run_group_members FROM STDIN WITH (FORMAT csv)', memberRows);
+    }
+    await mergeStagedRuns(client);
+    await client.query('COMMIT');
+    return { runs: runRows.length, members: memberRows.length - missingIdCount };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Buffers runs from concurrent crawl tasks and flushes them to Postgres in batches.
+ * Flushes run one at a time; add() waits for the flush it triggers, which throttles
+ * the crawl when the database falls behind.
+ * options.onBatch(units, error) is called after each batch commits (error null) or fails;
+ * errors it throws are logged and don't count against the batch.
+ */
+class LeaderboardIngestor {
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || INGEST_BATCH_RUNS;
+    this.onBatch = options.onBatch || null;
+    this.buffer = [];
+    this.bufferUnits = [];
+    this.queue = Promise.resolve();
+    this.stats = { runs: 0, members: 0, batches: 0, failedBatches: 0 };
+    this.failedUnits = [];
+  }
+
+  /**
+   * Add the runs of one crawled leaderboard
+   * @param {Object} unit - The leaderboard the runs came from; passed back to onBatch and in failedUnits
+   * @param {Array} runs - Runs for that leaderboard
+   */
+  async add(unit, runs) {
+    this.buffer.push(...runs);
+    this.bufferUnits.push(unit);
+    if (this.buffer.length >= this.batchSize) await this.flush();
+  }
+
+  flush() {
+    if (this.buffer.length === 0) return this.queue;
+    const runs = this.buffer;
+    const units = this.bufferUnits;
+    this.buffer = [];
+    this.bufferUnits = [];
+    this.queue = this.queue.then(async () => {
+      const startTime = Date.now();
+      let batchError = null;
+      try {
+        const { runs: runCount, members } = await ingestRuns(runs);
+        this.stats.runs += runCount;
+        this.stats.members += members;
+        this.stats.batches++;
+        console.log(`[INGEST] Batch ${this.stats.batches}: ${runCount} runs, ${members} members from ${units.length} leaderboards in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+      } catch (err) {
+        batchError = err;
+        this.stats.failedBatches++;
+        console.error(`[INGEST ERROR] Batch of ${runs.length} runs from ${units.length} leaderboards failed:`, err.message);
+        for (const unit of units) this.failedUnits.push({ unit, error: err.message });
+      }
+      if (!this.onBatch) return;
+      // The batch has committed or rolled back by now; a failing callback doesn't change that
+      // and mustn't reject the queue the later batches wait on
+      try {
+        await this.onBatch(units, batchError);
+      } catch (err) {
+        console.error(`[INGEST ERROR] onBatch failed for ${units.length} leaderboards:`, err.message);
+      }
+    });
+    return this.queue;
+  }
+
+  /**
+   * Flush what's left and wait for all batches
+   * @returns {Promise<Object>} Totals plus the leaderboards whose batch failed
+   */
+  async close() {
+    await this.flush();
+    return { ...this.stats, failedUnits: this.failedUnits };
+  }
+}
+
+module.exports = {
+  TEMP_LEADERBOARD_RUNS_DDL,
+  TEMP_RUN_GROUP_MEMBERS_DDL,
+  runCsvRow,
+  memberCsvRow,
+  memberName,
+  upsertCharactersFromTempMembers,
+  mergeStagedRuns,
+  ingestRuns,
+  LeaderboardIngestor
+};
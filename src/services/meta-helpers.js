@@ -1,5 +1,260 @@
 const db = require('./db');
-const { SEASON_METADATA, EXPANSION_METADATA } = require('../config/constants');
+const { getCatalog } = require('./catalog');
+const { getPeriodAffixes } = require('./affixes');
+const { getDungeonTimers } = require('./dungeon-timers');
+const { getAllRegions } = require('../config/regions');
+const { HTTP_STATUS } = require('../config/constants');
+const { AppError, ValidationError } = require('../utils/errors');
+const { encodeCursor, decodeCursor, keysetOrderBy, keysetCondition } = require('../utils/cursor');
+
+/**
+ * Query top_keys_per_group_region, the top keys ranked within each region. The view is
+ * created and filled by the materialized view refresh, so until then this is a 503.
+ * @param {Object} client - Client to query with (default the pool)
+ */
+async function queryRegionTopKeys(sql, params, client = db.pool) {
+  try {
+    return await client.query(sql, params);
+  } catch (err) {
+    // 42P01: view doesn't exist yet, 55000: created but not populated
+    if (err.code === '42P01' || err.code === '55000') {
+      throw new AppError('Regional rankings are not built yet, refresh the materialized views first', {
+        status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        code: 'REGION_VIEW_NOT_READY'
+      });
+    }
+    throw err;
+  }
+}
+
+// Sorts of the top keys listings; each ends in id so the order is total and can be paged by keyset
+const RUN_SORTS = {
+  keystone_level: ['keystone_level', 'score', 'id'],
+  score: ['score', 'id'],
+  completed_at: ['completed_at', 'id'],
+  duration_ms: ['duration_ms', 'id']
+};
+// Fastest runs first when sorting by duration, highest/newest first otherwise
+const RUN_SORT_DEFAULT_ORDER = { keystone_level: 'desc', score: 'desc', completed_at: 'desc', duration_ms: 'asc' };
+// Sort columns that leaderboard_run allows to be NULL; those runs sort last
+const NULLABLE_RUN_COLUMNS = new Set(['keystone_level', 'score', 'completed_at', 'duration_ms']);
+
+/**
+ * Start of a page: after the cursor, or at offset. Both at once are rejected, since a
+ * cursor already says where the page starts.
+ * @param {Object} options - { cursor, offset }
+ * @param {string} sort - Ordering the cursor must have been issued for
+ * @param {number} length - Number of sort values in the cursor
+ * @returns {{ values: Array|null, position: number }} Cursor sort values (null without cursor) and rows before the page
+ */
+function pageStart({ cursor, offset = 0 }, sort, length) {
+  if (!cursor) return { values: null, position: offset };
+  if (offset > 0) {
+    throw new ValidationError('Invalid request: cursor and offset cannot be combined', {
+      fields: [{ location: 'query', field: 'offset', message: 'cannot be combined with cursor' }]
+    });
+  }
+  return decodeCursor(cursor, sort, length);
+}
+
+/**
+ * One page of runs from a top keys view, keyset-paginated on the sort columns
+ * @param {Object} options
+ * @param {string} options.view - View to read (the region view goes through queryRegionTopKeys)
+ * @param {string} options.select - Columns to return
+ * @param {string[]} options.where - Filters, with their values in options.params (default none)
+ * @param {Array} options.params - Filter values
+ * @param {string[]} options.leading - Columns ordered (ascending) before the sort, e.g. ['season_id']
+ * @param {string} options.sort - keystone_level | score | completed_at | duration_ms (default keystone_level)
+ * @param {string} options.order - asc | desc (default per sort)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip (without cursor)
+ * @param {string} options.cursor - next_cursor of the previous page
+ * @returns {Promise<Object>} { rows, total, sort, order, next_cursor }
+ */
+async function getTopKeysPage(options) {
+  const { view, select, leading = [], limit } = options;
+  const sort = options.sort || 'keystone_level';
+  const order = options.order || RUN_SORT_DEFAULT_ORDER[sort];
+  const columns = [
+    ...leading.map(column => ({ column, desc: false })),
+    ...RUN_SORTS[sort].map(column => ({ column, desc: order === 'desc', nullable: NULLABLE_RUN_COLUMNS.has(column) }))
+  ];
+  const sortKey = `${[...leading, sort].join(',')}:${order}`;
+  const start = pageStart(options, sortKey, columns.length);
+  const query = view === 'top_keys_per_group_region' ? queryRegionTopKeys : (sql, p) => db.pool.query(sql, p);
+
+  const filters = options.where || [];
+  const filterParams = options.params || [];
+  const params = [...filterParams];
+  const where = [...filters];
+  if (start.values) {
+    // completed_at goes back as a Date so pg sends it the way it read it
+    const values = start.values.map((v, i) => (columns[i].column === 'completed_at' && v !== null ? new Date(v) : v));
+    if (values.some(v => v instanceof Date && Number.isNaN(v.getTime()))) {
+      throw new ValidationError('Invalid request: cursor is malformed', {
+        fields: [{ location: 'query', field: 'cursor', message: 'is malformed' }]
+      });
+    }
+    where.push(keysetCondition(columns, values, params));
+  }
+  params.push(limit + 1);
+  const whereSql = conditions => (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '');
+  let sql = `SELECT ${select}, ${columns.map((c, i) => `${c.column} AS cursor_${i}`).join(', ')} FROM ${view}${whereSql(where)} ORDER BY ${keysetOrderBy(columns)} LIMIT $${params.length}`;
+  if (!start.values) {
+    params.push(start.position);
+    sql += ` OFFSET $${params.length}`;
+  }
+
+  const [pageResult, countResult] = await Promise.all([
+    query(sql, params),
+    query(`SELECT COUNT(*)::int AS total FROM ${view}${whereSql(filters)}`, filterParams)
+  ]);
+
+  // One row past the page tells whether there is a next one
+  const hasMore = pageResult.rows.length > limit;
+  const page = pageResult.rows.slice(0, limit);
+  const rows = page.map(row => {
+    const out = { ...row };
+    columns.forEach((c, i) => delete out[`cursor_${i}`]);
+    return out;
+  });
+  const last = page[page.length - 1];
+  return {
+    rows,
+    total: countResult.rows[0].total,
+    sort,
+    order,
+    next_cursor: hasMore
+      ? encodeCursor(sortKey, columns.map((c, i) => last[`cursor_${i}`]), start.position + page.length)
+      : null
+  };
+}
+
+let memberFilterFunctionsReady = null;
+
+function ensureMemberFilterFunctions() {
+  if (!memberFilterFunctionsReady) {
+    memberFilterFunctionsReady = db.ensureMemberFilterFunctions().catch(err => {
+      memberFilterFunctionsReady = null;
+      throw err;
+    });
+  }
+  return memberFilterFunctionsReady;
+}
+
+/**
+ * Filters of the top keys listing on group composition, key level and timer, as conditions
+ * for getTopKeysPage. Spec and class filters go through member_spec_ids / member_class_ids,
+ * which the top_keys_per_group views have GIN indexes on.
+ * @param {number} season_id - Season whose dungeon timers decide what was timed
+ * @param {Object} filters
+ * @param {number[]} filters.spec_ids - Specs that must all be in the group
+ * @param {number[]} filters.class_ids - Classes that must all be in the group
+ * @param {number} filters.min_level - Minimum key level
+ * @param {number} filters.max_level - Maximum key level
+ * @param {boolean} filters.timed - Only runs within the dungeon's timer (dungeons without a known timer are left out)
+ * @param {Array} params - Query parameters; the filter values are appended
+ * @returns {Promise<string[]>} Conditions
+ */
+async function topKeysRunFilters(season_id, filters, params) {
+  const where = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  if (filters.spec_ids && filters.spec_ids.length > 0) {
+    await ensureMemberFilterFunctions();
+    where.push(`member_spec_ids(members) @> ${param(filters.spec_ids)}::int[]`);
+  }
+  if (filters.class_ids && filters.class_ids.length > 0) {
+    await ensureMemberFilterFunctions();
+    where.push(`member_class_ids(members) @> ${param(filters.class_ids)}::int[]`);
+  }
+  if (filters.min_level) where.push(`keystone_level >= ${param(filters.min_level)}`);
+  if (filters.max_level) where.push(`keystone_level <= ${param(filters.max_level)}`);
+  if (filters.timed) {
+    const { dungeonIds, timers } = await getDungeonTimerParams(season_id);
+    where.push(`duration_ms <= (SELECT t.timer_ms FROM unnest(${param(dungeonIds)}::int[], ${param(timers)}::int[]) AS t(timer_dungeon_id, timer_ms) WHERE t.timer_dungeon_id = dungeon_id)`);
+  }
+  return where;
+}
+
+/**
+ * View and conditions of a top keys listing with the /meta/top-keys filters
+ * @param {Object} query - Validated query: season_id, period_id, dungeon_id, region, spec_ids, class_ids,
+ *   tank_spec_id, healer_spec_id, min_level, max_level, timed
+ * @param {Object} options
+ * @param {boolean} options.allRuns - Read every stored top key (the per-group views) even without filters
+ * @returns {Promise<Object>} { view, where, params, filters } - filters echoes the run filters, with the tank
+ *   and healer specs included in spec_ids
+ * @throws {ValidationError} For unknown specs or classes, tank/healer specs of another role and min_level above max_level
+ */
+async function topKeysSelection(query, { allRuns = false } = {}) {
+  const { season_id, period_id, dungeon_id, region, spec_ids, class_ids, tank_spec_id, healer_spec_id, min_level, max_level, timed } = query;
+  const filtered = Boolean(spec_ids || class_ids || tank_spec_id || healer_spec_id || min_level || max_level || timed);
+  let view;
+  if (region) {
+    // Use the per-region view; any run in a region's top N (N <= 1000) is in the top 1000 of its group there
+    view = 'top_keys_per_group_region';
+  } else if (filtered || allRuns) {
+    // Filtered searches use the per-group view, which holds every run of the other views, so they
+    // aren't limited to the season's (or week's, or dungeon's) top 1000
+    view = 'top_keys_per_group';
+  } else if (!period_id && !dungeon_id) {
+    // Use global view
+    view = 'top_keys_global';
+  } else if (period_id && !dungeon_id) {
+    // Use per-period view
+    view = 'top_keys_per_period';
+  } else if (dungeon_id && !period_id) {
+    // Use per-dungeon view
+    view = 'top_keys_per_dungeon';
+  } else {
+    // Use per-group view
+    view = 'top_keys_per_group';
+  }
+  const where = ['season_id = $1'];
+  const params = [season_id];
+  for (const [column, value] of [['region', region], ['period_id', period_id], ['dungeon_id', dungeon_id]]) {
+    if (!value) continue;
+    params.push(value);
+    where.push(`${column} = $${params.length}`);
+  }
+
+  const catalog = await getCatalog();
+  // Tank and healer specs are required specs that must have that role
+  const requiredSpecs = new Set(spec_ids || []);
+  const invalid = (spec_ids || [])
+    .filter(id => !catalog.spec(id))
+    .map(id => ({ location: 'query', field: 'spec_ids', message: `spec ${id} does not exist` }));
+  for (const [field, specId, role] of [['tank_spec_id', tank_spec_id, 'tank'], ['healer_spec_id', healer_spec_id, 'healer']]) {
+    if (!specId) continue;
+    if (catalog.role(specId) !== role) invalid.push({ location: 'query', field, message: `spec ${specId} is not a ${role} spec` });
+    requiredSpecs.add(specId);
+  }
+  for (const id of class_ids || []) {
+    if (!catalog.className(id)) invalid.push({ location: 'query', field: 'class_ids', message: `class ${id} does not exist` });
+  }
+  if (min_level && max_level && min_level > max_level) {
+    invalid.push({ location: 'query', field: 'min_level', message: 'must not be above max_level' });
+  }
+  if (invalid.length > 0) {
+    throw new ValidationError(`Invalid request: ${invalid.map(e => `${e.field} ${e.message}`).join('; ')}`, { fields: invalid });
+  }
+
+  const filters = {
+    spec_ids: [...requiredSpecs],
+    class_ids: class_ids || [],
+    tank_spec_id: tank_spec_id || null,
+    healer_spec_id: healer_spec_id || null,
+    min_level: min_level || null,
+    max_level: max_level || null,
+    timed: Boolean(timed)
+  };
+  where.push(...await topKeysRunFilters(season_id, filters, params));
+  return { view, where, params, filters };
+}
 
 /**
  * Helper function to get spec evolution data for a specific season
@@ -7,6 +262,7 @@ const { SEASON_METADATA, EXPANSION_METADATA } = require('../config/constants');
  * @param {Object} filters - Optional filters
  * @param {number} filters.period_id - Filter by specific period
  * @param {number} filters.dungeon_id - Filter by specific dungeon
+ * @param {string} filters.region - Use the region's own top keys instead of the global ones
  * @returns {Promise<Object|null>} - Spec evolution data or null if no data
  */
 async function getSpecEvolutionForSeason(season_id, filters = {}) {
@@ -25,22 +281,10 @@ async function getSpecEvolutionForSeason(season_id, filters = {}) {
   const periods = periodsResult.rows;
   
   // Get season and expansion metadata
-  const seasonMetadata = SEASON_METADATA[season_id];
-  let expansionId = null;
-  let expansionName = null;
-  let seasonName = null;
-  
-  if (seasonMetadata) {
-    seasonName = seasonMetadata.name;
-    // Find the expansion that contains this season
-    for (const [expId, expansion] of Object.entries(EXPANSION_METADATA)) {
-      if (expansion.seasons && expansion.seasons.includes(season_id)) {
-        expansionId = parseInt(expId);
-        expansionName = expansion.name;
-        break;
-      }
-    }
-  }
+  const seasonMetadata = (await getCatalog()).season(season_id);
+  const expansionId = seasonMetadata?.expansion_id ?? null;
+  const expansionName = seasonMetadata?.expansion || null;
+  const seasonName = seasonMetadata?.name || null;
   
   // For each period, get top keys and aggregate spec popularity
   const evolution = [];
@@ -49,7 +293,15 @@ async function getSpecEvolutionForSeason(season_id, filters = {}) {
   for (const period of periods) {
     let keysResult;
     
-    if (filters.dungeon_id) {
+    if (filters.region) {
+      // The region's top 1000 of the period (of the dungeon when filtering by dungeon)
+      const params = [season_id, period.id, filters.region];
+      if (filters.dungeon_id) params.push(filters.dungeon_id);
+      keysResult = await queryRegionTopKeys(
+        `SELECT members FROM top_keys_per_group_region WHERE season_id = $1 AND period_id = $2 AND region = $3${filters.dungeon_id ? ' AND dungeon_id = $4' : ''} ORDER BY keystone_level DESC, score DESC LIMIT 1000`,
+        params
+      );
+    } else if (filters.dungeon_id) {
       // When filtering by dungeon, use top_keys_per_group to get individual keys
       keysResult = await db.pool.query(
         'SELECT members FROM top_keys_per_group WHERE season_id = $1 AND period_id = $2 AND dungeon_id = $3',
@@ -87,11 +339,17 @@ async function getSpecEvolutionForSeason(season_id, filters = {}) {
   
   // Only return season data if it has non-empty periods
   if (evolution.length > 0) {
+    // Affixes of each week, so changes between periods can be attributed to the rotation
+    const periodAffixes = await getPeriodAffixes(evolution.map(e => e.period_id));
+    for (const entry of evolution) {
+      entry.affixes = periodAffixes.get(entry.period_id, filters.region);
+    }
     return { 
       season_id, 
       expansion_id: expansionId,
       expansion_name: expansionName,
       season_name: seasonName,
+      region: filters.region || null,
       evolution 
     };
   }
@@ -101,9 +359,11 @@ async function getSpecEvolutionForSeason(season_id, filters = {}) {
 /**
  * Helper function to get composition data for a specific season
  * @param {number} season_id - The season ID
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.region - Use the region's own top keys instead of the global ones
  * @returns {Promise<Object|null>} - Composition data or null if no data
  */
-async function getCompositionDataForSeason(season_id) {
+async function getCompositionDataForSeason(season_id, filters = {}) {
   // Get all periods for the season
   const periodsResult = await db.pool.query(
     'SELECT id FROM period WHERE season_id = $1 ORDER BY id',
@@ -117,11 +377,17 @@ async function getCompositionDataForSeason(season_id) {
 
   // Get top 1000 keys for each period (optimized - no character names)
   const seasonData = [];
+  const membersSql = 'SELECT id, keystone_level, score, (SELECT json_agg(json_build_object(\'class_id\', m->>\'class_id\', \'spec_id\', m->>\'spec_id\', \'role\', m->>\'role\')) FROM json_array_elements(members) AS m) AS members';
   for (const period of periods) {
-    const keysResult = await db.pool.query(
-      'SELECT id, keystone_level, score, (SELECT json_agg(json_build_object(\'class_id\', m->>\'class_id\', \'spec_id\', m->>\'spec_id\', \'role\', m->>\'role\')) FROM json_array_elements(members) AS m) AS members FROM top_keys_per_period WHERE season_id = $1 AND period_id = $2 ORDER BY keystone_level DESC, score DESC LIMIT 1000',
-      [season_id, period.id]
-    );
+    const keysResult = filters.region
+      ? await queryRegionTopKeys(
+        `${membersSql} FROM top_keys_per_group_region WHERE season_id = $1 AND period_id = $2 AND region = $3 ORDER BY keystone_level DESC, score DESC LIMIT 1000`,
+        [season_id, period.id, filters.region]
+      )
+      : await db.pool.query(
+        `${membersSql} FROM top_keys_per_period WHERE season_id = $1 AND period_id = $2 ORDER BY keystone_level DESC, score DESC LIMIT 1000`,
+        [season_id, period.id]
+      );
 
     seasonData.push({
       period_id: period.id,
@@ -136,13 +402,1142 @@ async function getCompositionDataForSeason(season_id) {
 
   return {
     season_id,
+    region: filters.region || null,
     total_periods: totalPeriods,
     total_keys: totalKeys,
     periods: seasonData
   };
 }
 
+/**
+ * Helper function to get base keystone timers as parallel arrays, for use with
+ * unnest($1::int[], $2::int[]) in SQL to decide whether a run was timed
+ * @param {number|null} season_id - Season whose timers to use (latest stored when null)
+ * @returns {Promise<{ dungeonIds: number[], timers: number[] }>} - Dungeon IDs and their +1 timers in ms
+ */
+async function getDungeonTimerParams(season_id = null) {
+  const dungeonTimers = await getDungeonTimers(season_id);
+  const dungeonIds = [];
+  const timers = [];
+  for (const dungeon of dungeonTimers.values()) {
+    const base = dungeon.keystone_upgrades.find(u => u.upgrade_level === 1);
+    if (base) {
+      dungeonIds.push(dungeon.id);
+      timers.push(base.qualifying_duration);
+    }
+  }
+  return { dungeonIds, timers };
+}
+
+/**
+ * Helper function to get all keystone upgrade timers as parallel arrays, for use with
+ * unnest($1::int[], $2::int[], $3::int[], $4::int[]) in SQL
+ * @param {Map} dungeonTimers - Dungeon timers of a season (see getDungeonTimers)
+ * @returns {{ dungeonIds: number[], plusOne: number[], plusTwo: number[], plusThree: number[] }} - Timers in ms (null when unknown)
+ */
+function getDungeonUpgradeTimerParams(dungeonTimers) {
+  const dungeonIds = [];
+  const plusOne = [];
+  const plusTwo = [];
+  const plusThree = [];
+  for (const dungeon of dungeonTimers.values()) {
+    const timer = level => dungeon.keystone_upgrades.find(u => u.upgrade_level === level)?.qualifying_duration ?? null;
+    if (timer(1) == null) continue;
+    dungeonIds.push(dungeon.id);
+    plusOne.push(timer(1));
+    plusTwo.push(timer(2));
+    plusThree.push(timer(3));
+  }
+  return { dungeonIds, plusOne, plusTwo, plusThree };
+}
+
+// Percentage with one decimal, or null when the denominator is missing
+function pct(part, whole) {
+  if (part == null || !whole) return null;
+  return Math.round((part / whole) * 1000) / 10;
+}
+
+/**
+ * Helper function to get timer and key-upgrade stats for a season, per dungeon and keystone level
+ * @param {number} season_id - The season ID
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.period_id - Restrict to a single period
+ * @param {string} filters.region - Restrict to a single region
+ * @returns {Promise<Object>} - Totals and per-dungeon stats with a breakdown by keystone level
+ */
+async function getDungeonStatsForSeason(season_id, filters = {}) {
+  const dungeonTimers = await getDungeonTimers(season_id);
+  const { dungeonIds, plusOne, plusTwo, plusThree } = getDungeonUpgradeTimerParams(dungeonTimers);
+  const params = [season_id, dungeonIds, plusOne, plusTwo, plusThree];
+  const where = ['lr.season_id = $1'];
+  if (filters.period_id) {
+    params.push(filters.period_id);
+    where.push(`lr.period_id = $${params.length}`);
+  }
+  if (filters.region) {
+    params.push(filters.region);
+    where.push(`lr.region = $${params.length}`);
+  }
+
+  // One row per (dungeon, level) plus a per-dungeon total (is_total; runs without a level still
+  // group under keystone_level NULL, so that column can't tell the two apart).
+  // Upgrade counts are cumulative: a +3 run also counts as +2 and timed.
+  const { rows } = await db.pool.query(`
+    WITH dungeon_timer AS (
+      SELECT * FROM unnest($2::int[], $3::int[], $4::int[], $5::int[]) AS t(dungeon_id, plus_one_ms, plus_two_ms, plus_three_ms)
+    )
+    SELECT lr.dungeon_id,
+           lr.keystone_level,
+           GROUPING(lr.keystone_level) = 1 AS is_total,
+           COUNT(*)::int AS runs,
+           COUNT(*) FILTER (WHERE lr.duration_ms <= dt.plus_one_ms)::int AS timed_runs,
+           COUNT(*) FILTER (WHERE lr.duration_ms <= dt.plus_two_ms)::int AS plus_two_runs,
+           COUNT(*) FILTER (WHERE lr.duration_ms <= dt.plus_three_ms)::int AS plus_three_runs,
+           MAX(lr.keystone_level) FILTER (WHERE lr.duration_ms <= dt.plus_one_ms) AS highest_timed_level,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY lr.duration_ms) AS median_ms,
+           percentile_cont(0.9) WITHIN GROUP (ORDER BY lr.duration_ms) AS p90_ms,
+           MAX(dt.plus_one_ms) AS plus_one_ms,
+           MAX(dt.plus_two_ms) AS plus_two_ms,
+           MAX(dt.plus_three_ms) AS plus_three_ms
+    FROM leaderboard_run lr
+    LEFT JOIN dungeon_timer dt ON dt.dungeon_id = lr.dungeon_id
+    WHERE ${where.join(' AND ')} AND lr.duration_ms IS NOT NULL
+    GROUP BY GROUPING SETS ((lr.dungeon_id, lr.keystone_level), (lr.dungeon_id))
+    ORDER BY lr.dungeon_id, is_total DESC, lr.keystone_level DESC NULLS LAST`, params);
+
+  const stats = row => {
+    const hasTimer = row.plus_one_ms != null;
+    const median = row.median_ms == null ? null : Math.round(row.median_ms);
+    const p90 = row.p90_ms == null ? null : Math.round(row.p90_ms);
+    return {
+      runs: row.runs,
+      timed_runs: hasTimer ? row.timed_runs : null,
+      timed_pct: hasTimer ? pct(row.timed_runs, row.runs) : null,
+      plus_two_pct: row.plus_two_ms != null ? pct(row.plus_two_runs, row.runs) : null,
+      plus_three_pct: row.plus_three_ms != null ? pct(row.plus_three_runs, row.runs) : null,
+      median_ms: median,
+      p90_ms: p90,
+      median_timer_used_pct: pct(median, row.plus_one_ms),
+      p90_timer_used_pct: pct(p90, row.plus_one_ms)
+    };
+  };
+
+  const dungeons = [];
+  let current = null;
+  for (const row of rows) {
+    if (row.is_total) {
+      const dungeon = dungeonTimers.get(row.dungeon_id);
+      current = {
+        dungeon_id: row.dungeon_id,
+        dungeon_name: dungeon?.name || null,
+        short_name: dungeon?.short_name || null,
+        timers: { plus_one_ms: row.plus_one_ms, plus_two_ms: row.plus_two_ms, plus_three_ms: row.plus_three_ms },
+        highest_timed_level: row.highest_timed_level,
+        ...stats(row),
+        levels: []
+      };
+      dungeons.push(current);
+    } else if (current && current.dungeon_id === row.dungeon_id) {
+      current.levels.push({ keystone_level: row.keystone_level, ...stats(row) });
+    }
+  }
+
+  return {
+    season_id,
+    filters: { period_id: filters.period_id || null, region: filters.region || null },
+    total_runs: dungeons.reduce((sum, d) => sum + d.runs, 0),
+    dungeons
+  };
+}
+
+// Most played first; the spec list breaks ties so compositions can be paged by keyset
+const COMPOSITION_ORDER = [
+  { column: 'runs', desc: true },
+  { column: 'max_key_level', desc: true },
+  { column: 'specs', desc: false }
+];
+
+/**
+ * Helper function to group a season's top keys by exact group composition
+ * (tank, healer and the three DPS specs sorted by spec ID), most played first.
+ * Uses top_keys_per_period, or top_keys_per_group when filtering by dungeon. Runs
+ * without exactly one tank, one healer and three DPS are left out.
+ * @param {number} season_id - The season ID
+ * @param {Object} options - Optional filters and pagination
+ * @param {number} options.dungeon_id - Restrict to a single dungeon
+ * @param {number} options.min_level - Lowest keystone level
+ * @param {number} options.limit - Max compositions to return
+ * @param {number} options.offset - Compositions offset
+ * @param {string} options.cursor - next_cursor of the previous page (instead of offset)
+ * @returns {Promise<Object>} - Totals, runs per period and the compositions with their per-period trend
+ */
+async function getCompositionStatsForSeason(season_id, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  const start = pageStart(options, 'compositions', COMPOSITION_ORDER.length);
+  const params = [season_id];
+  const where = ['r.season_id = $1'];
+  if (options.dungeon_id) {
+    params.push(options.dungeon_id);
+    where.push(`r.dungeon_id = $${params.length}`);
+  }
+  if (options.min_level) {
+    params.push(options.min_level);
+    where.push(`r.keystone_level >= $${params.length}`);
+  }
+  const view = options.dungeon_id ? 'top_keys_per_group' : 'top_keys_per_period';
+  const after = start.values ? `WHERE ${keysetCondition(COMPOSITION_ORDER, start.values, params)}` : '';
+  params.push(limit, start.values ? 0 : start.position);
+
+  const { rows } = await db.pool.query(`
+    WITH comps AS (
+      SELECT r.id, r.period_id, r.keystone_level,
+             array_agg((m->>'spec_id')::int ORDER BY CASE m->>'role' WHEN 'tank' THEN 0 WHEN 'healer' THEN 1 ELSE 2 END, (m->>'spec_id')::int) AS specs
+      FROM ${view} r
+      CROSS JOIN LATERAL json_array_elements(r.members) AS m
+      WHERE ${where.join(' AND ')}
+      GROUP BY r.id, r.period_id, r.keystone_level
+      HAVING COUNT(*) = 5
+        AND COUNT(*) FILTER (WHERE m->>'role' = 'tank') = 1
+        AND COUNT(*) FILTER (WHERE m->>'role' = 'healer') = 1
+        AND COUNT(*) FILTER (WHERE m->>'role' = 'dps') = 3
+    ),
+    period_totals AS (
+      SELECT period_id, COUNT(*)::int AS runs FROM comps GROUP BY period_id
+    ),
+    grouped AS (
+      SELECT specs,
+             COUNT(*)::int AS runs,
+             AVG(keystone_level)::float AS avg_key_level,
+             MAX(keystone_level) AS max_key_level
+      FROM comps
+      GROUP BY specs
+    ),
+    ranked AS (
+      SELECT * FROM grouped
+      ${after}
+      ORDER BY ${keysetOrderBy(COMPOSITION_ORDER)}
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    )
+    SELECT (SELECT COUNT(*)::int FROM comps) AS total_runs,
+           (SELECT COUNT(DISTINCT specs)::int FROM comps) AS total_compositions,
+           (SELECT json_agg(json_build_object('period_id', pt.period_id, 'runs', pt.runs) ORDER BY pt.period_id) FROM period_totals pt) AS period_totals,
+           (SELECT json_agg(page ORDER BY page.runs DESC, page.max_key_level DESC, page.specs)
+            FROM (
+              SELECT r.*,
+                     (SELECT json_agg(json_build_object('period_id', p.period_id, 'runs', p.runs, 'avg_key_level', p.avg_key_level, 'max_key_level', p.max_key_level) ORDER BY p.period_id)
+                      FROM (
+                        SELECT c.period_id, COUNT(*)::int AS runs, AVG(c.keystone_level)::float AS avg_key_level, MAX(c.keystone_level) AS max_key_level
+                        FROM comps c
+                        WHERE c.specs = r.specs
+                        GROUP BY c.period_id
+                      ) p) AS periods
+              FROM ranked r
+            ) page) AS compositions`, params);
+  const result = rows[0];
+
+  const catalog = await getCatalog();
+  const specInfo = specId => {
+    const spec = catalog.spec(specId);
+    return { spec_id: specId, spec_name: spec?.name || null, class_id: spec?.class_id ?? null, class_name: spec?.class_name || null };
+  };
+  const periodTotals = result.period_totals || [];
+  const runsByPeriod = new Map(periodTotals.map(p => [p.period_id, p.runs]));
+
+  const page = result.compositions || [];
+  const data = page.map((row, i) => ({
+    rank: start.position + i + 1,
+    specs: row.specs,
+    tank: specInfo(row.specs[0]),
+    healer: specInfo(row.specs[1]),
+    dps: row.specs.slice(2).map(specInfo),
+    runs: row.runs,
+    share_pct: pct(row.runs, result.total_runs),
+    avg_key_level: Math.round(row.avg_key_level * 100) / 100,
+    max_key_level: row.max_key_level,
+    // Every period with runs, so weeks the composition wasn't played show as 0
+    periods: periodTotals.map(({ period_id }) => {
+      const p = (row.periods || []).find(x => x.period_id === period_id);
+      return {
+        period_id,
+        runs: p ? p.runs : 0,
+        share_pct: pct(p ? p.runs : 0, runsByPeriod.get(period_id)),
+        avg_key_level: p ? Math.round(p.avg_key_level * 100) / 100 : null,
+        max_key_level: p ? p.max_key_level : null
+      };
+    })
+  }));
+
+  return {
+    season_id,
+    filters: { dungeon_id: options.dungeon_id || null, min_level: options.min_level || null },
+    meta: {
+      total_runs: result.total_runs,
+      total_compositions: result.total_compositions,
+      limit,
+      offset,
+      next_cursor: start.position + page.length < result.total_compositions
+        ? encodeCursor('compositions', COMPOSITION_ORDER.map(c => page[page.length - 1][c.column]), start.position + page.length)
+        : null
+    },
+    periods: periodTotals,
+    data
+  };
+}
+
+// Two-sided 95% z-score, for the confidence intervals of the spec stats
+const Z_95 = 1.96;
+
+// Wilson score interval of a rate, as percentages with one decimal
+function wilsonInterval(successes, total, z = Z_95) {
+  if (!total) return null;
+  const p = successes / total;
+  const z2 = z * z;
+  const denom = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) / denom;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)].map(x => Math.round(x * 1000) / 10);
+}
+
+// Normal-approximation interval of a mean, rounded to two decimals
+function meanInterval(mean, stddev, n, z = Z_95) {
+  if (mean == null || stddev == null || n < 2) return null;
+  const margin = (z * stddev) / Math.sqrt(n);
+  return [mean - margin, mean + margin].map(x => Math.round(x * 100) / 100);
+}
+
+/**
+ * Helper function to get per-spec performance stats for a season from the top keys
+ * (top_keys_per_group), with each spec's share of group slots compared to its share
+ * across all stored runs matching the same filters
+ * @param {number} season_id - The season ID
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.period_id - Restrict to a single period
+ * @param {number} filters.dungeon_id - Restrict to a single dungeon
+ * @param {string} filters.region - Restrict to a single region
+ * @param {number} filters.min_level - Lowest keystone level (top keys only)
+ * @param {number} filters.max_level - Highest keystone level (top keys only)
+ * @returns {Promise<Object>} - Totals and per-spec stats with 95% confidence intervals
+ */
+async function getSpecStatsForSeason(season_id, filters = {}) {
+  const [catalog, timerParams] = await Promise.all([getCatalog(), getDungeonTimerParams(season_id)]);
+  const params = [season_id, timerParams.dungeonIds, timerParams.timers];
+  const where = ['t.season_id = $1'];
+  const populationParams = [season_id];
+  const populationWhere = ['lr.season_id = $1'];
+  for (const [field, column] of [['period_id', 'period_id'], ['dungeon_id', 'dungeon_id'], ['region', 'region']]) {
+    if (!filters[field]) continue;
+    params.push(filters[field]);
+    where.push(`t.${column} = $${params.length}`);
+    populationParams.push(filters[field]);
+    populationWhere.push(`lr.${column} = $${populationParams.length}`);
+  }
+  if (filters.min_level) {
+    params.push(filters.min_level);
+    where.push(`t.keystone_level >= $${params.length}`);
+  }
+  if (filters.max_level) {
+    params.push(filters.max_level);
+    where.push(`t.keystone_level <= $${params.length}`);
+  }
+
+  // One row per (run, spec): a spec fielded twice in a group counts once for the run
+  // stats and twice for its share of group slots
+  const topRunsCte = `
+    WITH dungeon_timer AS (
+      SELECT * FROM unnest($2::int[], $3::int[]) AS t(dungeon_id, timer_ms)
+    ),
+    top_runs AS (
+      SELECT t.id, t.keystone_level, t.score, t.members,
+             CASE WHEN dt.timer_ms IS NULL THEN NULL ELSE t.duration_ms <= dt.timer_ms END AS timed
+      FROM top_keys_per_group t
+      LEFT JOIN dungeon_timer dt ON dt.dungeon_id = t.dungeon_id
+      WHERE ${where.join(' AND ')}
+    ),
+    spec_runs AS (
+      SELECT r.id, r.keystone_level, r.score, r.timed, (m->>'spec_id')::int AS spec_id, COUNT(*)::int AS slots
+      FROM top_runs r
+      CROSS JOIN LATERAL json_array_elements(r.members) AS m
+      WHERE m->>'spec_id' IS NOT NULL
+      GROUP BY r.id, r.keystone_level, r.score, r.timed, (m->>'spec_id')::int
+    )`;
+
+  const [specsResult, totalsResult, populationResult] = await Promise.all([
+    db.pool.query(`${topRunsCte}
+      SELECT spec_id,
+             COUNT(*)::int AS runs,
+             SUM(slots)::int AS appearances,
+             AVG(keystone_level)::float AS avg_key_level,
+             stddev_samp(keystone_level)::float AS key_level_stddev,
+             MAX(keystone_level) AS max_key_level,
+             AVG(score)::float AS avg_score,
+             COUNT(*) FILTER (WHERE timed IS NOT NULL)::int AS runs_with_timer,
+             COUNT(*) FILTER (WHERE timed)::int AS timed_runs
+      FROM spec_runs
+      GROUP BY spec_id`, params),
+    db.pool.query(`${topRunsCte}
+      SELECT (SELECT COUNT(*)::int FROM top_runs) AS runs,
+             (SELECT COALESCE(SUM(slots), 0)::int FROM spec_runs) AS appearances`, params),
+    db.pool.query(`
+      SELECT rgm.spec_id, COUNT(*)::int AS appearances
+      FROM leaderboard_run lr
+      JOIN run_group_member rgm ON rgm.run_guid = lr.run_guid
+      WHERE ${populationWhere.join(' AND ')} AND rgm.spec_id IS NOT NULL
+      GROUP BY rgm.spec_id`, populationParams)
+  ]);
+
+  const totals = totalsResult.rows[0] || { runs: 0, appearances: 0 };
+  const population = new Map(populationResult.rows.map(r => [r.spec_id, r.appearances]));
+  const populationTotal = populationResult.rows.reduce((sum, r) => sum + r.appearances, 0);
+
+  const specs = specsResult.rows.map(row => {
+    const spec = catalog.spec(row.spec_id);
+    const representationPct = pct(row.appearances, totals.appearances);
+    const populationPct = pct(population.get(row.spec_id) || 0, populationTotal);
+    return {
+      spec_id: row.spec_id,
+      spec_name: spec?.name || null,
+      class_id: spec?.class_id ?? null,
+      class_name: spec?.class_name || null,
+      role: spec?.role || null,
+      runs: row.runs,
+      appearances: row.appearances,
+      avg_key_level: row.avg_key_level == null ? null : Math.round(row.avg_key_level * 100) / 100,
+      avg_key_level_ci: meanInterval(row.avg_key_level, row.key_level_stddev, row.runs),
+      max_key_level: row.max_key_level,
+      avg_score: row.avg_score == null ? null : Math.round(row.avg_score * 10) / 10,
+      timed_runs: row.runs_with_timer > 0 ? row.timed_runs : null,
+      timed_pct: pct(row.timed_runs, row.runs_with_timer),
+      timed_pct_ci: wilsonInterval(row.timed_runs, row.runs_with_timer),
+      representation_pct: representationPct,
+      population_pct: populationPct,
+      // Above 1 means the spec shows up in top keys more than its overall play rate suggests
+      representation_ratio: representationPct != null && populationPct ? Math.round((representationPct / populationPct) * 100) / 100 : null
+    };
+  }).sort((a, b) => b.appearances - a.appearances || a.spec_id - b.spec_id);
+
+  return {
+    season_id,
+    filters: {
+      period_id: filters.period_id || null,
+      dungeon_id: filters.dungeon_id || null,
+      region: filters.region || null,
+      min_level: filters.min_level || null,
+      max_level: filters.max_level || null
+    },
+    confidence_level: 0.95,
+    total_runs: totals.runs,
+    total_appearances: totals.appearances,
+    population_appearances: populationTotal,
+    specs
+  };
+}
+
+const ROLE_ORDER = { tank: 0, healer: 1, dps: 2 };
+
+/**
+ * Helper function to get pairwise spec statistics for a season from the top keys
+ * (top_keys_per_group): how often two specs are in the same group compared to what
+ * independent picks would predict (lift), and the key levels they reach together.
+ * Pairs of the same spec (e.g. double Frost Mage) are not included.
+ * @param {number} season_id - The season ID
+ * @param {Object} options - Optional filters, sorting and pagination
+ * @param {number} options.period_id - Restrict to a single period
+ * @param {number} options.dungeon_id - Restrict to a single dungeon
+ * @param {number} options.min_level - Lowest keystone level
+ * @param {string} options.pair_type - 'tank-healer', 'tank-dps', 'healer-dps' or 'dps-dps' (all pairs when unset)
+ * @param {number} options.spec_id - Only pairs including this spec
+ * @param {number} options.min_runs - Leave out pairs seen together in fewer runs
+ * @param {string} options.sort - 'lift', 'runs' or 'avg_key_level'
+ * @param {number} options.limit - Max pairs to return
+ * @param {number} options.offset - Pairs offset
+ * @param {string} options.cursor - next_cursor of the previous page (instead of offset)
+ * @returns {Promise<Object>} - Totals, runs per spec and the spec pairs
+ */
+async function getSpecSynergyForSeason(season_id, options = {}) {
+  const { min_runs = 10, sort = 'lift', limit = 100, offset = 0 } = options;
+  const start = pageStart(options, `synergy:${sort}`, 4);
+  const params = [season_id];
+  const where = ['t.season_id = $1'];
+  if (options.period_id) {
+    params.push(options.period_id);
+    where.push(`t.period_id = $${params.length}`);
+  }
+  if (options.dungeon_id) {
+    params.push(options.dungeon_id);
+    where.push(`t.dungeon_id = $${params.length}`);
+  }
+  if (options.min_level) {
+    params.push(options.min_level);
+    where.push(`t.keystone_level >= $${params.length}`);
+  }
+
+  // Each spec once per run, then every pair of different specs in the same run
+  const runSpecsCte = `
+    WITH runs AS (
+      SELECT t.id, t.keystone_level, t.members
+      FROM top_keys_per_group t
+      WHERE ${where.join(' AND ')}
+    ),
+    run_specs AS (
+      SELECT DISTINCT r.id, r.keystone_level, (m->>'spec_id')::int AS spec_id
+      FROM runs r
+      CROSS JOIN LATERAL json_array_elements(r.members) AS m
+      WHERE m->>'spec_id' IS NOT NULL
+    )`;
+
+  const [totalsResult, specsResult, pairsResult, catalog] = await Promise.all([
+    db.pool.query(`${runSpecsCte}
+      SELECT COUNT(*)::int AS runs, AVG(keystone_level)::float AS avg_key_level FROM runs`, params),
+    db.pool.query(`${runSpecsCte}
+      SELECT spec_id, COUNT(*)::int AS runs FROM run_specs GROUP BY spec_id`, params),
+    db.pool.query(`${runSpecsCte}
+      SELECT a.spec_id AS spec_a,
+             b.spec_id AS spec_b,
+             COUNT(*)::int AS runs,
+             AVG(a.keystone_level)::float AS avg_key_level,
+             MAX(a.keystone_level) AS max_key_level
+      FROM run_specs a
+      JOIN run_specs b ON b.id = a.id AND b.spec_id > a.spec_id
+      GROUP BY a.spec_id, b.spec_id`, params),
+    getCatalog()
+  ]);
+
+  const totalRuns = totalsResult.rows[0]?.runs || 0;
+  const overallAvg = totalsResult.rows[0]?.avg_key_level ?? null;
+  const specRuns = new Map(specsResult.rows.map(r => [r.spec_id, r.runs]));
+  const specInfo = specId => {
+    const spec = catalog.spec(specId);
+    return { spec_id: specId, spec_name: spec?.name || null, class_name: spec?.class_name || null, role: spec?.role || null };
+  };
+
+  let pairs = pairsResult.rows.filter(row => row.runs >= min_runs).map(row => {
+    // Tank before healer before DPS, so pair_type reads the same way for every pair
+    let [a, b] = [specInfo(row.spec_a), specInfo(row.spec_b)];
+    if ((ROLE_ORDER[a.role] ?? 3) > (ROLE_ORDER[b.role] ?? 3)) [a, b] = [b, a];
+    const expected = totalRuns > 0 ? (specRuns.get(a.spec_id) * specRuns.get(b.spec_id)) / totalRuns : 0;
+    return {
+      spec_a: a,
+      spec_b: b,
+      pair_type: a.role && b.role ? `${a.role}-${b.role}` : null,
+      runs: row.runs,
+      together_pct: pct(row.runs, totalRuns),
+      expected_runs: Math.round(expected * 10) / 10,
+      lift: expected > 0 ? Math.round((row.runs / expected) * 100) / 100 : null,
+      avg_key_level: Math.round(row.avg_key_level * 100) / 100,
+      avg_key_level_delta: overallAvg == null ? null : Math.round((row.avg_key_level - overallAvg) * 100) / 100,
+      max_key_level: row.max_key_level
+    };
+  });
+  if (options.pair_type) pairs = pairs.filter(p => p.pair_type === options.pair_type);
+  if (options.spec_id) pairs = pairs.filter(p => p.spec_a.spec_id === options.spec_id || p.spec_b.spec_id === options.spec_id);
+  // Total order (sort value, runs, then spec ids) so pages can continue after a cursor
+  const sortValue = p => p[sort] ?? -Infinity;
+  const comparePairs = (x, y) => sortValue(y) - sortValue(x) || y.runs - x.runs ||
+    x.spec_a.spec_id - y.spec_a.spec_id || x.spec_b.spec_id - y.spec_b.spec_id;
+  pairs.sort(comparePairs);
+
+  let first = start.position;
+  if (start.values) {
+    const [value, runs, specA, specB] = start.values;
+    const last = { [sort]: value, runs, spec_a: { spec_id: specA }, spec_b: { spec_id: specB } };
+    first = pairs.findIndex(p => comparePairs(p, last) > 0);
+    if (first === -1) first = pairs.length;
+  }
+  const page = pairs.slice(first, first + limit);
+  const lastPair = page[page.length - 1];
+
+  return {
+    season_id,
+    filters: {
+      period_id: options.period_id || null,
+      dungeon_id: options.dungeon_id || null,
+      min_level: options.min_level || null,
+      pair_type: options.pair_type || null,
+      spec_id: options.spec_id || null,
+      min_runs
+    },
+    meta: {
+      total_runs: totalRuns,
+      total_pairs: pairs.length,
+      sort,
+      limit,
+      offset,
+      next_cursor: first + page.length < pairs.length
+        ? encodeCursor(`synergy:${sort}`, [lastPair[sort], lastPair.runs, lastPair.spec_a.spec_id, lastPair.spec_b.spec_id], first + page.length)
+        : null
+    },
+    specs: specsResult.rows
+      .map(r => ({ ...specInfo(r.spec_id), runs: r.runs, runs_pct: pct(r.runs, totalRuns) }))
+      .sort((x, y) => y.runs - x.runs),
+    pairs: page
+  };
+}
+
+// Keystone level at a quantile of a level histogram ([{ keystone_level, runs }] sorted by level)
+function levelQuantile(levels, total, q) {
+  let seen = 0;
+  for (const { keystone_level, runs } of levels) {
+    seen += runs;
+    if (seen >= q * total) return keystone_level;
+  }
+  return null;
+}
+
+/**
+ * Helper function to compare regions side by side from their own top keys
+ * (top_keys_per_group_region): each region's spec shares and key level distribution
+ * @param {number} season_id - The season ID
+ * @param {Object} filters - Optional filters
+ * @param {string[]} filters.regions - Regions to compare (default all)
+ * @param {number} filters.period_id - Restrict to a single period
+ * @param {number} filters.dungeon_id - Restrict to a single dungeon
+ * @param {number} filters.min_level - Lowest keystone level
+ * @returns {Promise<Object>} - Per-region key level stats and per-spec shares by region
+ */
+async function getRegionComparisonForSeason(season_id, filters = {}) {
+  const regions = filters.regions && filters.regions.length > 0 ? filters.regions : Object.keys(getAllRegions());
+  const params = [season_id, regions];
+  const where = ['t.season_id = $1', 't.region = ANY($2::text[])'];
+  if (filters.period_id) {
+    params.push(filters.period_id);
+    where.push(`t.period_id = $${params.length}`);
+  }
+  if (filters.dungeon_id) {
+    params.push(filters.dungeon_id);
+    where.push(`t.dungeon_id = $${params.length}`);
+  }
+  if (filters.min_level) {
+    params.push(filters.min_level);
+    where.push(`t.keystone_level >= $${params.length}`);
+  }
+
+  const [levelsResult, specsResult, catalog] = await Promise.all([
+    queryRegionTopKeys(`
+      SELECT t.region, t.keystone_level, COUNT(*)::int AS runs
+      FROM top_keys_per_group_region t
+      WHERE ${where.join(' AND ')}
+      GROUP BY t.region, t.keystone_level
+      ORDER BY t.region, t.keystone_level`, params),
+    queryRegionTopKeys(`
+      SELECT t.region, (m->>'spec_id')::int AS spec_id, COUNT(*)::int AS appearances
+      FROM top_keys_per_group_region t
+      CROSS JOIN LATERAL json_array_elements(t.members) AS m
+      WHERE ${where.join(' AND ')} AND m->>'spec_id' IS NOT NULL
+      GROUP BY t.region, (m->>'spec_id')::int`, params),
+    getCatalog()
+  ]);
+
+  const keyLevels = {};
+  for (const region of regions) {
+    const levels = levelsResult.rows.filter(r => r.region === region);
+    const runs = levels.reduce((sum, l) => sum + l.runs, 0);
+    const levelSum = levels.reduce((sum, l) => sum + l.keystone_level * l.runs, 0);
+    keyLevels[region] = {
+      runs,
+      avg_key_level: runs > 0 ? Math.round((levelSum / runs) * 100) / 100 : null,
+      median_key_level: levelQuantile(levels, runs, 0.5),
+      p90_key_level: levelQuantile(levels, runs, 0.9),
+      max_key_level: levels.length > 0 ? levels[levels.length - 1].keystone_level : null,
+      distribution: levels.map(l => ({ keystone_level: l.keystone_level, runs: l.runs, pct: pct(l.runs, runs) }))
+    };
+  }
+
+  const slotsByRegion = {};
+  const bySpec = new Map();
+  for (const row of specsResult.rows) {
+    slotsByRegion[row.region] = (slotsByRegion[row.region] || 0) + row.appearances;
+    if (!bySpec.has(row.spec_id)) bySpec.set(row.spec_id, {});
+    bySpec.get(row.spec_id)[row.region] = row.appearances;
+  }
+  const totalSlots = Object.values(slotsByRegion).reduce((sum, n) => sum + n, 0);
+
+  const specs = [...bySpec.entries()].map(([specId, appearances]) => {
+    const spec = catalog.spec(specId);
+    const share = {};
+    for (const region of regions) share[region] = pct(appearances[region] || 0, slotsByRegion[region]);
+    const total = Object.values(appearances).reduce((sum, n) => sum + n, 0);
+    return {
+      spec_id: specId,
+      spec_name: spec?.name || null,
+      class_name: spec?.class_name || null,
+      role: spec?.role || null,
+      overall_pct: pct(total, totalSlots),
+      share_pct: share,
+      appearances: Object.fromEntries(regions.map(region => [region, appearances[region] || 0]))
+    };
+  }).sort((a, b) => b.overall_pct - a.overall_pct || a.spec_id - b.spec_id);
+
+  return {
+    season_id,
+    regions,
+    filters: {
+      period_id: filters.period_id || null,
+      dungeon_id: filters.dungeon_id || null,
+      min_level: filters.min_level || null
+    },
+    key_levels: keyLevels,
+    specs
+  };
+}
+
+// Percentile cutoffs reported by /meta/key-distribution
+const KEY_LEVEL_PERCENTILES = [25, 40, 50, 60, 75, 80, 90, 95, 99];
+
+/**
+ * Keystone level at percentile p (0-1) of a level histogram ([{ keystone_level, runs }] sorted
+ * by level), interpolated between neighbouring runs as on the sorted list of levels
+ */
+function histogramPercentile(levels, total, p) {
+  if (!total) return null;
+  const levelAt = index => {
+    let seen = 0;
+    for (const { keystone_level, runs } of levels) {
+      seen += runs;
+      if (index < seen) return keystone_level;
+    }
+    return levels[levels.length - 1].keystone_level;
+  };
+  const idx = (total - 1) * p;
+  const lo = levelAt(Math.floor(idx));
+  const hi = levelAt(Math.ceil(idx));
+  return lo + (hi - lo) * (idx - Math.floor(idx));
+}
+
+/**
+ * Dynamic keystone level brackets from the P40/P60/P80/P90 cutoffs of a level histogram,
+ * rounded and kept strictly increasing so brackets never overlap. min is inclusive, max
+ * exclusive; the last bracket (P90+) has no max.
+ * @returns {Array|null} [{ label, min, max }], null without runs
+ */
+function keyLevelBrackets(levels, total) {
+  if (!total) return null;
+  const [p40, p60, p80, p90] = [0.4, 0.6, 0.8, 0.9].map(p => Math.round(histogramPercentile(levels, total, p)));
+  const t60 = Math.max(p40 + 1, p60);
+  const t80 = Math.max(t60 + 1, p80);
+  const t90 = Math.max(t80 + 1, p90);
+  return [
+    { label: 'P40-60', min: p40, max: t60 },
+    { label: 'P60-80', min: t60, max: t80 },
+    { label: 'P80-90', min: t80, max: t90 },
+    { label: 'P90+', min: t90, max: null }
+  ];
+}
+
+// Runs, average, percentiles, brackets and histogram of a level histogram
+function summarizeKeyLevels(levels) {
+  const runs = levels.reduce((sum, l) => sum + l.runs, 0);
+  const levelSum = levels.reduce((sum, l) => sum + l.keystone_level * l.runs, 0);
+  return {
+    runs,
+    avg_key_level: runs > 0 ? Math.round((levelSum / runs) * 100) / 100 : null,
+    min_key_level: levels.length > 0 ? levels[0].keystone_level : null,
+    max_key_level: levels.length > 0 ? levels[levels.length - 1].keystone_level : null,
+    percentiles: Object.fromEntries(KEY_LEVEL_PERCENTILES.map(p => {
+      const value = histogramPercentile(levels, runs, p / 100);
+      return [`p${p}`, value === null ? null : Math.round(value * 100) / 100];
+    })),
+    brackets: keyLevelBrackets(levels, runs),
+    histogram: levels.map(l => ({ keystone_level: l.keystone_level, runs: l.runs, pct: pct(l.runs, runs) }))
+  };
+}
+
+// Difference of the average and every percentile against another summary
+function keyLevelChange(current, previous) {
+  const delta = (a, b) => (a === null || b === null ? null : Math.round((a - b) * 100) / 100);
+  return {
+    avg_key_level: delta(current.avg_key_level, previous.avg_key_level),
+    ...Object.fromEntries(Object.keys(current.percentiles).map(k => [k, delta(current.percentiles[k], previous.percentiles[k])]))
+  };
+}
+
+/**
+ * Helper function to get the keystone level distribution of the top keys per period: histogram,
+ * percentile cutoffs, tier-list brackets and the week over week change ("key level inflation")
+ * @param {number} season_id - The season ID
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.dungeon_id - Restrict to a single dungeon
+ * @param {string} filters.region - Use the region's own top keys (top_keys_per_group_region)
+ * @returns {Promise<Object>} - Season-wide distribution and per-period distributions
+ */
+async function getKeyDistributionForSeason(season_id, filters = {}) {
+  const params = [season_id];
+  const where = ['t.season_id = $1'];
+  if (filters.dungeon_id) {
+    params.push(filters.dungeon_id);
+    where.push(`t.dungeon_id = $${params.length}`);
+  }
+  if (filters.region) {
+    params.push(filters.region);
+    where.push(`t.region = $${params.length}`);
+  }
+  const sql = `
+    SELECT t.period_id, t.keystone_level, COUNT(*)::int AS runs
+    FROM ${filters.region ? 'top_keys_per_group_region' : 'top_keys_per_group'} t
+    WHERE ${where.join(' AND ')}
+    GROUP BY t.period_id, t.keystone_level
+    ORDER BY t.period_id, t.keystone_level`;
+  const { rows } = filters.region ? await queryRegionTopKeys(sql, params) : await db.pool.query(sql, params);
+
+  const levelsByPeriod = new Map();
+  const seasonLevels = new Map();
+  for (const row of rows) {
+    if (!levelsByPeriod.has(row.period_id)) levelsByPeriod.set(row.period_id, []);
+    levelsByPeriod.get(row.period_id).push({ keystone_level: row.keystone_level, runs: row.runs });
+    seasonLevels.set(row.keystone_level, (seasonLevels.get(row.keystone_level) || 0) + row.runs);
+  }
+
+  const periodAffixes = await getPeriodAffixes([...levelsByPeriod.keys()]);
+  const periods = [];
+  for (const [periodId, levels] of levelsByPeriod) {
+    const previous = periods[periods.length - 1];
+    const summary = summarizeKeyLevels(levels);
+    periods.push({
+      period_id: periodId,
+      week: periods.length + 1,
+      affixes: periodAffixes.get(periodId, filters.region),
+      ...summary,
+      change: previous ? keyLevelChange(summary, previous) : null
+    });
+  }
+
+  const season = summarizeKeyLevels(
+    [...seasonLevels.entries()].sort((a, b) => a[0] - b[0]).map(([keystone_level, runs]) => ({ keystone_level, runs }))
+  );
+  return {
+    season_id,
+    filters: {
+      dungeon_id: filters.dungeon_id || null,
+      region: filters.region || null
+    },
+    percentiles: KEY_LEVEL_PERCENTILES.map(p => `p${p}`),
+    season,
+    // First week with runs to the latest one
+    inflation: periods.length > 1 ? keyLevelChange(periods[periods.length - 1], periods[0]) : null,
+    periods
+  };
+}
+
+// Descending, with realm_id breaking ties so the ranking can be paged by keyset
+const REALM_SORTS = {
+  runs: ['runs', 'max_key_level', 'avg_key_level'],
+  max_key_level: ['max_key_level', 'avg_key_level', 'runs'],
+  avg_key_level: ['avg_key_level', 'runs']
+};
+
+// View and WHERE clause (on alias t) shared by the realm ranking and drill-down; with a region
+// the region's own top keys are used, so realms are ranked against their region only
+function realmRunFilters(season_id, filters) {
+  const params = [season_id];
+  const where = ['t.season_id = $1', 't.realm_id IS NOT NULL'];
+  for (const field of ['region', 'period_id', 'dungeon_id']) {
+    if (!filters[field]) continue;
+    params.push(filters[field]);
+    where.push(`t.${field} = $${params.length}`);
+  }
+  if (filters.min_level) {
+    params.push(filters.min_level);
+    where.push(`t.keystone_level >= $${params.length}`);
+  }
+  const view = filters.region ? 'top_keys_per_group_region' : 'top_keys_per_group';
+  const query = filters.region ? queryRegionTopKeys : (sql, p) => db.pool.query(sql, p);
+  return { view, params, where: where.join(' AND '), query };
+}
+
+function roundLevel(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper function to rank connected realms by their runs in the top keys (top 1000 per period
+ * and dungeon), highest key and average key
+ * @param {number} season_id - The season ID
+ * @param {Object} options - Optional filters, sorting and pagination
+ * @param {string} options.region - Only this region, ranked within it (top_keys_per_group_region)
+ * @param {number} options.period_id - Restrict to a single period
+ * @param {number} options.dungeon_id - Restrict to a single dungeon
+ * @param {number} options.min_level - Lowest keystone level
+ * @param {number} options.min_runs - Leave out realms with fewer runs (default 1)
+ * @param {string} options.sort - runs | max_key_level | avg_key_level (default runs)
+ * @param {number} options.limit - Max realms to return (default 50)
+ * @param {number} options.offset - Realms offset
+ * @param {string} options.cursor - next_cursor of the previous page (instead of offset)
+ * @returns {Promise<Object>} - Filters, totals and the ranked realms
+ */
+async function getRealmRankingForSeason(season_id, options = {}) {
+  const { min_runs = 1, sort = 'runs', limit = 50, offset = 0 } = options;
+  const columns = [
+    ...REALM_SORTS[sort].map(column => ({ column: `rr.${column}`, desc: true })),
+    { column: 'rr.realm_id', desc: false }
+  ];
+  const start = pageStart(options, `realms:${sort}`, columns.length);
+  const { view, params, where, query } = realmRunFilters(season_id, options);
+  const realmRunsCte = `
+    WITH realm_runs AS (
+      SELECT t.realm_id,
+             MIN(t.region) AS region,
+             COUNT(*)::int AS runs,
+             MAX(t.keystone_level) AS max_key_level,
+             AVG(t.keystone_level)::float AS avg_key_level,
+             AVG(t.score)::float AS avg_score
+      FROM ${view} t
+      WHERE ${where}
+      GROUP BY t.realm_id
+    )`;
+  const minRunsParam = params.length + 1;
+  const pageParams = [...params, min_runs];
+  const pageWhere = [`rr.runs >= $${minRunsParam}`];
+  if (start.values) pageWhere.push(keysetCondition(columns, start.values, pageParams));
+  pageParams.push(limit, start.values ? 0 : start.position);
+
+  const [totalsResult, pageResult] = await Promise.all([
+    query(`${realmRunsCte}
+      SELECT COALESCE(SUM(runs), 0)::int AS total_runs,
+             (COUNT(*) FILTER (WHERE runs >= $${minRunsParam}))::int AS total_realms
+      FROM realm_runs`, [...params, min_runs]),
+    query(`${realmRunsCte}
+      SELECT rr.*, r.name AS realm_name
+      FROM realm_runs rr
+      LEFT JOIN realm r ON r.id = rr.realm_id
+      WHERE ${pageWhere.join(' AND ')}
+      ORDER BY ${keysetOrderBy(columns)}
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`, pageParams)
+  ]);
+  const { total_runs, total_realms } = totalsResult.rows[0];
+  const page = pageResult.rows;
+  const last = page[page.length - 1];
+
+  return {
+    season_id,
+    filters: {
+      region: options.region || null,
+      period_id: options.period_id || null,
+      dungeon_id: options.dungeon_id || null,
+      min_level: options.min_level || null,
+      min_runs
+    },
+    meta: {
+      total_runs,
+      total_realms,
+      sort,
+      limit,
+      offset,
+      next_cursor: start.position + page.length < total_realms
+        ? encodeCursor(`realms:${sort}`, columns.map(c => last[c.column.slice(3)]), start.position + page.length)
+        : null
+    },
+    data: page.map((row, i) => ({
+      rank: start.position + i + 1,
+      realm_id: row.realm_id,
+      realm_name: row.realm_name || null,
+      region: row.region,
+      runs: row.runs,
+      runs_pct: pct(row.runs, total_runs),
+      max_key_level: row.max_key_level,
+      avg_key_level: roundLevel(row.avg_key_level),
+      avg_score: roundLevel(row.avg_score)
+    }))
+  };
+}
+
+/**
+ * Helper function to get a connected realm's showing in the top keys: its totals and place in
+ * the runs ranking, best runs, dominant specs and the home realms of its players
+ * @param {number} season_id - The season ID
+ * @param {number} realm_id - Connected realm ID
+ * @param {Object} options - Same filters as getRealmRankingForSeason, plus limit (best runs, default 20)
+ * @returns {Promise<Object|null>} - Realm details, or null for an unknown realm
+ */
+async function getRealmDetailsForSeason(season_id, realm_id, options = {}) {
+  const { limit = 20 } = options;
+  const { view, params, where, query } = realmRunFilters(season_id, options);
+  const realmParam = params.length + 1;
+  const realmParams = [...params, realm_id];
+  const realmWhere = `${where} AND t.realm_id = $${realmParam}`;
+
+  const realmResult = await db.pool.query('SELECT id, name, region FROM realm WHERE id = $1', [realm_id]);
+  if (realmResult.rows.length === 0) return null;
+
+  const [summaryResult, runsResult, specsResult, homeRealmsResult, catalog] = await Promise.all([
+    // The realm's place is its position by runs among all realms under the same filters
+    query(`
+      WITH realm_runs AS (
+        SELECT t.realm_id,
+               COUNT(*)::int AS runs,
+               MAX(t.keystone_level) AS max_key_level,
+               AVG(t.keystone_level)::float AS avg_key_level,
+               AVG(t.score)::float AS avg_score
+        FROM ${view} t
+        WHERE ${where}
+        GROUP BY t.realm_id
+      )
+      SELECT rr.runs, rr.max_key_level, rr.avg_key_level, rr.avg_score,
+             (SELECT COUNT(*) + 1 FROM realm_runs o WHERE o.runs > rr.runs)::int AS rank,
+             (SELECT COUNT(*) FROM realm_runs)::int AS total_realms,
+             (SELECT SUM(runs) FROM realm_runs)::int AS total_runs
+      FROM realm_runs rr
+      WHERE rr.realm_id = $${realmParam}`, realmParams),
+    query(`
+      SELECT t.id, t.period_id, t.dungeon_id, t.keystone_level, t.score, t.duration_ms, t.completed_at, t.members
+      FROM ${view} t
+      WHERE ${realmWhere}
+      ORDER BY t.keystone_level DESC, t.score DESC
+      LIMIT $${realmParam + 1}`, [...realmParams, limit]),
+    query(`
+      SELECT (m->>'spec_id')::int AS spec_id,
+             COUNT(*)::int AS appearances,
+             COUNT(DISTINCT t.id)::int AS runs,
+             MAX(t.keystone_level) AS max_key_level
+      FROM ${view} t
+      CROSS JOIN LATERAL json_array_elements(t.members) AS m
+      WHERE ${realmWhere} AND m->>'spec_id' IS NOT NULL
+      GROUP BY (m->>'spec_id')::int
+      ORDER BY appearances DESC, spec_id`, realmParams),
+    query(`
+      SELECT m->>'realm_slug' AS realm_slug, COUNT(DISTINCT m->>'character_id')::int AS players
+      FROM ${view} t
+      CROSS JOIN LATERAL json_array_elements(t.members) AS m
+      WHERE ${realmWhere} AND m->>'realm_slug' IS NOT NULL
+      GROUP BY m->>'realm_slug'
+      ORDER BY players DESC, realm_slug
+      LIMIT 10`, realmParams),
+    getCatalog()
+  ]);
+
+  const summary = summaryResult.rows[0] || null;
+  const runs = summary ? summary.runs : 0;
+  const slots = specsResult.rows.reduce((sum, r) => sum + r.appearances, 0);
+
+  return {
+    season_id,
+    realm: {
+      realm_id: realmResult.rows[0].id,
+      realm_name: realmResult.rows[0].name,
+      region: realmResult.rows[0].region,
+      home_realms: homeRealmsResult.rows
+    },
+    filters: {
+      region: options.region || null,
+      period_id: options.period_id || null,
+      dungeon_id: options.dungeon_id || null,
+      min_level: options.min_level || null
+    },
+    summary: {
+      runs,
+      runs_pct: summary ? pct(runs, summary.total_runs) : null,
+      rank: summary ? summary.rank : null,
+      total_realms: summary ? summary.total_realms : null,
+      max_key_level: summary ? summary.max_key_level : null,
+      avg_key_level: summary ? roundLevel(summary.avg_key_level) : null,
+      avg_score: summary ? roundLevel(summary.avg_score) : null
+    },
+    best_runs: runsResult.rows,
+    specs: specsResult.rows.map(row => {
+      const spec = catalog.spec(row.spec_id);
+      return {
+        spec_id: row.spec_id,
+        spec_name: spec?.name || null,
+        class_name: spec?.class_name || null,
+        role: spec?.role || null,
+        appearances: row.appearances,
+        share_pct: pct(row.appearances, slots),
+        runs: row.runs,
+        runs_pct: pct(row.runs, runs),
+        max_key_level: row.max_key_level
+      };
+    })
+  };
+}
+
+/**
+ * Helper function to get the stored Mythic+ history for a character
+ * @param {number} character_id - Blizzard character profile ID
+ * @param {Object} options - Optional filters and pagination
+ * @param {number} options.season_id - Restrict to a single season
+ * @param {number} options.limit - Max runs to return
+ * @param {number} options.offset - Runs offset
+ * @returns {Promise<Object>} - Summary, most played specs, best key per dungeon and runs
+ */
+async function getCharacterRunHistory(character_id, options = {}) {
+  const { dungeonIds, timers } = await getDungeonTimerParams(options.season_id);
+  const params = [character_id, dungeonIds, timers];
+  let seasonFilter = '';
+  if (options.season_id) {
+    params.push(options.season_id);
+    seasonFilter = `AND lr.season_id = $${params.length}`;
+  }
+
+  // All the character's runs, flagged as timed when a base timer is known
+  const runsCte = `
+    WITH dungeon_timer AS (
+      SELECT * FROM unnest($2::int[], $3::int[]) AS t(dungeon_id, timer_ms)
+    ),
+    character_runs AS (
+      SELECT lr.id, lr.run_guid, lr.region, lr.season_id, lr.period_id, lr.dungeon_id, lr.realm_id,
+             lr.completed_at, lr.duration_ms, lr.keystone_level, lr.score, lr.rank,
+             rgm.spec_id, rgm.class_id, rgm.role,
+             CASE WHEN dt.timer_ms IS NULL THEN NULL ELSE lr.duration_ms <= dt.timer_ms END AS timed
+      FROM run_group_member rgm
+      JOIN leaderboard_run lr ON lr.run_guid = rgm.run_guid
+      LEFT JOIN dungeon_timer dt ON dt.dungeon_id = lr.dungeon_id
+      WHERE rgm.character_id = $1 ${seasonFilter}
+    )`;
+
+  const [summaryResult, specsResult, bestResult] = await Promise.all([
+    db.pool.query(`${runsCte}
+      SELECT COUNT(*)::int AS total_runs,
+             COUNT(*) FILTER (WHERE timed)::int AS total_timed_runs,
+             COUNT(DISTINCT season_id)::int AS seasons_played,
+             MAX(keystone_level) AS highest_key,
+             MIN(completed_at) AS first_run_at,
+             MAX(completed_at) AS last_run_at
+      FROM character_runs`, params),
+    db.pool.query(`${runsCte}
+      SELECT spec_id, class_id, role, COUNT(*)::int AS runs, MAX(keystone_level) AS highest_key
+      FROM character_runs
+      WHERE spec_id IS NOT NULL
+      GROUP BY spec_id, class_id, role
+      ORDER BY runs DESC, highest_key DESC`, params),
+    db.pool.query(`${runsCte}
+      SELECT DISTINCT ON (dungeon_id)
+             dungeon_id, season_id, period_id, keystone_level, score, duration_ms, completed_at, spec_id, timed, run_guid
+      FROM character_runs
+      ORDER BY dungeon_id, keystone_level DESC, score DESC`, params)
+  ]);
+
+  const runParams = [...params, options.limit || 100, options.offset || 0];
+  const runsResult = await db.pool.query(`${runsCte}
+    SELECT r.id, r.run_guid, r.region, r.season_id, r.period_id, r.dungeon_id, r.realm_id,
+           r.completed_at, r.duration_ms, r.keystone_level, r.score, r.rank, r.spec_id, r.timed,
+           (SELECT json_agg(json_build_object('character_id', m.character_id, 'character_name', m.character_name, 'class_id', m.class_id, 'spec_id', m.spec_id, 'role', m.role) ORDER BY m.character_name)
+            FROM run_group_member m WHERE m.run_guid = r.run_guid) AS members
+    FROM character_runs r
+    ORDER BY r.completed_at DESC NULLS LAST, r.keystone_level DESC
+    LIMIT $${runParams.length - 1} OFFSET $${runParams.length}`, runParams);
+
+  return {
+    summary: summaryResult.rows[0],
+    most_played_specs: specsResult.rows,
+    best_keys_by_dungeon: bestResult.rows,
+    runs: runsResult.rows
+  };
+}
+
 module.exports = {
+  RUN_SORTS,
+  queryRegionTopKeys,
+  getTopKeysPage,
+  topKeysSelection,
   getSpecEvolutionForSeason,
-  getCompositionDataForSeason
+  getCompositionDataForSeason,
+  getCompositionStatsForSeason,
+  getDungeonTimerParams,
+  getDungeonStatsForSeason,
+  getSpecStatsForSeason,
+  getSpecSynergyForSeason,
+  getRegionComparisonForSeason,
+  keyLevelBrackets,
+  getKeyDistributionForSeason,
+  getRealmRankingForSeason,
+  getRealmDetailsForSeason,
+  getCharacterRunHistory
 }; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const blizzardClient = require('./blizzard/client');
 const { API_ENDPOINTS } = require('../config/constants');
+const { getRegion } = require('../config/regions');
+const { apiCache } = require('./cache');
 
 /**
  * Proxy service for handling Blizzard API requests
@@ -9,19 +11,21 @@ class ProxyService {
    * Forward a request to Blizzard API
    * @param {string} endpoint - API endpoint
    * @param {string} region - Region code
-   * @param {Object} options - Request options (method, data, params)
-   * @returns {Promise<Object>} Blizzard API response
+   * @param {Object} options - Request options (method, data, params, accessToken, cache)
+   * @returns {Promise<Object>} Blizzard API response (GETs include a `cache` status: HIT, MISS, REVALIDATED, STALE or BYPASS)
    */
   async forwardRequest(endpoint, region = 'us', options = {}) {
     try {
-      const { method = 'GET', data, params = {} } = options;
+      const { method = 'GET', data, params = {}, accessToken, cache = true } = options;
       
       if (method === 'POST') {
-        const response = await blizzardClient.post(endpoint, region, data, params);
+        const response = await blizzardClient.post(endpoint, region, data, params, { accessToken });
         return response;
+      } else if (cache && apiCache.isCacheable(endpoint)) {
+        return await this.getWithCache(endpoint, region, params);
       } else {
-        const response = await blizzardClient.get(endpoint, region, params);
-        return response;
+        const response = await blizzardClient.get(endpoint, region, params, { accessToken });
+        return { ...response, cache: 'BYPASS' };
       }
     } catch (error) {
       console.error(`Proxy error for endpoint ${endpoint} in region ${region}:`, error.message);
@@ -29,6 +33,68 @@ class ProxyService {
     }
   }
 
+  /**
+   * GET a game-data endpoint through the response cache.
+   * Fresh entries are served directly; expired ones are revalidated with If-None-Match,
+   * and served stale if Blizzard can't be reached.
+   * @param {string} endpoint - API endpoint
+   * @param {string} region - Region code
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Blizzard API response with `cache` status
+   */
+  async getWithCache(endpoint, region = 'us', params = {}) {
+    const locale = params.locale || getRegion(region).locale;
+    const namespace = params.namespace || blizzardClient.getNamespace(endpoint, region);
+    const key = apiCache.buildKey(endpoint, region, locale, namespace);
+    const cached = await apiCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      apiCache.counters.hits++;
+      return { data: cached.data, status: 200, headers: {}, region, endpoint, cache: 'HIT' };
+    }
+
+    const headers = {};
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    } else if (cached && cached.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    let response;
+    try {
+      response = await blizzardClient.request(endpoint, region, {
+        params,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+    } catch (error) {
+      if (cached) {
+        console.warn(`[CACHE] Serving stale ${endpoint} (${region}): ${error.message}`);
+        return { data: cached.data, status: 200, headers: {}, region, endpoint, cache: 'STALE' };
+      }
+      throw error;
+    }
+
+    const now = Date.now();
+    const expiresAt = now + apiCache.getTtl(namespace);
+    if (response.status === 304 && cached) {
+      apiCache.counters.revalidated++;
+      await apiCache.set(key, { ...cached, storedAt: now, expiresAt });
+      return { ...response, data: cached.data, status: 200, cache: 'REVALIDATED' };
+    }
+
+    apiCache.counters.misses++;
+    await apiCache.set(key, {
+      data: response.data,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null,
+      namespace,
+      storedAt: now,
+      expiresAt
+    });
+    return { ...response, cache: 'MISS' };
+  }
+
   /**
    * Get game data from WoW API
    * @param {string} dataType - Type of game data
@@ -46,11 +112,12 @@ class ProxyService {
    * @param {string} profileType - Type of profile data
    * @param {string} region - Region code
    * @param {Object} params - Additional parameters
+   * @param {string} accessToken - The user's access token from their session
    * @returns {Promise<Object>} Profile data response
    */
-  async getProfileData(profileType, region = 'us', params = {}) {
+  async getProfileData(profileType, region = 'us', params = {}, accessToken) {
     const endpoint = this.buildProfileEndpoint(profileType, params);
-    return this.forwardRequest(endpoint, region, { params });
+    return this.forwardRequest(endpoint, region, { params, accessToken });
   }
 
   /**
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { UpstreamError, RateLimitedError, ValidationError } = require('../../utils/errors');
 
 /**
  * Lightweight Raider.IO API client
@@ -67,15 +68,33 @@ class RaiderIOClient {
     // retry policy for 429/5xx with simple backoff
     while (true) {
       await this._throttle();
-      const response = await axios(config);
+      let response;
+      try {
+        response = await axios(config);
+      } catch (error) {
+        // 5xx are rejected by validateStatus; anything else here means no response at all
+        response = error.response;
+        if (!response) {
+          throw new UpstreamError(`No response from Raider.IO for ${path}: ${error.message}`, {
+            service: 'raiderio',
+            endpoint: path,
+            cause: error
+          });
+        }
+      }
       if (response.status < 400) return response.data;
       const status = response.status;
       const retryable = status === 429 || status === 502 || status === 503 || status === 504;
       if (!retryable || attempt >= this.retryMax) {
         const msg = response.data?.message || response.statusText || 'Raider.IO API error';
-        const err = new Error(`Raider.IO ${status}: ${msg}`);
-        err.response = response;
-        throw err;
+        if (status === 429) {
+          const retryAfter = Number(response.headers?.['retry-after']);
+          throw new RateLimitedError(`Raider.IO rate limited: ${msg}`, {
+            service: 'raiderio',
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined
+          });
+        }
+        throw new UpstreamError(`Raider.IO ${status}: ${msg}`, { service: 'raiderio', upstreamStatus: status, endpoint: path });
       }
       attempt += 1;
       const retryAfterHeader = response.headers?.['retry-after'];
@@ -106,6 +125,17 @@ class RaiderIOClient {
     return this.request('/api/v1/mythic-plus/season-cutoffs', { params });
   }
 
+  /**
+   * Current week's Mythic+ affixes for a region (affix_details has id, name, description)
+   * @param {object} args
+   * @param {string} args.region - 'us' | 'eu' | 'kr' | 'tw'
+   * @param {string} [args.locale] - defaults to 'en'
+   */
+  async getAffixes({ region, locale = 'en' } = {}) {
+    if (!region) throw new ValidationError('region is required');
+    return this.request('/api/v1/mythic-plus/affixes', { params: { region, locale } });
+  }
+
   /**
    * Fetch Mythic+ character rankings for a season/region.
    * Note: Depending on Raider.IO API, this may be paginated; caller should loop until cutoff satisfied.
@@ -114,8 +144,8 @@ class RaiderIOClient {
    * @param {object} params - query params (season, region, page, etc.)
    */
   async getCharacterRankings(params) {
-    if (!params?.season) throw new Error('season is required');
-    if (!params?.region) throw new Error('region is required');
+    if (!params?.season) throw new ValidationError('season is required');
+    if (!params?.region) throw new ValidationError('region is required');
     // Map common aliases
     const mapped = { ...params };
     if (mapped.limit && !mapped.page_size) {
@@ -133,8 +163,8 @@ class RaiderIOClient {
    * Common params: season, region, page, limit, role, class, spec, dungeon, affixes, min_level, max_level
    */
   async getTopRuns(params) {
-    if (!params?.season) throw new Error('season is required');
-    if (!params?.region) throw new Error('region is required');
+    if (!params?.season) throw new ValidationError('season is required');
+    if (!params?.region) throw new ValidationError('region is required');
     return this.request('/api/v1/mythic-plus/runs', { params });
   }
 
@@ -142,9 +172,9 @@ class RaiderIOClient {
    * Fetch character profile with optional fields (e.g., mythic_plus_scores_by_season:current)
    */
   async getCharacterProfile({ region, realm, name, fields }) {
-    if (!region) throw new Error('region is required');
-    if (!realm) throw new Error('realm is required');
-    if (!name) throw new Error('name is required');
+    if (!region) throw new ValidationError('region is required');
+    if (!realm) throw new ValidationError('realm is required');
+    if (!name) throw new ValidationError('name is required');
     const params = { region, realm, name };
     if (fields) params.fields = fields;
     return this.request('/api/v1/characters/profile', { params });
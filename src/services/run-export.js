@@ -0,0 +1,277 @@
+const parquet = require('parquetjs-lite');
+const db = require('./db');
+const { queryRegionTopKeys } = require('./meta-helpers');
+const { AppError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../config/constants');
+
+// Streaming exports of top keys runs (/export/runs) as CSV, NDJSON or Parquet. Runs are read
+// through a Postgres cursor a batch at a time and written out before the next batch is
+// fetched, so memory stays flat however many runs match.
+//
+// Layouts:
+// - run: one row per run, with tank_spec_id, healer_spec_id and dps_spec_ids; NDJSON and
+//   Parquet rows also carry the members (CSV has no nesting, use the member layout)
+// - member: one row per group member, with the columns of its run
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+const EXPORT_LAYOUTS = ['run', 'member'];
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  parquet: 'application/vnd.apache.parquet'
+};
+const FETCH_SIZE = 1000;
+// Each export holds a pooled client and a transaction until it's done, so only a few run at once,
+// and a stuck query or a client that stops reading can't hold them forever
+const MAX_CONCURRENT_EXPORTS = Number(process.env.EXPORT_MAX_CONCURRENT || 2);
+const EXPORT_STATEMENT_TIMEOUT_MS = Number(process.env.EXPORT_STATEMENT_TIMEOUT_MS || 60000);
+const EXPORT_IDLE_TIMEOUT_MS = Number(process.env.EXPORT_IDLE_TIMEOUT_MS || 120000);
+// Rows a Parquet writer buffers before writing them out as a row group
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+const RUN_COLUMNS = ['run_id', 'season_id', 'period_id', 'dungeon_id', 'region', 'realm_id', 'keystone_level', 'score', 'rank', 'duration_ms', 'completed_at'];
+const MEMBER_COLUMNS = ['character_id', 'character_name', 'realm_slug', 'class_id', 'spec_id', 'role'];
+const COLUMNS = {
+  run: [...RUN_COLUMNS, 'tank_spec_id', 'healer_spec_id', 'dps_spec_ids'],
+  member: [...RUN_COLUMNS, ...MEMBER_COLUMNS]
+};
+
+const RUN_FIELDS = {
+  run_id: { type: 'INT64' },
+  season_id: { type: 'INT32', optional: true },
+  period_id: { type: 'INT32', optional: true },
+  dungeon_id: { type: 'INT32', optional: true },
+  region: { type: 'UTF8', optional: true },
+  realm_id: { type: 'INT32', optional: true },
+  keystone_level: { type: 'INT32', optional: true },
+  score: { type: 'DOUBLE', optional: true },
+  rank: { type: 'INT32', optional: true },
+  duration_ms: { type: 'INT32', optional: true },
+  completed_at: { type: 'TIMESTAMP_MILLIS', optional: true }
+};
+const MEMBER_FIELDS = {
+  character_id: { type: 'INT64', optional: true },
+  character_name: { type: 'UTF8', optional: true },
+  realm_slug: { type: 'UTF8', optional: true },
+  class_id: { type: 'INT32', optional: true },
+  spec_id: { type: 'INT32', optional: true },
+  role: { type: 'UTF8', optional: true }
+};
+// Snappy-compress every column
+function compressed(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => [
+    name,
+    field.fields ? { ...field, fields: compressed(field.fields) } : { ...field, compression: 'SNAPPY' }
+  ]));
+}
+const PARQUET_SCHEMAS = {
+  run: new parquet.ParquetSchema(compressed({
+    ...RUN_FIELDS,
+    tank_spec_id: { type: 'INT32', optional: true },
+    healer_spec_id: { type: 'INT32', optional: true },
+    dps_spec_ids: { type: 'INT32', repeated: true },
+    members: { repeated: true, fields: MEMBER_FIELDS }
+  })),
+  member: new parquet.ParquetSchema(compressed({ ...RUN_FIELDS, ...MEMBER_FIELDS }))
+};
+
+let activeExports = 0;
+
+/**
+ * Runs of a top keys selection, FETCH_SIZE at a time, from a cursor in a read-only transaction.
+ * Ends the transaction and releases the client when done or when the consumer stops early.
+ * Postgres ends the session if a FETCH runs longer than EXPORT_STATEMENT_TIMEOUT_MS or the
+ * consumer takes longer than EXPORT_IDLE_TIMEOUT_MS to ask for the next batch.
+ * @param {Object} selection - { view, where, params } (see topKeysSelection)
+ */
+async function* fetchRunBatches({ view, where, params }) {
+  const client = await db.pool.connect();
+  const query = view === 'top_keys_per_group_region'
+    ? (sql, p) => queryRegionTopKeys(sql, p, client)
+    : (sql, p) => client.query(sql, p);
+  let inTransaction = false;
+  let broken = null;
+  // The idle timeout ends the session between FETCHes; unlistened, that 'error' would crash the process
+  const onError = err => { broken = err; };
+  client.on('error', onError);
+  try {
+    await client.query('BEGIN READ ONLY');
+    inTransaction = true;
+    await client.query(`SET LOCAL statement_timeout = ${EXPORT_STATEMENT_TIMEOUT_MS}`);
+    await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${EXPORT_IDLE_TIMEOUT_MS}`);
+    // The order follows the views' lookup indexes, so rows stream without a sort of the whole season
+    await query(
+      `DECLARE run_export NO SCROLL CURSOR FOR
+       SELECT id AS run_id, ${RUN_COLUMNS.slice(1).join(', ')}, members
+       FROM ${view}
+       WHERE ${where.join(' AND ')}
+       ORDER BY season_id, period_id, dungeon_id, keystone_level DESC, score DESC, id`,
+      params
+    );
+    for (;;) {
+      const { rows } = await client.query(`FETCH ${FETCH_SIZE} FROM run_export`);
+      if (rows.length > 0) yield rows;
+      if (rows.length < FETCH_SIZE) break;
+    }
+    await client.query('COMMIT');
+    inTransaction = false;
+  } finally {
+    // A client whose session a timeout ended can't go back to the pool
+    if (inTransaction) await client.query('ROLLBACK').catch(err => { broken = err; });
+    client.off('error', onError);
+    client.release(broken || undefined);
+  }
+}
+
+// Rows of a batch in a layout
+function layoutRows(runs, layout) {
+  const out = [];
+  for (const { members, ...run } of runs) {
+    const group = members || [];
+    if (layout === 'member') {
+      for (const m of group) {
+        out.push({
+          ...run,
+          character_id: m.character_id ?? null,
+          character_name: m.character_name ?? null,
+          realm_slug: m.realm_slug ?? null,
+          class_id: m.class_id ?? null,
+          spec_id: m.spec_id ?? null,
+          role: m.role ?? null
+        });
+      }
+      continue;
+    }
+    const specsOf = role => group.filter(m => m.role === role && m.spec_id != null).map(m => m.spec_id).sort((a, b) => a - b);
+    out.push({
+      ...run,
+      tank_spec_id: specsOf('tank')[0] ?? null,
+      healer_spec_id: specsOf('healer')[0] ?? null,
+      dps_spec_ids: specsOf('dps'),
+      members: group
+    });
+  }
+  return out;
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  const str = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full
+function writeChunk(out, chunk) {
+  if (out.destroyed) return Promise.reject(new Error('Output closed before the export finished'));
+  if (out.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = err => {
+      out.off('drain', done);
+      out.off('close', onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onClose = () => done(new Error('Output closed before the export finished'));
+    out.on('drain', done);
+    out.on('close', onClose);
+  });
+}
+
+function endOutput(out) {
+  return new Promise(resolve => (out.destroyed ? resolve() : out.end(resolve)));
+}
+
+/**
+ * Writer of a format: write(rows) per batch, then end()
+ * @param {string} format - csv | ndjson | parquet
+ * @param {string} layout - run | member
+ * @param {Writable} out
+ */
+async function openWriter(format, layout, out) {
+  if (format === 'parquet') {
+    // The writer waits for each write's callback, which a response never calls once its client
+    // is gone. A closed output isn't reported to it (it doesn't await its header write, so that
+    // would be an unhandled rejection); exportRuns stops at the next batch instead.
+    const sink = {
+      write: (chunk, callback) => writeChunk(out, chunk).then(() => callback(), () => callback()),
+      end: callback => endOutput(out).then(() => callback())
+    };
+    const writer = await parquet.ParquetWriter.openStream(PARQUET_SCHEMAS[layout], sink, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+    return {
+      async write(rows) {
+        for (const row of rows) await writer.appendRow(row);
+      },
+      end: () => writer.close()
+    };
+  }
+  if (format === 'ndjson') {
+    return {
+      write: rows => writeChunk(out, rows.map(row => JSON.stringify(row) + '\n').join('')),
+      end: () => endOutput(out)
+    };
+  }
+  const columns = COLUMNS[layout];
+  await writeChunk(out, columns.join(',') + '\n');
+  return {
+    write: rows => writeChunk(out, rows.map(row => columns.map(c => csvField(row[c])).join(',') + '\n').join('')),
+    end: () => endOutput(out)
+  };
+}
+
+/**
+ * Stream the runs of a top keys selection to a writable stream (an HTTP response)
+ * @param {Object} selection - { view, where, params } (see topKeysSelection)
+ * @param {Object} options
+ * @param {string} options.format - csv | ndjson | parquet
+ * @param {string} options.layout - run | member
+ * @param {Function} options.onStart - Called once the first batch has been read, before anything is
+ *   written; errors up to there (e.g. the regional view not being built) leave the stream untouched
+ * @param {Writable} out - Ended when the export is complete
+ * @returns {Promise<Object>} { runs, rows, completed } - completed is false when the stream was closed early
+ * @throws {AppError} 503 EXPORTS_BUSY when MAX_CONCURRENT_EXPORTS exports are already running
+ */
+async function exportRuns(selection, { format, layout, onStart }, out) {
+  if (activeExports >= MAX_CONCURRENT_EXPORTS) {
+    throw new AppError(`Too many exports running (max ${MAX_CONCURRENT_EXPORTS}), try again later`, {
+      status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+      code: 'EXPORTS_BUSY'
+    });
+  }
+  activeExports++;
+  const batches = fetchRunBatches(selection);
+  let runs = 0;
+  let rows = 0;
+  try {
+    let batch = await batches.next();
+    if (onStart) onStart();
+    const writer = await openWriter(format, layout, out);
+    while (!batch.done) {
+      if (out.destroyed) return { runs, rows, completed: false };
+      const layoutBatch = layoutRows(batch.value, layout);
+      try {
+        await writer.write(layoutBatch);
+      } catch (err) {
+        // The client went away: stop reading
+        if (out.destroyed) return { runs, rows, completed: false };
+        throw err;
+      }
+      runs += batch.value.length;
+      rows += layoutBatch.length;
+      batch = await batches.next();
+    }
+    await writer.end();
+    return { runs, rows, completed: true };
+  } finally {
+    // Closes the cursor and releases the client when stopping early
+    await batches.return();
+    activeExports--;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  EXPORT_CONTENT_TYPES,
+  exportRuns
+};
@@ -1,6 +1,6 @@
 const axios = require('axios');
 const { pool } = require('./db');
-const { SEASON_DUNGEONS } = require('../config/constants');
+const { getCatalog } = require('./catalog');
 
 async function backfillSeasonDungeonMappings(portOrBaseUrl) {
   try {
@@ -11,16 +11,15 @@ async function backfillSeasonDungeonMappings(portOrBaseUrl) {
     // 1) Iterate known seasons from DB
     const seasonsRes = await pool.query('SELECT id FROM season ORDER BY id');
     const seasonIds = seasonsRes.rows.map(r => r.id);
+    const catalog = await getCatalog();
 
     for (const sid of seasonIds) {
-      // Ensure season name is set from constants (fallback to "Season X") if missing
+      // Ensure season name is set from the catalog (fallback to "Season X") if missing
       try {
         const current = await pool.query('SELECT name FROM season WHERE id = $1', [sid]);
         const existingName = current.rows?.[0]?.name || '';
         if (!existingName || existingName.trim() === '') {
-          const constants = require('../config/constants');
-          const meta = constants.SEASON_METADATA && constants.SEASON_METADATA[sid];
-          const desiredName = (meta && meta.name) ? meta.name : `Season ${sid}`;
+          const desiredName = catalog.seasonName(sid);
           await pool.query('UPDATE season SET name = $2 WHERE id = $1', [sid, desiredName]);
           console.log(`[BACKFILL] Set season ${sid} name to '${desiredName}'`);
         }
@@ -31,18 +30,6 @@ async function backfillSeasonDungeonMappings(portOrBaseUrl) {
       const hasRows = await pool.query('SELECT 1 FROM season_dungeon WHERE season_id = $1 LIMIT 1', [sid]);
       if (hasRows.rowCount > 0) continue;
 
-      // Prefer constants if available
-      const fromConstants = SEASON_DUNGEONS[String(sid)] || SEASON_DUNGEONS[sid] || [];
-      if (fromConstants.length > 0) {
-        const placeholders = fromConstants.map((_, i) => `($1, $${i + 2})`).join(',');
-        await pool.query(
-          `INSERT INTO season_dungeon (season_id, dungeon_id) VALUES ${placeholders} ON CONFLICT DO NOTHING`,
-          [sid, ...fromConstants]
-        );
-        console.log(`[BACKFILL] Inserted ${fromConstants.length} season_dungeon rows for season ${sid} from constants`);
-        continue;
-      }
-
       // 2) Discover via internal endpoint (US region)
       try {
         await axios.get(`${base}/wow/advanced/mythic-keystone-season/${sid}/dungeons?region=us`, { timeout: 60000 });
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { refreshUserToken } = require('./blizzard/auth');
+
+// Battle.net login sessions. The browser only ever holds an AES-GCM encrypted
+// session id; the Postgres row is keyed on a hash of that id and keeps the
+// user's Blizzard tokens encrypted at rest.
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS ?? 7 * 24 * 60 * 60 * 1000); // 7 days, sliding
+const STATE_TTL_MS = 10 * 60 * 1000; // OAuth state is valid for 10 minutes
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000; // treat tokens as expired 1 minute early
+
+let sessionTableReady = null;
+
+function ensureSessionTable() {
+  if (!sessionTableReady) {
+    sessionTableReady = db.ensureUserSessionTable().catch(err => {
+      sessionTableReady = null;
+      throw err;
+    });
+  }
+  return sessionTableReady;
+}
+
+function getKey() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('Server configuration error: SESSION_SECRET is not set');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+// Returns null for anything that wasn't produced by encrypt() with the current secret
+function decrypt(value) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    const raw = Buffer.from(value, 'base64url');
+    if (raw.length < 29) return null;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+  } catch (_) {
+    return null;
+  }
+}
+
+function hashSessionId(id) {
+  return crypto.createHash('sha256').update(id).digest('hex');
+}
+
+/**
+ * Create an OAuth state and the encrypted cookie value that binds it to this browser
+ * @param {Object} payload - Extra data to carry through the login (region, return_to)
+ * @returns {{ state: string, cookieValue: string }}
+ */
+function createOAuthState(payload = {}) {
+  const state = crypto.randomBytes(24).toString('base64url');
+  const cookieValue = encrypt(JSON.stringify({ ...payload, state, exp: Date.now() + STATE_TTL_MS }));
+  return { state, cookieValue };
+}
+
+/**
+ * Verify the state returned by Battle.net against the state cookie
+ * @param {string} cookieValue - Encrypted state cookie
+ * @param {string} state - state query parameter from the callback
+ * @returns {Object|null} The payload passed to createOAuthState, or null if invalid/expired
+ */
+function verifyOAuthState(cookieValue, state) {
+  const decoded = decrypt(cookieValue);
+  if (!decoded || !state) return null;
+  let payload;
+  try {
+    payload = JSON.parse(decoded);
+  } catch (_) {
+    return null;
+  }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  const expected = Buffer.from(String(payload.state));
+  const actual = Buffer.from(String(state));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return payload;
+}
+
+/**
+ * Persist a new session for a freshly logged in user
+ * @param {Object} params - { accountId, battletag, region, token }
+ * @returns {Promise<{ cookieValue: string, expiresAt: Date }>}
+ */
+async function createSession({ accountId, battletag, region, token }) {
+  await ensureSessionTable();
+  // Opportunistic cleanup so the table doesn't grow unbounded
+  await db.deleteExpiredUserSessions().catch(err => console.warn('[SESSION] Failed to purge expired sessions:', err.message));
+
+  const id = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await db.insertUserSession({
+    id_hash: hashSessionId(id),
+    account_id: accountId,
+    battletag,
+    region,
+    access_token: encrypt(token.accessToken),
+    refresh_token: token.refreshToken ? encrypt(token.refreshToken) : null,
+    token_expires_at: token.expiresAt,
+    expires_at: expiresAt
+  });
+  return { cookieValue: encrypt(id), expiresAt };
+}
+
+/**
+ * Load the session referenced by an encrypted session cookie and extend its lifetime
+ * @param {string} cookieValue - Encrypted session cookie
+ * @returns {Promise<Object|null>} Session with decrypted tokens, or null
+ */
+async function getSession(cookieValue) {
+  const id = decrypt(cookieValue);
+  if (!id) return null;
+  await ensureSessionTable();
+  const idHash = hashSessionId(id);
+  const row = await db.getUserSession(idHash);
+  if (!row) return null;
+
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await db.touchUserSession(idHash, expiresAt);
+  return {
+    idHash,
+    accountId: row.account_id,
+    battletag: row.battletag,
+    region: row.region,
+    accessToken: decrypt(row.access_token),
+    refreshToken: decrypt(row.refresh_token),
+    tokenExpiresAt: new Date(row.token_expires_at),
+    createdAt: row.created_at,
+    expiresAt
+  };
+}
+
+/**
+ * Return a usable access token for the session, refreshing it if needed.
+ * Sessions whose token expired and can't be refreshed are destroyed.
+ * @param {Object} session - Session from getSession
+ * @returns {Promise<string|null>} Access token or null if the user must log in again
+ */
+async function getValidAccessToken(session) {
+  if (session.accessToken && session.tokenExpiresAt.getTime() - TOKEN_REFRESH_SKEW_MS > Date.now()) {
+    return session.accessToken;
+  }
+  if (session.refreshToken) {
+    try {
+      const token = await refreshUserToken(session.refreshToken, session.region);
+      await db.updateUserSessionTokens(session.idHash, {
+        access_token: encrypt(token.accessToken),
+        refresh_token: token.refreshToken ? encrypt(token.refreshToken) : null,
+        token_expires_at: token.expiresAt
+      });
+      session.accessToken = token.accessToken;
+      session.refreshToken = token.refreshToken;
+      session.tokenExpiresAt = token.expiresAt;
+      return token.accessToken;
+    } catch (err) {
+      console.warn('[SESSION] Token refresh failed:', err.message);
+    }
+  }
+  await destroySession(session.idHash);
+  return null;
+}
+
+async function destroySession(idHash) {
+  await ensureSessionTable();
+  await db.deleteUserSession(idHash);
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  STATE_TTL_MS,
+  createOAuthState,
+  verifyOAuthState,
+  createSession,
+  getSession,
+  getValidAccessToken,
+  destroySession
+};
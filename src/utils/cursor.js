@@ -0,0 +1,89 @@
+const { ValidationError } = require('./errors');
+
+// Opaque cursors for keyset pagination. A cursor holds the sort it was issued for, the sort
+// values of the last row of its page and the number of rows before the next page (for
+// ranks), base64url-encoded JSON so clients pass it back untouched.
+
+function invalidCursor(message) {
+  return new ValidationError(`Invalid request: cursor ${message}`, {
+    fields: [{ location: 'query', field: 'cursor', message }]
+  });
+}
+
+/**
+ * @param {string} sort - Identifies the ordering, e.g. 'keystone_level:desc'
+ * @param {Array} values - Sort values of the last row of the page
+ * @param {number} position - Rows before the next page
+ * @returns {string}
+ */
+function encodeCursor(sort, values, position) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values, n: position })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Ordering of this request; a cursor issued for another one is rejected
+ * @param {number} length - Expected number of sort values
+ * @returns {{ values: Array, position: number }}
+ * @throws {ValidationError} For malformed cursors or cursors of another sort
+ */
+function decodeCursor(cursor, sort, length) {
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalidCursor('is malformed');
+  }
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== length || !Number.isInteger(payload.n) || payload.n < 0) {
+    throw invalidCursor('is malformed');
+  }
+  if (payload.s !== sort) {
+    throw invalidCursor(`belongs to a different sort (${payload.s})`);
+  }
+  if (payload.v.some(v => v !== null && !['number', 'string'].includes(typeof v) && !Array.isArray(v))) {
+    throw invalidCursor('is malformed');
+  }
+  return { values: payload.v, position: payload.n };
+}
+
+/**
+ * ORDER BY of keyset columns. Nullable columns sort their NULLs last in either direction.
+ * @param {Array} columns - [{ column, desc, nullable }]
+ */
+function keysetOrderBy(columns) {
+  return columns.map(c => `${c.column} ${c.desc ? 'DESC' : 'ASC'}${c.nullable ? ' NULLS LAST' : ''}`).join(', ');
+}
+
+/**
+ * SQL condition for the rows after a cursor in an ORDER BY of keyset columns:
+ * (a > x) OR (a = x AND b > y) OR ..., so columns may mix directions.
+ * NULLs follow keysetOrderBy: a NULL cursor value matches with IS NULL and has nothing
+ * after it, and a nullable column's NULLs come after any value.
+ * @param {Array} columns - [{ column, desc, nullable }]
+ * @param {Array} values - Sort values of the last row of the previous page
+ * @param {Array} params - Query parameters; the non-NULL values are appended
+ * @returns {string}
+ */
+function keysetCondition(columns, values, params) {
+  const placeholders = values.map(value => {
+    if (value === null) return null;
+    params.push(value);
+    return `$${params.length}`;
+  });
+  const equal = (c, i) => (placeholders[i] === null ? `${c.column} IS NULL` : `${c.column} = ${placeholders[i]}`);
+  const after = (c, i) => {
+    const beyond = `${c.column} ${c.desc ? '<' : '>'} ${placeholders[i]}`;
+    return c.nullable ? `(${beyond} OR ${c.column} IS NULL)` : beyond;
+  };
+  const terms = columns
+    .map((c, i) => (placeholders[i] === null ? null : `(${[...columns.slice(0, i).map(equal), after(c, i)].join(' AND ')})`))
+    .filter(Boolean);
+  return terms.length > 0 ? `(${terms.join(' OR ')})` : 'FALSE';
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetOrderBy,
+  keysetCondition
+};
@@ -0,0 +1,82 @@
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Typed errors understood by the error handler middleware.
+ * Each carries the HTTP status to respond with and a stable machine-readable `code`;
+ * their messages are safe to show to API clients.
+ */
+class AppError extends Error {
+  constructor(message, { status = HTTP_STATUS.INTERNAL_SERVER_ERROR, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// Bad or missing input from the client
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { status: HTTP_STATUS.BAD_REQUEST, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details) {
+    super(message, { status: HTTP_STATUS.NOT_FOUND, code: 'NOT_FOUND', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', { status = HTTP_STATUS.UNAUTHORIZED, code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status, code });
+  }
+}
+
+/**
+ * Too many requests, either from the client or from an upstream API after our own retries.
+ * retryAfter is in seconds and is sent back as a Retry-After header.
+ */
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests', { retryAfter, service } = {}) {
+    super(message, { status: HTTP_STATUS.TOO_MANY_REQUESTS, code: 'RATE_LIMITED' });
+    if (retryAfter != null) this.retryAfter = retryAfter;
+    if (service) this.service = service;
+  }
+}
+
+/**
+ * Failure talking to an upstream API (Blizzard, Raider.IO).
+ * upstreamStatus is null when no response was received (timeout, connection error).
+ */
+class UpstreamError extends AppError {
+  constructor(message, { service, upstreamStatus = null, endpoint, cause } = {}) {
+    const { status, code } = UpstreamError.classify(upstreamStatus);
+    super(message, { status, code, cause });
+    this.service = service;
+    this.upstreamStatus = upstreamStatus;
+    if (endpoint) this.endpoint = endpoint;
+  }
+
+  // Map the upstream status to the status we answer with
+  static classify(upstreamStatus) {
+    if (upstreamStatus == null) return { status: HTTP_STATUS.GATEWAY_TIMEOUT, code: 'UPSTREAM_TIMEOUT' };
+    if (upstreamStatus === 400) return { status: HTTP_STATUS.BAD_REQUEST, code: 'UPSTREAM_BAD_REQUEST' };
+    if (upstreamStatus === 404) return { status: HTTP_STATUS.NOT_FOUND, code: 'UPSTREAM_NOT_FOUND' };
+    if (upstreamStatus === 429) return { status: HTTP_STATUS.TOO_MANY_REQUESTS, code: 'RATE_LIMITED' };
+    // 401/403 mean our credentials were rejected, which isn't the caller's fault
+    if (upstreamStatus === 401 || upstreamStatus === 403) return { status: HTTP_STATUS.BAD_GATEWAY, code: 'UPSTREAM_AUTH_FAILED' };
+    if (upstreamStatus === 503) return { status: HTTP_STATUS.SERVICE_UNAVAILABLE, code: 'UPSTREAM_UNAVAILABLE' };
+    return { status: HTTP_STATUS.BAD_GATEWAY, code: 'UPSTREAM_ERROR' };
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  UpstreamError
+};
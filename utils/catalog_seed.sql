@@ -0,0 +1,140 @@
+-- Initial rows for the catalog tables (expansion, season_metadata, patch, playable_class, playable_spec)
+-- and season_dungeon.
+-- Loaded automatically when the tables are first created (see ensureCatalogTables in src/services/db.js).
+-- After that the catalog is managed through /admin/catalog and POST /admin/populate-catalog.
+
+INSERT INTO expansion (id, name, short_name) VALUES
+    (0, 'World of Warcraft', 'WoW'),
+    (1, 'The Burning Crusade', 'TBC'),
+    (2, 'Wrath of the Lich King', 'WOTLK'),
+    (3, 'Cataclysm', 'Cata'),
+    (4, 'Mists of Pandaria', 'MoP'),
+    (5, 'Warlords of Draenor', 'WoD'),
+    (6, 'Legion', 'Legion'),
+    (7, 'Battle for Azeroth', 'BfA'),
+    (8, 'Shadowlands', 'SL'),
+    (9, 'Dragonflight', 'DF'),
+    (10, 'The War Within', 'TWW')
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO season_metadata (season_id, expansion_id, name, raiderio_slug) VALUES
+    (1, 7, 'BFA S1', 'season-bfa-1'),
+    (2, 7, 'BFA S2', 'season-bfa-2'),
+    (3, 7, 'BFA S3', 'season-bfa-3'),
+    (4, 7, 'BFA S4', 'season-bfa-4'),
+    (5, 8, 'SL S1', 'season-sl-1'),
+    (6, 8, 'SL S2', 'season-sl-2'),
+    (7, 8, 'SL S3', 'season-sl-3'),
+    (8, 8, 'SL S4', 'season-sl-4'),
+    (9, 9, 'DF S1', 'season-df-1'),
+    (10, 9, 'DF S2', 'season-df-2'),
+    (11, 9, 'DF S3', 'season-df-3'),
+    (12, 9, 'DF S4', 'season-df-4'),
+    (13, 10, 'TWW S1', 'season-tww-1'),
+    (14, 10, 'TWW S2', 'season-tww-2'),
+    (15, 10, 'TWW S3', 'season-tww-3')
+ON CONFLICT (season_id) DO NOTHING;
+
+-- The patch each season started in
+INSERT INTO patch (version, expansion_id, season_id) VALUES
+    ('8.0', 7, 1),
+    ('8.1', 7, 2),
+    ('8.2', 7, 3),
+    ('8.3', 7, 4),
+    ('9.0', 8, 5),
+    ('9.1', 8, 6),
+    ('9.2', 8, 7),
+    ('9.2.5', 8, 8),
+    ('10.0', 9, 9),
+    ('10.1', 9, 10),
+    ('10.2', 9, 11),
+    ('10.2.6', 9, 12),
+    ('11.0', 10, 13),
+    ('11.1', 10, 14),
+    ('11.2', 10, 15)
+ON CONFLICT (version) DO NOTHING;
+
+INSERT INTO playable_class (id, name, color) VALUES
+    (1, 'Warrior', '#C79C6E'),
+    (2, 'Paladin', '#F58CBA'),
+    (3, 'Hunter', '#ABD473'),
+    (4, 'Rogue', '#FFF569'),
+    (5, 'Priest', '#FFFFFF'),
+    (6, 'Death Knight', '#C41F3B'),
+    (7, 'Shaman', '#0070DE'),
+    (8, 'Mage', '#69CCF0'),
+    (9, 'Warlock', '#9482C9'),
+    (10, 'Monk', '#00FF96'),
+    (11, 'Druid', '#FF7D0A'),
+    (12, 'Demon Hunter', '#A330C9'),
+    (13, 'Evoker', '#33937F')
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO playable_spec (id, name, class_id, role) VALUES
+    (71, 'Arms', 1, 'dps'),
+    (72, 'Fury', 1, 'dps'),
+    (73, 'Protection', 1, 'tank'),
+    (65, 'Holy', 2, 'healer'),
+    (66, 'Protection', 2, 'tank'),
+    (70, 'Retribution', 2, 'dps'),
+    (253, 'Beast Mastery', 3, 'dps'),
+    (254, 'Marksmanship', 3, 'dps'),
+    (255, 'Survival', 3, 'dps'),
+    (259, 'Assassination', 4, 'dps'),
+    (260, 'Outlaw', 4, 'dps'),
+    (261, 'Subtlety', 4, 'dps'),
+    (256, 'Discipline', 5, 'healer'),
+    (257, 'Holy', 5, 'healer'),
+    (258, 'Shadow', 5, 'dps'),
+    (250, 'Blood', 6, 'tank'),
+    (251, 'Frost', 6, 'dps'),
+    (252, 'Unholy', 6, 'dps'),
+    (262, 'Elemental', 7, 'dps'),
+    (263, 'Enhancement', 7, 'dps'),
+    (264, 'Restoration', 7, 'healer'),
+    (62, 'Arcane', 8, 'dps'),
+    (63, 'Fire', 8, 'dps'),
+    (64, 'Frost', 8, 'dps'),
+    (265, 'Affliction', 9, 'dps'),
+    (266, 'Demonology', 9, 'dps'),
+    (267, 'Destruction', 9, 'dps'),
+    (268, 'Brewmaster', 10, 'tank'),
+    (269, 'Windwalker', 10, 'dps'),
+    (270, 'Mistweaver', 10, 'healer'),
+    (102, 'Balance', 11, 'dps'),
+    (103, 'Feral', 11, 'dps'),
+    (104, 'Guardian', 11, 'tank'),
+    (105, 'Restoration', 11, 'healer'),
+    (577, 'Havoc', 12, 'dps'),
+    (581, 'Vengeance', 12, 'tank'),
+    (1467, 'Devastation', 13, 'dps'),
+    (1468, 'Preservation', 13, 'healer'),
+    (1473, 'Augmentation', 13, 'dps')
+ON CONFLICT (id) DO NOTHING;
+
+-- Season dungeons, for seasons and dungeons already stored (season_dungeon references both)
+INSERT INTO season_dungeon (season_id, dungeon_id)
+SELECT sd.season_id, sd.dungeon_id
+FROM (
+  SELECT v.season_id, unnest(v.dungeon_ids) AS dungeon_id
+  FROM (VALUES
+      (1, ARRAY[247, 248, 249, 250, 251, 252, 244, 245, 246, 353]),
+      (2, ARRAY[247, 248, 249, 250, 251, 252, 244, 245, 246, 353]),
+      (3, ARRAY[247, 248, 249, 250, 251, 252, 244, 245, 246, 353]),
+      (4, ARRAY[247, 248, 249, 250, 251, 252, 244, 245, 246, 353, 369, 370]),
+      (5, ARRAY[375, 376, 377, 378, 379, 380, 381, 382]),
+      (6, ARRAY[375, 376, 377, 378, 379, 380, 381, 382]),
+      (7, ARRAY[375, 376, 377, 378, 379, 380, 381, 382, 391, 392]),
+      (8, ARRAY[169, 166, 234, 227, 369, 370, 391, 392]),
+      (9, ARRAY[2, 165, 200, 210, 399, 400, 401, 402]),
+      (10, ARRAY[206, 251, 245, 403, 404, 405, 406, 438]),
+      (11, ARRAY[168, 198, 199, 248, 244, 463, 464, 456]),
+      (12, ARRAY[399, 400, 401, 402, 403, 404, 405, 406]),
+      (13, ARRAY[353, 375, 376, 501, 502, 503, 505, 507]),
+      (14, ARRAY[247, 370, 382, 499, 500, 504, 506, 525]),
+      (15, ARRAY[378, 391, 392, 499, 503, 505, 525, 542])
+  ) AS v(season_id, dungeon_ids)
+) sd
+JOIN season s ON s.id = sd.season_id
+JOIN dungeon d ON d.id = sd.dungeon_id
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,33 @@
+-- Character identity migration for existing databases
+-- Adds the character table (keyed on Blizzard profile id) and links run_group_member to it.
+-- Fresh installs get this from db_structure.sql; run this once on databases created before it.
+
+CREATE TABLE IF NOT EXISTS public.character (
+    id bigint NOT NULL,
+    name character varying(64) NOT NULL,
+    realm_slug character varying(64),
+    region character varying(8) NOT NULL,
+    faction character varying(16),
+    last_spec_id integer,
+    last_seen_at timestamp without time zone,
+    PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_character_region_realm_name ON public.character USING btree (region, realm_slug, lower(name));
+CREATE INDEX IF NOT EXISTS idx_character_name_prefix ON public.character USING btree (lower(name) text_pattern_ops);
+
+-- Legacy rows have no profile id, so character_id stays nullable here and the
+-- old (run_guid, character_name) key is replaced by a unique index the importers can target.
+ALTER TABLE public.run_group_member ADD COLUMN IF NOT EXISTS character_id bigint REFERENCES public.character(id);
+ALTER TABLE public.run_group_member DROP CONSTRAINT IF EXISTS run_group_member_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_run_group_member_run_character ON public.run_group_member USING btree (run_guid, character_id);
+CREATE INDEX IF NOT EXISTS idx_run_group_member_character ON public.run_group_member USING btree (character_id);
+
+ALTER TABLE public.run_group_member_staging ADD COLUMN IF NOT EXISTS character_id bigint;
+ALTER TABLE public.run_group_member_staging ADD COLUMN IF NOT EXISTS realm_slug character varying(64);
+ALTER TABLE public.run_group_member_staging ADD COLUMN IF NOT EXISTS region character varying(8);
+ALTER TABLE public.run_group_member_staging ADD COLUMN IF NOT EXISTS faction character varying(16);
+
+-- NOTE: The materialized views now include character_id and realm_slug in members.
+-- Drop and recreate them from the materialized view section of db_structure.sql
+-- (including their indexes), then refresh.
@@ -94,6 +94,17 @@ CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_top_keys_per_group_time ON top_keys_
 CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_top_keys_per_period_time ON top_keys_per_period 
   (completed_at DESC)
   INCLUDE (season_id, period_id, keystone_level, score);
+
+-- Realm ranking drill-down (/meta/realms/:season_id/:realm_id)
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_top_keys_per_group_realm ON top_keys_per_group 
+  (season_id, realm_id, keystone_level DESC, score DESC);
+
+-- Composition filters of /meta/top-keys (spec_ids, class_ids, tank_spec_id, healer_spec_id);
+-- member_spec_ids / member_class_ids are created by db.ensureMemberFilterFunctions
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_top_keys_per_group_member_specs ON top_keys_per_group 
+  USING gin (member_spec_ids(members));
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_top_keys_per_group_member_classes ON top_keys_per_group 
+  USING gin (member_class_ids(members));
 */
 
 -- Add unique indexes for CONCURRENTLY refresh (run once)
@@ -133,6 +144,10 @@ REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_period;
 SELECT 'Refreshing top_keys_per_group...' as status;
 REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_group;
 
+-- Created (empty) and first filled by POST /admin/refresh-views
+SELECT 'Refreshing top_keys_per_group_region...' as status;
+REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_group_region;
+
 SELECT 'All CONCURRENTLY refreshes complete!' as status;
 
 -- Show final sizes
@@ -156,6 +171,7 @@ ANALYZE top_keys_per_group;
 ANALYZE top_keys_per_period;
 ANALYZE top_keys_per_dungeon;
 ANALYZE top_keys_global;
+ANALYZE top_keys_per_group_region;
 
 -- Vacuum tables to clean up dead tuples (run periodically)
 VACUUM (ANALYZE, VERBOSE) leaderboard_run;
@@ -3,21 +3,39 @@
 
 -- Drop tables in dependency order
 DROP TABLE IF EXISTS run_group_member CASCADE;
+DROP TABLE IF EXISTS character CASCADE;
 DROP TABLE IF EXISTS leaderboard_run CASCADE;
 DROP TABLE IF EXISTS season_dungeon CASCADE;
+DROP TABLE IF EXISTS dungeon_timer CASCADE;
 DROP TABLE IF EXISTS dungeon CASCADE;
 DROP TABLE IF EXISTS period CASCADE;
 DROP TABLE IF EXISTS realm CASCADE;
 DROP TABLE IF EXISTS season CASCADE;
+DROP TABLE IF EXISTS playable_spec CASCADE;
+DROP TABLE IF EXISTS playable_class CASCADE;
+DROP TABLE IF EXISTS patch CASCADE;
+DROP TABLE IF EXISTS season_metadata CASCADE;
+DROP TABLE IF EXISTS expansion CASCADE;
 
 -- Create tables
 
 CREATE TABLE public.dungeon (
     id integer NOT NULL,
     name character varying(128) NOT NULL,
+    short_name character varying(32),
     PRIMARY KEY (id)
 );
 
+-- Keystone upgrade thresholds (+1/+2/+3) per dungeon and season, synced from Blizzard
+CREATE TABLE public.dungeon_timer (
+    dungeon_id integer NOT NULL,
+    season_id integer NOT NULL,
+    upgrade_level smallint NOT NULL,
+    qualifying_duration_ms integer NOT NULL,
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (dungeon_id, season_id, upgrade_level)
+);
+
 CREATE TABLE public.period (
     id integer NOT NULL,
     season_id integer,
@@ -41,6 +59,52 @@ CREATE TABLE public.season (
     PRIMARY KEY (id)
 );
 
+-- Game catalog, managed through /admin/catalog (initial rows: utils/catalog_seed.sql)
+CREATE TABLE public.expansion (
+    id integer NOT NULL,
+    name character varying(64) NOT NULL,
+    short_name character varying(16) NOT NULL,
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (id)
+);
+
+-- Season names and expansions; season_id is Blizzard's and may precede its season row
+CREATE TABLE public.season_metadata (
+    season_id integer NOT NULL,
+    expansion_id integer NOT NULL REFERENCES public.expansion(id),
+    name character varying(64) NOT NULL,
+    short_name character varying(16),
+    raiderio_slug character varying(64),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (season_id)
+);
+
+CREATE TABLE public.patch (
+    version character varying(16) NOT NULL,
+    expansion_id integer NOT NULL REFERENCES public.expansion(id),
+    season_id integer,
+    released_on date,
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (version)
+);
+
+CREATE TABLE public.playable_class (
+    id integer NOT NULL,
+    name character varying(64) NOT NULL,
+    color character varying(7),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE public.playable_spec (
+    id integer NOT NULL,
+    name character varying(64) NOT NULL,
+    class_id integer NOT NULL REFERENCES public.playable_class(id),
+    role character varying(8) NOT NULL CHECK (role IN ('tank', 'healer', 'dps')),
+    updated_at timestamp with time zone NOT NULL DEFAULT now(),
+    PRIMARY KEY (id)
+);
+
 -- Mapping of season to its active dungeons (DB-driven instead of hardcoding)
 CREATE TABLE public.season_dungeon (
     season_id integer NOT NULL REFERENCES public.season(id) ON DELETE CASCADE,
@@ -64,13 +128,30 @@ CREATE TABLE public.leaderboard_run (
     UNIQUE (dungeon_id, period_id, season_id, region, completed_at, duration_ms, keystone_level, score)
 );
 
+-- Stable character identity, keyed on the Blizzard profile id so renames and
+-- same-name characters on different realms don't collapse into one row.
+-- name/realm_slug/faction/last_spec_id reflect the most recent run seen.
+CREATE TABLE public.character (
+    id bigint NOT NULL,
+    name character varying(64) NOT NULL,
+    realm_slug character varying(64),
+    region character varying(8) NOT NULL,
+    faction character varying(16),
+    last_spec_id integer,
+    last_seen_at timestamp without time zone,
+    PRIMARY KEY (id)
+);
+
+-- character_name is the name at the time of the run. character_id is only NULL on rows
+-- imported before profile ids were stored (see utils/character_identity.sql); the importers
+-- skip members without one, so the unique index below keys every new row.
 CREATE TABLE public.run_group_member (
     run_guid uuid REFERENCES public.leaderboard_run(run_guid) ON DELETE CASCADE,
+    character_id bigint REFERENCES public.character(id),
     character_name character varying(64) NOT NULL,
     class_id integer,
     spec_id integer,
-    role character varying(16),
-    PRIMARY KEY (run_guid, character_name)
+    role character varying(16)
 );
 
 -- Foreign keys
@@ -89,6 +170,19 @@ ALTER TABLE ONLY public.period
 CREATE INDEX idx_cleanup_leaderboard_runs ON public.leaderboard_run USING btree (season_id, period_id, dungeon_id, keystone_level DESC, score DESC) INCLUDE (id);
 CREATE INDEX idx_leaderboard_run_season_dungeon_keylevel ON public.leaderboard_run USING btree (season_id, dungeon_id, keystone_level DESC, score);
 CREATE INDEX idx_leaderboard_run_season_period_dungeon_keylevel ON public.leaderboard_run USING btree (season_id, period_id, dungeon_id, keystone_level DESC, score DESC);
+CREATE UNIQUE INDEX idx_run_group_member_run_character ON public.run_group_member USING btree (run_guid, character_id);
+CREATE INDEX idx_run_group_member_character ON public.run_group_member USING btree (character_id);
+CREATE INDEX idx_character_region_realm_name ON public.character USING btree (region, realm_slug, lower(name));
+CREATE INDEX idx_character_name_prefix ON public.character USING btree (lower(name) text_pattern_ops);
+
+-- Spec and class ids of a top keys view's members JSON, for the composition filters of
+-- /meta/top-keys. IMMUTABLE so the views can have GIN indexes on them.
+CREATE OR REPLACE FUNCTION public.member_spec_ids(members json) RETURNS integer[]
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE
+    AS $$ SELECT COALESCE(array_agg(DISTINCT (m->>'spec_id')::integer), '{}') FROM json_array_elements(members) AS m WHERE m->>'spec_id' IS NOT NULL $$;
+CREATE OR REPLACE FUNCTION public.member_class_ids(members json) RETURNS integer[]
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE
+    AS $$ SELECT COALESCE(array_agg(DISTINCT (m->>'class_id')::integer), '{}') FROM json_array_elements(members) AS m WHERE m->>'class_id' IS NOT NULL $$;
 
 -- Materialized view for top keys per group (optimized with JOIN instead of subquery)
 CREATE MATERIALIZED VIEW public.top_keys_per_group AS
@@ -123,9 +217,10 @@ runs_with_members AS (
     r.score,
     r.rank,
     r.rn,
-    json_agg(json_build_object('character_name', rgm.character_name, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) FILTER (WHERE (rgm.character_name IS NOT NULL)) AS members
+    json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) FILTER (WHERE (rgm.character_name IS NOT NULL)) AS members
   FROM ranked_runs r
   LEFT JOIN public.run_group_member rgm ON (r.run_guid = rgm.run_guid)
+  LEFT JOIN public.character c ON (c.id = rgm.character_id)
   WHERE (r.rn <= 1000)
   GROUP BY r.id, r.run_guid, r.region, r.season_id, r.period_id, r.dungeon_id, r.realm_id, r.completed_at, r.duration_ms, r.keystone_level, r.score, r.rank, r.rn
 )
@@ -176,8 +271,9 @@ SELECT id,
        score,
        rank,
        rn,
-       (SELECT json_agg(json_build_object('character_name', rgm.character_name, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
+       (SELECT json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
         FROM public.run_group_member rgm
+        LEFT JOIN public.character c ON (c.id = rgm.character_id)
         WHERE (rgm.run_guid = r.run_guid)) AS members
 FROM ranked_runs r
 WHERE (rn <= 1000);
@@ -213,8 +309,9 @@ SELECT id,
        score,
        rank,
        rn,
-       (SELECT json_agg(json_build_object('character_name', rgm.character_name, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
+       (SELECT json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
         FROM public.run_group_member rgm
+        LEFT JOIN public.character c ON (c.id = rgm.character_id)
         WHERE (rgm.run_guid = r.run_guid)) AS members
 FROM ranked_runs r
 WHERE (rn <= 1000);
@@ -250,8 +347,47 @@ SELECT id,
        score,
        rank,
        rn,
-       (SELECT json_agg(json_build_object('character_name', rgm.character_name, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
+       (SELECT json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
         FROM public.run_group_member rgm
+        LEFT JOIN public.character c ON (c.id = rgm.character_id)
+        WHERE (rgm.run_guid = r.run_guid)) AS members
+FROM ranked_runs r
+WHERE (rn <= 1000);
+
+-- Materialized view for top keys per (season_id, period_id, dungeon_id, region): each region ranked on its own
+CREATE MATERIALIZED VIEW public.top_keys_per_group_region AS
+WITH ranked_runs AS (
+  SELECT lr.id,
+         lr.run_guid,
+         lr.region,
+         lr.season_id,
+         lr.period_id,
+         lr.dungeon_id,
+         lr.realm_id,
+         lr.completed_at,
+         lr.duration_ms,
+         lr.keystone_level,
+         lr.score,
+         lr.rank,
+         row_number() OVER (PARTITION BY lr.season_id, lr.period_id, lr.dungeon_id, lr.region ORDER BY lr.keystone_level DESC, lr.score DESC) AS rn
+  FROM public.leaderboard_run lr
+)
+SELECT id,
+       run_guid,
+       region,
+       season_id,
+       period_id,
+       dungeon_id,
+       realm_id,
+       completed_at,
+       duration_ms,
+       keystone_level,
+       score,
+       rank,
+       rn,
+       (SELECT json_agg(json_build_object('character_id', rgm.character_id, 'character_name', rgm.character_name, 'realm_slug', c.realm_slug, 'class_id', rgm.class_id, 'spec_id', rgm.spec_id, 'role', rgm.role) ORDER BY rgm.character_name) AS json_agg
+        FROM public.run_group_member rgm
+        LEFT JOIN public.character c ON (c.id = rgm.character_id)
         WHERE (rgm.run_guid = r.run_guid)) AS members
 FROM ranked_runs r
 WHERE (rn <= 1000);
@@ -260,6 +396,9 @@ WHERE (rn <= 1000);
 CREATE INDEX idx_top_keys_per_group_lookup ON public.top_keys_per_group USING btree (season_id, period_id, dungeon_id, keystone_level DESC, score DESC) INCLUDE (id, run_guid, completed_at);
 CREATE INDEX idx_top_keys_per_group_time ON public.top_keys_per_group USING btree (completed_at DESC) INCLUDE (season_id, period_id, dungeon_id, keystone_level, score);
 CREATE UNIQUE INDEX idx_top_keys_per_group_unique_id ON public.top_keys_per_group USING btree (id);
+CREATE INDEX idx_top_keys_per_group_realm ON public.top_keys_per_group USING btree (season_id, realm_id, keystone_level DESC, score DESC);
+CREATE INDEX idx_top_keys_per_group_member_specs ON public.top_keys_per_group USING gin (public.member_spec_ids(members));
+CREATE INDEX idx_top_keys_per_group_member_classes ON public.top_keys_per_group USING gin (public.member_class_ids(members));
 
 CREATE INDEX idx_top_keys_global_lookup ON public.top_keys_global USING btree (season_id, keystone_level DESC, score DESC) INCLUDE (id, run_guid, completed_at);
 CREATE UNIQUE INDEX idx_top_keys_global_unique_id ON public.top_keys_global USING btree (id);
@@ -271,10 +410,20 @@ CREATE UNIQUE INDEX idx_top_keys_per_period_unique_id ON public.top_keys_per_per
 CREATE INDEX idx_top_keys_per_dungeon_lookup ON public.top_keys_per_dungeon USING btree (season_id, dungeon_id, keystone_level DESC, score DESC) INCLUDE (id, run_guid, completed_at);
 CREATE UNIQUE INDEX idx_top_keys_per_dungeon_unique_id ON public.top_keys_per_dungeon USING btree (id);
 
+CREATE INDEX idx_top_keys_per_group_region_lookup ON public.top_keys_per_group_region USING btree (season_id, region, period_id, dungeon_id, keystone_level DESC, score DESC) INCLUDE (id, run_guid, completed_at);
+CREATE UNIQUE INDEX idx_top_keys_per_group_region_unique_id ON public.top_keys_per_group_region USING btree (id);
+CREATE INDEX idx_top_keys_per_group_region_realm ON public.top_keys_per_group_region USING btree (season_id, realm_id, keystone_level DESC, score DESC);
+CREATE INDEX idx_top_keys_per_group_region_member_specs ON public.top_keys_per_group_region USING gin (public.member_spec_ids(members));
+CREATE INDEX idx_top_keys_per_group_region_member_classes ON public.top_keys_per_group_region USING gin (public.member_class_ids(members));
+
 -- Staging table for bulk import of run_group_member
 CREATE TABLE IF NOT EXISTS public.run_group_member_staging (
     run_guid uuid,
+    character_id bigint,
     character_name character varying(64),
+    realm_slug character varying(64),
+    region character varying(8),
+    faction character varying(16),
     class_id integer,
     spec_id integer,
     role character varying(16)
@@ -285,3 +434,4 @@ CREATE TABLE IF NOT EXISTS public.run_group_member_staging (
 -- REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_global;
 -- REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_period;
 -- REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_dungeon;
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY top_keys_per_group_region;